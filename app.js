@@ -0,0 +1,224 @@
+const express = require('express');
+const session = require('express-session');
+const ConnectMongo = require('connect-mongo');
+const MongoStore = ConnectMongo.default || ConnectMongo;
+const path = require('path');
+
+const { getClient } = require('./database/mongo');
+const { getDb, activeBackend } = require('./database/storage');
+const { requireAuth, authenticateToken } = require('./middleware/auth');
+const { contactLimit, writeLimit } = require('./middleware/rateLimits');
+const { securityHeaders, csrfProtection } = require('./middleware/security');
+const { errorEnvelope, errorHandler, sendError } = require('./middleware/errors');
+const { detectLocale } = require('./middleware/locale');
+const { sendView } = require('./services/views');
+const { createSessionStore } = require('./services/sessions');
+const { submitContact } = require('./controllers/contactController');
+const { filmPage, filmsPage, sitemap, robots } = require('./controllers/pagesController');
+const moviesRouter = require('./routes/movies');
+const authRouter = require('./routes/auth');
+const userListsRouter = require('./routes/user-lists');
+const recommendationsRouter = require('./routes/recommendations');
+const listsRouter = require('./routes/lists');
+const peopleRouter = require('./routes/people');
+const usersRouter = require('./routes/users');
+const adminRouter = require('./routes/admin');
+const docsRouter = require('./routes/docs');
+const mediaRouter = require('./routes/media');
+
+const SESSION_TTL_SECONDS = 14 * 24 * 60 * 60;
+
+/**
+ * Sessions live in the app's database either way, so services/sessions.js sees them: on
+ * MongoDB connect-mongo shares the connection, on SQLite the store from services/sessions.js.
+ */
+function defaultSessionStore() {
+  if (activeBackend() === 'sqlite') return createSessionStore({ ttlSeconds: SESSION_TTL_SECONDS });
+  return MongoStore.create({ client: getClient(), dbName: getDb().databaseName, ttl: SESSION_TTL_SECONDS });
+}
+
+/**
+ * Build the Express app without connecting or listening, so tests can run it against
+ * their own database. Call connectStorage() first: the default session store uses that
+ * connection. sessionStore replaces it; logRequests turns the request log off.
+ */
+function createApp({ sessionSecret = process.env.SESSION_SECRET, sessionStore, logRequests = true } = {}) {
+  if (!sessionSecret) throw new Error('SESSION_SECRET is missing');
+  const app = express();
+
+  app.set('trust proxy', 1);
+  app.disable('x-powered-by');
+
+  // CSP (with a per-request nonce for inline scripts), HSTS in production, framing and referrer rules
+  app.use(securityHeaders());
+
+  // every JSON error, from any route or middleware, goes out as { status, code, message, details? }
+  app.use(errorEnvelope);
+
+  // stored poster images need no session or body parsing
+  app.use('/media', mediaRouter);
+
+  // catalog imports are far larger than any other JSON body
+  app.use('/api/movies/import', express.json({ limit: '5mb' }));
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  const sessionMiddleware = session({
+    name: 'sid',
+    secret: sessionSecret,
+    resave: false,
+    saveUninitialized: false,
+    store: sessionStore || defaultSessionStore(),
+    cookie: {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production',
+      maxAge: SESSION_TTL_SECONDS * 1000,
+    },
+  });
+
+  // Bearer API tokens authenticate on their own and never load or create a cookie session
+  app.use(authenticateToken);
+  app.use((req, res, next) => (req.apiToken ? next() : sessionMiddleware(req, res, next)));
+  // every POST/PUT/PATCH/DELETE must echo the session's CSRF token
+  app.use(csrfProtection);
+  app.use(express.static(path.join(__dirname, 'public')));
+  // pages and API answers in the visitor's language: ?lang=, the lang cookie or Accept-Language
+  app.use(detectLocale);
+
+  if (logRequests) {
+    app.use((req, res, next) => {
+      console.log(`${req.method} ${req.originalUrl}`);
+      next();
+    });
+  }
+
+  app.get('/', (req, res) =>
+    sendView(req, res, 'index.html')
+  );
+
+  //film pages are rendered with their data for crawlers and link previews
+  app.get('/films', filmsPage);
+
+  app.get('/films/:id', filmPage);
+
+  app.get('/sitemap.xml', sitemap);
+
+  app.get('/robots.txt', robots);
+
+  app.get('/add-film', (req, res) =>
+    sendView(req, res, 'add-film.html')
+  );
+
+  app.get('/watchlist', (req, res) =>
+    sendView(req, res, 'watchlist.html')
+  );
+
+  app.get('/profile', (req, res) =>
+    sendView(req, res, 'profile.html')
+  );
+
+  app.get('/admin', (req, res) =>
+    sendView(req, res, 'admin.html')
+  );
+
+  app.get('/people/:id', (req, res) =>
+    sendView(req, res, 'person.html')
+  );
+
+  app.get('/lists/:shareId', (req, res) =>
+    sendView(req, res, 'list.html')
+  );
+
+  app.get('/users/:username', (req, res) =>
+    sendView(req, res, 'user.html')
+  );
+
+  app.get('/about', (req, res) =>
+    sendView(req, res, 'about.html')
+  );
+
+  app.get('/contact', (req, res) =>
+    sendView(req, res, 'contact.html')
+  );
+
+  app.get('/login', (req, res) =>
+    sendView(req, res, 'login.html', 200, { csrf: true })
+  );
+
+  app.get('/register', (req, res) =>
+    sendView(req, res, 'register.html', 200, { csrf: true })
+  );
+
+  app.get('/forgot-password', (req, res) =>
+    sendView(req, res, 'forgot-password.html', 200, { csrf: true })
+  );
+
+  app.get('/reset-password', (req, res) =>
+    sendView(req, res, 'reset-password.html', 200, { csrf: true })
+  );
+
+  //LEGACY REDIRECTS
+  app.get('/search', (req, res) => {
+    const params = new URLSearchParams();
+    const { q, genre, year } = req.query;
+    if (typeof q === 'string' && q.trim()) params.set('search', q.trim());
+    if (typeof genre === 'string' && genre) params.set('genre', genre);
+    if (typeof year === 'string' && year) params.set('year', year);
+    const qs = params.toString();
+    res.redirect(qs ? `/films?${qs}` : '/films');
+  });
+
+  app.get('/item/:id', (req, res) =>
+    res.redirect(`/films/${req.params.id}`)
+  );
+
+  //auth api 
+  app.use('/auth', authRouter);
+
+  //OpenAPI spec and Swagger UI at /api/docs
+  app.use('/api', docsRouter);
+
+  //throttle state-changing api calls
+  app.use('/api', writeLimit);
+
+  //user lists api
+  app.use('/api/user', userListsRouter);
+
+  //shared lists api (read-only)
+  app.use('/api/lists', listsRouter);
+
+  //public user profiles and follows api (read-only)
+  app.use('/api/users', usersRouter);
+
+  //movies api 
+  app.use('/api/movies', moviesRouter);
+
+  //people api
+  app.use('/api/people', peopleRouter);
+
+  //admin api
+  app.use('/api/admin', adminRouter);
+
+  //recommendations api
+  app.use('/api/recommendations', recommendationsRouter);
+
+  //contact form
+  app.post('/contact', requireAuth, contactLimit, submitContact);
+
+  //404 HANDLER
+  app.use((req, res) => {
+    if (req.path.startsWith('/api') || req.path.startsWith('/auth')) {
+      sendError(res, 404, 'Route not found');
+    } else {
+      sendView(req, res, '404.html', 404);
+    }
+  });
+
+  //GLOBAL ERROR HANDLER
+  app.use(errorHandler);
+
+  return app;
+}
+
+module.exports = { createApp };
@@ -0,0 +1,393 @@
+const bcrypt = require('bcrypt');
+const { ObjectId } = require('mongodb');
+const { getDb } = require('../database/storage');
+const { usersCollection } = require('../models/user');
+const { reviewsCollection } = require('../models/review');
+const { diaryCollection } = require('../models/diary');
+const { listsCollection } = require('../models/list');
+const { apiTokensCollection } = require('../models/apiToken');
+const { followsCollection } = require('../models/follow');
+const { refreshCommunityRating } = require('./reviewsController');
+const { followCounts } = require('./socialController');
+const { destroyUserSessions } = require('../services/sessions');
+const { revokeUserTokens } = require('../services/apiTokens');
+const { issueToken, consumeToken } = require('../services/authTokens');
+const { getMailer } = require('../services/mailer');
+const { verificationEmail, passwordResetEmail } = require('../services/emails');
+const { privacySettings, validatePrivacy } = require('../services/social');
+
+const DISPLAY_NAME_MAX = 50;
+const AVATAR_URL_MAX = 500;
+const FAVORITE_GENRES_MAX = 10;
+const GENRE_MAX = 40;
+const PASSWORD_MIN = 6;
+const PASSWORD_MAX = 200;
+const EMAIL_MAX = 254;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const ACCOUNT_PROJECTION = {
+  username: 1,
+  email: 1,
+  emailVerified: 1,
+  role: 1,
+  displayName: 1,
+  avatarUrl: 1,
+  favoriteGenres: 1,
+  privacy: 1,
+  createdAt: 1,
+};
+const RESET_SENT_MESSAGE = 'If that address belongs to an account, a reset link is on its way.';
+
+/** Lowercased, trimmed email address, or null when it isn't a plausible address. */
+function normalizeEmail(value) {
+  if (typeof value !== 'string') return null;
+  const email = value.trim().toLowerCase();
+  return email.length <= EMAIL_MAX && EMAIL_PATTERN.test(email) ? email : null;
+}
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate profile settings for PATCH. Blank displayName/avatarUrl clear the field; privacy
+ * may set any of its levels. Returns { errors, data }.
+ */
+function validateAccountBody(body) {
+  const errors = [];
+  const { email, displayName, avatarUrl, favoriteGenres, privacy } = body || {};
+  const data = {};
+
+  if (email !== undefined) {
+    const normalized = normalizeEmail(email);
+    if (!normalized) errors.push('email must be a valid address');
+    else data.email = normalized;
+  }
+
+  if (displayName !== undefined) {
+    if (displayName !== null && typeof displayName !== 'string') errors.push('displayName must be a string');
+    else if (displayName && displayName.trim().length > DISPLAY_NAME_MAX) {
+      errors.push(`displayName must be at most ${DISPLAY_NAME_MAX} characters`);
+    } else data.displayName = displayName ? displayName.trim() || null : null;
+  }
+
+  if (avatarUrl !== undefined) {
+    if (avatarUrl !== null && typeof avatarUrl !== 'string') errors.push('avatarUrl must be a string');
+    else if (avatarUrl && avatarUrl.trim()) {
+      const url = avatarUrl.trim();
+      if (url.length > AVATAR_URL_MAX || !isHttpUrl(url)) errors.push('avatarUrl must be an http(s) URL');
+      else data.avatarUrl = url;
+    } else data.avatarUrl = null;
+  }
+
+  if (favoriteGenres !== undefined) {
+    if (!Array.isArray(favoriteGenres) || favoriteGenres.some((g) => typeof g !== 'string')) {
+      errors.push('favoriteGenres must be an array of strings');
+    } else {
+      const genres = Array.from(new Set(favoriteGenres.map((g) => g.trim()).filter(Boolean)));
+      if (genres.length > FAVORITE_GENRES_MAX) errors.push(`favoriteGenres must contain at most ${FAVORITE_GENRES_MAX} items`);
+      else if (genres.some((g) => g.length > GENRE_MAX)) errors.push(`each genre must be at most ${GENRE_MAX} characters`);
+      else data.favoriteGenres = genres;
+    }
+  }
+
+  if (privacy !== undefined) {
+    const validated = validatePrivacy(privacy);
+    errors.push(...validated.errors);
+    if (!validated.errors.length && Object.keys(validated.privacy).length) data.privacy = validated.privacy;
+  }
+
+  return { errors, data };
+}
+
+function isValidPassword(password) {
+  return typeof password === 'string' && password.length >= PASSWORD_MIN && password.length <= PASSWORD_MAX;
+}
+
+/** Validate a change-password body. Returns a list of errors. */
+function validatePasswordChange(body) {
+  const errors = [];
+  const { currentPassword, newPassword } = body || {};
+  if (typeof currentPassword !== 'string' || !currentPassword) errors.push('currentPassword is required');
+  if (!isValidPassword(newPassword)) {
+    errors.push(`newPassword must be ${PASSWORD_MIN}-${PASSWORD_MAX} characters`);
+  } else if (newPassword === currentPassword) {
+    errors.push('newPassword must differ from the current password');
+  }
+  return errors;
+}
+
+function serializeAccount(user) {
+  return {
+    id: user._id.toString(),
+    username: user.username,
+    email: user.email || null,
+    // accounts created before verification existed have no flag and count as verified
+    emailVerified: user.emailVerified !== false,
+    role: user.role === 'admin' ? 'admin' : 'user',
+    displayName: user.displayName || null,
+    avatarUrl: user.avatarUrl || null,
+    favoriteGenres: user.favoriteGenres || [],
+    privacy: privacySettings(user),
+    createdAt: user.createdAt || null,
+  };
+}
+
+/** The account with its follower and following counts, as GET and PATCH return it. */
+async function accountResponse(user) {
+  return { ...serializeAccount(user), ...(await followCounts(user._id.toString())) };
+}
+
+/** Email a fresh verification link. Mail failures are logged, not thrown. */
+async function sendVerification(user) {
+  try {
+    const token = await issueToken(user._id, 'verify', { email: user.email });
+    await getMailer().send(verificationEmail({ to: user.email, username: user.username, token }));
+    return true;
+  } catch (err) {
+    console.error('verification mail error:', err);
+    return false;
+  }
+}
+
+async function findSessionUser(req, projection = ACCOUNT_PROJECTION) {
+  const { id } = req.session.user;
+  if (!ObjectId.isValid(id)) return null;
+  return usersCollection().findOne({ _id: new ObjectId(id) }, { projection });
+}
+
+/**
+ * Remove everything a user owns: likes, watchlist, diary, lists, reviews (movie community
+ * ratings are recomputed) and follows both ways, then every session, API token and the
+ * user document.
+ */
+async function deleteUserData(user) {
+  const userId = user._id.toString();
+  const db = getDb();
+  const reviewed = await reviewsCollection().distinct('movieId', { userId });
+
+  await Promise.all([
+    db.collection('likes').deleteMany({ userId }),
+    db.collection('watchlist').deleteMany({ userId }),
+    diaryCollection().deleteMany({ userId }),
+    listsCollection().deleteMany({ userId }),
+    reviewsCollection().deleteMany({ userId }),
+    apiTokensCollection().deleteMany({ userId }),
+    followsCollection().deleteMany({ $or: [{ followerId: userId }, { followeeId: userId }] }),
+  ]);
+  for (const movieId of reviewed) await refreshCommunityRating(movieId);
+
+  await destroyUserSessions(userId);
+  await usersCollection().deleteOne({ _id: user._id });
+  return { reviews: reviewed.length };
+}
+
+// GET the signed-in user's profile settings
+async function getAccount(req, res) {
+  try {
+    const user = await findSessionUser(req);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    res.status(200).json(await accountResponse(user));
+  } catch (err) {
+    console.error('account get error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+// PATCH email, display name, avatar, favorite genres and privacy; a new email must be verified again
+async function updateAccount(req, res) {
+  const validated = validateAccountBody(req.body);
+  if (validated.errors.length) {
+    return res.status(400).json({ message: 'Validation error', errors: validated.errors });
+  }
+  if (Object.keys(validated.data).length === 0) {
+    return res.status(400).json({ message: 'No fields to update' });
+  }
+
+  try {
+    const user = await findSessionUser(req, { email: 1 });
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const { privacy, ...fields } = validated.data;
+    const update = { ...fields, updatedAt: new Date() };
+    // each privacy setting is set on its own, so a partial update keeps the others
+    for (const [key, level] of Object.entries(privacy || {})) update[`privacy.${key}`] = level;
+    const emailChanged = update.email !== undefined && update.email !== user.email;
+    if (update.email !== undefined && !emailChanged) delete update.email;
+    if (emailChanged) {
+      const taken = await usersCollection().findOne({ email: update.email, _id: { $ne: user._id } }, { projection: { _id: 1 } });
+      if (taken) return res.status(409).json({ message: 'Email already in use' });
+      update.emailVerified = false;
+    }
+
+    const updated = await usersCollection().findOneAndUpdate(
+      { _id: user._id },
+      { $set: update },
+      { returnDocument: 'after', projection: ACCOUNT_PROJECTION }
+    );
+    if (!updated) return res.status(404).json({ message: 'User not found' });
+    if (emailChanged) await sendVerification(updated);
+    res.status(200).json(await accountResponse(updated));
+  } catch (err) {
+    console.error('account update error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+// POST change password; every other session of the user is signed out and their API tokens revoked
+async function changePassword(req, res) {
+  const errors = validatePasswordChange(req.body);
+  if (errors.length) return res.status(400).json({ message: 'Validation error', errors });
+
+  try {
+    const user = await findSessionUser(req, { passwordHash: 1 });
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    const match = user.passwordHash && (await bcrypt.compare(req.body.currentPassword, user.passwordHash));
+    if (!match) return res.status(403).json({ message: 'Current password is incorrect' });
+
+    const passwordHash = await bcrypt.hash(req.body.newPassword, 10);
+    await usersCollection().updateOne(
+      { _id: user._id },
+      { $set: { passwordHash, passwordChangedAt: new Date(), updatedAt: new Date() } }
+    );
+    const sessionsEnded = await destroyUserSessions(user._id, { exceptSessionId: req.sessionID });
+    const tokensRevoked = await revokeUserTokens(user._id);
+    res.status(200).json({ message: 'Password changed', sessionsEnded, tokensRevoked });
+  } catch (err) {
+    console.error('change password error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+// DELETE the signed-in user's account and everything they own
+async function deleteAccount(req, res) {
+  const { password } = req.body || {};
+  if (typeof password !== 'string' || !password) {
+    return res.status(400).json({ message: 'Validation error', errors: ['password is required'] });
+  }
+
+  try {
+    const user = await findSessionUser(req, { passwordHash: 1, role: 1 });
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    const match = user.passwordHash && (await bcrypt.compare(password, user.passwordHash));
+    if (!match) return res.status(403).json({ message: 'Password is incorrect' });
+
+    if (user.role === 'admin') {
+      const admins = await usersCollection().countDocuments({ role: 'admin', disabled: { $ne: true } });
+      if (admins <= 1) return res.status(409).json({ message: 'Promote another admin before deleting the last admin account' });
+    }
+
+    await deleteUserData(user);
+    req.session.destroy((err) => {
+      if (err) console.error('account delete session error:', err);
+      res.clearCookie('sid', { path: '/' });
+      res.status(200).json({ message: 'Account deleted' });
+    });
+  } catch (err) {
+    console.error('account delete error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+// GET confirm an email address from the emailed link, then back to the profile page
+async function verifyEmail(req, res) {
+  try {
+    const token = await consumeToken(req.query.token, 'verify');
+    const result =
+      token &&
+      ObjectId.isValid(token.userId) &&
+      (await usersCollection().updateOne(
+        { _id: new ObjectId(token.userId), email: token.email },
+        { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+      ));
+    res.redirect(result && result.matchedCount ? '/profile?verified=1' : '/profile?verified=0');
+  } catch (err) {
+    console.error('verify email error:', err);
+    res.redirect('/profile?verified=0');
+  }
+}
+
+// POST send the verification link again
+async function resendVerification(req, res) {
+  try {
+    const user = await findSessionUser(req, { username: 1, email: 1, emailVerified: 1 });
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (!user.email) return res.status(400).json({ message: 'Add an email address first' });
+    if (user.emailVerified !== false) return res.status(400).json({ message: 'Email already verified' });
+    if (!(await sendVerification(user))) return res.status(502).json({ message: 'Could not send email' });
+    res.status(200).json({ message: 'Verification email sent' });
+  } catch (err) {
+    console.error('resend verification error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+// POST email a password reset link; the answer never reveals whether the address exists
+async function forgotPassword(req, res) {
+  const email = normalizeEmail((req.body || {}).email);
+  if (!email) return res.status(400).json({ message: 'Validation error', errors: ['email must be a valid address'] });
+
+  try {
+    const user = await usersCollection().findOne({ email }, { projection: { username: 1, email: 1, disabled: 1 } });
+    if (user && !user.disabled) {
+      const token = await issueToken(user._id, 'reset', { email });
+      await getMailer()
+        .send(passwordResetEmail({ to: email, username: user.username, token }))
+        .catch((err) => console.error('reset mail error:', err));
+    }
+    res.status(200).json({ message: RESET_SENT_MESSAGE });
+  } catch (err) {
+    console.error('forgot password error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+// POST set a new password with a reset token; every session of the user is signed out and their API tokens revoked
+async function resetPassword(req, res) {
+  const { token, password } = req.body || {};
+  if (!isValidPassword(password)) {
+    return res.status(400).json({ message: 'Validation error', errors: [`password must be ${PASSWORD_MIN}-${PASSWORD_MAX} characters`] });
+  }
+
+  try {
+    const consumed = await consumeToken(token, 'reset');
+    if (!consumed || !ObjectId.isValid(consumed.userId)) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+    const _id = new ObjectId(consumed.userId);
+    const user = await usersCollection().findOne({ _id }, { projection: { email: 1 } });
+    if (!user) return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+
+    const now = new Date();
+    const update = { passwordHash: await bcrypt.hash(password, 10), passwordChangedAt: now, updatedAt: now };
+    // the link reached this inbox, which proves the address
+    if (consumed.email && consumed.email === user.email) update.emailVerified = true;
+    await usersCollection().updateOne({ _id }, { $set: update });
+    await destroyUserSessions(_id);
+    await revokeUserTokens(_id);
+    res.status(200).json({ message: 'Password updated, please sign in' });
+  } catch (err) {
+    console.error('reset password error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+module.exports = {
+  getAccount,
+  updateAccount,
+  changePassword,
+  deleteAccount,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  sendVerification,
+  deleteUserData,
+  normalizeEmail,
+  validateAccountBody,
+  validatePasswordChange,
+};
@@ -0,0 +1,275 @@
+const { ObjectId } = require('mongodb');
+const { getDb } = require('../database/storage');
+const { usersCollection } = require('../models/user');
+const { moviesCollection, NOT_DELETED } = require('../models/movie');
+const { reviewsCollection } = require('../models/review');
+const { listsCollection } = require('../models/list');
+const { auditCollection } = require('../models/audit');
+const { messagesCollection } = require('../models/message');
+const { escapeRegex } = require('../services/search');
+const { recordAudit } = require('../services/audit');
+const { editorOf } = require('../services/revisions');
+const { destroyUserSessions } = require('../services/sessions');
+const { bulkEditGenres, mergeMovies } = require('../services/moderation');
+const { listLockouts, clearLoginFailures, usernameKey } = require('../services/lockout');
+
+const ROLES = ['user', 'admin'];
+const BULK_MAX = 500;
+const USER_PROJECTION = { passwordHash: 0 };
+
+function parseId(res, id, message) {
+  if (!ObjectId.isValid(id)) {
+    res.status(400).json({ message });
+    return null;
+  }
+  return new ObjectId(id);
+}
+
+function pageParams(query, defaultLimit = 20) {
+  const page = Math.max(1, parseInt(query.page || '1', 10));
+  const limit = Math.min(100, Math.max(1, parseInt(query.limit || String(defaultLimit), 10)));
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+/** Parse a non-empty array of movie ids, at most BULK_MAX. Returns { error } or { ids }. */
+function parseMovieIds(value, field) {
+  if (!Array.isArray(value) || value.length === 0) return { error: `${field} must be a non-empty array` };
+  if (value.length > BULK_MAX) return { error: `${field} must contain at most ${BULK_MAX} ids` };
+  if (!value.every((id) => ObjectId.isValid(id))) return { error: `${field} must contain valid ids` };
+  return { ids: Array.from(new Set(value.map(String))).map((id) => new ObjectId(id)) };
+}
+
+function parseGenreList(value, field, errors) {
+  if (value === undefined) return [];
+  if (!Array.isArray(value) || !value.every((g) => typeof g === 'string' && g.trim())) {
+    errors.push(`${field} must be an array of non-empty strings`);
+    return [];
+  }
+  return value.map((g) => g.trim());
+}
+
+// GET dashboard counts
+async function getOverview(req, res) {
+  try {
+    const db = getDb();
+    const [users, admins, disabled, movies, trash, reviews, lists, auditEntries, newMessages] = await Promise.all([
+      usersCollection().countDocuments(),
+      usersCollection().countDocuments({ role: 'admin' }),
+      usersCollection().countDocuments({ disabled: true }),
+      moviesCollection().countDocuments(NOT_DELETED),
+      moviesCollection().countDocuments({ deletedAt: { $ne: null } }),
+      reviewsCollection().countDocuments(),
+      listsCollection().countDocuments(),
+      auditCollection().countDocuments(),
+      messagesCollection().countDocuments({ status: 'new' }),
+    ]);
+    const [likes, watchlist] = await Promise.all([
+      db.collection('likes').countDocuments(),
+      db.collection('watchlist').countDocuments(),
+    ]);
+    res.status(200).json({ users, admins, disabled, movies, trash, reviews, lists, likes, watchlist, auditEntries, newMessages });
+  } catch (err) {
+    console.error('admin overview error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+// GET users, searchable by username
+async function listUsers(req, res) {
+  const { page, limit, skip } = pageParams(req.query);
+  const filter = {};
+  if (typeof req.query.q === 'string' && req.query.q.trim()) {
+    filter.username = { $regex: escapeRegex(req.query.q.trim()), $options: 'i' };
+  }
+  if (req.query.role !== undefined) {
+    if (!ROLES.includes(req.query.role)) return res.status(400).json({ message: `role must be one of ${ROLES.join(', ')}` });
+    filter.role = req.query.role;
+  }
+  if (req.query.disabled === 'true') filter.disabled = true;
+
+  try {
+    const [items, total] = await Promise.all([
+      usersCollection().find(filter, { projection: USER_PROJECTION }).sort({ username: 1 }).skip(skip).limit(limit).toArray(),
+      usersCollection().countDocuments(filter),
+    ]);
+    res.status(200).json({ items, page, limit, total, totalPages: Math.ceil(total / limit) });
+  } catch (err) {
+    console.error('admin users error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+// PATCH change a user's role or disable/enable the account
+async function updateUser(req, res) {
+  const _id = parseId(res, req.params.id, 'Invalid user id');
+  if (!_id) return;
+
+  const { role, disabled } = req.body || {};
+  const errors = [];
+  const changes = {};
+  if (role !== undefined) {
+    if (!ROLES.includes(role)) errors.push(`role must be one of ${ROLES.join(', ')}`);
+    else changes.role = role;
+  }
+  if (disabled !== undefined) {
+    if (typeof disabled !== 'boolean') errors.push('disabled must be a boolean');
+    else changes.disabled = disabled;
+  }
+  if (errors.length) return res.status(400).json({ message: 'Validation error', errors });
+  if (Object.keys(changes).length === 0) return res.status(400).json({ message: 'No fields to update' });
+  if (req.params.id === req.session.user.id) {
+    return res.status(400).json({ message: 'You cannot change your own role or disable yourself' });
+  }
+
+  try {
+    const before = await usersCollection().findOne({ _id }, { projection: USER_PROJECTION });
+    if (!before) return res.status(404).json({ message: 'User not found' });
+
+    const user = await usersCollection().findOneAndUpdate(
+      { _id },
+      { $set: { ...changes, updatedAt: new Date() } },
+      { returnDocument: 'after', projection: USER_PROJECTION }
+    );
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    // sessions carry the role, so any change signs the user out to pick it up
+    const sessionsEnded = await destroyUserSessions(_id);
+    await recordAudit(req, 'user.update', { type: 'user', id: _id }, {
+      username: user.username,
+      before: { role: before.role, disabled: !!before.disabled },
+      after: { role: user.role, disabled: !!user.disabled },
+      sessionsEnded,
+    });
+    res.status(200).json({ user, sessionsEnded });
+  } catch (err) {
+    console.error('admin user update error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+// POST sign a user out of every session
+async function logoutUser(req, res) {
+  const _id = parseId(res, req.params.id, 'Invalid user id');
+  if (!_id) return;
+  try {
+    const user = await usersCollection().findOne({ _id }, { projection: { username: 1 } });
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    const sessionsEnded = await destroyUserSessions(_id);
+    await recordAudit(req, 'user.logout', { type: 'user', id: _id }, { username: user.username, sessionsEnded });
+    res.status(200).json({ sessionsEnded });
+  } catch (err) {
+    console.error('admin logout error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+// POST add and/or remove genres on many movies
+async function bulkGenres(req, res) {
+  const { movieIds, add, remove } = req.body || {};
+  const parsed = parseMovieIds(movieIds, 'movieIds');
+  const errors = parsed.error ? [parsed.error] : [];
+  const edit = { add: parseGenreList(add, 'add', errors), remove: parseGenreList(remove, 'remove', errors) };
+  if (!errors.length && edit.add.length === 0 && edit.remove.length === 0) errors.push('add or remove is required');
+  if (errors.length) return res.status(400).json({ message: 'Validation error', errors });
+
+  try {
+    const report = await bulkEditGenres(parsed.ids, edit, editorOf(req));
+    await recordAudit(req, 'movie.bulkGenres', { type: 'movie', id: null }, {
+      movieIds: parsed.ids.map(String),
+      ...edit,
+      updated: report.updated,
+    });
+    res.status(200).json(report);
+  } catch (err) {
+    console.error('admin bulk genres error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+// POST merge duplicate movies into one
+async function mergeDuplicateMovies(req, res) {
+  const { targetId, sourceIds } = req.body || {};
+  if (!ObjectId.isValid(targetId)) return res.status(400).json({ message: 'targetId must be a valid id' });
+  const parsed = parseMovieIds(sourceIds, 'sourceIds');
+  if (parsed.error) return res.status(400).json({ message: parsed.error });
+  const target = new ObjectId(targetId);
+  if (parsed.ids.some((id) => id.equals(target))) {
+    return res.status(400).json({ message: 'sourceIds must not include targetId' });
+  }
+
+  try {
+    const movies = await moviesCollection()
+      .find({ _id: { $in: [target, ...parsed.ids] }, ...NOT_DELETED }, { projection: { title: 1, year: 1 } })
+      .toArray();
+    const found = new Set(movies.map((m) => m._id.toString()));
+    const missing = [target, ...parsed.ids].filter((id) => !found.has(id.toString()));
+    if (missing.length) return res.status(404).json({ message: `Movie not found: ${missing.join(', ')}` });
+
+    const report = await mergeMovies(target, parsed.ids, editorOf(req));
+    await recordAudit(req, 'movie.merge', { type: 'movie', id: target }, {
+      sources: movies.filter((m) => !m._id.equals(target)).map((m) => ({ id: String(m._id), title: m.title, year: m.year })),
+      report,
+    });
+    res.status(200).json(report);
+  } catch (err) {
+    console.error('admin merge error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+// GET locked usernames (?all=1 adds usernames with recent failed logins)
+async function getLockouts(req, res) {
+  try {
+    const items = await listLockouts({ includeFailing: req.query.all === '1' || req.query.all === 'true' });
+    res.status(200).json({ items });
+  } catch (err) {
+    console.error('admin lockouts error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+// DELETE lift a login lockout and forget the failed attempts
+async function clearLockout(req, res) {
+  const username = usernameKey(req.params.username);
+  if (!username) return res.status(400).json({ message: 'Invalid username' });
+  try {
+    const cleared = await clearLoginFailures(username);
+    if (!cleared) return res.status(404).json({ message: 'No lockout for that username' });
+    await recordAudit(req, 'lockout.clear', { type: 'username', id: username });
+    res.status(200).json({ message: 'Lockout cleared' });
+  } catch (err) {
+    console.error('admin clear lockout error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+// GET audit log, newest first
+async function listAudit(req, res) {
+  const { page, limit, skip } = pageParams(req.query, 50);
+  const filter = {};
+  if (typeof req.query.action === 'string' && req.query.action) filter.action = req.query.action;
+  if (typeof req.query.actor === 'string' && req.query.actor) filter['actor.username'] = req.query.actor;
+  if (typeof req.query.targetId === 'string' && req.query.targetId) filter['target.id'] = req.query.targetId;
+
+  try {
+    const [items, total] = await Promise.all([
+      auditCollection().find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).toArray(),
+      auditCollection().countDocuments(filter),
+    ]);
+    res.status(200).json({ items, page, limit, total, totalPages: Math.ceil(total / limit) });
+  } catch (err) {
+    console.error('admin audit error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+module.exports = {
+  getOverview,
+  listUsers,
+  updateUser,
+  logoutUser,
+  bulkGenres,
+  mergeDuplicateMovies,
+  getLockouts,
+  clearLockout,
+  listAudit,
+};
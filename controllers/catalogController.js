@@ -0,0 +1,95 @@
+const { FORMATS, importCatalog, exportCatalog } = require('../services/catalog');
+const { LISTS, exportLetterboxd, importLetterboxd } = require('../services/letterboxd');
+const { recordAudit } = require('../services/audit');
+const { editorOf } = require('../services/revisions');
+
+function isDryRun(req) {
+  return ['1', 'true', 'yes'].includes(String(req.query.dryRun || '').toLowerCase());
+}
+
+/** Format from ?format=, falling back to the request's Content-Type. */
+function requestFormat(req) {
+  if (req.query.format) return String(req.query.format).toLowerCase();
+  if (req.is('text/csv') || req.is('text/plain')) return 'csv';
+  return 'json';
+}
+
+// POST bulk import movies from CSV or JSON (admin)
+async function importMovies(req, res) {
+  const format = requestFormat(req);
+  if (!FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of ${FORMATS.join(', ')}` });
+  }
+  const payload = req.body;
+  if (payload === undefined || payload === null || payload === '' || (typeof payload === 'object' && !Object.keys(payload).length)) {
+    return res.status(400).json({ error: 'Request body is empty' });
+  }
+
+  try {
+    const report = await importCatalog(payload, { format, dryRun: isDryRun(req), editor: editorOf(req) });
+    if (!report.dryRun && (report.created || report.updated)) {
+      await recordAudit(req, 'movie.import', { type: 'movie', id: null }, {
+        format,
+        created: report.created,
+        updated: report.updated,
+        failed: report.failed,
+      });
+    }
+    res.status(report.dryRun ? 200 : 201).json(report);
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// GET export the whole catalog (admin)
+async function exportMovies(req, res) {
+  const format = String(req.query.format || 'json').toLowerCase();
+  if (!FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of ${FORMATS.join(', ')}` });
+  }
+  try {
+    const { body, contentType, filename } = await exportCatalog(format);
+    res.set('Content-Type', `${contentType}; charset=utf-8`);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.status(200).send(body);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// GET export likes or watchlist as Letterboxd CSV
+async function exportUserList(req, res) {
+  const list = String(req.query.list || '');
+  if (!LISTS.includes(list)) return res.status(400).json({ message: `list must be one of ${LISTS.join(', ')}` });
+  try {
+    const csv = await exportLetterboxd(req.session.user.id, list);
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${list}.csv"`);
+    res.status(200).send(csv);
+  } catch (err) {
+    console.error('letterboxd export error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+// POST import a Letterboxd CSV into likes or watchlist
+async function importUserList(req, res) {
+  const list = String(req.query.list || '');
+  if (!LISTS.includes(list)) return res.status(400).json({ message: `list must be one of ${LISTS.join(', ')}` });
+  if (typeof req.body !== 'string' || !req.body.trim()) {
+    return res.status(400).json({ message: 'Send the CSV file as a text/csv request body' });
+  }
+  try {
+    const report = await importLetterboxd(req.session.user.id, list, req.body, { dryRun: isDryRun(req) });
+    res.status(200).json(report);
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ message: err.message });
+    console.error('letterboxd import error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+module.exports = { importMovies, exportMovies, exportUserList, importUserList };
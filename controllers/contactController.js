@@ -0,0 +1,188 @@
+const { ObjectId } = require('mongodb');
+const { messagesCollection } = require('../models/message');
+const { escapeRegex } = require('../services/search');
+const { recordAudit } = require('../services/audit');
+
+const STATUSES = ['new', 'read', 'resolved'];
+const NAME_MAX = 100;
+const EMAIL_MAX = 254;
+const MESSAGE_MAX = 5000;
+const NOTE_MAX = 2000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function parseId(res, id, message) {
+  if (!ObjectId.isValid(id)) {
+    res.status(400).json({ message });
+    return null;
+  }
+  return new ObjectId(id);
+}
+
+/** Validate a contact form submission. Returns { errors, data }. */
+function validateContactBody(body) {
+  const errors = [];
+  const { name, email, message } = body || {};
+  const data = {};
+
+  if (typeof name !== 'string' || !name.trim()) errors.push('name is required');
+  else if (name.trim().length > NAME_MAX) errors.push(`name must be at most ${NAME_MAX} characters`);
+  else data.name = name.trim();
+
+  if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) errors.push('email must be a valid address');
+  else if (email.trim().length > EMAIL_MAX) errors.push(`email must be at most ${EMAIL_MAX} characters`);
+  else data.email = email.trim();
+
+  if (typeof message !== 'string' || !message.trim()) errors.push('message is required');
+  else if (message.trim().length > MESSAGE_MAX) errors.push(`message must be at most ${MESSAGE_MAX} characters`);
+  else data.message = message.trim();
+
+  return { errors, data };
+}
+
+// POST contact form (signed-in users)
+async function submitContact(req, res) {
+  const validated = validateContactBody(req.body);
+  if (validated.errors.length) {
+    return res.status(400).json({ message: 'Validation error', errors: validated.errors });
+  }
+
+  const { id: userId, username } = req.session.user;
+  const doc = {
+    ...validated.data,
+    userId,
+    username,
+    status: 'new',
+    notes: [],
+    createdAt: new Date(),
+  };
+  try {
+    const result = await messagesCollection().insertOne(doc);
+    res.status(201).json({ message: `Thanks, ${doc.name}! Your message has been received.`, id: result.insertedId });
+  } catch (err) {
+    console.error('contact error:', err);
+    res.status(500).json({ message: 'Error saving message' });
+  }
+}
+
+// GET admin inbox, newest first, with per-status counts
+async function listMessages(req, res) {
+  const page = Math.max(1, parseInt(req.query.page || '1', 10));
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit || '20', 10)));
+  const filter = {};
+  if (req.query.status !== undefined && req.query.status !== '') {
+    if (!STATUSES.includes(req.query.status)) {
+      return res.status(400).json({ message: `status must be one of ${STATUSES.join(', ')}` });
+    }
+    filter.status = req.query.status;
+  }
+  if (typeof req.query.q === 'string' && req.query.q.trim()) {
+    const pattern = { $regex: escapeRegex(req.query.q.trim()), $options: 'i' };
+    filter.$or = [{ name: pattern }, { email: pattern }, { username: pattern }, { message: pattern }];
+  }
+
+  try {
+    const [items, total, byStatus] = await Promise.all([
+      messagesCollection()
+        .find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      messagesCollection().countDocuments(filter),
+      messagesCollection()
+        .aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+        .toArray(),
+    ]);
+    const counts = Object.fromEntries(STATUSES.map((s) => [s, 0]));
+    for (const row of byStatus) if (row._id in counts) counts[row._id] = row.count;
+
+    res.status(200).json({ items, page, limit, total, totalPages: Math.ceil(total / limit), counts });
+  } catch (err) {
+    console.error('inbox list error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+// GET one message; opening a new message marks it read
+async function getMessage(req, res) {
+  const _id = parseId(res, req.params.id, 'Invalid message id');
+  if (!_id) return;
+  try {
+    const now = new Date();
+    await messagesCollection().updateOne({ _id, status: 'new' }, { $set: { status: 'read', readAt: now, updatedAt: now } });
+    const doc = await messagesCollection().findOne({ _id });
+    if (!doc) return res.status(404).json({ message: 'Message not found' });
+    res.status(200).json(doc);
+  } catch (err) {
+    console.error('inbox get error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+// PATCH move a message through new -> read -> resolved (or back)
+async function updateMessageStatus(req, res) {
+  const _id = parseId(res, req.params.id, 'Invalid message id');
+  if (!_id) return;
+  const { status } = req.body || {};
+  if (!STATUSES.includes(status)) {
+    return res.status(400).json({ message: 'Validation error', errors: [`status must be one of ${STATUSES.join(', ')}`] });
+  }
+
+  const now = new Date();
+  const set = { status, updatedAt: now };
+  if (status === 'read') set.readAt = now;
+  if (status === 'resolved') set.resolvedAt = now;
+  try {
+    const doc = await messagesCollection().findOneAndUpdate({ _id }, { $set: set }, { returnDocument: 'after' });
+    if (!doc) return res.status(404).json({ message: 'Message not found' });
+    await recordAudit(req, 'message.status', { type: 'message', id: _id }, { status });
+    res.status(200).json(doc);
+  } catch (err) {
+    console.error('inbox status error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+// POST add an internal note (never shown to the sender)
+async function addMessageNote(req, res) {
+  const _id = parseId(res, req.params.id, 'Invalid message id');
+  if (!_id) return;
+  const { text } = req.body || {};
+  if (typeof text !== 'string' || !text.trim()) {
+    return res.status(400).json({ message: 'Validation error', errors: ['text is required'] });
+  }
+  if (text.trim().length > NOTE_MAX) {
+    return res.status(400).json({ message: 'Validation error', errors: [`text must be at most ${NOTE_MAX} characters`] });
+  }
+
+  const note = {
+    _id: new ObjectId(),
+    authorId: req.session.user.id,
+    authorUsername: req.session.user.username,
+    text: text.trim(),
+    createdAt: new Date(),
+  };
+  try {
+    const doc = await messagesCollection().findOneAndUpdate(
+      { _id },
+      { $push: { notes: note }, $set: { updatedAt: note.createdAt } },
+      { returnDocument: 'after' }
+    );
+    if (!doc) return res.status(404).json({ message: 'Message not found' });
+    await recordAudit(req, 'message.note', { type: 'message', id: _id }, { noteId: String(note._id) });
+    res.status(201).json(doc);
+  } catch (err) {
+    console.error('inbox note error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+module.exports = {
+  submitContact,
+  listMessages,
+  getMessage,
+  updateMessageStatus,
+  addMessageNote,
+  validateContactBody,
+  STATUSES,
+};
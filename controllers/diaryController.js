@@ -0,0 +1,257 @@
+const { ObjectId } = require('mongodb');
+const { getDb } = require('../database/storage');
+const { moviesCollection, NOT_DELETED } = require('../models/movie');
+const { diaryCollection } = require('../models/diary');
+const { validateRating, RATING_MIN, RATING_MAX } = require('./moviesController');
+const { computeDiaryStats, summarizeYear } = require('../services/diary');
+
+const NOTES_MAX = 2000;
+const EARLIEST_WATCH = new Date('1888-01-01T00:00:00Z');
+const MOVIE_PROJECTION = { title: 1, year: 1, genre: 1, genres: 1, director: 1, poster: 1, posterUrl: 1, posterMedia: 1 };
+
+function parseId(res, id, message) {
+  if (!ObjectId.isValid(id)) {
+    res.status(400).json({ message });
+    return null;
+  }
+  return new ObjectId(id);
+}
+
+/** Validate diary body for create/update. Returns { errors, data }. */
+function validateDiaryBody(body, requireAll) {
+  const errors = [];
+  const { movieId, watchedAt, rating, rewatch, notes } = body || {};
+  const data = {};
+
+  if (requireAll) {
+    if (!ObjectId.isValid(movieId)) errors.push('movieId must be a valid id');
+    else data.movieId = new ObjectId(movieId);
+  }
+
+  if (watchedAt !== undefined && watchedAt !== null && watchedAt !== '') {
+    const d = new Date(watchedAt);
+    const latest = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    if (Number.isNaN(d.getTime()) || d < EARLIEST_WATCH || d > latest) {
+      errors.push('watchedAt must be a valid date, not in the future');
+    } else data.watchedAt = d;
+  } else if (requireAll) {
+    data.watchedAt = new Date();
+  }
+
+  if (rating !== undefined) {
+    if (rating === null || rating === '') data.rating = null;
+    else {
+      const r = validateRating(rating);
+      if (r === null) errors.push(`rating must be between ${RATING_MIN} and ${RATING_MAX}`);
+      else data.rating = r;
+    }
+  }
+
+  if (rewatch !== undefined) {
+    if (typeof rewatch !== 'boolean') errors.push('rewatch must be a boolean');
+    else data.rewatch = rewatch;
+  }
+
+  if (notes !== undefined) {
+    if (notes !== null && typeof notes !== 'string') errors.push('notes must be a string');
+    else if (notes && notes.trim().length > NOTES_MAX) errors.push(`notes must be at most ${NOTES_MAX} characters`);
+    else data.notes = notes ? notes.trim() : null;
+  }
+
+  return { errors, data };
+}
+
+async function loadMoviesById(movieIds) {
+  const unique = Array.from(new Set(movieIds.map(String))).map((id) => new ObjectId(id));
+  if (unique.length === 0) return new Map();
+  const movies = await moviesCollection()
+    .find({ _id: { $in: unique } }, { projection: MOVIE_PROJECTION })
+    .toArray();
+  return new Map(movies.map((m) => [m._id.toString(), m]));
+}
+
+/** Insert a diary entry; rewatch defaults to whether the user logged this movie before. */
+async function insertEntry(userId, data) {
+  let { rewatch } = data;
+  if (rewatch === undefined) {
+    rewatch = !!(await diaryCollection().findOne({ userId, movieId: data.movieId }, { projection: { _id: 1 } }));
+  }
+  const now = new Date();
+  const entry = {
+    userId,
+    movieId: data.movieId,
+    watchedAt: data.watchedAt,
+    rating: data.rating ?? null,
+    rewatch,
+    notes: data.notes || null,
+    createdAt: now,
+  };
+  const result = await diaryCollection().insertOne(entry);
+  return { _id: result.insertedId, ...entry };
+}
+
+// GET the user's diary, newest viewing first
+async function listDiary(req, res) {
+  try {
+    const page = Math.max(1, parseInt(req.query.page || '1', 10));
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit || '20', 10)));
+    const filter = { userId: req.session.user.id };
+    if (req.query.year !== undefined) {
+      const year = Number(req.query.year);
+      if (!Number.isInteger(year)) return res.status(400).json({ message: 'Year must be an integer' });
+      filter.watchedAt = { $gte: new Date(Date.UTC(year, 0, 1)), $lt: new Date(Date.UTC(year + 1, 0, 1)) };
+    }
+
+    const [entries, total] = await Promise.all([
+      diaryCollection()
+        .find(filter)
+        .sort({ watchedAt: -1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      diaryCollection().countDocuments(filter),
+    ]);
+    const movies = await loadMoviesById(entries.map((e) => e.movieId));
+    const items = entries.map((e) => ({ ...e, movie: movies.get(e.movieId.toString()) || null }));
+
+    res.status(200).json({ items, page, limit, total, totalPages: Math.ceil(total / limit) });
+  } catch (err) {
+    console.error('diary get error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+// POST log a viewing
+async function createDiaryEntry(req, res) {
+  const validated = validateDiaryBody(req.body, true);
+  if (validated.errors.length) {
+    return res.status(400).json({ message: 'Validation error', errors: validated.errors });
+  }
+
+  try {
+    const movie = await moviesCollection().findOne({ _id: validated.data.movieId, ...NOT_DELETED }, { projection: { _id: 1 } });
+    if (!movie) return res.status(404).json({ message: 'Movie not found' });
+
+    const entry = await insertEntry(req.session.user.id, validated.data);
+    res.status(201).json(entry);
+  } catch (err) {
+    console.error('diary create error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+// PATCH edit a diary entry
+async function updateDiaryEntry(req, res) {
+  const _id = parseId(res, req.params.entryId, 'Invalid entry id');
+  if (!_id) return;
+
+  const validated = validateDiaryBody(req.body, false);
+  if (validated.errors.length) {
+    return res.status(400).json({ message: 'Validation error', errors: validated.errors });
+  }
+  if (Object.keys(validated.data).length === 0) {
+    return res.status(400).json({ message: 'No fields to update' });
+  }
+
+  try {
+    const doc = await diaryCollection().findOneAndUpdate(
+      { _id, userId: req.session.user.id },
+      { $set: { ...validated.data, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    if (!doc) return res.status(404).json({ message: 'Diary entry not found' });
+    res.status(200).json(doc);
+  } catch (err) {
+    console.error('diary update error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+// DELETE remove a diary entry
+async function deleteDiaryEntry(req, res) {
+  const _id = parseId(res, req.params.entryId, 'Invalid entry id');
+  if (!_id) return;
+  try {
+    const result = await diaryCollection().deleteOne({ _id, userId: req.session.user.id });
+    if (result.deletedCount === 0) return res.status(404).json({ message: 'Diary entry not found' });
+    res.status(200).json({ message: 'Diary entry deleted successfully' });
+  } catch (err) {
+    console.error('diary delete error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+// POST move a watchlist item into the diary
+async function markWatched(req, res) {
+  const movieId = parseId(res, req.params.movieId, 'Invalid movie id');
+  if (!movieId) return;
+
+  const validated = validateDiaryBody({ ...req.body, movieId: req.params.movieId }, true);
+  if (validated.errors.length) {
+    return res.status(400).json({ message: 'Validation error', errors: validated.errors });
+  }
+
+  try {
+    const userId = req.session.user.id;
+    const watchlist = getDb().collection('watchlist');
+    const inList = await watchlist.findOne({ userId, movieId });
+    if (!inList) return res.status(404).json({ message: 'Movie is not in your watchlist' });
+
+    const entry = await insertEntry(userId, validated.data);
+    await watchlist.deleteOne({ userId, movieId });
+    const items = await watchlist.find({ userId }).project({ movieId: 1 }).toArray();
+    res.status(201).json({ entry, items: items.map((i) => i.movieId.toString()) });
+  } catch (err) {
+    console.error('mark watched error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+async function loadUserDiary(userId, extraFilter = {}) {
+  const entries = await diaryCollection()
+    .find({ userId, ...extraFilter })
+    .project({ movieId: 1, watchedAt: 1, rating: 1, rewatch: 1 })
+    .toArray();
+  const movies = await loadMoviesById(entries.map((e) => e.movieId));
+  return { entries, movies };
+}
+
+// GET all-time diary stats
+async function getDiaryStats(req, res) {
+  try {
+    const { entries, movies } = await loadUserDiary(req.session.user.id);
+    const years = Array.from(new Set(entries.map((e) => new Date(e.watchedAt).getUTCFullYear()))).sort((a, b) => b - a);
+    res.status(200).json({ ...computeDiaryStats(entries, movies), years });
+  } catch (err) {
+    console.error('diary stats error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+// GET year-in-review summary
+async function getYearSummary(req, res) {
+  const year = Number(req.params.year);
+  if (!Number.isInteger(year) || year < 1888 || year > new Date().getFullYear()) {
+    return res.status(400).json({ message: 'Year out of range' });
+  }
+  try {
+    const { entries, movies } = await loadUserDiary(req.session.user.id, {
+      watchedAt: { $gte: new Date(Date.UTC(year, 0, 1)), $lt: new Date(Date.UTC(year + 1, 0, 1)) },
+    });
+    res.status(200).json(summarizeYear(entries, movies, year));
+  } catch (err) {
+    console.error('diary summary error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+module.exports = {
+  listDiary,
+  createDiaryEntry,
+  updateDiaryEntry,
+  deleteDiaryEntry,
+  markWatched,
+  getDiaryStats,
+  getYearSummary,
+  validateDiaryBody,
+};
@@ -0,0 +1,378 @@
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+const { getDb } = require('../database/storage');
+const { moviesCollection, NOT_DELETED } = require('../models/movie');
+const { listsCollection } = require('../models/list');
+
+const VISIBILITIES = ['private', 'unlisted', 'public'];
+const NAME_MAX = 100;
+const DESCRIPTION_MAX = 1000;
+const ITEMS_MAX = 500;
+
+/** likes and watchlist live in their own collections but are exposed as read-mostly lists. */
+const BUILT_IN_LISTS = {
+  likes: { name: 'Likes', description: 'Films you liked' },
+  watchlist: { name: 'Watchlist', description: 'Films you want to watch' },
+};
+
+function isBuiltIn(listId) {
+  return Object.prototype.hasOwnProperty.call(BUILT_IN_LISTS, listId);
+}
+
+function parseId(res, id, message) {
+  if (!ObjectId.isValid(id)) {
+    res.status(400).json({ message });
+    return null;
+  }
+  return new ObjectId(id);
+}
+
+function newShareId() {
+  return crypto.randomBytes(8).toString('base64url');
+}
+
+/** Validate list body for create/update. Returns { errors, data }. */
+function validateListBody(body, requireAll) {
+  const errors = [];
+  const { name, description, visibility } = body || {};
+  const data = {};
+
+  if (requireAll || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) errors.push('name must be a non-empty string');
+    else if (name.trim().length > NAME_MAX) errors.push(`name must be at most ${NAME_MAX} characters`);
+    else data.name = name.trim();
+  }
+
+  if (description !== undefined) {
+    if (description !== null && typeof description !== 'string') errors.push('description must be a string');
+    else if (description && description.trim().length > DESCRIPTION_MAX) {
+      errors.push(`description must be at most ${DESCRIPTION_MAX} characters`);
+    } else data.description = description ? description.trim() : null;
+  }
+
+  if (visibility !== undefined) {
+    if (!VISIBILITIES.includes(visibility)) errors.push(`visibility must be one of ${VISIBILITIES.join(', ')}`);
+    else data.visibility = visibility;
+  }
+
+  return { errors, data };
+}
+
+function serializeList(doc) {
+  return {
+    _id: doc._id,
+    shareId: doc.shareId,
+    name: doc.name,
+    description: doc.description || null,
+    visibility: doc.visibility,
+    username: doc.username,
+    builtIn: false,
+    count: (doc.items || []).length,
+    items: (doc.items || []).map((i) => ({ movieId: i.movieId.toString(), addedAt: i.addedAt })),
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt,
+  };
+}
+
+/** Movies for the given ids, in the same order, skipping ids that no longer exist or are in the trash. */
+async function loadMoviesInOrder(movieIds) {
+  if (movieIds.length === 0) return [];
+  const movies = await moviesCollection()
+    .find({ _id: { $in: movieIds.map((id) => new ObjectId(id)) }, ...NOT_DELETED })
+    .toArray();
+  const byId = new Map(movies.map((m) => [m._id.toString(), m]));
+  return movieIds.map((id) => byId.get(id)).filter(Boolean);
+}
+
+async function loadBuiltInList(listId, user) {
+  const entries = await getDb()
+    .collection(listId)
+    .find({ userId: user.id })
+    .sort({ createdAt: 1 })
+    .project({ movieId: 1, createdAt: 1 })
+    .toArray();
+  return {
+    _id: listId,
+    shareId: null,
+    ...BUILT_IN_LISTS[listId],
+    visibility: 'private',
+    username: user.username,
+    builtIn: true,
+    count: entries.length,
+    items: entries.map((e) => ({ movieId: e.movieId.toString(), addedAt: e.createdAt })),
+  };
+}
+
+async function findOwnList(res, listId, userId) {
+  const _id = parseId(res, listId, 'Invalid list id');
+  if (!_id) return null;
+  const doc = await listsCollection().findOne({ _id, userId });
+  if (!doc) {
+    res.status(404).json({ message: 'List not found' });
+    return null;
+  }
+  return doc;
+}
+
+// GET the signed-in user's lists, built-ins first
+async function getMyLists(req, res) {
+  try {
+    const user = req.session.user;
+    const [builtIns, docs] = await Promise.all([
+      Promise.all(Object.keys(BUILT_IN_LISTS).map((id) => loadBuiltInList(id, user))),
+      listsCollection().find({ userId: user.id }).sort({ createdAt: -1 }).toArray(),
+    ]);
+    res.status(200).json({ items: [...builtIns, ...docs.map(serializeList)] });
+  } catch (err) {
+    console.error('lists get error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+// POST create a custom list
+async function createList(req, res) {
+  const validated = validateListBody(req.body, true);
+  if (validated.errors.length) {
+    return res.status(400).json({ message: 'Validation error', errors: validated.errors });
+  }
+
+  try {
+    const now = new Date();
+    const doc = {
+      userId: req.session.user.id,
+      username: req.session.user.username,
+      shareId: newShareId(),
+      name: validated.data.name,
+      description: validated.data.description || null,
+      visibility: validated.data.visibility || 'private',
+      items: [],
+      createdAt: now,
+      updatedAt: now,
+    };
+    const result = await listsCollection().insertOne(doc);
+    res.status(201).json(serializeList({ _id: result.insertedId, ...doc }));
+  } catch (err) {
+    console.error('lists create error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+// GET one of the user's lists with its movies
+async function getMyList(req, res) {
+  try {
+    const { listId } = req.params;
+    let list;
+    if (isBuiltIn(listId)) {
+      list = await loadBuiltInList(listId, req.session.user);
+    } else {
+      const doc = await findOwnList(res, listId, req.session.user.id);
+      if (!doc) return;
+      list = serializeList(doc);
+    }
+    const movies = await loadMoviesInOrder(list.items.map((i) => i.movieId));
+    res.status(200).json({ list, movies });
+  } catch (err) {
+    console.error('list get error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+// PATCH name, description or visibility of a custom list
+async function updateList(req, res) {
+  if (isBuiltIn(req.params.listId)) {
+    return res.status(400).json({ message: 'Built-in lists cannot be modified' });
+  }
+  const validated = validateListBody(req.body, false);
+  if (validated.errors.length) {
+    return res.status(400).json({ message: 'Validation error', errors: validated.errors });
+  }
+  if (Object.keys(validated.data).length === 0) {
+    return res.status(400).json({ message: 'No fields to update' });
+  }
+
+  try {
+    const doc = await findOwnList(res, req.params.listId, req.session.user.id);
+    if (!doc) return;
+    const updated = await listsCollection().findOneAndUpdate(
+      { _id: doc._id },
+      { $set: { ...validated.data, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    // deleted since findOwnList read it
+    if (!updated) return res.status(404).json({ message: 'List not found' });
+    res.status(200).json(serializeList(updated));
+  } catch (err) {
+    console.error('list update error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+// DELETE a custom list
+async function deleteList(req, res) {
+  if (isBuiltIn(req.params.listId)) {
+    return res.status(400).json({ message: 'Built-in lists cannot be deleted' });
+  }
+  try {
+    const doc = await findOwnList(res, req.params.listId, req.session.user.id);
+    if (!doc) return;
+    await listsCollection().deleteOne({ _id: doc._id });
+    res.status(200).json({ message: 'List deleted successfully' });
+  } catch (err) {
+    console.error('list delete error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+// POST add a movie to the end of a list
+async function addListItem(req, res) {
+  const movieId = parseId(res, req.body && req.body.movieId, 'Invalid movie id');
+  if (!movieId) return;
+
+  try {
+    const { listId } = req.params;
+    const user = req.session.user;
+
+    if (isBuiltIn(listId)) {
+      // the unique { userId, movieId } index makes concurrent adds collapse into one entry
+      await getDb()
+        .collection(listId)
+        .updateOne({ userId: user.id, movieId }, { $setOnInsert: { createdAt: new Date() } }, { upsert: true });
+      return res.status(200).json(await loadBuiltInList(listId, user));
+    }
+
+    const doc = await findOwnList(res, listId, user.id);
+    if (!doc) return;
+    if ((doc.items || []).length >= ITEMS_MAX) {
+      return res.status(400).json({ message: `A list can hold at most ${ITEMS_MAX} films` });
+    }
+    const movie = await moviesCollection().findOne({ _id: movieId, ...NOT_DELETED }, { projection: { _id: 1 } });
+    if (!movie) return res.status(404).json({ message: 'Movie not found' });
+
+    await listsCollection().updateOne(
+      { _id: doc._id, 'items.movieId': { $ne: movieId } },
+      { $push: { items: { movieId, addedAt: new Date() } }, $set: { updatedAt: new Date() } }
+    );
+    res.status(200).json(serializeList(await listsCollection().findOne({ _id: doc._id })));
+  } catch (err) {
+    console.error('list add error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+// DELETE remove a movie from a list
+async function removeListItem(req, res) {
+  const movieId = parseId(res, req.params.movieId, 'Invalid movie id');
+  if (!movieId) return;
+
+  try {
+    const { listId } = req.params;
+    const user = req.session.user;
+
+    if (isBuiltIn(listId)) {
+      await getDb().collection(listId).deleteOne({ userId: user.id, movieId });
+      return res.status(200).json(await loadBuiltInList(listId, user));
+    }
+
+    const doc = await findOwnList(res, listId, user.id);
+    if (!doc) return;
+    await listsCollection().updateOne(
+      { _id: doc._id },
+      { $pull: { items: { movieId } }, $set: { updatedAt: new Date() } }
+    );
+    res.status(200).json(serializeList(await listsCollection().findOne({ _id: doc._id })));
+  } catch (err) {
+    console.error('list remove error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+// PUT manual ordering: body.movieIds must list every item exactly once
+async function reorderList(req, res) {
+  if (isBuiltIn(req.params.listId)) {
+    return res.status(400).json({ message: 'Built-in lists cannot be reordered' });
+  }
+  const { movieIds } = req.body || {};
+  if (!Array.isArray(movieIds)) {
+    return res.status(400).json({ message: 'movieIds must be an array' });
+  }
+
+  try {
+    const doc = await findOwnList(res, req.params.listId, req.session.user.id);
+    if (!doc) return;
+
+    const current = new Map((doc.items || []).map((i) => [i.movieId.toString(), i]));
+    const order = movieIds.map(String);
+    if (order.length !== current.size || new Set(order).size !== order.length || !order.every((id) => current.has(id))) {
+      return res.status(400).json({ message: 'movieIds must contain each list item exactly once' });
+    }
+
+    const items = order.map((id) => current.get(id));
+    await listsCollection().updateOne({ _id: doc._id }, { $set: { items, updatedAt: new Date() } });
+    res.status(200).json(serializeList({ ...doc, items, updatedAt: new Date() }));
+  } catch (err) {
+    console.error('list reorder error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+// GET browse public lists (read-only, public)
+async function listPublicLists(req, res) {
+  try {
+    const page = Math.max(1, parseInt(req.query.page || '1', 10));
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit || '12', 10)));
+    const filter = { visibility: 'public' };
+    if (req.query.user) filter.username = String(req.query.user);
+
+    const [docs, total] = await Promise.all([
+      listsCollection()
+        .find(filter)
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      listsCollection().countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      items: docs.map(serializeList),
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    });
+  } catch (err) {
+    console.error('public lists error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+// GET a shared list by its share id (public and unlisted lists, or the owner's own)
+async function getSharedList(req, res) {
+  try {
+    const doc = await listsCollection().findOne({ shareId: String(req.params.shareId) });
+    const viewer = req.session && req.session.user ? req.session.user.id : null;
+    if (!doc || (doc.visibility === 'private' && doc.userId !== viewer)) {
+      return res.status(404).json({ message: 'List not found' });
+    }
+    const list = serializeList(doc);
+    const movies = await loadMoviesInOrder(list.items.map((i) => i.movieId));
+    res.status(200).json({ list, movies, isOwner: doc.userId === viewer });
+  } catch (err) {
+    console.error('shared list error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+module.exports = {
+  getMyLists,
+  createList,
+  getMyList,
+  updateList,
+  deleteList,
+  addListItem,
+  removeListItem,
+  reorderList,
+  listPublicLists,
+  getSharedList,
+  validateListBody,
+};
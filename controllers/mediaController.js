@@ -0,0 +1,75 @@
+const { ObjectId } = require('mongodb');
+const { moviesCollection, NOT_DELETED } = require('../models/movie');
+const { invalidateCatalog } = require('../services/cache');
+const { recordAudit } = require('../services/audit');
+const { recordRevision, editorOf } = require('../services/revisions');
+const { storeImage, fetchImage, posterFields } = require('../services/media');
+
+function parseMovieId(req, res) {
+  const { id } = req.params;
+  if (!ObjectId.isValid(id)) {
+    res.status(400).json({ error: 'Invalid id' });
+    return null;
+  }
+  return new ObjectId(id);
+}
+
+// PUT store a poster for a movie: an image body, or { url } to fetch one (admin)
+async function setMoviePoster(req, res) {
+  const _id = parseMovieId(req, res);
+  if (!_id) return;
+
+  const uploaded = Buffer.isBuffer(req.body);
+  if (!uploaded && !(req.body && typeof req.body.url === 'string' && req.body.url.trim())) {
+    return res.status(400).json({ message: 'Send an image file as the request body, or { "url": "..." }' });
+  }
+
+  try {
+    const before = await moviesCollection().findOne({ _id, ...NOT_DELETED });
+    if (!before) return res.status(404).json({ error: 'Movie not found' });
+
+    const sourceUrl = uploaded ? null : req.body.url.trim();
+    const buffer = uploaded ? req.body : await fetchImage(sourceUrl);
+    const media = await storeImage(buffer, { source: uploaded ? 'upload' : 'url', sourceUrl, uploadedBy: req.session.user.id });
+
+    const doc = await moviesCollection().findOneAndUpdate(
+      { _id, ...NOT_DELETED },
+      { $set: { ...posterFields(media), updatedAt: new Date() }, $unset: { poster: '' } },
+      { returnDocument: 'after' }
+    );
+    if (!doc) return res.status(404).json({ error: 'Movie not found' });
+    invalidateCatalog();
+    await recordRevision(editorOf(req), { action: 'update', before, movie: doc });
+    await recordAudit(req, 'movie.poster', { type: 'movie', id: _id }, { media: media._id, source: media.source, sourceUrl });
+    res.status(200).json(doc);
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ message: err.message });
+    console.error('poster upload error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// DELETE remove a movie's poster (admin); the stored files stay for other movies using them
+async function removeMoviePoster(req, res) {
+  const _id = parseMovieId(req, res);
+  if (!_id) return;
+  try {
+    const before = await moviesCollection().findOne({ _id, ...NOT_DELETED });
+    if (!before) return res.status(404).json({ error: 'Movie not found' });
+    const doc = await moviesCollection().findOneAndUpdate(
+      { _id, ...NOT_DELETED },
+      { $set: { posterUrl: null, updatedAt: new Date() }, $unset: { poster: '', posterMedia: '' } },
+      { returnDocument: 'after' }
+    );
+    if (!doc) return res.status(404).json({ error: 'Movie not found' });
+    invalidateCatalog();
+    await recordRevision(editorOf(req), { action: 'update', before, movie: doc });
+    await recordAudit(req, 'movie.poster.remove', { type: 'movie', id: _id });
+    res.status(200).json(doc);
+  } catch (err) {
+    console.error('poster remove error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+module.exports = { setMoviePoster, removeMoviePoster };
@@ -1,5 +1,14 @@
 const { ObjectId } = require('mongodb');
-const { moviesCollection } = require('../models/movie');
+const { getDb } = require('../database/storage');
+const { moviesCollection, NOT_DELETED } = require('../models/movie');
+const { rankMovies, suggestTitles, getIndex } = require('../services/search');
+const { catalogCache, invalidateCatalog, etagFor, canonicalQuery, sendCached } = require('../services/cache');
+const { encodeCursor, decodeCursor, cursorFilter } = require('../services/cursor');
+const { recordAudit } = require('../services/audit');
+const { recordRevision, editorOf } = require('../services/revisions');
+const { validateCredits, directorString, loadPeopleById, populateCredits } = require('../services/people');
+const { parseMovieQuery, buildFilter, buildFacetPipeline, shapeFacets } = require('../services/movieFilters');
+const { DEFAULT_LOCALE, TRANSLATED_FIELDS, localizeMovie, genreName, validateTranslations } = require('../services/i18n');
 
 const RATING_MIN = 0;
 const RATING_MAX = 10;
@@ -36,7 +45,7 @@ function validateRating(value) {
 /** Validate film body for create/update. Returns { errors, data }. */
 function validateFilmBody(body, requireAll) {
   const errors = [];
-  const { title, year, genre, genres, rating, director, poster, posterUrl, description, trailerUrl, watchUrl } = body;
+  const { title, year, genre, genres, rating, director, credits, poster, posterUrl, description, trailerUrl, watchUrl, translations } = body;
   const currentYear = new Date().getFullYear();
 
   if (requireAll || title !== undefined) {
@@ -72,25 +81,65 @@ function validateFilmBody(body, requireAll) {
     }
   }
 
+  let validCredits;
+  if (credits !== undefined) {
+    const checked = validateCredits(credits);
+    errors.push(...checked.errors);
+    validCredits = checked.credits;
+  }
+
+  let validTranslations;
+  if (translations !== undefined) {
+    const checked = validateTranslations(translations);
+    errors.push(...checked.errors);
+    validTranslations = checked.translations;
+  }
+
   const data = {
     title: title !== undefined ? String(title).trim() : undefined,
     year: year !== undefined && year !== null && year !== '' ? Number(year) : undefined,
     genres: gs.length ? gs : undefined,
     rating: rating !== undefined && rating !== null && rating !== '' ? Number(rating) : undefined,
     director: director !== undefined ? (director ? String(director).trim() : null) : undefined,
+    credits: validCredits,
     poster: poster || posterUrl || undefined,
     posterUrl: poster || posterUrl || undefined,
     description: description !== undefined ? (description ? String(description).trim() : null) : undefined,
     trailerUrl: trailerUrl !== undefined ? (trailerUrl ? String(trailerUrl).trim() : null) : undefined,
     watchUrl: watchUrl !== undefined ? (watchUrl ? String(watchUrl).trim() : null) : undefined,
+    translations: validTranslations,
   };
 
   return { errors, data };
 }
 
+/**
+ * Check that every credited person exists and, when the credits include directors,
+ * derive the legacy director string from them. Returns a list of errors.
+ */
+async function resolveCredits(data) {
+  if (data.credits === undefined) return [];
+  const people = await loadPeopleById(data.credits.map((c) => c.personId));
+  const missing = data.credits.filter((c) => !people.has(c.personId.toString()));
+  if (missing.length) return missing.map((c) => `person ${c.personId} not found`);
+  const derived = directorString(data.credits, people);
+  if (derived) data.director = derived;
+  return [];
+}
+
+/** A list page as read in locale: localized movies, and genre facets with their shown names. */
+function localizePage(body, locale) {
+  const out = { ...body, items: body.items.map((m) => localizeMovie(m, locale)) };
+  if (body.facets) {
+    out.facets = { ...body.facets, genres: body.facets.genres.map((g) => ({ ...g, label: genreName(g.value, locale) })) };
+  }
+  return out;
+}
+
 // GET all movies (public)
 async function listMovies(req, res) {
-  const { title, genre, year, sort, fields } = req.query;
+  const { fields } = req.query;
+  const locale = req.locale || DEFAULT_LOCALE;
 
   if (req.query.ids) {
     const ids = String(req.query.ids)
@@ -105,25 +154,17 @@ async function listMovies(req, res) {
     }
 
     try {
-      const movies = await moviesCollection().find({ _id: { $in: ids } }).toArray();
-      return res.status(200).json(movies);
+      const movies = await moviesCollection().find({ _id: { $in: ids }, ...NOT_DELETED }).toArray();
+      return res.status(200).json(movies.map((m) => localizeMovie(m, locale)));
     } catch (err) {
       console.error(err);
       return res.status(500).json({ error: 'Internal server error' });
     }
   }
 
-  const filter = {};
-  if (title) filter.title = { $regex: title, $options: 'i' };
-  if (genre) {
-    filter.$or = [{ genre: genre }, { genres: genre }];
-  }
-  if (year !== undefined) {
-    const yearNum = Number(year);
-    if (!Number.isInteger(yearNum)) return res.status(400).json({ error: 'Year must be an integer' });
-    if (yearNum < 1800 || yearNum > new Date().getFullYear())
-      return res.status(400).json({ error: 'Year out of range' });
-    filter.year = yearNum;
+  const parsed = parseMovieQuery(req.query);
+  if (parsed.errors.length) {
+    return res.status(400).json({ error: parsed.errors[0], errors: parsed.errors });
   }
 
   const projection = {};
@@ -133,35 +174,139 @@ async function listMovies(req, res) {
       if (t) projection[t] = 1;
     });
     if (Object.keys(projection).length > 0 && !projection._id) projection._id = 1;
+    // localized titles and descriptions are picked from the translations
+    if (TRANSLATED_FIELDS.some((f) => projection[f])) projection.translations = 1;
+  }
+
+  const limit = Math.min(50, Math.max(1, parseInt(req.query.limit || '12', 10)));
+  const useCursor = req.query.cursor !== undefined;
+  let after = null;
+  if (useCursor && req.query.cursor !== '') {
+    after = decodeCursor(req.query.cursor, parsed.sort);
+    if (!after) return res.status(400).json({ error: 'Invalid cursor' });
+  }
+  if (useCursor && Object.keys(projection).length) {
+    // the next cursor is built from the sort keys of the last item
+    Object.keys(parsed.sort).forEach((k) => {
+      projection[k] = 1;
+    });
   }
 
-  let sortSpec = { year: 1 };
-  if (sort) {
-    if (sort === 'year' || sort === 'year:asc') sortSpec = { year: 1 };
-    else if (sort === 'year:desc') sortSpec = { year: -1 };
-    else {
-      const [field, dir] = sort.split(':');
-      if (field) sortSpec = { [field]: dir === 'desc' ? -1 : 1 };
+  try {
+    // exclude only applies to signed-in users; guests have nothing to hide
+    const user = req.session && req.session.user;
+    const personal = !!(user && parsed.exclude.length);
+    const key = personal ? null : `list:${locale}?${canonicalQuery(req.query)}`;
+    let entry = key && catalogCache.get(key);
+
+    if (!entry) {
+      const version = catalogCache.version;
+      if (personal) {
+        const seen = await Promise.all(
+          parsed.exclude.map((list) => getDb().collection(list).find({ userId: user.id }).project({ movieId: 1 }).toArray())
+        );
+        const ids = seen.flat().map((e) => e.movieId);
+        if (ids.length) parsed.clauses.other.push({ _id: { $nin: ids } });
+      }
+      const page = useCursor
+        ? await loadCursorPage(parsed, projection, limit, after)
+        : await loadNumberedPage(parsed, projection, limit, Math.max(1, parseInt(req.query.page || '1', 10)));
+      const body = localizePage(page, locale);
+      entry = { body, etag: etagFor(body) };
+      if (key) catalogCache.set(key, entry, version);
     }
+
+    sendCached(req, res, entry, personal ? 'private, no-cache' : 'public, no-cache');
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+function findOptions(projection) {
+  return { projection: Object.keys(projection).length ? projection : undefined };
+}
+
+async function loadFacets(clauses) {
+  const [facets] = await moviesCollection()
+    .aggregate([{ $match: NOT_DELETED }, ...buildFacetPipeline(clauses)])
+    .toArray();
+  return shapeFacets(facets);
+}
+
+/** Classic page/limit response with a total count. */
+async function loadNumberedPage(parsed, projection, limit, page) {
+  const filter = { ...buildFilter(parsed.clauses), ...NOT_DELETED };
+  const [items, total, facets] = await Promise.all([
+    moviesCollection()
+      .find(filter, findOptions(projection))
+      .sort(parsed.sort)
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray(),
+    moviesCollection().countDocuments(filter),
+    loadFacets(parsed.clauses),
+  ]);
+  return { items, page, limit, total, totalPages: Math.ceil(total / limit), facets };
+}
+
+/**
+ * Keyset page: no skip and no count, so deep pages cost the same as the first. Facets are
+ * only computed for the first page.
+ */
+async function loadCursorPage(parsed, projection, limit, after) {
+  const base = { ...buildFilter(parsed.clauses), ...NOT_DELETED };
+  const filter = after ? { $and: [base, cursorFilter(parsed.sort, after)] } : base;
+  const [rows, facets] = await Promise.all([
+    moviesCollection()
+      .find(filter, findOptions(projection))
+      .sort(parsed.sort)
+      .limit(limit + 1)
+      .toArray(),
+    after ? null : loadFacets(parsed.clauses),
+  ]);
+  const items = rows.slice(0, limit);
+  const hasMore = rows.length > limit;
+  const body = { items, limit, hasMore, nextCursor: hasMore ? encodeCursor(items[items.length - 1], parsed.sort) : null };
+  if (facets) body.facets = facets;
+  return body;
+}
+
+/** Rank the live catalog against q, optionally narrowed to one genre and year. */
+async function rankCatalog(q, { genre, year } = {}) {
+  let entries = await getIndex();
+  if (genre) {
+    entries = entries.filter(({ movie }) => movie.genre === genre || (movie.genres || []).includes(genre));
+  }
+  if (year !== undefined) entries = entries.filter(({ movie }) => movie.year === year);
+  return rankMovies(null, q, entries);
+}
+
+// GET ranked full-text search (public)
+async function searchMovies(req, res) {
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  if (!q) return res.status(400).json({ error: 'Query parameter q is required' });
+  if (q.length > 200) return res.status(400).json({ error: 'Query is too long' });
+
+  const { genre, year } = req.query;
+  let yearNum;
+  if (year !== undefined && year !== '') {
+    yearNum = Number(year);
+    if (!Number.isInteger(yearNum)) return res.status(400).json({ error: 'Year must be an integer' });
   }
 
   try {
     const page = Math.max(1, parseInt(req.query.page || '1', 10));
     const limit = Math.min(50, Math.max(1, parseInt(req.query.limit || '12', 10)));
-    const skip = (page - 1) * limit;
-
-    const cursor = moviesCollection()
-      .find(filter, { projection: Object.keys(projection).length ? projection : undefined })
-      .sort(sortSpec)
-      .skip(skip)
-      .limit(limit);
 
-    const [items, total] = await Promise.all([
-      cursor.toArray(),
-      moviesCollection().countDocuments(filter),
-    ]);
+    const ranked = await rankCatalog(q, { genre, year: yearNum });
+    const total = ranked.length;
+    const items = ranked
+      .slice((page - 1) * limit, page * limit)
+      .map(({ movie, score }) => ({ ...localizeMovie(movie, req.locale || DEFAULT_LOCALE), score }));
 
     res.status(200).json({
+      q,
       items,
       page,
       limit,
@@ -174,43 +319,122 @@ async function listMovies(req, res) {
   }
 }
 
+// GET title autocomplete (public)
+async function suggestMovies(req, res) {
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  if (!q) return res.status(200).json({ items: [] });
+
+  try {
+    const limit = Math.min(10, Math.max(1, parseInt(req.query.limit || '8', 10)));
+    const items = suggestTitles(await getIndex(), q.slice(0, 100), limit);
+    res.set('Cache-Control', 'public, max-age=60');
+    res.status(200).json({ items });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * A live movie with its credits filled in, read in locale, as a cached { body, etag }
+ * entry; null if there is none.
+ */
+async function loadMovieEntry(_id, locale = DEFAULT_LOCALE) {
+  const key = `movie:${_id}:${locale}`;
+  let entry = catalogCache.get(key);
+  if (!entry) {
+    const version = catalogCache.version;
+    const movie = await moviesCollection().findOne({ _id, ...NOT_DELETED });
+    if (!movie) return null;
+    const body = localizeMovie(await populateCredits(movie), locale);
+    entry = { body, etag: etagFor(body) };
+    catalogCache.set(key, entry, version);
+  }
+  return entry;
+}
+
 // GET movie by ID (public)
 async function getMovie(req, res) {
   const _id = parseObjectId(req, res);
   if (!_id) return;
   try {
-    const movie = await moviesCollection().findOne({ _id });
-    if (!movie) return res.status(404).json({ error: 'Movie not found' });
-    res.status(200).json(movie);
+    const entry = await loadMovieEntry(_id, req.locale);
+    if (!entry) return res.status(404).json({ error: 'Movie not found' });
+    sendCached(req, res, entry, 'public, no-cache');
   } catch (err) {
     res.status(500).json({ error: 'Internal server error' });
   }
 }
 
-// POST create movie (protected)
-async function createMovie(req, res) {
-  const validated = validateFilmBody(req.body, true);
-  if (validated.errors.length) {
-    return res.status(400).json({ message: 'Validation error', errors: validated.errors });
-  }
-  const { title, year, genres, rating, director, poster, posterUrl, description, trailerUrl, watchUrl } = validated.data;
-
-  const movieData = {
+/** Build a new movie document from validateFilmBody data. */
+function buildMovieDoc(data) {
+  const { title, year, genres, rating, director, credits, poster, posterUrl, description, trailerUrl, watchUrl, translations } = data;
+  return {
     title,
     year,
     genres: genres && genres.length ? genres : [],
-    genre: genres && genres[0] ? genres[0] : 'general',
     rating: rating !== undefined ? rating : null,
     director: director || null,
-    poster: poster || posterUrl || null,
+    credits: credits || [],
     posterUrl: poster || posterUrl || null,
     description: description || null,
     trailerUrl: trailerUrl || watchUrl || null,
+    translations: translations || {},
+    communityRating: null,
+    communityRatingCount: 0,
     createdAt: new Date(),
   };
+}
+
+/** Build the $set for an update from validateFilmBody data; only provided fields are included. */
+function buildMovieUpdate(data) {
+  const updateData = { updatedAt: new Date() };
+  if (data.title !== undefined) updateData.title = data.title;
+  if (data.year !== undefined) updateData.year = data.year;
+  if (data.genres !== undefined) updateData.genres = data.genres;
+  if (data.rating !== undefined) updateData.rating = data.rating;
+  if (data.director !== undefined) updateData.director = data.director;
+  if (data.credits !== undefined) updateData.credits = data.credits;
+  if (data.posterUrl !== undefined) updateData.posterUrl = data.posterUrl || null;
+  if (data.description !== undefined) updateData.description = data.description;
+  if (data.trailerUrl !== undefined || data.watchUrl !== undefined) {
+    updateData.trailerUrl = data.trailerUrl !== undefined ? data.trailerUrl : data.watchUrl;
+  }
+  if (data.translations !== undefined) updateData.translations = data.translations;
+  return updateData;
+}
+
+/**
+ * The update operators for a buildMovieUpdate $set. Movies not yet normalized by the
+ * 003-normalize-movie-fields migration lose the legacy genre/poster field it replaces,
+ * so filters that still read them don't match stale values. A posterUrl outside /media
+ * also drops the stored poster's sizes.
+ */
+function movieUpdateOperators(updateData) {
+  const unset = {};
+  if (updateData.genres !== undefined) unset.genre = '';
+  if (updateData.posterUrl !== undefined) {
+    unset.poster = '';
+    if (!/^\/media\//.test(updateData.posterUrl || '')) unset.posterMedia = '';
+  }
+  return Object.keys(unset).length ? { $set: updateData, $unset: unset } : { $set: updateData };
+}
+
+// POST create movie (protected)
+async function createMovie(req, res) {
+  const validated = validateFilmBody(req.body, true);
+  if (validated.errors.length) {
+    return res.status(400).json({ message: 'Validation error', errors: validated.errors });
+  }
 
   try {
+    const creditErrors = await resolveCredits(validated.data);
+    if (creditErrors.length) return res.status(400).json({ message: 'Validation error', errors: creditErrors });
+    const movieData = buildMovieDoc(validated.data);
     const result = await moviesCollection().insertOne(movieData);
+    invalidateCatalog();
+    await recordRevision(editorOf(req), { action: 'create', movie: { _id: result.insertedId, ...movieData } });
+    await recordAudit(req, 'movie.create', { type: 'movie', id: result.insertedId }, { title: movieData.title });
     res.status(201).json({ _id: result.insertedId, ...movieData });
   } catch (err) {
     console.error(err);
@@ -228,37 +452,26 @@ async function updateMovie(req, res) {
     return res.status(400).json({ message: 'Validation error', errors: validated.errors });
   }
 
-  const updateData = { updatedAt: new Date() };
-  if (validated.data.title !== undefined) updateData.title = validated.data.title;
-  if (validated.data.year !== undefined) updateData.year = validated.data.year;
-  if (validated.data.genres !== undefined) {
-    updateData.genres = validated.data.genres;
-    updateData.genre = validated.data.genres && validated.data.genres[0] ? validated.data.genres[0] : 'general';
-  }
-  if (validated.data.rating !== undefined) updateData.rating = validated.data.rating;
-  if (validated.data.director !== undefined) updateData.director = validated.data.director;
-  if (validated.data.posterUrl !== undefined) {
-    updateData.poster = validated.data.posterUrl || null;
-    updateData.posterUrl = validated.data.posterUrl || null;
-  }
-  if (validated.data.description !== undefined) updateData.description = validated.data.description;
-  if (validated.data.trailerUrl !== undefined || validated.data.watchUrl !== undefined) {
-    updateData.trailerUrl =
-      validated.data.trailerUrl !== undefined ? validated.data.trailerUrl : validated.data.watchUrl;
-  }
+  try {
+    const creditErrors = await resolveCredits(validated.data);
+    if (creditErrors.length) return res.status(400).json({ message: 'Validation error', errors: creditErrors });
 
-  if (Object.keys(updateData).length === 1) {
-    return res.status(400).json({ error: 'No fields to update' });
-  }
+    const updateData = buildMovieUpdate(validated.data);
+    if (Object.keys(updateData).length === 1) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
 
-  try {
-    const result = await moviesCollection().findOneAndUpdate(
-      { _id },
-      { $set: updateData },
+    const before = await moviesCollection().findOne({ _id, ...NOT_DELETED });
+    if (!before) return res.status(404).json({ error: 'Movie not found' });
+    const doc = await moviesCollection().findOneAndUpdate(
+      { _id, ...NOT_DELETED },
+      movieUpdateOperators(updateData),
       { returnDocument: 'after' }
     );
-    const doc = result.value ?? result;
     if (!doc) return res.status(404).json({ error: 'Movie not found' });
+    invalidateCatalog();
+    await recordRevision(editorOf(req), { action: 'update', before, movie: doc });
+    await recordAudit(req, 'movie.update', { type: 'movie', id: _id }, { fields: Object.keys(updateData) });
     res.status(200).json(doc);
   } catch (err) {
     console.error(err);
@@ -266,17 +479,45 @@ async function updateMovie(req, res) {
   }
 }
 
-// DELETE movie (protected)
+// DELETE move a movie to the trash (protected); its reviews, likes and list entries stay for a restore
 async function deleteMovie(req, res) {
   const _id = parseObjectId(req, res);
   if (!_id) return;
   try {
-    const result = await moviesCollection().deleteOne({ _id });
-    if (result.deletedCount === 0) return res.status(404).json({ error: 'Movie not found' });
+    const editor = editorOf(req);
+    const deleted = await moviesCollection().findOneAndUpdate(
+      { _id, ...NOT_DELETED },
+      { $set: { deletedAt: new Date(), deletedBy: editor } },
+      { returnDocument: 'after' }
+    );
+    if (!deleted) return res.status(404).json({ error: 'Movie not found' });
+    invalidateCatalog();
+    await recordRevision(editor, { action: 'delete', before: { ...deleted, deletedAt: null }, movie: deleted });
+    await recordAudit(req, 'movie.delete', { type: 'movie', id: _id }, { title: deleted.title, year: deleted.year });
     res.status(200).json({ message: 'Movie deleted successfully' });
   } catch (err) {
     res.status(500).json({ error: 'Internal server error' });
   }
 }
 
-module.exports = { listMovies, getMovie, createMovie, updateMovie, deleteMovie };
+module.exports = {
+  listMovies,
+  searchMovies,
+  suggestMovies,
+  getMovie,
+  loadNumberedPage,
+  loadMovieEntry,
+  rankCatalog,
+  localizePage,
+  createMovie,
+  updateMovie,
+  deleteMovie,
+  validateFilmBody,
+  buildMovieDoc,
+  buildMovieUpdate,
+  movieUpdateOperators,
+  validateRating,
+  RATING_MIN,
+  RATING_MAX,
+  GENRES_MAX,
+};
@@ -0,0 +1,190 @@
+const { ObjectId } = require('mongodb');
+const { moviesCollection, NOT_DELETED } = require('../models/movie');
+const { peopleCollection } = require('../models/person');
+const { listsCollection } = require('../models/list');
+const { catalogCache, etagFor, canonicalQuery } = require('../services/cache');
+const { parseMovieQuery } = require('../services/movieFilters');
+const { sendView } = require('../services/views');
+const { loadMovieEntry, loadNumberedPage, rankCatalog, localizePage } = require('./moviesController');
+const { renderFilmHeader, renderPosterCards, renderEmptyGrid } = require('../services/pages');
+const {
+  SITE_NAME,
+  SITEMAP_MAX_URLS,
+  siteUrl,
+  absoluteUrl,
+  escapeHtml,
+  jsonForHtml,
+  movieTitle,
+  movieDescription,
+  headTags,
+  jsonLdTag,
+  movieJsonLd,
+  itemListJsonLd,
+  buildSitemap,
+  robotsTxt,
+} = require('../services/seo');
+const { DEFAULT_LOCALE, LOCALES, translate, genreName, localizeMovie } = require('../services/i18n');
+
+// the films page script asks for the same first page, so both share one cache entry
+const FILMS_PAGE_SIZE = 12;
+const FILTER_KEYS = ['genres', 'genresMode', 'year', 'decade', 'ratingMin', 'director', 'sort'];
+const STATIC_PAGES = ['/', '/films', '/about', '/contact'];
+
+function joinHead(parts) {
+  return parts.filter(Boolean).join('\n  ');
+}
+
+function pluralFilms(total) {
+  return `${total} film${total !== 1 ? 's' : ''}`;
+}
+
+/** url as read in locale; the default locale keeps the plain url. */
+function localizedUrl(url, locale) {
+  if (!url || locale === DEFAULT_LOCALE) return url;
+  const parsed = new URL(url);
+  parsed.searchParams.set('lang', locale);
+  return parsed.toString();
+}
+
+/** hreflang links to url in every locale, for crawlers. */
+function alternateLinks(url) {
+  if (!url) return null;
+  return [
+    ...LOCALES.map((l) => `<link rel="alternate" hreflang="${l}" href="${escapeHtml(localizedUrl(url, l))}" />`),
+    `<link rel="alternate" hreflang="x-default" href="${escapeHtml(url)}" />`,
+  ].join('\n  ');
+}
+
+/** The /api/movies query the films page script would send for these page parameters. */
+function browseQuery(query) {
+  const out = {};
+  for (const key of FILTER_KEYS) {
+    const value = key === 'genres' ? query.genres || query.genre : query[key];
+    if (typeof value === 'string' && value.trim()) out[key] = value.trim();
+  }
+  return out;
+}
+
+async function loadBrowsePage(apiQuery, locale) {
+  const parsed = parseMovieQuery(apiQuery);
+  if (parsed.errors.length) return null;
+  const key = `list:${locale}?${canonicalQuery(apiQuery)}`;
+  let entry = catalogCache.get(key);
+  if (!entry) {
+    const version = catalogCache.version;
+    const body = localizePage(await loadNumberedPage(parsed, {}, FILMS_PAGE_SIZE, 1), locale);
+    entry = { body, etag: etagFor(body) };
+    catalogCache.set(key, entry, version);
+  }
+  return entry.body;
+}
+
+async function loadSearchPage(q, query, locale) {
+  const genre = String(query.genres || query.genre || '').split(',')[0];
+  const year = query.year !== undefined && query.year !== '' ? Number(query.year) : undefined;
+  if (year !== undefined && !Number.isInteger(year)) return null;
+  const ranked = await rankCatalog(q, { genre: genre || undefined, year });
+  return { items: ranked.slice(0, FILMS_PAGE_SIZE).map(({ movie }) => localizeMovie(movie, locale)), total: ranked.length };
+}
+
+// GET film page, rendered with the movie, its meta tags and JSON-LD (public)
+async function filmPage(req, res) {
+  const { id } = req.params;
+  if (!ObjectId.isValid(id)) return sendView(req, res, '404.html', 404);
+  try {
+    const locale = req.locale || DEFAULT_LOCALE;
+    const entry = await loadMovieEntry(new ObjectId(id), locale);
+    if (!entry) return sendView(req, res, '404.html', 404);
+    const film = entry.body;
+    const base = siteUrl(req);
+    const url = absoluteUrl(base, `/films/${film._id}`);
+    const head = joinHead([
+      headTags({
+        title: `${movieTitle(film)} | ${SITE_NAME}`,
+        description: movieDescription(film),
+        url: localizedUrl(url, locale),
+        image: absoluteUrl(base, film.poster || film.posterUrl),
+        type: 'video.movie',
+      }),
+      alternateLinks(url),
+      jsonLdTag(movieJsonLd(film, base)),
+      `<script type="application/json" id="film-data">${jsonForHtml(film)}</script>`,
+    ]);
+    sendView(req, res, 'film.html', 200, { head, slots: renderFilmHeader(film, locale) });
+  } catch (err) {
+    // the page script can still load the film on its own
+    console.error('film page error:', err);
+    sendView(req, res, 'film.html');
+  }
+}
+
+// GET films page, rendered with the first page of results for its filters or search (public)
+async function filmsPage(req, res) {
+  const q = typeof req.query.search === 'string' ? req.query.search.trim().slice(0, 200) : '';
+  const apiQuery = browseQuery(req.query);
+  const locale = req.locale || DEFAULT_LOCALE;
+  try {
+    const page = q ? await loadSearchPage(q, req.query, locale) : await loadBrowsePage(apiQuery, locale);
+    // filters the API would reject are left for the page script to report
+    if (!page) return sendView(req, res, 'films.html');
+
+    const base = siteUrl(req);
+    const params = new URLSearchParams(apiQuery).toString();
+    const genres = apiQuery.genres ? apiQuery.genres.split(',').map((g) => genreName(g, locale)).join(', ') : '';
+    let title = `Films | ${SITE_NAME}`;
+    if (q) title = `Search results for "${q}" | ${SITE_NAME}`;
+    else if (genres) title = `${genres} films | ${SITE_NAME}`;
+    const first = page.items.find((m) => m.poster || m.posterUrl);
+    const count = escapeHtml(translate(locale, q ? 'films.foundFor' : 'films.found', { count: page.total, query: q }));
+    const url = q ? null : absoluteUrl(base, params ? `/films?${params}` : '/films');
+
+    const head = joinHead([
+      headTags({
+        title,
+        description: `Browse ${pluralFilms(page.total)}${genres ? ` in ${genres}` : ''} on ${SITE_NAME}: ratings, reviews, watchlists and lists.`,
+        url: localizedUrl(url, locale),
+        image: first ? absoluteUrl(base, first.poster || first.posterUrl) : null,
+        noindex: !!q,
+      }),
+      alternateLinks(url),
+      page.items.length ? jsonLdTag(itemListJsonLd(page.items, base)) : null,
+    ]);
+    sendView(req, res, 'films.html', 200, {
+      head,
+      slots: { count, grid: page.items.length ? renderPosterCards(page.items, locale) : renderEmptyGrid(locale) },
+    });
+  } catch (err) {
+    console.error('films page error:', err);
+    sendView(req, res, 'films.html');
+  }
+}
+
+// GET sitemap of the public pages, every live movie, person and public list
+async function sitemap(req, res, next) {
+  try {
+    const options = { projection: { createdAt: 1, updatedAt: 1, shareId: 1 }, limit: SITEMAP_MAX_URLS };
+    const [movies, people, lists] = await Promise.all([
+      moviesCollection().find(NOT_DELETED, options).sort({ _id: 1 }).toArray(),
+      peopleCollection().find({}, options).sort({ _id: 1 }).toArray(),
+      listsCollection().find({ visibility: 'public' }, options).sort({ _id: 1 }).toArray(),
+    ]);
+    const base = siteUrl(req);
+    const entry = (path, doc) => ({ loc: `${base}${path}`, lastmod: doc && (doc.updatedAt || doc.createdAt) });
+    const xml = buildSitemap([
+      ...STATIC_PAGES.map((path) => entry(path)),
+      ...movies.map((m) => entry(`/films/${m._id}`, m)),
+      ...people.map((p) => entry(`/people/${p._id}`, p)),
+      ...lists.map((l) => entry(`/lists/${encodeURIComponent(l.shareId)}`, l)),
+    ]);
+    res.status(200).type('application/xml').set('Cache-Control', 'public, max-age=3600').send(xml);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET robots.txt pointing crawlers at the sitemap
+function robots(req, res) {
+  res.status(200).type('text/plain').set('Cache-Control', 'public, max-age=86400').send(robotsTxt(siteUrl(req)));
+}
+
+module.exports = { filmPage, filmsPage, sitemap, robots, browseQuery };
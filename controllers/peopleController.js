@@ -0,0 +1,189 @@
+const { ObjectId } = require('mongodb');
+const { moviesCollection, NOT_DELETED } = require('../models/movie');
+const { peopleCollection } = require('../models/person');
+const { escapeRegex } = require('../services/search');
+const { invalidateCatalog } = require('../services/cache');
+const { recordAudit } = require('../services/audit');
+const { editorOf } = require('../services/revisions');
+const { nameKey, groupFilmography, syncDirectorStrings } = require('../services/people');
+
+const NAME_MAX = 200;
+const BIO_MAX = 5000;
+const FILMOGRAPHY_PROJECTION = { title: 1, year: 1, genre: 1, genres: 1, poster: 1, posterUrl: 1, posterMedia: 1, rating: 1, credits: 1 };
+
+function parseObjectId(req, res) {
+  const { id } = req.params;
+  if (!ObjectId.isValid(id)) {
+    res.status(400).json({ error: 'Invalid id' });
+    return null;
+  }
+  return new ObjectId(id);
+}
+
+/** Validate person body for create/update. Returns { errors, data }. */
+function validatePersonBody(body, requireAll) {
+  const errors = [];
+  const { name, bio, birthYear, photoUrl } = body || {};
+  const data = {};
+
+  if (requireAll || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) errors.push('name must be a non-empty string');
+    else if (name.trim().length > NAME_MAX) errors.push(`name must be at most ${NAME_MAX} characters`);
+    else {
+      data.name = name.trim().replace(/\s+/g, ' ');
+      data.nameKey = nameKey(data.name);
+    }
+  }
+
+  if (bio !== undefined) {
+    if (bio !== null && typeof bio !== 'string') errors.push('bio must be a string');
+    else if (bio && bio.trim().length > BIO_MAX) errors.push(`bio must be at most ${BIO_MAX} characters`);
+    else data.bio = bio ? bio.trim() : null;
+  }
+
+  if (birthYear !== undefined) {
+    if (birthYear === null || birthYear === '') data.birthYear = null;
+    else {
+      const y = Number(birthYear);
+      if (!Number.isInteger(y) || y < 1800 || y > new Date().getFullYear()) {
+        errors.push(`birthYear must be between 1800 and ${new Date().getFullYear()}`);
+      } else data.birthYear = y;
+    }
+  }
+
+  if (photoUrl !== undefined) {
+    if (photoUrl !== null && typeof photoUrl !== 'string') errors.push('photoUrl must be a string');
+    else data.photoUrl = photoUrl ? photoUrl.trim() : null;
+  }
+
+  return { errors, data };
+}
+
+// GET people, optionally filtered by name (public)
+async function listPeople(req, res) {
+  try {
+    const page = Math.max(1, parseInt(req.query.page || '1', 10));
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit || '20', 10)));
+    const filter = {};
+    if (typeof req.query.q === 'string' && req.query.q.trim()) {
+      filter.name = { $regex: escapeRegex(req.query.q.trim()), $options: 'i' };
+    }
+
+    const [items, total] = await Promise.all([
+      peopleCollection()
+        .find(filter, { projection: { nameKey: 0 } })
+        .sort({ name: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      peopleCollection().countDocuments(filter),
+    ]);
+
+    res.status(200).json({ items, page, limit, total, totalPages: Math.ceil(total / limit) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// GET person with filmography grouped by role (public)
+async function getPerson(req, res) {
+  const _id = parseObjectId(req, res);
+  if (!_id) return;
+  try {
+    const person = await peopleCollection().findOne({ _id }, { projection: { nameKey: 0 } });
+    if (!person) return res.status(404).json({ error: 'Person not found' });
+
+    const movies = await moviesCollection()
+      .find({ 'credits.personId': _id, ...NOT_DELETED }, { projection: FILMOGRAPHY_PROJECTION })
+      .toArray();
+    res.status(200).json({ ...person, movieCount: movies.length, filmography: groupFilmography(movies, _id) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// POST create person (protected)
+async function createPerson(req, res) {
+  const validated = validatePersonBody(req.body, true);
+  if (validated.errors.length) {
+    return res.status(400).json({ message: 'Validation error', errors: validated.errors });
+  }
+  const person = {
+    name: validated.data.name,
+    nameKey: validated.data.nameKey,
+    bio: validated.data.bio ?? null,
+    birthYear: validated.data.birthYear ?? null,
+    photoUrl: validated.data.photoUrl ?? null,
+    createdAt: new Date(),
+  };
+
+  try {
+    const result = await peopleCollection().insertOne(person);
+    await recordAudit(req, 'person.create', { type: 'person', id: result.insertedId }, { name: person.name });
+    res.status(201).json({ _id: result.insertedId, ...person });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// PUT update person (protected)
+async function updatePerson(req, res) {
+  const _id = parseObjectId(req, res);
+  if (!_id) return;
+
+  const validated = validatePersonBody(req.body, false);
+  if (validated.errors.length) {
+    return res.status(400).json({ message: 'Validation error', errors: validated.errors });
+  }
+  if (Object.keys(validated.data).length === 0) {
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+
+  try {
+    const doc = await peopleCollection().findOneAndUpdate(
+      { _id },
+      { $set: { ...validated.data, updatedAt: new Date() } },
+      { returnDocument: 'after', projection: { nameKey: 0 } }
+    );
+    if (!doc) return res.status(404).json({ error: 'Person not found' });
+    if (validated.data.name !== undefined) await syncDirectorStrings(_id, editorOf(req));
+    // movie pages embed credited people's names and photos
+    invalidateCatalog();
+    await recordAudit(req, 'person.update', { type: 'person', id: _id }, { fields: Object.keys(validated.data) });
+    res.status(200).json(doc);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// DELETE person (protected); refused while any movie still credits them
+async function deletePerson(req, res) {
+  const _id = parseObjectId(req, res);
+  if (!_id) return;
+  try {
+    const credited = await moviesCollection().countDocuments({ 'credits.personId': _id });
+    if (credited > 0) {
+      return res.status(409).json({ error: `Person is credited on ${credited} movie${credited !== 1 ? 's' : ''}` });
+    }
+    const result = await peopleCollection().deleteOne({ _id });
+    if (result.deletedCount === 0) return res.status(404).json({ error: 'Person not found' });
+    await recordAudit(req, 'person.delete', { type: 'person', id: _id });
+    res.status(200).json({ message: 'Person deleted successfully' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+module.exports = {
+  listPeople,
+  getPerson,
+  createPerson,
+  updatePerson,
+  deletePerson,
+  validatePersonBody,
+};
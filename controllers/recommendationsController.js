@@ -0,0 +1,67 @@
+const { ObjectId } = require('mongodb');
+const {
+  similarMovies,
+  popularMovies,
+  buildRows,
+  loadCandidates,
+  loadSeeds,
+  loadPopularityCounts,
+} = require('../services/recommendations');
+
+function parseLimit(value, fallback, max) {
+  return Math.min(max, Math.max(1, parseInt(value || String(fallback), 10) || fallback));
+}
+
+// GET home page recommendations (public; personalised when signed in)
+async function getRecommendations(req, res) {
+  const perRow = parseLimit(req.query.limit, 6, 20);
+  try {
+    const userId = req.session && req.session.user ? req.session.user.id : null;
+    const [candidates, counts, seeds] = await Promise.all([
+      loadCandidates(),
+      loadPopularityCounts(),
+      userId ? loadSeeds(userId) : { likes: [], watchlist: [] },
+    ]);
+
+    const rows = buildRows(seeds, candidates, { rows: 3, perRow });
+    const popular = popularMovies(candidates, counts, {
+      limit: 12,
+      exclude: [...seeds.likes, ...seeds.watchlist],
+    });
+
+    res.status(200).json({ rows, popular, catalogSize: candidates.length });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// GET movies similar to one movie (public)
+async function getSimilarMovies(req, res) {
+  const { id } = req.params;
+  if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
+  const limit = parseLimit(req.query.limit, 6, 20);
+
+  try {
+    const candidates = await loadCandidates();
+    const target = candidates.find((m) => String(m._id) === id);
+    if (!target) return res.status(404).json({ error: 'Movie not found' });
+
+    let items = similarMovies(target, candidates, { limit });
+    if (items.length < limit) {
+      const counts = await loadPopularityCounts();
+      const fill = popularMovies(candidates, counts, {
+        limit: limit - items.length,
+        exclude: [id, ...items.map((m) => String(m._id))],
+      });
+      items = items.concat(fill);
+    }
+
+    res.status(200).json({ items });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+module.exports = { getRecommendations, getSimilarMovies };
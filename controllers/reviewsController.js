@@ -0,0 +1,197 @@
+const { ObjectId } = require('mongodb');
+const { moviesCollection, NOT_DELETED } = require('../models/movie');
+const { reviewsCollection } = require('../models/review');
+const { invalidateCatalog } = require('../services/cache');
+const { recordAudit } = require('../services/audit');
+const { validateRating, RATING_MIN, RATING_MAX } = require('./moviesController');
+
+const TEXT_MAX = 2000;
+
+function parseObjectId(res, id, label = 'id') {
+  if (!ObjectId.isValid(id)) {
+    res.status(400).json({ error: `Invalid ${label}` });
+    return null;
+  }
+  return new ObjectId(id);
+}
+
+/** Validate review body. Returns { errors, data }. */
+function validateReviewBody(body) {
+  const errors = [];
+  const { rating, text } = body || {};
+
+  const r = validateRating(rating);
+  if (r === null) {
+    errors.push(`rating must be between ${RATING_MIN} and ${RATING_MAX}`);
+  }
+
+  let t = null;
+  if (text !== undefined && text !== null && text !== '') {
+    if (typeof text !== 'string') {
+      errors.push('text must be a string');
+    } else {
+      t = text.trim() || null;
+      if (t && t.length > TEXT_MAX) errors.push(`text must be at most ${TEXT_MAX} characters`);
+    }
+  }
+
+  return { errors, data: { rating: r, text: t } };
+}
+
+/** Recompute the community average and count stored on the movie document. */
+async function refreshCommunityRating(movieId) {
+  const [agg] = await reviewsCollection()
+    .aggregate([
+      { $match: { movieId } },
+      { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } },
+    ])
+    .toArray();
+
+  const communityRating = agg ? Math.round(agg.average * 10) / 10 : null;
+  const communityRatingCount = agg ? agg.count : 0;
+  await moviesCollection().updateOne({ _id: movieId }, { $set: { communityRating, communityRatingCount } });
+  invalidateCatalog();
+  return { communityRating, communityRatingCount };
+}
+
+// GET reviews for a movie (public)
+async function listReviews(req, res) {
+  const movieId = parseObjectId(res, req.params.id);
+  if (!movieId) return;
+
+  try {
+    const page = Math.max(1, parseInt(req.query.page || '1', 10));
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit || '10', 10)));
+    const skip = (page - 1) * limit;
+
+    const movie = await moviesCollection().findOne(
+      { _id: movieId, ...NOT_DELETED },
+      { projection: { communityRating: 1, communityRatingCount: 1 } }
+    );
+    if (!movie) return res.status(404).json({ error: 'Movie not found' });
+
+    const userId = req.session && req.session.user ? req.session.user.id : null;
+    const [items, total, mine] = await Promise.all([
+      reviewsCollection().find({ movieId }).sort({ createdAt: -1 }).skip(skip).limit(limit).toArray(),
+      reviewsCollection().countDocuments({ movieId }),
+      userId ? reviewsCollection().findOne({ movieId, userId }) : null,
+    ]);
+
+    res.status(200).json({
+      items,
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      communityRating: movie.communityRating ?? null,
+      communityRatingCount: movie.communityRatingCount || 0,
+      mine: mine || null,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// POST create review (authenticated, one per user per movie)
+async function createReview(req, res) {
+  const movieId = parseObjectId(res, req.params.id);
+  if (!movieId) return;
+
+  const validated = validateReviewBody(req.body);
+  if (validated.errors.length) {
+    return res.status(400).json({ message: 'Validation error', errors: validated.errors });
+  }
+
+  const { id: userId, username } = req.session.user;
+  try {
+    const movie = await moviesCollection().findOne({ _id: movieId, ...NOT_DELETED }, { projection: { _id: 1 } });
+    if (!movie) return res.status(404).json({ error: 'Movie not found' });
+
+    const existing = await reviewsCollection().findOne({ movieId, userId });
+    if (existing) return res.status(409).json({ error: 'You have already reviewed this movie' });
+
+    const review = {
+      movieId,
+      userId,
+      username,
+      rating: validated.data.rating,
+      text: validated.data.text,
+      createdAt: new Date(),
+    };
+    const result = await reviewsCollection().insertOne(review);
+    const summary = await refreshCommunityRating(movieId);
+    res.status(201).json({ review: { _id: result.insertedId, ...review }, ...summary });
+  } catch (err) {
+    if (err && err.code === 11000) {
+      return res.status(409).json({ error: 'You have already reviewed this movie' });
+    }
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// PUT update own review (authenticated)
+async function updateReview(req, res) {
+  const movieId = parseObjectId(res, req.params.id);
+  if (!movieId) return;
+  const _id = parseObjectId(res, req.params.reviewId, 'review id');
+  if (!_id) return;
+
+  const validated = validateReviewBody(req.body);
+  if (validated.errors.length) {
+    return res.status(400).json({ message: 'Validation error', errors: validated.errors });
+  }
+
+  try {
+    const review = await reviewsCollection().findOne({ _id, movieId });
+    if (!review) return res.status(404).json({ error: 'Review not found' });
+    if (review.userId !== req.session.user.id) return res.status(403).json({ message: 'Forbidden' });
+
+    const doc = await reviewsCollection().findOneAndUpdate(
+      { _id },
+      { $set: { rating: validated.data.rating, text: validated.data.text, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    if (!doc) return res.status(404).json({ error: 'Review not found' });
+    const summary = await refreshCommunityRating(movieId);
+    res.status(200).json({ review: doc, ...summary });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// DELETE own review (authenticated; admins may delete any)
+async function deleteReview(req, res) {
+  const movieId = parseObjectId(res, req.params.id);
+  if (!movieId) return;
+  const _id = parseObjectId(res, req.params.reviewId, 'review id');
+  if (!_id) return;
+
+  const { id: userId, role } = req.session.user;
+  try {
+    const review = await reviewsCollection().findOne({ _id, movieId });
+    if (!review) return res.status(404).json({ error: 'Review not found' });
+    if (review.userId !== userId && role !== 'admin') return res.status(403).json({ message: 'Forbidden' });
+
+    await reviewsCollection().deleteOne({ _id });
+    const summary = await refreshCommunityRating(movieId);
+    if (review.userId !== userId) {
+      await recordAudit(req, 'review.delete', { type: 'review', id: _id }, { movieId: String(movieId), author: review.username });
+    }
+    res.status(200).json({ message: 'Review deleted successfully', ...summary });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+module.exports = {
+  listReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  validateReviewBody,
+  refreshCommunityRating,
+};
@@ -0,0 +1,136 @@
+const { ObjectId } = require('mongodb');
+const { moviesCollection, NOT_DELETED } = require('../models/movie');
+const { revisionsCollection } = require('../models/revision');
+const { invalidateCatalog } = require('../services/cache');
+const { recordAudit } = require('../services/audit');
+const { recordRevision, revertOperators, editorOf } = require('../services/revisions');
+
+const IN_TRASH = { deletedAt: { $ne: null } };
+const TRASH_PROJECTION = { title: 1, year: 1, genres: 1, posterUrl: 1, deletedAt: 1, deletedBy: 1, mergedInto: 1 };
+
+function parseId(res, id, message = 'Invalid id') {
+  if (!ObjectId.isValid(id)) {
+    res.status(400).json({ error: message });
+    return null;
+  }
+  return new ObjectId(id);
+}
+
+function pageParams(query, defaultLimit) {
+  const page = Math.max(1, parseInt(query.page || '1', 10));
+  const limit = Math.min(100, Math.max(1, parseInt(query.limit || String(defaultLimit), 10)));
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+// GET a movie's revisions, newest first (admin); also works for movies in the trash
+async function listMovieRevisions(req, res) {
+  const movieId = parseId(res, req.params.id);
+  if (!movieId) return;
+  const { page, limit, skip } = pageParams(req.query, 20);
+  try {
+    const movie = await moviesCollection().findOne({ _id: movieId }, { projection: { title: 1, year: 1, deletedAt: 1 } });
+    if (!movie) return res.status(404).json({ error: 'Movie not found' });
+    const [rows, total] = await Promise.all([
+      revisionsCollection()
+        .find({ movieId }, { projection: { snapshot: 0 } })
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray(),
+      revisionsCollection().countDocuments({ movieId }),
+    ]);
+    // revisions are numbered from 1, oldest first
+    const items = rows.map((r, i) => ({ ...r, number: total - skip - i }));
+    res.status(200).json({ movie, items, page, limit, total, totalPages: Math.ceil(total / limit) });
+  } catch (err) {
+    console.error('revision list error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// GET one revision with the movie as it stood after it (admin)
+async function getMovieRevision(req, res) {
+  const movieId = parseId(res, req.params.id);
+  if (!movieId) return;
+  const _id = parseId(res, req.params.revisionId, 'Invalid revision id');
+  if (!_id) return;
+  try {
+    const revision = await revisionsCollection().findOne({ _id, movieId });
+    if (!revision) return res.status(404).json({ error: 'Revision not found' });
+    res.status(200).json(revision);
+  } catch (err) {
+    console.error('revision get error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// POST roll a movie back to the state after one of its revisions (admin)
+async function revertMovie(req, res) {
+  const movieId = parseId(res, req.params.id);
+  if (!movieId) return;
+  const revisionId = parseId(res, req.params.revisionId, 'Invalid revision id');
+  if (!revisionId) return;
+  try {
+    const revision = await revisionsCollection().findOne({ _id: revisionId, movieId });
+    if (!revision) return res.status(404).json({ error: 'Revision not found' });
+    const before = await moviesCollection().findOne({ _id: movieId });
+    if (!before) return res.status(404).json({ error: 'Movie not found' });
+    if (before.deletedAt) return res.status(409).json({ error: 'Restore the movie from the trash before reverting it' });
+
+    const doc = await moviesCollection().findOneAndUpdate(
+      { _id: movieId, ...NOT_DELETED },
+      revertOperators(revision.snapshot),
+      { returnDocument: 'after' }
+    );
+    if (!doc) return res.status(409).json({ error: 'Restore the movie from the trash before reverting it' });
+    invalidateCatalog();
+    const [recorded] = await recordRevision(editorOf(req), { action: 'revert', before, movie: doc, revertedTo: revisionId });
+    await recordAudit(req, 'movie.revert', { type: 'movie', id: movieId }, {
+      revision: String(revisionId),
+      fields: recorded ? recorded.changes.map((c) => c.field) : [],
+    });
+    res.status(200).json(doc);
+  } catch (err) {
+    console.error('revision revert error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// GET movies in the trash, most recently deleted first (admin)
+async function listTrash(req, res) {
+  const { page, limit, skip } = pageParams(req.query, 50);
+  try {
+    const [items, total] = await Promise.all([
+      moviesCollection().find(IN_TRASH, { projection: TRASH_PROJECTION }).sort({ deletedAt: -1 }).skip(skip).limit(limit).toArray(),
+      moviesCollection().countDocuments(IN_TRASH),
+    ]);
+    res.status(200).json({ items, page, limit, total, totalPages: Math.ceil(total / limit) });
+  } catch (err) {
+    console.error('trash list error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+// POST take a movie out of the trash (admin)
+async function restoreMovie(req, res) {
+  const _id = parseId(res, req.params.id);
+  if (!_id) return;
+  try {
+    const deleted = await moviesCollection().findOneAndUpdate(
+      { _id, ...IN_TRASH },
+      { $set: { updatedAt: new Date() }, $unset: { deletedAt: '', deletedBy: '', mergedInto: '' } },
+      { returnDocument: 'before' }
+    );
+    if (!deleted) return res.status(404).json({ message: 'Movie not found in the trash' });
+    const { deletedAt, deletedBy, mergedInto, ...movie } = deleted;
+    invalidateCatalog();
+    await recordRevision(editorOf(req), { action: 'restore', before: deleted, movie });
+    await recordAudit(req, 'movie.restore', { type: 'movie', id: _id }, { title: movie.title, deletedAt });
+    res.status(200).json(movie);
+  } catch (err) {
+    console.error('trash restore error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+module.exports = { listMovieRevisions, getMovieRevision, revertMovie, listTrash, restoreMovie };
@@ -0,0 +1,302 @@
+const { ObjectId } = require('mongodb');
+const { getDb } = require('../database/storage');
+const { usersCollection } = require('../models/user');
+const { followsCollection, ACCEPTED, PENDING } = require('../models/follow');
+const { moviesCollection, NOT_DELETED } = require('../models/movie');
+const { DEFAULT_LOCALE, localizeMovie } = require('../services/i18n');
+const { ACTIVITY_SOURCES, privacySettings, visibleTypes, decodeFeedCursor, afterCursor, mergeActivity } = require('../services/social');
+
+const PROFILE_PROJECTION = { username: 1, displayName: 1, avatarUrl: 1, favoriteGenres: 1, createdAt: 1, privacy: 1 };
+const CARD_PROJECTION = { username: 1, displayName: 1, avatarUrl: 1 };
+const MOVIE_PROJECTION = { title: 1, year: 1, genres: 1, genre: 1, poster: 1, posterUrl: 1, posterMedia: 1, translations: 1 };
+const PAGE_LIMIT_MAX = 50;
+
+function viewerId(req) {
+  return req.session && req.session.user ? req.session.user.id : null;
+}
+
+function pageParams(query, fallback) {
+  const page = Math.max(1, parseInt(query.page || '1', 10));
+  const limit = Math.min(PAGE_LIMIT_MAX, Math.max(1, parseInt(query.limit || String(fallback), 10)));
+  return { page, limit };
+}
+
+function serializeUserCard(user) {
+  return { id: user._id.toString(), username: user.username, displayName: user.displayName || null, avatarUrl: user.avatarUrl || null };
+}
+
+/** An active (not disabled) user by exact username, or null. */
+function findActiveUser(username, projection = PROFILE_PROJECTION) {
+  return usersCollection().findOne({ username: String(username), disabled: { $ne: true } }, { projection });
+}
+
+/** 'self', 'follower' (an accepted follow), 'requested' (a pending one) or 'other'. */
+async function relationTo(user, viewer) {
+  const userId = user._id.toString();
+  if (!viewer) return 'other';
+  if (viewer === userId) return 'self';
+  const follow = await followsCollection().findOne({ followerId: viewer, followeeId: userId }, { projection: { status: 1 } });
+  if (!follow) return 'other';
+  return follow.status === ACCEPTED.status ? 'follower' : 'requested';
+}
+
+async function followCounts(userId) {
+  const [followers, following] = await Promise.all([
+    followsCollection().countDocuments({ followeeId: userId, ...ACCEPTED }),
+    followsCollection().countDocuments({ followerId: userId, ...ACCEPTED }),
+  ]);
+  return { followers, following };
+}
+
+/** Serialize a page of users, in the order of ids, dropping disabled ones. */
+async function userCardPage(ids, { page, limit, total }) {
+  const valid = ids.filter((id) => ObjectId.isValid(id));
+  const users = valid.length
+    ? await usersCollection().find({ _id: { $in: valid.map((id) => new ObjectId(id)) }, disabled: { $ne: true } }, { projection: CARD_PROJECTION }).toArray()
+    : [];
+  const byId = new Map(users.map((u) => [u._id.toString(), u]));
+  return {
+    items: valid.filter((id) => byId.has(id)).map((id) => serializeUserCard(byId.get(id))),
+    page,
+    limit,
+    total,
+    totalPages: Math.ceil(total / limit),
+  };
+}
+
+/**
+ * One page of activity for the users in userIdsByType ({ review: [...], like: [...], ... }),
+ * newest first, with each entry's user and movie. Entries for disabled users and trashed
+ * movies are dropped, so a page may hold fewer than limit items.
+ */
+async function loadActivity(userIdsByType, cursor, limit, locale) {
+  const lists = await Promise.all(
+    ACTIVITY_SOURCES.map(async (source, rank) => {
+      const userIds = userIdsByType[source.type] || [];
+      if (!userIds.length) return [];
+      const docs = await getDb()
+        .collection(source.collection)
+        .find({ userId: { $in: userIds }, ...afterCursor(rank, cursor) })
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit + 1)
+        .toArray();
+      return docs.map((doc) => ({ ...doc, rank, type: source.type }));
+    })
+  );
+  const { entries, nextCursor } = mergeActivity(lists, limit);
+
+  const userIds = Array.from(new Set(entries.map((e) => e.userId).filter((id) => ObjectId.isValid(id))), (id) => new ObjectId(id));
+  const movieIds = Array.from(new Set(entries.map((e) => String(e.movieId))), (id) => new ObjectId(id));
+  const [users, movies] = await Promise.all([
+    userIds.length ? usersCollection().find({ _id: { $in: userIds }, disabled: { $ne: true } }, { projection: CARD_PROJECTION }).toArray() : [],
+    movieIds.length ? moviesCollection().find({ _id: { $in: movieIds }, ...NOT_DELETED }, { projection: MOVIE_PROJECTION }).toArray() : [],
+  ]);
+  const usersById = new Map(users.map((u) => [u._id.toString(), u]));
+  const moviesById = new Map(movies.map((m) => [m._id.toString(), m]));
+
+  const items = entries
+    .filter((e) => usersById.has(e.userId) && moviesById.has(String(e.movieId)))
+    .map((e) => ({
+      type: e.type,
+      createdAt: e.createdAt,
+      user: serializeUserCard(usersById.get(e.userId)),
+      movie: localizeMovie(moviesById.get(String(e.movieId)), locale),
+      ...(e.type === 'review' ? { review: { _id: e._id, rating: e.rating, text: e.text || null } } : {}),
+    }));
+  return { items, nextCursor, hasMore: !!nextCursor };
+}
+
+function readFeedCursor(req, res) {
+  const { cursor } = req.query;
+  if (cursor === undefined || cursor === '') return { cursor: null };
+  const decoded = decodeFeedCursor(cursor);
+  if (!decoded) {
+    res.status(400).json({ message: 'Invalid cursor' });
+    return null;
+  }
+  return { cursor: decoded };
+}
+
+// GET a user's public profile with follower counts and what the viewer may see of their activity
+async function getUserProfile(req, res) {
+  try {
+    const user = await findActiveUser(req.params.username);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    const userId = user._id.toString();
+    const relation = await relationTo(user, viewerId(req));
+    res.status(200).json({
+      ...serializeUserCard(user),
+      favoriteGenres: user.favoriteGenres || [],
+      createdAt: user.createdAt || null,
+      ...(await followCounts(userId)),
+      isSelf: relation === 'self',
+      isFollowing: relation === 'follower',
+      followRequested: relation === 'requested',
+      sharing: visibleTypes(user, relation),
+      ...(relation === 'self' ? { privacy: privacySettings(user) } : {}),
+    });
+  } catch (err) {
+    console.error('user profile error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+// GET a user's recent likes, watchlist additions and reviews, as far as their privacy settings allow
+async function getUserActivity(req, res) {
+  const { limit } = pageParams(req.query, 20);
+  const parsed = readFeedCursor(req, res);
+  if (!parsed) return;
+  try {
+    const user = await findActiveUser(req.params.username);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    const relation = await relationTo(user, viewerId(req));
+    const userId = user._id.toString();
+    const byType = Object.fromEntries(visibleTypes(user, relation).map((type) => [type, [userId]]));
+    res.set('Cache-Control', 'private, no-store');
+    res.status(200).json(await loadActivity(byType, parsed.cursor, limit, req.locale || DEFAULT_LOCALE));
+  } catch (err) {
+    console.error('user activity error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+/** GET followers or following of a user, most recent first. */
+function followList(direction) {
+  const [matchKey, otherKey] = direction === 'followers' ? ['followeeId', 'followerId'] : ['followerId', 'followeeId'];
+  return async (req, res) => {
+    const { page, limit } = pageParams(req.query, 20);
+    try {
+      const user = await findActiveUser(req.params.username, { _id: 1 });
+      if (!user) return res.status(404).json({ message: 'User not found' });
+      const filter = { [matchKey]: user._id.toString(), ...ACCEPTED };
+      const [follows, total] = await Promise.all([
+        followsCollection().find(filter).sort({ createdAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit).toArray(),
+        followsCollection().countDocuments(filter),
+      ]);
+      res.status(200).json(await userCardPage(follows.map((f) => f[otherKey]), { page, limit, total }));
+    } catch (err) {
+      console.error(`${direction} error:`, err);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  };
+}
+
+const listFollowers = followList('followers');
+const listFollowing = followList('following');
+
+// POST ask to follow a user by username; the follow counts once they approve (authenticated)
+async function followUser(req, res) {
+  const { username } = req.body || {};
+  if (typeof username !== 'string' || !username.trim()) {
+    return res.status(400).json({ message: 'Validation error', errors: ['username is required'] });
+  }
+  try {
+    const user = await findActiveUser(username.trim(), { _id: 1 });
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    const followerId = req.session.user.id;
+    const followeeId = user._id.toString();
+    if (followerId === followeeId) return res.status(400).json({ message: 'You cannot follow yourself' });
+    // the unique { followerId, followeeId } index makes repeated requests collapse into one
+    const follow = await followsCollection().findOneAndUpdate(
+      { followerId, followeeId },
+      { $setOnInsert: { ...PENDING, createdAt: new Date() } },
+      { upsert: true, returnDocument: 'after' }
+    );
+    const { followers } = await followCounts(followeeId);
+    res.status(200).json({ following: follow.status === ACCEPTED.status, requested: follow.status === PENDING.status, followers });
+  } catch (err) {
+    console.error('follow error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+// DELETE unfollow a user by username, or withdraw a follow request (authenticated)
+async function unfollowUser(req, res) {
+  try {
+    const user = await findActiveUser(req.params.username, { _id: 1 });
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    const followeeId = user._id.toString();
+    await followsCollection().deleteOne({ followerId: req.session.user.id, followeeId });
+    const { followers } = await followCounts(followeeId);
+    res.status(200).json({ following: false, requested: false, followers });
+  } catch (err) {
+    console.error('unfollow error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+// GET what the people the signed-in user follows liked, watchlisted or reviewed, newest first
+async function getFeed(req, res) {
+  const { limit } = pageParams(req.query, 20);
+  const parsed = readFeedCursor(req, res);
+  if (!parsed) return;
+  try {
+    const follows = await followsCollection().find({ followerId: req.session.user.id, ...ACCEPTED }, { projection: { followeeId: 1 } }).toArray();
+    const ids = follows.map((f) => f.followeeId).filter((id) => ObjectId.isValid(id));
+    const followees = ids.length
+      ? await usersCollection().find({ _id: { $in: ids.map((id) => new ObjectId(id)) }, disabled: { $ne: true } }, { projection: { privacy: 1 } }).toArray()
+      : [];
+    const byType = {};
+    for (const user of followees) {
+      for (const type of visibleTypes(user, 'follower')) (byType[type] ||= []).push(user._id.toString());
+    }
+    res.set('Cache-Control', 'private, no-store');
+    res.status(200).json(await loadActivity(byType, parsed.cursor, limit, req.locale || DEFAULT_LOCALE));
+  } catch (err) {
+    console.error('feed error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+// GET the follow requests waiting for the signed-in user's approval, most recent first
+async function listFollowRequests(req, res) {
+  const { page, limit } = pageParams(req.query, 20);
+  try {
+    const filter = { followeeId: req.session.user.id, ...PENDING };
+    const [requests, total] = await Promise.all([
+      followsCollection().find(filter).sort({ createdAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit).toArray(),
+      followsCollection().countDocuments(filter),
+    ]);
+    res.status(200).json(await userCardPage(requests.map((f) => f.followerId), { page, limit, total }));
+  } catch (err) {
+    console.error('follow requests error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+/** POST approves a user's follow request, DELETE declines it (authenticated). */
+function answerFollowRequest(approve) {
+  return async (req, res) => {
+    try {
+      const user = await findActiveUser(req.params.username, { _id: 1 });
+      if (!user) return res.status(404).json({ message: 'User not found' });
+      const request = { followerId: user._id.toString(), followeeId: req.session.user.id, ...PENDING };
+      const result = approve
+        ? await followsCollection().updateOne(request, { $set: { ...ACCEPTED, acceptedAt: new Date() } })
+        : await followsCollection().deleteOne(request);
+      if (!(approve ? result.matchedCount : result.deletedCount)) return res.status(404).json({ message: 'Follow request not found' });
+      const { followers } = await followCounts(req.session.user.id);
+      res.status(200).json({ approved: approve, followers });
+    } catch (err) {
+      console.error('follow request error:', err);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  };
+}
+
+const approveFollowRequest = answerFollowRequest(true);
+const declineFollowRequest = answerFollowRequest(false);
+
+module.exports = {
+  getUserProfile,
+  getUserActivity,
+  listFollowers,
+  listFollowing,
+  followUser,
+  unfollowUser,
+  getFeed,
+  listFollowRequests,
+  approveFollowRequest,
+  declineFollowRequest,
+  followCounts,
+};
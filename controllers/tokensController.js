@@ -0,0 +1,80 @@
+const { ObjectId } = require('mongodb');
+const { apiTokensCollection } = require('../models/apiToken');
+const { hashToken } = require('../services/authTokens');
+const { SCOPES, generateToken, validateTokenBody, serializeToken } = require('../services/apiTokens');
+
+const TOKENS_PER_USER_MAX = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// GET the signed-in user's active API tokens and the scopes they can pick from
+async function listTokens(req, res) {
+  try {
+    const now = new Date();
+    const docs = await apiTokensCollection()
+      .find({ userId: req.session.user.id, revokedAt: null, $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] })
+      .sort({ createdAt: -1 })
+      .toArray();
+    const scopes = Object.entries(SCOPES)
+      .filter(([name]) => name !== 'admin' || req.session.user.role === 'admin')
+      .map(([name, description]) => ({ name, description }));
+    res.status(200).json({ items: docs.map(serializeToken), scopes });
+  } catch (err) {
+    console.error('tokens list error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+// POST create a token; the raw value is in this response only
+async function createToken(req, res) {
+  const { id: userId, role } = req.session.user;
+  const validated = validateTokenBody(req.body, role);
+  if (validated.errors.length) {
+    return res.status(400).json({ message: 'Validation error', errors: validated.errors });
+  }
+
+  try {
+    const active = await apiTokensCollection().countDocuments({ userId, revokedAt: null });
+    if (active >= TOKENS_PER_USER_MAX) {
+      return res.status(409).json({ message: `At most ${TOKENS_PER_USER_MAX} active tokens; revoke one first` });
+    }
+
+    const { name, scopes, expiresInDays } = validated.data;
+    const token = generateToken();
+    const now = new Date();
+    const doc = {
+      userId,
+      name,
+      scopes,
+      tokenHash: hashToken(token),
+      prefix: token.slice(0, 10),
+      createdAt: now,
+      expiresAt: expiresInDays ? new Date(now.getTime() + expiresInDays * DAY_MS) : null,
+      lastUsedAt: null,
+      lastUsedIp: null,
+      revokedAt: null,
+    };
+    const result = await apiTokensCollection().insertOne(doc);
+    res.status(201).json({ ...serializeToken({ _id: result.insertedId, ...doc }), token });
+  } catch (err) {
+    console.error('token create error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+// DELETE revoke one of the user's tokens
+async function revokeToken(req, res) {
+  if (!ObjectId.isValid(req.params.tokenId)) return res.status(400).json({ message: 'Invalid token id' });
+  try {
+    const result = await apiTokensCollection().updateOne(
+      { _id: new ObjectId(req.params.tokenId), userId: req.session.user.id, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+    if (result.matchedCount === 0) return res.status(404).json({ message: 'Token not found' });
+    res.status(200).json({ message: 'Token revoked' });
+  } catch (err) {
+    console.error('token revoke error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+module.exports = { listTokens, createToken, revokeToken };
@@ -0,0 +1,32 @@
+const { createIndexes, dropIndexes } = require('../../services/migrations');
+
+// Indexes behind the catalog filters and sorts, per-user pages and admin screens
+const INDEXES = [
+  { collection: 'movies', key: { genres: 1 } },
+  { collection: 'movies', key: { year: 1, title: 1 } },
+  { collection: 'movies', key: { rating: -1 } },
+  { collection: 'movies', key: { communityRating: -1 } },
+  { collection: 'movies', key: { createdAt: -1 } },
+  { collection: 'movies', key: { 'credits.personId': 1 } },
+  { collection: 'people', key: { nameKey: 1 } },
+  { collection: 'reviews', key: { movieId: 1, createdAt: -1 } },
+  { collection: 'reviews', key: { userId: 1 } },
+  { collection: 'lists', key: { userId: 1, createdAt: -1 } },
+  { collection: 'lists', key: { visibility: 1, updatedAt: -1 } },
+  { collection: 'lists', key: { 'items.movieId': 1 } },
+  { collection: 'diary', key: { userId: 1, watchedAt: -1 } },
+  { collection: 'diary', key: { userId: 1, movieId: 1 } },
+  { collection: 'likes', key: { movieId: 1 } },
+  { collection: 'watchlist', key: { movieId: 1 } },
+  { collection: 'auth_tokens', key: { userId: 1, type: 1 } },
+  { collection: 'api_tokens', key: { userId: 1 } },
+  { collection: 'messages', key: { status: 1, createdAt: -1 } },
+  { collection: 'audit_log', key: { createdAt: -1 } },
+  { collection: 'audit_log', key: { 'target.id': 1 } },
+];
+
+module.exports = {
+  description: 'Query indexes for catalog filters, per-user pages and admin screens',
+  up: (db) => createIndexes(db, INDEXES),
+  down: (db) => dropIndexes(db, INDEXES),
+};
@@ -0,0 +1,62 @@
+const { createIndexes, dropIndexes } = require('../../services/migrations');
+
+// likes and watchlist entries are interchangeable, so duplicates are merged; the others
+// hold data a person has to choose between, so their duplicates stop the migration
+const MERGED = ['likes', 'watchlist'];
+
+const INDEXES = [
+  { collection: 'likes', key: { userId: 1, movieId: 1 }, unique: true },
+  { collection: 'watchlist', key: { userId: 1, movieId: 1 }, unique: true },
+  { collection: 'reviews', key: { movieId: 1, userId: 1 }, unique: true },
+  { collection: 'users', key: { username: 1 }, unique: true },
+  { collection: 'users', key: { email: 1 }, unique: true, partialFilterExpression: { email: { $type: 'string' } } },
+  { collection: 'lists', key: { shareId: 1 }, unique: true, partialFilterExpression: { shareId: { $type: 'string' } } },
+  { collection: 'auth_tokens', key: { tokenHash: 1 }, unique: true },
+  { collection: 'api_tokens', key: { tokenHash: 1 }, unique: true },
+  { collection: 'messages', key: { legacyKey: 1 }, unique: true, partialFilterExpression: { legacyKey: { $type: 'string' } } },
+];
+
+/** Groups of documents sharing the index key, each as { key, ids } with the oldest id first. */
+async function findDuplicates(db, { collection, key, partialFilterExpression }) {
+  const groupKey = Object.fromEntries(Object.keys(key).map((field) => [field, `$${field}`]));
+  const groups = await db
+    .collection(collection)
+    .aggregate([
+      ...(partialFilterExpression ? [{ $match: partialFilterExpression }] : []),
+      { $sort: { createdAt: 1, _id: 1 } },
+      { $group: { _id: groupKey, ids: { $push: '$_id' } } },
+      { $match: { 'ids.1': { $exists: true } } },
+    ])
+    .toArray();
+  return groups.map((g) => ({ key: g._id, ids: g.ids }));
+}
+
+async function up(db) {
+  const duplicates = [];
+  for (const spec of INDEXES) duplicates.push({ spec, groups: await findDuplicates(db, spec) });
+
+  const conflicts = duplicates.filter(({ spec, groups }) => groups.length && !MERGED.includes(spec.collection));
+  if (conflicts.length) {
+    const lines = conflicts.map(({ spec, groups }) => {
+      const sample = groups.slice(0, 3).map((g) => JSON.stringify(g.key)).join(', ');
+      return `${spec.collection}: ${groups.length} duplicate ${Object.keys(spec.key).join(' + ')} value(s), e.g. ${sample}`;
+    });
+    throw new Error(`Resolve these duplicates, then run the migration again:\n${lines.join('\n')}`);
+  }
+
+  const merged = {};
+  for (const { spec, groups } of duplicates) {
+    if (!groups.length) continue;
+    const extra = groups.flatMap((g) => g.ids.slice(1));
+    await db.collection(spec.collection).deleteMany({ _id: { $in: extra } });
+    merged[spec.collection] = extra.length;
+  }
+  return { merged, ...(await createIndexes(db, INDEXES)) };
+}
+
+module.exports = {
+  description: 'Unique indexes for usernames, emails, tokens, reviews and likes/watchlist entries',
+  up,
+  // merged duplicate entries are not restored
+  down: (db) => dropIndexes(db, INDEXES),
+};
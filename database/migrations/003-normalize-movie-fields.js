@@ -0,0 +1,71 @@
+const { GENRES_MAX } = require('../../controllers/moviesController');
+
+const BATCH_SIZE = 500;
+
+/**
+ * The update that folds a movie's legacy genre and poster fields into genres and posterUrl,
+ * or null when there is nothing to change. A legacy genre may be comma-separated.
+ */
+function normalizeMovieFields(movie) {
+  const set = {};
+  const unset = {};
+  if (movie.genre !== undefined) {
+    unset.genre = '';
+    const hasGenres = Array.isArray(movie.genres) && movie.genres.length > 0;
+    if (!hasGenres && typeof movie.genre === 'string') {
+      const genres = [...new Set(movie.genre.split(',').map((g) => g.trim()).filter(Boolean))];
+      if (genres.length) set.genres = genres.slice(0, GENRES_MAX);
+    }
+  }
+  if (movie.poster !== undefined) {
+    unset.poster = '';
+    if (!movie.posterUrl && typeof movie.poster === 'string' && movie.poster.trim()) set.posterUrl = movie.poster.trim();
+  }
+  if (!Object.keys(unset).length) return null;
+  return Object.keys(set).length ? { $set: set, $unset: unset } : { $unset: unset };
+}
+
+async function up(db) {
+  const movies = db.collection('movies');
+  const cursor = movies.find(
+    { $or: [{ genre: { $exists: true } }, { poster: { $exists: true } }] },
+    { projection: { genre: 1, genres: 1, poster: 1, posterUrl: 1 } }
+  );
+  let batch = [];
+  let updated = 0;
+  for await (const movie of cursor) {
+    const update = normalizeMovieFields(movie);
+    if (!update) continue;
+    batch.push({ updateOne: { filter: { _id: movie._id }, update } });
+    if (batch.length === BATCH_SIZE) {
+      await movies.bulkWrite(batch, { ordered: false });
+      updated += batch.length;
+      batch = [];
+    }
+  }
+  if (batch.length) {
+    await movies.bulkWrite(batch, { ordered: false });
+    updated += batch.length;
+  }
+  return { updated };
+}
+
+// writes the fields back the way older versions did, from the first genre and posterUrl
+async function down(db) {
+  const result = await db.collection('movies').updateMany({}, [
+    {
+      $set: {
+        genre: { $ifNull: [{ $arrayElemAt: ['$genres', 0] }, 'general'] },
+        poster: { $ifNull: ['$posterUrl', null] },
+      },
+    },
+  ]);
+  return { updated: result.modifiedCount };
+}
+
+module.exports = {
+  description: 'Fold legacy movie genre and poster fields into genres and posterUrl',
+  up,
+  down,
+  normalizeMovieFields,
+};
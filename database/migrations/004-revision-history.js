@@ -0,0 +1,13 @@
+const { createIndexes, dropIndexes } = require('../../services/migrations');
+
+// Movie history lookups, and the trash filter every public read applies
+const INDEXES = [
+  { collection: 'movie_revisions', key: { movieId: 1, createdAt: -1 } },
+  { collection: 'movies', key: { deletedAt: 1 } },
+];
+
+module.exports = {
+  description: 'Indexes for movie revision history and the movie trash',
+  up: (db) => createIndexes(db, INDEXES),
+  down: (db) => dropIndexes(db, INDEXES),
+};
@@ -0,0 +1,16 @@
+const { createIndexes, dropIndexes } = require('../../services/migrations');
+
+// One follow per pair, follower lists, and the per-user activity reads behind profiles and feeds
+const INDEXES = [
+  { collection: 'follows', key: { followerId: 1, followeeId: 1 }, unique: true },
+  { collection: 'follows', key: { followeeId: 1, createdAt: -1 } },
+  { collection: 'likes', key: { userId: 1, createdAt: -1 } },
+  { collection: 'watchlist', key: { userId: 1, createdAt: -1 } },
+  { collection: 'reviews', key: { userId: 1, createdAt: -1 } },
+];
+
+module.exports = {
+  description: 'Indexes for follows and the activity feed',
+  up: (db) => createIndexes(db, INDEXES),
+  down: (db) => dropIndexes(db, INDEXES),
+};
@@ -0,0 +1,26 @@
+const { createIndexes, dropIndexes } = require('../../services/migrations');
+
+// Pending requests by the user they were sent to, and followers lists that skip them
+const INDEXES = [{ collection: 'follows', key: { followeeId: 1, status: 1, createdAt: -1 } }];
+
+// Follows made before approval existed were never approved, so they become requests
+async function up(db) {
+  const result = await db.collection('follows').updateMany({ status: { $exists: false } }, { $set: { status: 'pending' } });
+  await createIndexes(db, INDEXES);
+  return { requests: result.modifiedCount };
+}
+
+// older versions treat every follow as accepted, so requests nobody approved are dropped
+async function down(db) {
+  const follows = db.collection('follows');
+  const removed = await follows.deleteMany({ status: 'pending' });
+  await follows.updateMany({}, { $unset: { status: '' } });
+  await dropIndexes(db, INDEXES);
+  return { removed: removed.deletedCount };
+}
+
+module.exports = {
+  description: 'Follow requests: follows need the followed user to approve them',
+  up,
+  down,
+};
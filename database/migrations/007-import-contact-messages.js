@@ -0,0 +1,24 @@
+const fs = require('fs');
+const path = require('path');
+const { importLegacyFile } = require('../../services/contact');
+
+// where versions before the inbox kept contact form messages
+const LEGACY_FILE = path.join(__dirname, '..', '..', 'data.json');
+
+// Installs that never had the file have nothing to import
+async function up(db) {
+  if (!fs.existsSync(LEGACY_FILE)) return { imported: 0 };
+  const { imported, alreadyImported, skipped } = await importLegacyFile(LEGACY_FILE, { db });
+  return { imported, alreadyImported, skipped };
+}
+
+// the imported messages are ordinary inbox messages by now, with notes and statuses, so they stay
+async function down() {
+  return {};
+}
+
+module.exports = {
+  description: 'Import the contact messages older versions saved to data.json into the inbox',
+  up,
+  down,
+};
@@ -1,21 +1,25 @@
 const { MongoClient, ObjectId } = require('mongodb');
 
-const uri = process.env.MONGO_URI || 'mongodb://localhost:27017';
-const dbName = process.env.MONGO_DB_NAME || 'mymovie';
-
 let db;
 let client;
 
-async function connectToDb() {
+/**
+ * Connect once and reuse the connection. uri and dbName default to MONGO_URI and
+ * MONGO_DB_NAME; tests pass their own to use a throwaway database.
+ */
+async function connectToDb({ uri, dbName } = {}) {
   if (db) return db;
 
+  const mongoUri = uri || process.env.MONGO_URI || 'mongodb://localhost:27017';
+  const name = dbName || process.env.MONGO_DB_NAME || 'mymovie';
   try {
-    client = new MongoClient(uri, { serverSelectionTimeoutMS: 5000 });
+    client = new MongoClient(mongoUri, { serverSelectionTimeoutMS: 5000 });
     await client.connect();
-    db = client.db(dbName);
-    console.log(`Connected to MongoDB database "${dbName}"`);
+    db = client.db(name);
+    console.log(`Connected to MongoDB database "${name}"`);
   } catch (err) {
     console.error('Failed to connect to MongoDB', err);
+    client = undefined;
     throw new Error('Database connection failed');
   }
 
@@ -32,4 +36,12 @@ function getClient() {
   return client;
 }
 
-module.exports = { connectToDb, getDb, getClient, ObjectId };
+/** Close the connection so the process can exit; connectToDb can be called again after. */
+async function closeDb() {
+  const current = client;
+  db = undefined;
+  client = undefined;
+  if (current) await current.close();
+}
+
+module.exports = { connectToDb, getDb, getClient, closeDb, ObjectId };
@@ -0,0 +1,501 @@
+const { ObjectId } = require('mongodb');
+
+// The part of MongoDB's query language the SQLite backend evaluates in process. It covers
+// only the operators the app's models, services and migrations use, and throws on any
+// other, so a query that would quietly differ from MongoDB fails loudly instead; add an
+// operator here, with a test in test/query.test.js, when the app starts using it. Values
+// compare the way MongoDB compares them: ObjectIds and dates by value, a missing field
+// like null, and an array field matches when any of its elements does.
+
+function isAtomic(value) {
+  return value instanceof ObjectId || value instanceof Date || value instanceof RegExp;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !isAtomic(value);
+}
+
+function isOperatorObject(value) {
+  if (!isPlainObject(value)) return false;
+  const keys = Object.keys(value);
+  return keys.length > 0 && keys.every((k) => k.startsWith('$'));
+}
+
+/** MongoDB's cross-type order: null < numbers < strings < objects < arrays < ObjectId < booleans < dates. */
+function typeRank(value) {
+  if (value === null || value === undefined) return 1;
+  if (typeof value === 'number') return 2;
+  if (typeof value === 'string') return 3;
+  if (Array.isArray(value)) return 5;
+  if (value instanceof ObjectId) return 7;
+  if (typeof value === 'boolean') return 8;
+  if (value instanceof Date) return 9;
+  if (value instanceof RegExp) return 11;
+  return 4;
+}
+
+function compareValues(a, b) {
+  const rank = typeRank(a) - typeRank(b);
+  if (rank !== 0) return Math.sign(rank);
+  if (a === null || a === undefined) return 0;
+  if (typeof a === 'number') return a === b ? 0 : a < b ? -1 : 1;
+  if (typeof a === 'string') return a === b ? 0 : a < b ? -1 : 1;
+  if (typeof a === 'boolean') return Number(a) - Number(b);
+  if (a instanceof Date) return Math.sign(a.getTime() - b.getTime());
+  if (a instanceof ObjectId) return compareValues(a.toHexString(), b.toHexString());
+  if (a instanceof RegExp) return compareValues(String(a), String(b));
+  if (Array.isArray(a)) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      const c = compareValues(a[i], b[i]);
+      if (c !== 0) return c;
+    }
+    return Math.sign(a.length - b.length);
+  }
+  const [ka, kb] = [Object.keys(a), Object.keys(b)];
+  for (let i = 0; i < Math.min(ka.length, kb.length); i++) {
+    const c = compareValues(ka[i], kb[i]) || compareValues(a[ka[i]], b[kb[i]]);
+    if (c !== 0) return c;
+  }
+  return Math.sign(ka.length - kb.length);
+}
+
+function valuesEqual(a, b) {
+  return compareValues(a, b) === 0;
+}
+
+/**
+ * Every value a dotted path reaches. Arrays along the way fan out over their elements
+ * unless the next part is an index ('ids.1'); a path that reaches nothing yields undefined.
+ */
+function resolvePath(value, parts) {
+  if (parts.length === 0) return [value];
+  if (value === null || value === undefined || typeof value !== 'object' || isAtomic(value)) return [undefined];
+  const [head, ...rest] = parts;
+  if (Array.isArray(value)) {
+    if (/^\d+$/.test(head)) return resolvePath(value[Number(head)], rest);
+    const found = value.filter(isPlainObject).flatMap((el) => resolvePath(el[head], rest)).filter((v) => v !== undefined);
+    return found.length ? found : [undefined];
+  }
+  return resolvePath(value[head], rest);
+}
+
+/** The value at a dotted path, with arrays along the way mapped like an aggregation '$a.b'. */
+function getValue(doc, path) {
+  let value = doc;
+  for (const part of path.split('.')) {
+    if (Array.isArray(value) && !/^\d+$/.test(part)) {
+      value = value.filter(isPlainObject).map((el) => el[part]).filter((v) => v !== undefined);
+    } else if (value !== null && typeof value === 'object' && !isAtomic(value)) {
+      value = value[part];
+    } else {
+      return undefined;
+    }
+  }
+  return value;
+}
+
+function setValue(doc, path, value) {
+  const parts = path.split('.');
+  let target = doc;
+  for (const part of parts.slice(0, -1)) {
+    if (target[part] === null || typeof target[part] !== 'object') target[part] = {};
+    target = target[part];
+  }
+  target[parts[parts.length - 1]] = value;
+}
+
+function unsetValue(doc, path) {
+  const parts = path.split('.');
+  let target = doc;
+  for (const part of parts.slice(0, -1)) {
+    if (target === null || typeof target !== 'object') return;
+    target = target[part];
+  }
+  if (target !== null && typeof target === 'object') delete target[parts[parts.length - 1]];
+}
+
+// --- filters ---
+
+function equalsOrContains(value, target) {
+  if (valuesEqual(value, target)) return true;
+  return Array.isArray(value) && value.some((el) => valuesEqual(el, target));
+}
+
+function testRegex(value, regex) {
+  if (typeof value === 'string') return regex.test(value);
+  return Array.isArray(value) && value.some((el) => testRegex(el, regex));
+}
+
+/** Range operators only match values of the same type, like MongoDB's type brackets. */
+function compareMatch(value, target, test) {
+  const matchOne = (v) => typeRank(v) === typeRank(target) && v !== null && v !== undefined && test(compareValues(v, target));
+  return matchOne(value) || (Array.isArray(value) && value.some(matchOne));
+}
+
+const TYPE_CHECKS = {
+  number: (v) => typeof v === 'number',
+  string: (v) => typeof v === 'string',
+  date: (v) => v instanceof Date,
+};
+
+function matchOperator(values, op, arg, condition) {
+  switch (op) {
+    case '$ne':
+      return !values.some((v) => equalsOrContains(v, arg));
+    case '$gt':
+      return values.some((v) => compareMatch(v, arg, (c) => c > 0));
+    case '$gte':
+      return values.some((v) => compareMatch(v, arg, (c) => c >= 0));
+    case '$lt':
+      return values.some((v) => compareMatch(v, arg, (c) => c < 0));
+    case '$lte':
+      return values.some((v) => compareMatch(v, arg, (c) => c <= 0));
+    case '$in':
+      return arg.some((target) => values.some((v) => equalsOrContains(v, target)));
+    case '$nin':
+      return !arg.some((target) => values.some((v) => equalsOrContains(v, target)));
+    case '$exists':
+      return arg ? values.some((v) => v !== undefined) : values.every((v) => v === undefined);
+    case '$type': {
+      const check = TYPE_CHECKS[arg];
+      if (!check) throw new Error(`Unsupported $type "${arg}"`);
+      return values.some((v) => v !== undefined && (check(v) || (Array.isArray(v) && v.some(check))));
+    }
+    case '$regex':
+      return values.some((v) => testRegex(v, new RegExp(arg, condition.$options || '')));
+    case '$options':
+      return true;
+    case '$elemMatch':
+      return values.some((v) => Array.isArray(v) && v.some((el) => isPlainObject(el) && matches(el, arg)));
+    default:
+      throw new Error(`Unsupported query operator ${op}`);
+  }
+}
+
+function matchCondition(values, condition) {
+  if (isOperatorObject(condition)) {
+    return Object.entries(condition).every(([op, arg]) => matchOperator(values, op, arg, condition));
+  }
+  return values.some((v) => equalsOrContains(v, condition));
+}
+
+/** Whether doc matches a MongoDB filter. */
+function matches(doc, filter = {}) {
+  return Object.entries(filter || {}).every(([key, condition]) => {
+    if (key === '$and') return condition.every((f) => matches(doc, f));
+    if (key === '$or') return condition.some((f) => matches(doc, f));
+    if (key.startsWith('$')) throw new Error(`Unsupported query operator ${key}`);
+    return matchCondition(resolvePath(doc, key.split('.')), condition);
+  });
+}
+
+// --- sort and projection ---
+
+function sortKey(doc, path, direction) {
+  const values = resolvePath(doc, path.split('.')).flatMap((v) => (Array.isArray(v) && v.length ? v : [v]));
+  const present = values.map((v) => (v === undefined ? null : v));
+  return present.reduce((best, v) => (compareValues(v, best) * direction < 0 ? v : best));
+}
+
+/** A sorted copy of docs; ties keep their order, like a stable MongoDB sort. */
+function sortDocuments(docs, sort) {
+  const keys = Object.entries(sort || {}).map(([path, dir]) => [path, dir === -1 || dir === 'desc' || dir === 'descending' ? -1 : 1]);
+  if (!keys.length) return docs.slice();
+  return docs
+    .map((doc) => ({ doc, key: keys.map(([path, dir]) => sortKey(doc, path, dir)) }))
+    .sort((a, b) => {
+      for (let i = 0; i < keys.length; i++) {
+        const c = compareValues(a.key[i], b.key[i]) * keys[i][1];
+        if (c !== 0) return c;
+      }
+      return 0;
+    })
+    .map((entry) => entry.doc);
+}
+
+function pickPath(source, target, parts) {
+  const [head, ...rest] = parts;
+  if (!(head in Object(source))) return;
+  const value = source[head];
+  if (!rest.length) {
+    target[head] = value;
+  } else if (Array.isArray(value)) {
+    target[head] = value.filter(isPlainObject).map((el) => {
+      const picked = {};
+      pickPath(el, picked, rest);
+      return picked;
+    });
+  } else if (isPlainObject(value)) {
+    if (!isPlainObject(target[head])) target[head] = {};
+    pickPath(value, target[head], rest);
+  }
+}
+
+function omitPath(value, parts) {
+  if (Array.isArray(value)) return value.forEach((el) => omitPath(el, parts));
+  if (!isPlainObject(value)) return;
+  const [head, ...rest] = parts;
+  if (rest.length) omitPath(value[head], rest);
+  else delete value[head];
+}
+
+/** Apply a find() projection of 1s (inclusion) or 0s (exclusion); _id stays unless excluded. */
+function project(doc, projection) {
+  const entries = Object.entries(projection || {});
+  if (!entries.length) return doc;
+  const included = entries.filter(([key, v]) => key !== '_id' && v);
+  if (included.length || (entries.length === 1 && projection._id)) {
+    const result = {};
+    if (projection._id === undefined || projection._id) pickPath(doc, result, ['_id']);
+    for (const [key] of included) pickPath(doc, result, key.split('.'));
+    return result;
+  }
+  const result = cloneDocument(doc);
+  for (const [key, v] of entries) if (!v) omitPath(result, key.split('.'));
+  return result;
+}
+
+function cloneDocument(value) {
+  if (Array.isArray(value)) return value.map(cloneDocument);
+  if (value instanceof ObjectId) return new ObjectId(value.toHexString());
+  if (value instanceof Date) return new Date(value.getTime());
+  if (!isPlainObject(value)) return value;
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, cloneDocument(v)]));
+}
+
+// --- updates ---
+
+function eachValues(arg) {
+  return isPlainObject(arg) && Array.isArray(arg.$each) ? arg.$each : [arg];
+}
+
+const UPDATE_OPERATORS = {
+  $set: (doc, path, value) => setValue(doc, path, cloneDocument(value)),
+  $unset: (doc, path) => unsetValue(doc, path),
+  $inc: (doc, path, amount) => setValue(doc, path, (getValue(doc, path) || 0) + amount),
+  $push: (doc, path, arg) => {
+    const current = getValue(doc, path);
+    setValue(doc, path, [...(Array.isArray(current) ? current : []), ...eachValues(arg).map(cloneDocument)]);
+  },
+  // only the { field: value } form: pulls the array elements that are documents matching it
+  $pull: (doc, path, condition) => {
+    const current = getValue(doc, path);
+    if (Array.isArray(current)) setValue(doc, path, current.filter((el) => !(isPlainObject(el) && matches(el, condition))));
+  },
+};
+
+function applyPipelineUpdate(doc, pipeline) {
+  let current = doc;
+  for (const stage of pipeline) {
+    const [[name, spec]] = Object.entries(stage);
+    if (name !== '$set') throw new Error(`Unsupported update stage ${name}`);
+    const next = cloneDocument(current);
+    for (const [path, expr] of Object.entries(spec)) setValue(next, path, evaluate(expr, current));
+    current = next;
+  }
+  return current;
+}
+
+/**
+ * A copy of doc with an update applied: an operator document ({ $set, $inc, ... }) or an
+ * aggregation pipeline of $set stages. $setOnInsert only applies when inserting.
+ */
+function applyUpdate(doc, update, { inserting = false } = {}) {
+  if (Array.isArray(update)) return applyPipelineUpdate(doc, update);
+  const next = cloneDocument(doc);
+  for (const [op, fields] of Object.entries(update)) {
+    if (op === '$setOnInsert') {
+      if (inserting) for (const [path, value] of Object.entries(fields)) UPDATE_OPERATORS.$set(next, path, value);
+      continue;
+    }
+    const apply = UPDATE_OPERATORS[op];
+    if (!apply) throw new Error(`Unsupported update operator ${op}`);
+    for (const [path, value] of Object.entries(fields)) apply(next, path, value);
+  }
+  return next;
+}
+
+/** The document an upsert starts from: the filter's plain equality conditions. */
+function upsertSeed(filter = {}) {
+  const seed = {};
+  for (const [key, condition] of Object.entries(filter)) {
+    if (key === '$and') Object.assign(seed, ...condition.map(upsertSeed));
+    else if (!key.startsWith('$') && !isOperatorObject(condition)) setValue(seed, key, cloneDocument(condition));
+  }
+  return seed;
+}
+
+// --- aggregation ---
+
+function evaluateOperator(op, arg, doc) {
+  const args = () => [].concat(arg).map((a) => evaluate(a, doc));
+  switch (op) {
+    case '$cond': {
+      const [cond, then, otherwise] = arg;
+      return evaluate(cond, doc) ? evaluate(then, doc) : evaluate(otherwise, doc);
+    }
+    case '$ifNull':
+      return args().find((v) => v !== null && v !== undefined) ?? null;
+    case '$gt': {
+      const [a, b] = args();
+      return compareValues(a, b) > 0;
+    }
+    case '$size': {
+      const [value] = args();
+      if (!Array.isArray(value)) throw new Error('$size requires an array');
+      return value.length;
+    }
+    case '$subtract': {
+      const [a, b] = args();
+      return a - b;
+    }
+    case '$mod': {
+      const [a, b] = args();
+      return a % b;
+    }
+    case '$arrayElemAt': {
+      const [array, index] = args();
+      if (!Array.isArray(array)) return null;
+      return array[index < 0 ? array.length + index : index];
+    }
+    default:
+      throw new Error(`Unsupported expression operator ${op}`);
+  }
+}
+
+/** Evaluate an aggregation expression: '$field' paths, literals, objects and operators. */
+function evaluate(expr, doc) {
+  if (typeof expr === 'string' && expr.startsWith('$') && !expr.startsWith('$$')) return getValue(doc, expr.slice(1));
+  if (Array.isArray(expr)) return expr.map((e) => evaluate(e, doc));
+  if (isPlainObject(expr)) {
+    const keys = Object.keys(expr);
+    if (keys.length === 1 && keys[0].startsWith('$')) return evaluateOperator(keys[0], expr[keys[0]], doc);
+    return Object.fromEntries(keys.map((k) => [k, evaluate(expr[k], doc)]));
+  }
+  return expr;
+}
+
+function accumulate(docs, spec) {
+  const result = {};
+  for (const [field, accumulator] of Object.entries(spec)) {
+    const [[op, expr]] = Object.entries(accumulator);
+    const values = docs.map((doc) => evaluate(expr, doc));
+    const numbers = values.filter((v) => typeof v === 'number');
+    switch (op) {
+      case '$sum':
+        result[field] = numbers.reduce((sum, v) => sum + v, 0);
+        break;
+      case '$avg':
+        result[field] = numbers.length ? numbers.reduce((sum, v) => sum + v, 0) / numbers.length : null;
+        break;
+      case '$push':
+        result[field] = values.filter((v) => v !== undefined);
+        break;
+      default:
+        throw new Error(`Unsupported accumulator ${op}`);
+    }
+  }
+  return result;
+}
+
+function groupStage(docs, { _id: key, ...spec }) {
+  const groups = new Map();
+  for (const doc of docs) {
+    let id = evaluate(key, doc);
+    if (id === undefined) id = null;
+    const groupKey = JSON.stringify([typeRank(id), id instanceof ObjectId ? id.toHexString() : id]);
+    if (!groups.has(groupKey)) groups.set(groupKey, { id, docs: [] });
+    groups.get(groupKey).docs.push(doc);
+  }
+  return Array.from(groups.values(), (group) => ({ _id: group.id, ...accumulate(group.docs, spec) }));
+}
+
+function bucketStage(docs, { groupBy, boundaries, default: fallback, output = { count: { $sum: 1 } } }) {
+  const buckets = boundaries.slice(0, -1).map((lower) => ({ id: lower, docs: [] }));
+  const other = { id: fallback, docs: [] };
+  for (const doc of docs) {
+    const value = evaluate(groupBy, doc);
+    const i = buckets.findIndex(
+      (b, n) => typeRank(value) === typeRank(b.id) && compareValues(value, b.id) >= 0 && compareValues(value, boundaries[n + 1]) < 0
+    );
+    if (i !== -1) buckets[i].docs.push(doc);
+    else if (fallback === undefined) throw new Error('$bucket found a value outside its boundaries and no default');
+    else other.docs.push(doc);
+  }
+  return [...buckets, other].filter((b) => b.docs.length).map((b) => ({ _id: b.id, ...accumulate(b.docs, output) }));
+}
+
+function projectStage(docs, spec) {
+  const entries = Object.entries(spec);
+  const computed = entries.filter(([key, v]) => key !== '_id' && typeof v !== 'number' && typeof v !== 'boolean');
+  if (!computed.length && !(spec._id !== undefined && typeof spec._id !== 'number' && typeof spec._id !== 'boolean')) {
+    return docs.map((doc) => project(doc, spec));
+  }
+  return docs.map((doc) => {
+    const result = {};
+    if (spec._id === undefined || spec._id === 1 || spec._id === true) pickPath(doc, result, ['_id']);
+    else if (spec._id !== 0 && spec._id !== false) result._id = evaluate(spec._id, doc);
+    for (const [key, v] of entries) {
+      if (key === '_id') continue;
+      if (v === 1 || v === true) pickPath(doc, result, key.split('.'));
+      else if (v !== 0 && v !== false) setValue(result, key, evaluate(v, doc));
+    }
+    return result;
+  });
+}
+
+/** $unwind in its '$field' form: documents whose field is missing, null or [] are dropped. */
+function unwindStage(docs, path) {
+  const field = path.slice(1);
+  return docs.flatMap((doc) => {
+    const value = getValue(doc, field);
+    if (Array.isArray(value) && value.length) {
+      return value.map((el) => {
+        const copy = cloneDocument(doc);
+        setValue(copy, field, el);
+        return copy;
+      });
+    }
+    return Array.isArray(value) || value === null || value === undefined ? [] : [doc];
+  });
+}
+
+/** Run an aggregation pipeline over docs. */
+function runPipeline(docs, pipeline) {
+  return pipeline.reduce((current, stage) => {
+    const [[name, spec]] = Object.entries(stage);
+    switch (name) {
+      case '$match':
+        return current.filter((doc) => matches(doc, spec));
+      case '$project':
+        return projectStage(current, spec);
+      case '$unwind':
+        return unwindStage(current, spec);
+      case '$group':
+        return groupStage(current, spec);
+      case '$bucket':
+        return bucketStage(current, spec);
+      case '$sort':
+        return sortDocuments(current, spec);
+      case '$facet':
+        return [Object.fromEntries(Object.entries(spec).map(([key, sub]) => [key, runPipeline(current, sub)]))];
+      default:
+        throw new Error(`Unsupported aggregation stage ${name}`);
+    }
+  }, docs);
+}
+
+module.exports = {
+  isPlainObject,
+  compareValues,
+  valuesEqual,
+  getValue,
+  matches,
+  sortDocuments,
+  project,
+  applyUpdate,
+  upsertSeed,
+  evaluate,
+  runPipeline,
+  cloneDocument,
+};
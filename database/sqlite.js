@@ -0,0 +1,619 @@
+const path = require('path');
+const Database = require('better-sqlite3');
+const { ObjectId, BSON } = require('mongodb');
+const { isPlainObject, matches, sortDocuments, project, applyUpdate, upsertSeed, runPipeline, getValue, valuesEqual } = require('./query');
+
+const { EJSON } = BSON;
+const DEFAULT_SQLITE_PATH = path.join(__dirname, 'mymovie.sqlite');
+// expired documents are swept on access, at most this often per collection
+const TTL_SWEEP_MS = 60 * 1000;
+// each collection is the table `docs:<name>`, and its index `<index>` is `docs:<name>:<index>`
+const TABLE_PREFIX = 'docs:';
+// $type names a partialFilterExpression may use, as json_type() reports them
+const JSON_TYPES = { string: ['text'], number: ['integer', 'real'], int: ['integer'], double: ['real'], bool: ['true', 'false'], array: ['array'] };
+
+// Documents are stored as Extended JSON, so ObjectIds and dates survive the round trip.
+// Every index is also a SQLite index over the JSON of its fields: equality and $in filters
+// are answered through it, and SQLite enforces unique keys. The specs are kept alongside,
+// with a multikey flag set once an indexed field holds an array; SQLite compares arrays
+// whole, so such an index is no longer used for lookups.
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS indexes (
+    collection TEXT NOT NULL,
+    name TEXT NOT NULL,
+    spec TEXT NOT NULL,
+    multikey INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (collection, name)
+  );
+`;
+
+let connection;
+let db;
+
+const encode = (value) => EJSON.stringify(value, { relaxed: true });
+const decode = (text) => EJSON.parse(text, { relaxed: true });
+const quote = (identifier) => `"${identifier.replace(/"/g, '""')}"`;
+const literal = (text) => `'${text.replace(/'/g, "''")}'`;
+
+function mongoError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function indexName(key) {
+  return Object.entries(key)
+    .map(([field, dir]) => `${field}_${dir}`)
+    .join('_');
+}
+
+/** A dotted field as a quoted JSON path literal, e.g. 'credits.personId' → '$."credits"."personId"'. */
+function jsonPath(field) {
+  return literal('$' + field.split('.').map((part) => `."${part.replace(/"/g, '\\"')}"`).join(''));
+}
+
+/** The SQL index key for a field: its JSON text, with a missing field keyed like null as MongoDB does. */
+function keyExpression(field) {
+  return `coalesce(body -> ${jsonPath(field)}, 'null')`;
+}
+
+const isScalar = (value) =>
+  value === null || ['string', 'number', 'boolean'].includes(typeof value) || value instanceof ObjectId || value instanceof Date;
+
+/** Whether a field of doc is an array or lies under one, which makes an index on it multikey. */
+function throughArray(doc, field) {
+  let value = doc;
+  for (const part of field.split('.')) {
+    if (value === null || typeof value !== 'object') return false;
+    value = value[part];
+    if (Array.isArray(value)) return true;
+  }
+  return false;
+}
+
+/** The values a filter pins field to by equality or $in, or null when it doesn't pin it. */
+function pinnedValues(filter, field) {
+  if (!Object.hasOwn(filter, field)) return null;
+  const condition = filter[field];
+  if (isScalar(condition)) return [condition];
+  if (!isPlainObject(condition) || Object.keys(condition).length !== 1) return null;
+  if (Array.isArray(condition.$in) && condition.$in.every(isScalar)) return condition.$in;
+  return null;
+}
+
+/** The SQL condition of a partialFilterExpression; only the forms the indexes here use. */
+function partialCondition(filter) {
+  return Object.entries(filter)
+    .map(([field, condition]) => {
+      if (isScalar(condition)) return `${keyExpression(field)} = json(${literal(encode(condition))})`;
+      const [operator, operand] = Object.entries(condition)[0] || [];
+      if (Object.keys(condition).length === 1 && operator === '$type' && JSON_TYPES[operand]) {
+        return `json_type(body, ${jsonPath(field)}) IN (${JSON_TYPES[operand].map(literal).join(', ')})`;
+      }
+      if (Object.keys(condition).length === 1 && operator === '$exists') return `body -> ${jsonPath(field)} IS ${operand ? 'NOT ' : ''}NULL`;
+      throw new Error(`Unsupported partialFilterExpression on ${field}`);
+    })
+    .join(' AND ');
+}
+
+/** Whether every document the filter's pinned values match also falls in the partial index. */
+function coversPartial(filter, partial) {
+  return Object.entries(partial).every(([field, condition]) => {
+    const values = pinnedValues(filter, field);
+    if (!values) return false;
+    if (isScalar(condition)) return values.every((v) => valuesEqual(v, condition));
+    if (condition.$type === 'string') return values.every((v) => typeof v === 'string');
+    if (condition.$exists === true) return values.every((v) => v !== null);
+    return false;
+  });
+}
+
+/** A cursor over a query that runs when read; sort, skip, limit and project chain like MongoDB's. */
+function createCursor(run, options = {}) {
+  const state = { ...options };
+  let buffer = null;
+  const load = () => (buffer ||= run(state));
+  const cursor = {
+    sort(sort) {
+      state.sort = sort;
+      return cursor;
+    },
+    skip(n) {
+      state.skip = n;
+      return cursor;
+    },
+    limit(n) {
+      state.limit = n;
+      return cursor;
+    },
+    project(projection) {
+      state.projection = projection;
+      return cursor;
+    },
+    batchSize() {
+      return cursor;
+    },
+    map(fn) {
+      const previous = state.map;
+      state.map = previous ? (doc) => fn(previous(doc)) : fn;
+      return cursor;
+    },
+    async toArray() {
+      const docs = load();
+      buffer = [];
+      return docs;
+    },
+    async hasNext() {
+      return load().length > 0;
+    },
+    async next() {
+      return load().shift() ?? null;
+    },
+    async close() {
+      buffer = [];
+    },
+    async *[Symbol.asyncIterator]() {
+      const docs = load();
+      while (docs.length) yield docs.shift();
+    },
+  };
+  return cursor;
+}
+
+function createCollection(store, name) {
+  const { connection: sql } = store;
+  const tableName = TABLE_PREFIX + name;
+  const table = quote(tableName);
+  const sqlIndexName = (indexNameValue) => `${tableName}:${indexNameValue}`;
+  const meta = {
+    indexes: sql.prepare('SELECT name, spec, multikey FROM indexes WHERE collection = ? ORDER BY rowid'),
+    addIndex: sql.prepare('INSERT OR REPLACE INTO indexes (collection, name, spec, multikey) VALUES (?, ?, ?, ?)'),
+    setMultikey: sql.prepare('UPDATE indexes SET multikey = 1 WHERE collection = ? AND name = ?'),
+    dropIndex: sql.prepare('DELETE FROM indexes WHERE collection = ? AND name = ?'),
+    dropAll: sql.prepare('DELETE FROM indexes WHERE collection = ?'),
+  };
+  let statements = null;
+  let indexCache = null;
+  let lastSweep = 0;
+
+  const idKey = (id) => encode(id);
+  const indexes = () =>
+    (indexCache ||= meta.indexes.all(name).map((row) => ({ name: row.name, ...JSON.parse(row.spec), multikey: !!row.multikey })));
+
+  /**
+   * Whether the collection's table exists; with create, make it first. Like MongoDB, a
+   * collection comes into being on its first write or index.
+   */
+  function ready(create = false) {
+    if (statements) return true;
+    const exists = sql.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(tableName);
+    if (!exists && !create) return false;
+    sql.exec(`CREATE TABLE IF NOT EXISTS ${table} (seq INTEGER PRIMARY KEY AUTOINCREMENT, id TEXT NOT NULL UNIQUE, body TEXT NOT NULL)`);
+    statements = {
+      all: sql.prepare(`SELECT body FROM ${table} ORDER BY seq`),
+      count: sql.prepare(`SELECT count(*) FROM ${table}`).pluck(),
+      insert: sql.prepare(`INSERT INTO ${table} (id, body) VALUES (?, ?)`),
+      update: sql.prepare(`UPDATE ${table} SET body = ? WHERE id = ?`),
+      remove: sql.prepare(`DELETE FROM ${table} WHERE id = ?`),
+    };
+    return true;
+  }
+
+  function duplicateKey(indexNameValue, key) {
+    return mongoError(`E11000 duplicate key error collection: ${store.databaseName}.${name} index: ${indexNameValue} dup key: ${key}`, 11000);
+  }
+
+  /** Run a write for doc, turning SQLite's UNIQUE failures into MongoDB's E11000. */
+  function write(statement, params, doc) {
+    try {
+      return statement.run(...params);
+    } catch (err) {
+      if (err.code !== 'SQLITE_CONSTRAINT_UNIQUE') throw err;
+      const [, violated] = /index '([^']+)'/.exec(err.message) || [];
+      const index = violated && indexes().find((i) => sqlIndexName(i.name) === violated);
+      if (!index) throw duplicateKey('_id_', idKey(doc._id));
+      throw duplicateKey(index.name, encode(Object.keys(index.key).map((field) => getValue(doc, field) ?? null)));
+    }
+  }
+
+  /** Flag the indexes doc turns multikey, so lookups stop going through them. */
+  function noteMultikey(doc) {
+    for (const index of indexes()) {
+      if (index.multikey || !Object.keys(index.key).some((field) => throughArray(doc, field))) continue;
+      meta.setMultikey.run(name, index.name);
+      index.multikey = true;
+    }
+  }
+
+  function sweepExpired() {
+    const now = Date.now();
+    if (now - lastSweep < TTL_SWEEP_MS) return;
+    lastSweep = now;
+    for (const index of indexes().filter((i) => i.expireAfterSeconds !== undefined)) {
+      // relaxed Extended JSON writes dates as ISO strings, which compare in time order
+      const [field] = Object.keys(index.key);
+      const cutoff = new Date(now - index.expireAfterSeconds * 1000).toISOString();
+      sql.prepare(`DELETE FROM ${table} WHERE json_extract(body, ${jsonPath(`${field}.$date`)}) <= ?`).run(cutoff);
+    }
+  }
+
+  /**
+   * The SQL condition that narrows filter through an index: the one whose leading fields
+   * the filter pins by equality or $in the furthest, _id included. Null when none helps.
+   */
+  function lookup(filter) {
+    let best = null;
+    for (const index of [{ key: { _id: 1 } }, ...indexes()]) {
+      if (index.multikey || index.sparse) continue;
+      if (index.partialFilterExpression && !coversPartial(filter, index.partialFilterExpression)) continue;
+      const pinned = [];
+      for (const field of Object.keys(index.key)) {
+        const values = pinnedValues(filter, field);
+        if (!values) break;
+        pinned.push([field, values]);
+      }
+      if (pinned.length > (best ? best.pinned.length : 0)) best = { index, pinned };
+    }
+    if (!best) return null;
+
+    const params = [];
+    const conditions = best.pinned.map(([field, values]) => {
+      const isId = field === '_id' && !best.index.name;
+      params.push(...values.map((v) => (isId ? idKey(v) : encode(v))));
+      const placeholders = values.map(() => (isId ? '?' : 'json(?)')).join(', ');
+      return `${isId ? 'id' : keyExpression(field)} IN (${placeholders})`;
+    });
+    // repeating the partial condition lets SQLite pick the partial index
+    if (best.index.partialFilterExpression) conditions.push(partialCondition(best.index.partialFilterExpression));
+    return { where: conditions.join(' AND '), params };
+  }
+
+  /** Documents that may match filter, in insertion order: found through an index when one applies. */
+  function candidates(filter = {}) {
+    if (!ready()) return [];
+    sweepExpired();
+    const plan = lookup(filter);
+    const rows = plan
+      ? sql.prepare(`SELECT body FROM ${table} WHERE ${plan.where} ORDER BY seq`).all(...plan.params)
+      : statements.all.all();
+    return rows.map((row) => decode(row.body));
+  }
+
+  function findDocuments(filter, { sort, skip = 0, limit = 0, projection, map } = {}) {
+    let docs = candidates(filter).filter((doc) => matches(doc, filter));
+    if (sort) docs = sortDocuments(docs, sort);
+    if (skip) docs = docs.slice(skip);
+    if (limit) docs = docs.slice(0, Math.abs(limit));
+    docs = docs.map((doc) => project(doc, projection));
+    return map ? docs.map(map) : docs;
+  }
+
+  function insertDocument(doc) {
+    // like the driver, a missing _id is generated on the caller's document; it is stored first
+    if (doc._id === undefined) doc._id = new ObjectId();
+    ready(true);
+    noteMultikey(doc);
+    write(statements.insert, [idKey(doc._id), encode({ _id: doc._id, ...doc })], doc);
+    return doc._id;
+  }
+
+  function replaceDocument(before, after) {
+    if (!valuesEqual(before._id, after._id)) throw mongoError("Performing an update on the path '_id' would modify the immutable field '_id'", 66);
+    const body = encode(after);
+    if (body === encode(before)) return false;
+    noteMultikey(after);
+    write(statements.update, [body, idKey(before._id)], after);
+    return true;
+  }
+
+  /** Build the SQLite index for an index spec; existing documents with a repeated unique key fail it with E11000. */
+  function buildIndex(indexNameValue, spec) {
+    const fields = Object.keys(spec.key);
+    const conditions = [];
+    if (spec.partialFilterExpression) conditions.push(partialCondition(spec.partialFilterExpression));
+    if (spec.sparse) conditions.push(`(${fields.map((field) => `body -> ${jsonPath(field)} IS NOT NULL`).join(' OR ')})`);
+    const where = conditions.length ? ` WHERE ${conditions.join(' AND ')}` : '';
+    const columns = fields.map(keyExpression).join(', ');
+    try {
+      sql.exec(`CREATE ${spec.unique ? 'UNIQUE ' : ''}INDEX ${quote(sqlIndexName(indexNameValue))} ON ${table} (${columns})${where}`);
+    } catch (err) {
+      if (err.code !== 'SQLITE_CONSTRAINT_UNIQUE') throw err;
+      const repeated = sql.prepare(`SELECT ${columns} FROM ${table}${where} GROUP BY ${columns} HAVING count(*) > 1 LIMIT 1`).raw().get();
+      throw duplicateKey(indexNameValue, `[${repeated.join(',')}]`);
+    }
+    const arrays = fields.flatMap((field) => field.split('.').map((_, i, parts) => parts.slice(0, i + 1).join('.')));
+    const multikey = sql.prepare(`SELECT 1 FROM ${table} WHERE ${arrays.map((p) => `json_type(body, ${jsonPath(p)}) = 'array'`).join(' OR ')} LIMIT 1`).get();
+    meta.addIndex.run(name, indexNameValue, JSON.stringify(spec), multikey ? 1 : 0);
+  }
+
+  function upsertDocument(filter, update) {
+    const doc = applyUpdate(upsertSeed(filter), update, { inserting: true });
+    return insertDocument(doc);
+  }
+
+  function updateDocuments(filter, update, { upsert = false, many = false, sort } = {}) {
+    let docs = candidates(filter).filter((doc) => matches(doc, filter));
+    if (sort) docs = sortDocuments(docs, sort);
+    if (!many) docs = docs.slice(0, 1);
+    if (!docs.length && upsert) {
+      const upsertedId = upsertDocument(filter, update);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId };
+    }
+    let modifiedCount = 0;
+    for (const doc of docs) if (replaceDocument(doc, applyUpdate(doc, update))) modifiedCount++;
+    return { acknowledged: true, matchedCount: docs.length, modifiedCount, upsertedCount: 0, upsertedId: null };
+  }
+
+  function deleteDocuments(filter, { many = false } = {}) {
+    let docs = candidates(filter).filter((doc) => matches(doc, filter));
+    if (!many) docs = docs.slice(0, 1);
+    for (const doc of docs) statements.remove.run(idKey(doc._id));
+    return { acknowledged: true, deletedCount: docs.length };
+  }
+
+  const transaction = (fn) => sql.transaction(fn);
+
+  const collection = {
+    collectionName: name,
+
+    find(filter = {}, options = {}) {
+      return createCursor((state) => findDocuments(filter, state), options);
+    },
+
+    async findOne(filter = {}, options = {}) {
+      return findDocuments(filter, { ...options, limit: 1 })[0] ?? null;
+    },
+
+    async countDocuments(filter = {}, { skip, limit } = {}) {
+      if (!Object.keys(filter).length && !skip && !limit) {
+        if (!ready()) return 0;
+        sweepExpired();
+        return statements.count.get();
+      }
+      return findDocuments(filter, { skip, limit }).length;
+    },
+
+    async distinct(field, filter = {}) {
+      const values = [];
+      for (const doc of findDocuments(filter)) {
+        const value = getValue(doc, field);
+        for (const v of Array.isArray(value) ? value : [value]) {
+          if (v !== undefined && !values.some((seen) => valuesEqual(seen, v))) values.push(v);
+        }
+      }
+      return values;
+    },
+
+    async insertOne(doc) {
+      return { acknowledged: true, insertedId: insertDocument(doc) };
+    },
+
+    async insertMany(docs) {
+      const insertedIds = transaction(() => Object.fromEntries(docs.map((doc, i) => [i, insertDocument(doc)])))();
+      return { acknowledged: true, insertedCount: docs.length, insertedIds };
+    },
+
+    async updateOne(filter, update, options = {}) {
+      return transaction(() => updateDocuments(filter, update, options))();
+    },
+
+    async updateMany(filter, update, options = {}) {
+      return transaction(() => updateDocuments(filter, update, { ...options, many: true }))();
+    },
+
+    async replaceOne(filter, replacement, { upsert = false } = {}) {
+      return transaction(() => {
+        const [doc] = candidates(filter).filter((d) => matches(d, filter));
+        if (doc) {
+          const modified = replaceDocument(doc, { _id: doc._id, ...replacement });
+          return { acknowledged: true, matchedCount: 1, modifiedCount: modified ? 1 : 0, upsertedCount: 0, upsertedId: null };
+        }
+        if (!upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+        const upsertedId = insertDocument({ ...upsertSeed(filter), ...replacement });
+        return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId };
+      })();
+    },
+
+    async findOneAndUpdate(filter, update, { returnDocument = 'before', upsert = false, projection, sort } = {}) {
+      return transaction(() => {
+        const [doc] = sortDocuments(candidates(filter).filter((d) => matches(d, filter)), sort);
+        if (!doc) {
+          if (!upsert) return null;
+          const _id = upsertDocument(filter, update);
+          return returnDocument === 'after' ? findDocuments({ _id }, { projection })[0] : null;
+        }
+        const next = applyUpdate(doc, update);
+        replaceDocument(doc, next);
+        return project(returnDocument === 'after' ? next : doc, projection);
+      })();
+    },
+
+    async findOneAndDelete(filter, { projection, sort } = {}) {
+      const [doc] = sortDocuments(candidates(filter).filter((d) => matches(d, filter)), sort);
+      if (!doc) return null;
+      statements.remove.run(idKey(doc._id));
+      return project(doc, projection);
+    },
+
+    async deleteOne(filter = {}) {
+      return deleteDocuments(filter);
+    },
+
+    async deleteMany(filter = {}) {
+      return transaction(() => deleteDocuments(filter, { many: true }))();
+    },
+
+    /** All operations run in one transaction, so any error rolls the whole batch back. */
+    async bulkWrite(operations) {
+      return transaction(() => {
+        const result = { insertedCount: 0, matchedCount: 0, modifiedCount: 0, deletedCount: 0, upsertedCount: 0, insertedIds: {}, upsertedIds: {} };
+        operations.forEach((operation, i) => {
+          const [[type, op]] = Object.entries(operation);
+          if (type === 'insertOne') {
+            result.insertedIds[i] = insertDocument(op.document);
+            result.insertedCount++;
+            return;
+          }
+          if (type === 'deleteOne' || type === 'deleteMany') {
+            result.deletedCount += deleteDocuments(op.filter, { many: type === 'deleteMany' }).deletedCount;
+            return;
+          }
+          if (type !== 'updateOne' && type !== 'updateMany' && type !== 'replaceOne') throw new Error(`Unsupported bulk operation ${type}`);
+          const update = type === 'replaceOne' ? { $set: op.replacement } : op.update;
+          const r = updateDocuments(op.filter, update, { upsert: op.upsert, many: type === 'updateMany' });
+          result.matchedCount += r.matchedCount;
+          result.modifiedCount += r.modifiedCount;
+          if (r.upsertedId !== null) {
+            result.upsertedIds[i] = r.upsertedId;
+            result.upsertedCount++;
+          }
+        });
+        return { acknowledged: true, ...result };
+      })();
+    },
+
+    aggregate(pipeline = []) {
+      // a leading $match narrows the scan like any find
+      const [first] = pipeline;
+      return createCursor(() => runPipeline(candidates(first && first.$match), pipeline));
+    },
+
+    async createIndex(key, options = {}) {
+      const { name: requested, ...spec } = { key, ...options };
+      const indexNameValue = requested || indexName(key);
+      const existing = indexes().find((i) => i.name === indexNameValue);
+      if (existing) {
+        const { name: _name, multikey: _multikey, ...current } = existing;
+        if (JSON.stringify(current) === JSON.stringify(spec)) return indexNameValue;
+      }
+      transaction(() => {
+        ready(true);
+        if (existing) sql.exec(`DROP INDEX IF EXISTS ${quote(sqlIndexName(indexNameValue))}`);
+        buildIndex(indexNameValue, spec);
+      })();
+      indexCache = null;
+      return indexNameValue;
+    },
+
+    async indexes() {
+      return [
+        { v: 2, key: { _id: 1 }, name: '_id_' },
+        ...indexes().map(({ name: n, multikey: _multikey, ...spec }) => ({ v: 2, ...spec, name: n })),
+      ];
+    },
+
+    async dropIndex(indexNameToDrop) {
+      transaction(() => {
+        if (!meta.dropIndex.run(name, indexNameToDrop).changes) throw mongoError(`index not found with name [${indexNameToDrop}]`, 27);
+        sql.exec(`DROP INDEX IF EXISTS ${quote(sqlIndexName(indexNameToDrop))}`);
+      })();
+      indexCache = null;
+      return { ok: 1 };
+    },
+
+    async drop() {
+      transaction(() => {
+        sql.exec(`DROP TABLE IF EXISTS ${table}`);
+        meta.dropAll.run(name);
+      })();
+      statements = null;
+      indexCache = null;
+      return true;
+    },
+  };
+  return collection;
+}
+
+/**
+ * A MongoDB-like Db over a better-sqlite3 connection: the collection API subset the models,
+ * services and migrations use, with the same results and E11000 errors.
+ */
+function createSqliteDb(sql, databaseName = 'mymovie') {
+  sql.exec(SCHEMA);
+  const store = { connection: sql, databaseName };
+  const collections = new Map();
+  const tables = () =>
+    sql
+      .prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND substr(name, 1, ?) = ? ORDER BY name")
+      .pluck()
+      .all(TABLE_PREFIX.length, TABLE_PREFIX);
+  return {
+    databaseName,
+    collection(name) {
+      if (!collections.has(name)) collections.set(name, createCollection(store, name));
+      return collections.get(name);
+    },
+    listCollections() {
+      const names = tables().map((table) => table.slice(TABLE_PREFIX.length));
+      return createCursor(() => names.map((name) => ({ name, type: 'collection' })));
+    },
+    async dropDatabase() {
+      sql.transaction(() => {
+        for (const table of tables()) sql.exec(`DROP TABLE ${quote(table)}`);
+        sql.exec('DELETE FROM indexes');
+      })();
+      collections.clear();
+      return true;
+    },
+  };
+}
+
+/**
+ * Movies from the prototype's `movies(id, title, description, genre, year)` table, which
+ * database/movies.db still has. They are copied into the movies collection the first time
+ * such a file is opened as a document store.
+ */
+async function importLegacyMovies(sql, target) {
+  const columns = sql.prepare("SELECT name FROM pragma_table_info('movies')").pluck().all();
+  if (!['title', 'genre', 'year'].every((c) => columns.includes(c))) return 0;
+  const createdAt = new Date();
+  const movies = sql
+    .prepare('SELECT title, description, genre, year FROM movies ORDER BY id')
+    .all()
+    .map((row) => ({
+      title: row.title,
+      description: row.description || '',
+      genres: String(row.genre || '').split(',').map((g) => g.trim()).filter(Boolean),
+      year: row.year,
+      createdAt,
+    }));
+  if (movies.length) await target.collection('movies').insertMany(movies);
+  return movies.length;
+}
+
+/**
+ * Open (or create) the SQLite file once and reuse it. filePath defaults to SQLITE_PATH,
+ * then database/mymovie.sqlite; tests pass ':memory:'.
+ */
+async function connectToSqlite({ path: filePath, dbName } = {}) {
+  if (db) return db;
+  const file = filePath || process.env.SQLITE_PATH || DEFAULT_SQLITE_PATH;
+  try {
+    connection = new Database(file);
+    connection.pragma('journal_mode = WAL');
+    const fresh = !connection.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'indexes'").get();
+    db = createSqliteDb(connection, dbName || 'mymovie');
+    if (fresh) {
+      const imported = await importLegacyMovies(connection, db);
+      if (imported) console.log(`Imported ${imported} movies from the legacy movies table`);
+    }
+    console.log(`Opened SQLite database ${file}`);
+  } catch (err) {
+    console.error('Failed to open SQLite database', err);
+    if (connection) connection.close();
+    connection = undefined;
+    db = undefined;
+    throw new Error('Database connection failed');
+  }
+  return db;
+}
+
+/** Close the file so the process can exit; connectToSqlite can be called again after. */
+function closeSqlite() {
+  const current = connection;
+  db = undefined;
+  connection = undefined;
+  if (current) current.close();
+}
+
+module.exports = { connectToSqlite, closeSqlite, createSqliteDb, DEFAULT_SQLITE_PATH };
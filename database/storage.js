@@ -0,0 +1,48 @@
+const mongo = require('./mongo');
+const sqlite = require('./sqlite');
+
+const STORAGE_BACKENDS = ['mongo', 'sqlite'];
+
+let active = null;
+
+/** The backend named by STORAGE (mongo or sqlite), mongo when unset. */
+function storageBackend(env = process.env) {
+  const backend = String(env.STORAGE || 'mongo').trim().toLowerCase();
+  if (!STORAGE_BACKENDS.includes(backend)) {
+    throw new Error(`STORAGE must be one of ${STORAGE_BACKENDS.join(', ')}, got "${env.STORAGE}"`);
+  }
+  return backend;
+}
+
+/**
+ * Connect a backend once and make it the one getDb() returns. MongoDB takes uri and dbName
+ * (MONGO_URI, MONGO_DB_NAME); SQLite takes path (SQLITE_PATH). Either way the models get a
+ * Db with the same collection API.
+ */
+async function connectStorage({ backend = storageBackend(), ...options } = {}) {
+  if (active) return active.db;
+  const db = backend === 'sqlite' ? await sqlite.connectToSqlite(options) : await mongo.connectToDb(options);
+  active = { backend, db };
+  return db;
+}
+
+function getDb() {
+  if (!active) throw new Error('Database not initialized');
+  return active.db;
+}
+
+/** The connected backend's name, or null before connectStorage(). */
+function activeBackend() {
+  return active ? active.backend : null;
+}
+
+/** Close the connection so the process can exit; connectStorage can be called again after. */
+async function closeStorage() {
+  const current = active;
+  active = null;
+  if (!current) return;
+  if (current.backend === 'sqlite') sqlite.closeSqlite();
+  else await mongo.closeDb();
+}
+
+module.exports = { STORAGE_BACKENDS, storageBackend, connectStorage, getDb, activeBackend, closeStorage };
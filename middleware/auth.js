@@ -1,3 +1,50 @@
+const { ObjectId } = require('mongodb');
+const { usersCollection } = require('../models/user');
+const { findActiveToken, tokenAllows, recordUsage } = require('../services/apiTokens');
+
+/**
+ * Authenticate `Authorization: Bearer <token>` requests. A valid token stands in for the
+ * cookie session: req.session becomes a plain, never-saved object holding the token
+ * owner, so requireAuth/requireAdmin and the controllers work unchanged. Mount before
+ * the session middleware, which skips requests flagged with req.apiToken.
+ */
+async function authenticateToken(req, res, next) {
+  const header = req.get('authorization');
+  if (!header || !/^Bearer\s/i.test(header)) return next();
+
+  try {
+    const token = await findActiveToken(header.replace(/^Bearer\s+/i, '').trim());
+    const user =
+      token && ObjectId.isValid(token.userId)
+        ? await usersCollection().findOne({ _id: new ObjectId(token.userId) }, { projection: { username: 1, role: 1, disabled: 1 } })
+        : null;
+    if (!user || user.disabled) {
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return res.status(401).json({ message: 'Invalid API token' });
+    }
+
+    const role = user.role === 'admin' ? 'admin' : 'user';
+    if (!tokenAllows(req, token.scopes, role)) {
+      res.set('WWW-Authenticate', 'Bearer error="insufficient_scope"');
+      return res.status(403).json({ message: 'API token does not allow this request' });
+    }
+
+    recordUsage(token._id, req.ip);
+    req.apiToken = { id: token._id.toString(), scopes: token.scopes };
+    req.session = { user: { id: user._id.toString(), username: user.username, role } };
+    next();
+  } catch (err) {
+    console.error('token auth error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+/** Reject API token requests; for endpoints that must stay tied to a browser session. */
+function requireSession(req, res, next) {
+  if (req.apiToken) return res.status(403).json({ message: 'Not available with an API token' });
+  next();
+}
+
 function requireAuth(req, res, next) {
   if (req.session && req.session.user) {
     return next();
@@ -12,4 +59,25 @@ function requireAdmin(req, res, next) {
   res.status(403).json({ message: 'Forbidden' });
 }
 
-module.exports = { requireAuth, requireAdmin };
+/**
+ * Block writes from accounts whose email is still unverified. Checked against the users
+ * collection so a link confirmed in another browser takes effect at once. Use after requireAuth.
+ */
+async function requireVerified(req, res, next) {
+  try {
+    const { id } = req.session.user;
+    const user = ObjectId.isValid(id)
+      ? await usersCollection().findOne({ _id: new ObjectId(id) }, { projection: { emailVerified: 1 } })
+      : null;
+    if (!user) return res.status(401).json({ message: 'Unauthorized' });
+    if (user.emailVerified === false) {
+      return res.status(403).json({ message: 'Verify your email address first' });
+    }
+    next();
+  } catch (err) {
+    console.error('verified check error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+module.exports = { authenticateToken, requireSession, requireAuth, requireAdmin, requireVerified };
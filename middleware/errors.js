@@ -0,0 +1,80 @@
+const CODES_BY_STATUS = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  415: 'unsupported_media_type',
+  429: 'rate_limited',
+  500: 'internal_error',
+};
+
+/** Leading field path of messages like "year must be ..." or "credits[0].role is ...". */
+const FIELD_PATTERN = /^([a-z_$][\w$]*(?:\[\d+\])?(?:\.[a-z_$][\w$]*(?:\[\d+\])?)*) (?:must|is|are|should)\b/;
+
+function fieldFromMessage(message) {
+  const match = FIELD_PATTERN.exec(String(message));
+  return match ? match[1] : null;
+}
+
+/**
+ * The one error shape every API route answers with:
+ * { status, code, message, details? } where details is [{ in?, field, message }].
+ */
+function errorBody(status, message, details) {
+  const body = {
+    status,
+    code: details && details.length ? 'validation_error' : CODES_BY_STATUS[status] || (status >= 500 ? 'internal_error' : 'error'),
+    message: message || 'Error',
+  };
+  if (details && details.length) body.details = details;
+  return body;
+}
+
+function sendError(res, status, message, details) {
+  return res.status(status).json(errorBody(status, message, details));
+}
+
+/**
+ * Convert the older { error }, { message } and { message, errors: [...] } bodies into the
+ * envelope. Extra keys (e.g. a partial import report) are kept.
+ */
+function normalizeErrorBody(status, body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return errorBody(status, typeof body === 'string' ? body : null);
+  if (typeof body.code === 'string' && body.status === status) return body;
+  const { error, message, errors, details, ...rest } = body;
+  let list = details;
+  if (!list && Array.isArray(errors)) {
+    list = errors.map((e) => (typeof e === 'string' ? { field: fieldFromMessage(e), message: e } : e));
+  }
+  const text = list && list.length ? message || 'Validation error' : message || error;
+  return { ...rest, ...errorBody(status, typeof text === 'string' ? text : null, list) };
+}
+
+/** Rewrite every JSON error response (status >= 400) into the envelope. */
+function errorEnvelope(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = (body) => (res.statusCode >= 400 ? json(normalizeErrorBody(res.statusCode, body)) : json(body));
+  next();
+}
+
+/** Last-resort handler: malformed or oversized bodies are the client's fault, the rest is a 500. */
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  if (err.type === 'entity.parse.failed') return sendError(res, 400, 'Request body is not valid JSON');
+  if (err.type === 'entity.too.large') return sendError(res, 413, 'Request body is too large');
+  if (err.status >= 400 && err.status < 500 && err.expose) return sendError(res, err.status, err.message);
+  console.error('Server error:', err);
+  sendError(res, 500, 'Internal server error');
+}
+
+module.exports = {
+  CODES_BY_STATUS,
+  fieldFromMessage,
+  errorBody,
+  sendError,
+  normalizeErrorBody,
+  errorEnvelope,
+  errorHandler,
+};
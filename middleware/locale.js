@@ -0,0 +1,32 @@
+const { resolveLocale, supportedLocale } = require('../services/i18n');
+
+const LOCALE_COOKIE = 'lang';
+const COOKIE_MAX_AGE_MS = 365 * 24 * 60 * 60 * 1000;
+
+function readCookie(req, name) {
+  const header = req.get('cookie');
+  if (!header) return undefined;
+  for (const part of header.split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(rest.join('='));
+  }
+  return undefined;
+}
+
+/**
+ * Set req.locale from ?lang=, the lang cookie or Accept-Language. A ?lang= on a page is
+ * remembered in the cookie so the page's own API calls answer in the same language.
+ */
+function detectLocale(req, res, next) {
+  const lang = typeof req.query.lang === 'string' ? req.query.lang : undefined;
+  req.locale = resolveLocale({ lang, cookie: readCookie(req, LOCALE_COOKIE), acceptLanguage: req.get('accept-language') });
+  res.set('Content-Language', req.locale);
+  res.vary('Accept-Language');
+  res.vary('Cookie');
+  if (supportedLocale(lang) && req.method === 'GET' && !req.path.startsWith('/api/')) {
+    res.cookie(LOCALE_COOKIE, req.locale, { maxAge: COOKIE_MAX_AGE_MS, sameSite: 'lax', path: '/' });
+  }
+  next();
+}
+
+module.exports = { LOCALE_COOKIE, detectLocale, readCookie };
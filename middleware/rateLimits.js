@@ -0,0 +1,39 @@
+const { rateLimit, limitFromEnv, ipKey, userOrIpKey, bodyKey } = require('../services/rateLimit');
+
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Each limit can be overridden with an env spec like RATE_LIMIT_LOGIN=20/15m.
+const loginLimit = rateLimit({
+  name: 'login',
+  ...limitFromEnv('RATE_LIMIT_LOGIN', '10/15m'),
+  keys: (req) => [ipKey(req), bodyKey('username')(req)],
+  message: 'Too many sign-in attempts, please try again later',
+});
+
+const registerLimit = rateLimit({
+  name: 'register',
+  ...limitFromEnv('RATE_LIMIT_REGISTER', '5/1h'),
+  keys: (req) => [ipKey(req)],
+});
+
+const passwordResetLimit = rateLimit({
+  name: 'password-reset',
+  ...limitFromEnv('RATE_LIMIT_PASSWORD_RESET', '5/1h'),
+  keys: (req) => [ipKey(req), bodyKey('email')(req)],
+});
+
+const contactLimit = rateLimit({
+  name: 'contact',
+  ...limitFromEnv('RATE_LIMIT_CONTACT', '5/1h'),
+  keys: (req) => [ipKey(req), userOrIpKey(req)],
+});
+
+/** Every state-changing /api request, per signed-in user (or IP). */
+const writeLimit = rateLimit({
+  name: 'write',
+  ...limitFromEnv('RATE_LIMIT_WRITE', '120/1m'),
+  keys: (req) => [userOrIpKey(req)],
+  methods: WRITE_METHODS,
+});
+
+module.exports = { loginLimit, registerLimit, passwordResetLimit, contactLimit, writeLimit };
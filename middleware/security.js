@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const CSRF_HEADER = 'X-CSRF-Token';
+
+/**
+ * Content-Security-Policy for one response. Inline <script> blocks need the per-request
+ * nonce, and inline on* handler attributes are refused: the views attach their handlers
+ * with addEventListener.
+ */
+function buildCsp(nonce, { production }) {
+  const directives = {
+    'default-src': ["'self'"],
+    'script-src': ["'self'", `'nonce-${nonce}'`],
+    'style-src': ["'self'", "'unsafe-inline'"],
+    // posters and avatars are linked from other sites
+    'img-src': production ? ["'self'", 'data:', 'https:'] : ["'self'", 'data:', 'https:', 'http:'],
+    'font-src': ["'self'", 'data:'],
+    'connect-src': ["'self'"],
+    'object-src': ["'none'"],
+    'base-uri': ["'self'"],
+    'form-action': ["'self'"],
+    'frame-ancestors': ["'none'"],
+  };
+  if (production) directives['upgrade-insecure-requests'] = [];
+  return Object.entries(directives)
+    .map(([name, values]) => [name, ...values].join(' '))
+    .join('; ');
+}
+
+/** Header settings from the environment; HSTS is only sent in production. */
+function securityConfig(env = process.env) {
+  const production = env.NODE_ENV === 'production';
+  return {
+    production,
+    cspReportOnly: env.CSP_REPORT_ONLY === 'true',
+    hstsMaxAge: production ? Number(env.HSTS_MAX_AGE ?? 15552000) : 0,
+    referrerPolicy: env.REFERRER_POLICY || 'strict-origin-when-cross-origin',
+  };
+}
+
+/** Set hardening headers and a fresh CSP nonce (res.locals.cspNonce) on every response. */
+function securityHeaders(config = securityConfig()) {
+  return (req, res, next) => {
+    const nonce = crypto.randomBytes(16).toString('base64');
+    res.locals.cspNonce = nonce;
+    res.set(config.cspReportOnly ? 'Content-Security-Policy-Report-Only' : 'Content-Security-Policy', buildCsp(nonce, config));
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.set('X-Frame-Options', 'DENY');
+    res.set('Referrer-Policy', config.referrerPolicy);
+    res.set('Cross-Origin-Opener-Policy', 'same-origin');
+    res.set('Permissions-Policy', 'camera=(), microphone=(), geolocation=()');
+    if (config.hstsMaxAge > 0) res.set('Strict-Transport-Security', `max-age=${config.hstsMaxAge}; includeSubDomains`);
+    next();
+  };
+}
+
+/** The session's CSRF token, created on first use. */
+function ensureCsrfToken(req) {
+  if (!req.session.csrfToken) req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+  return req.session.csrfToken;
+}
+
+function tokensMatch(expected, sent) {
+  if (typeof expected !== 'string' || typeof sent !== 'string') return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(sent);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Reject state-changing requests unless they carry the session's CSRF token in the
+ * X-CSRF-Token header (or a _csrf body field). Pages get the token from a meta tag.
+ */
+function csrfProtection(req, res, next) {
+  // bearer tokens aren't sent automatically by browsers, so they can't be forged cross-site
+  if (SAFE_METHODS.includes(req.method) || req.apiToken) return next();
+  const sent = req.get(CSRF_HEADER) || (req.body && typeof req.body === 'object' ? req.body._csrf : undefined);
+  if (!tokensMatch(req.session && req.session.csrfToken, sent)) {
+    return res.status(403).json({ message: 'Invalid or missing CSRF token' });
+  }
+  next();
+}
+
+module.exports = {
+  CSRF_HEADER,
+  buildCsp,
+  securityConfig,
+  securityHeaders,
+  ensureCsrfToken,
+  csrfProtection,
+};
@@ -0,0 +1,199 @@
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const { getOperation, pathParamNames, bodyContent, buildSchemas, PATH_PARAMS } = require('../services/openapi');
+const { sendError } = require('./errors');
+
+const SPEC_ID = 'openapi';
+const OBJECT_ID_PATTERN = '^[0-9a-fA-F]{24}$';
+
+/** Ajv instance with the spec's components registered, so "#/components/..." refs resolve. */
+function createAjv(coerceTypes) {
+  const ajv = new Ajv2020({ allErrors: true, coerceTypes, strict: false });
+  addFormats(ajv);
+  ajv.addSchema({ $id: SPEC_ID, components: { schemas: buildSchemas() } });
+  return ajv;
+}
+
+// bodies coerce scalars ("2020" -> 2020) the way the controllers always have; query strings
+// may also repeat a parameter, so scalars there may become arrays
+const bodyAjv = createAjv(true);
+const requestAjv = createAjv('array');
+const responseAjv = createAjv(false);
+
+function compile(ajv, schema) {
+  const rewritten = JSON.parse(JSON.stringify(schema).replaceAll('"#/components/', `"${SPEC_ID}#/components/`));
+  return ajv.compile(rewritten);
+}
+
+/** "/credits/0/role" -> "credits[0].role" */
+function fieldPath(pointer, extra) {
+  const parts = pointer.split('/').slice(1).concat(extra === undefined ? [] : [extra]);
+  return parts.reduce((path, part) => (/^\d+$/.test(part) ? `${path}[${part}]` : path ? `${path}.${part}` : part), '') || null;
+}
+
+const TYPE_NAMES = { integer: 'an integer', number: 'a number', string: 'a string', boolean: 'a boolean', array: 'an array', object: 'an object' };
+
+/** Readable text for one Ajv error, written to follow the field name. */
+function describe(err) {
+  const { params } = err;
+  switch (err.keyword) {
+    case 'required':
+      return 'is required';
+    case 'type':
+      return `must be ${String(params.type).split(',').map((t) => TYPE_NAMES[t] || t).join(' or ')}`;
+    case 'enum':
+      return `must be one of ${params.allowedValues.join(', ')}`;
+    case 'pattern':
+      return params.pattern === OBJECT_ID_PATTERN ? 'must be a valid id' : 'has an invalid format';
+    case 'format':
+      return `must be a valid ${params.format}`;
+    case 'minLength':
+      return params.limit === 1 ? 'must not be empty' : `must be at least ${params.limit} characters`;
+    case 'maxLength':
+      return `must be at most ${params.limit} characters`;
+    case 'minItems':
+      return `must contain at least ${params.limit} item${params.limit === 1 ? '' : 's'}`;
+    case 'maxItems':
+      return `must contain at most ${params.limit} items`;
+    case 'minimum':
+    case 'maximum':
+      return `must be ${err.keyword === 'minimum' ? 'at least' : 'at most'} ${params.limit}`;
+    default:
+      return err.message;
+  }
+}
+
+/** Turn Ajv errors into the envelope's field-level details. */
+function toDetails(errors, location) {
+  // "must match then/anyOf schema" only repeats the errors reported under it
+  const combinators = ['if', 'anyOf', 'oneOf', 'allOf'];
+  const specific = errors.filter((e) => !combinators.includes(e.keyword));
+  const seen = new Set();
+  const details = [];
+  for (const err of specific.length ? specific : errors) {
+    const field = fieldPath(err.instancePath, err.keyword === 'required' ? err.params.missingProperty : undefined);
+    const text = describe(err);
+    const message = field ? `${field} ${text}` : `${location === 'body' ? 'Request body' : location} ${text}`;
+    if (seen.has(message)) continue;
+    seen.add(message);
+    details.push({ in: location, field, message });
+  }
+  return details;
+}
+
+/** Query string without empty values; the controllers treat "?year=" like no year at all. */
+function presentValues(source) {
+  return Object.fromEntries(Object.entries(source || {}).filter(([, v]) => v !== ''));
+}
+
+/** Validators for one operation's path parameters, query string, body and JSON responses. */
+function compileOperation(op) {
+  const names = pathParamNames(op.path);
+  const content = bodyContent(op);
+  const responses = {};
+  for (const [status, schema] of Object.entries(op.responses)) {
+    if (!schema.description && !schema.content) responses[status] = schema;
+  }
+  return {
+    params: names.length
+      ? compile(requestAjv, {
+          type: 'object',
+          required: names,
+          properties: Object.fromEntries(names.map((n) => [n, PATH_PARAMS[n]])),
+        })
+      : null,
+    query: op.query
+      ? compile(requestAjv, { type: 'object', required: op.requiredQuery || [], properties: op.query })
+      : null,
+    // binary bodies arrive as Buffers; what they contain is for the controller to check
+    body: content
+      ? Object.fromEntries(
+          Object.entries(content).map(([type, schema]) => [type, schema.format === 'binary' ? () => true : compile(bodyAjv, schema)])
+        )
+      : null,
+    responses,
+  };
+}
+
+const compiled = new Map();
+
+function validatorsFor(op) {
+  if (!compiled.has(op.operationId)) compiled.set(op.operationId, compileOperation(op));
+  return compiled.get(op.operationId);
+}
+
+/** Check req against the operation; returns { status, message, details } or null when valid. */
+function checkRequest(op, req) {
+  const v = validatorsFor(op);
+  const details = [];
+  // params and query are validated on copies: Express 5 re-parses req.query on every read
+  if (v.params) {
+    const params = { ...req.params };
+    if (!v.params(params)) details.push(...toDetails(v.params.errors, 'path'));
+  }
+  if (v.query) {
+    const query = presentValues(req.query);
+    if (!v.query(query)) details.push(...toDetails(v.query.errors, 'query'));
+  }
+  if (v.body) {
+    const body = req.body;
+    const empty =
+      body === undefined ||
+      (Buffer.isBuffer(body) && body.length === 0) ||
+      (op.optionalBody && body && typeof body === 'object' && Object.keys(body).length === 0);
+    if (!empty) {
+      const type = Buffer.isBuffer(body) ? 'image/*' : typeof body === 'string' ? 'text/csv' : 'application/json';
+      const check = v.body[type];
+      if (!check) {
+        return { status: 415, message: `Content-Type must be ${Object.keys(v.body).join(' or ')}` };
+      }
+      if (!check(body)) details.push(...toDetails(check.errors, 'body'));
+    } else if (!op.optionalBody) {
+      details.push({ in: 'body', field: null, message: 'Request body is required' });
+    }
+  }
+  return details.length ? { status: 400, message: 'Validation error', details } : null;
+}
+
+/** Log (never fail) when a 2xx JSON response doesn't match its documented schema. */
+function watchResponses(op, res) {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const schema = validatorsFor(op).responses[res.statusCode];
+    if (schema) {
+      const check = compiledResponse(op, res.statusCode, schema);
+      // validate what the client receives: ObjectIds and Dates as strings
+      if (!check(JSON.parse(JSON.stringify(body)))) {
+        console.warn(`${op.operationId} ${res.statusCode} response does not match the spec:`, toDetails(check.errors, 'body'));
+      }
+    }
+    return json(body);
+  };
+}
+
+const responseValidators = new Map();
+
+function compiledResponse(op, status, schema) {
+  const key = `${op.operationId}:${status}`;
+  if (!responseValidators.has(key)) responseValidators.set(key, compile(responseAjv, schema));
+  return responseValidators.get(key);
+}
+
+/**
+ * Middleware validating the request against an OpenAPI operation (see services/openapi.js).
+ * Invalid requests get 400 with one detail per bad field. With VALIDATE_RESPONSES=true,
+ * responses are checked too and mismatches logged.
+ */
+function validate(operationId) {
+  const op = getOperation(operationId);
+  const middleware = (req, res, next) => {
+    const failure = checkRequest(op, req);
+    if (failure) return sendError(res, failure.status, failure.message, failure.details);
+    if (process.env.VALIDATE_RESPONSES === 'true') watchResponses(op, res);
+    next();
+  };
+  middleware.operationId = operationId;
+  return middleware;
+}
+
+module.exports = { validate, checkRequest, toDetails, fieldPath };
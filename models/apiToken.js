@@ -0,0 +1,7 @@
+const { getDb } = require('../database/storage');
+
+function apiTokensCollection(db = getDb()) {
+  return db.collection('api_tokens');
+}
+
+module.exports = { apiTokensCollection };
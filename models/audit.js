@@ -0,0 +1,7 @@
+const { getDb } = require('../database/storage');
+
+function auditCollection(db = getDb()) {
+  return db.collection('audit_log');
+}
+
+module.exports = { auditCollection };
@@ -0,0 +1,7 @@
+const { getDb } = require('../database/storage');
+
+function authTokensCollection(db = getDb()) {
+  return db.collection('auth_tokens');
+}
+
+module.exports = { authTokensCollection };
@@ -0,0 +1,7 @@
+const { getDb } = require('../database/storage');
+
+function diaryCollection(db = getDb()) {
+  return db.collection('diary');
+}
+
+module.exports = { diaryCollection };
@@ -0,0 +1,14 @@
+const { getDb } = require('../database/storage');
+
+function followsCollection(db = getDb()) {
+  return db.collection('follows');
+}
+
+/**
+ * A follow starts as a request and counts once the followed user approves it. Only accepted
+ * follows appear in counts and lists or reveal followers-only activity.
+ */
+const ACCEPTED = { status: 'accepted' };
+const PENDING = { status: 'pending' };
+
+module.exports = { followsCollection, ACCEPTED, PENDING };
@@ -0,0 +1,7 @@
+const { getDb } = require('../database/storage');
+
+function listsCollection(db = getDb()) {
+  return db.collection('lists');
+}
+
+module.exports = { listsCollection };
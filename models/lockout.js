@@ -0,0 +1,7 @@
+const { getDb } = require('../database/storage');
+
+function lockoutsCollection(db = getDb()) {
+  return db.collection('login_lockouts');
+}
+
+module.exports = { lockoutsCollection };
@@ -0,0 +1,7 @@
+const { getDb } = require('../database/storage');
+
+function mediaCollection(db = getDb()) {
+  return db.collection('media');
+}
+
+module.exports = { mediaCollection };
@@ -0,0 +1,7 @@
+const { getDb } = require('../database/storage');
+
+function messagesCollection(db = getDb()) {
+  return db.collection('messages');
+}
+
+module.exports = { messagesCollection };
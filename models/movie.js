@@ -1,7 +1,10 @@
-const { getDb } = require('../database/mongo');
+const { getDb } = require('../database/storage');
 
 function moviesCollection(db = getDb()) {
   return db.collection('movies');
 }
 
-module.exports = { moviesCollection };
+/** Filter clause for movies that aren't in the trash; every public read includes it. */
+const NOT_DELETED = { deletedAt: null };
+
+module.exports = { moviesCollection, NOT_DELETED };
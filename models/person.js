@@ -0,0 +1,7 @@
+const { getDb } = require('../database/storage');
+
+function peopleCollection(db = getDb()) {
+  return db.collection('people');
+}
+
+module.exports = { peopleCollection };
@@ -0,0 +1,7 @@
+const { getDb } = require('../database/storage');
+
+function reviewsCollection(db = getDb()) {
+  return db.collection('reviews');
+}
+
+module.exports = { reviewsCollection };
@@ -0,0 +1,7 @@
+const { getDb } = require('../database/storage');
+
+function revisionsCollection(db = getDb()) {
+  return db.collection('movie_revisions');
+}
+
+module.exports = { revisionsCollection };
@@ -0,0 +1,7 @@
+const { getDb } = require('../database/storage');
+
+function usersCollection(db = getDb()) {
+  return db.collection('users');
+}
+
+module.exports = { usersCollection };
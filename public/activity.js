@@ -0,0 +1,49 @@
+// Activity cards for the feed on /profile and the timeline on /users/:username.
+// loadActivity(el, url, emptyText) renders the first page into el and a "Load more" button
+// that follows nextCursor.
+(function () {
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  function itemHtml(item) {
+    const name = item.user.displayName || item.user.username;
+    const user = `<a href="/users/${encodeURIComponent(item.user.username)}"><strong>${escapeHtml(name)}</strong></a>`;
+    const film = `<a href="/films/${item.movie._id}">${escapeHtml(item.movie.title)}</a>`;
+    const review = item.review || {};
+    return `
+      <div class="review-card">
+        <div class="review-head">
+          <span>${window.t(`activity.${item.type}`, { user, film })}</span>
+          ${review.rating != null ? `<span class="review-score">${Number(review.rating)} / 10</span>` : ''}
+          <span class="review-date">${new Date(item.createdAt).toLocaleDateString(window.I18N.locale)}</span>
+        </div>
+        ${review.text ? `<p class="review-text">${escapeHtml(review.text)}</p>` : ''}
+      </div>
+    `;
+  }
+
+  window.loadActivity = async function (el, url, emptyText = window.t('activity.empty')) {
+    el.innerHTML = '<div class="activity-items"></div><button type="button" class="btn btn-secondary mt-2 hidden"></button>';
+    const list = el.firstElementChild;
+    const more = el.lastElementChild;
+    more.textContent = window.t('activity.loadMore');
+
+    async function loadPage(cursor) {
+      more.disabled = true;
+      const separator = url.includes('?') ? '&' : '?';
+      const res = await fetch(cursor ? `${url}${separator}cursor=${encodeURIComponent(cursor)}` : url, { credentials: 'include' });
+      const data = await res.json().catch(() => ({}));
+      more.disabled = false;
+      if (!res.ok) throw new Error(data.message || 'Error');
+      list.insertAdjacentHTML('beforeend', data.items.map(itemHtml).join(''));
+      if (!list.children.length && !data.hasMore) list.innerHTML = `<p class="review-empty">${escapeHtml(emptyText)}</p>`;
+      more.classList.toggle('hidden', !data.hasMore);
+      more.onclick = () => loadPage(data.nextCursor).catch(() => more.classList.add('hidden'));
+    }
+
+    await loadPage(null);
+  };
+})();
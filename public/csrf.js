@@ -0,0 +1,39 @@
+// CSRF token for state-changing requests, shared by every page. The server puts the
+// session's token in <meta name="csrf-token">; fetchOpts() helpers send it via
+// csrfHeaders(), and fetch itself is wrapped so other same-origin writes carry it too.
+// Guests reading a page get no token (and no session); their first write fetches one.
+(function () {
+  const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+  function csrfToken() {
+    const meta = document.querySelector('meta[name="csrf-token"]');
+    return meta ? meta.getAttribute('content') : '';
+  }
+
+  window.csrfToken = csrfToken;
+  window.csrfHeaders = function () {
+    return { 'X-CSRF-Token': csrfToken() };
+  };
+
+  const nativeFetch = window.fetch.bind(window);
+
+  async function loadToken() {
+    const res = await nativeFetch('/auth/csrf', { credentials: 'include' });
+    const { csrfToken: token } = await res.json();
+    const meta = document.createElement('meta');
+    meta.name = 'csrf-token';
+    meta.content = token;
+    document.head.appendChild(meta);
+    return token;
+  }
+
+  window.fetch = async function (input, init = {}) {
+    const method = (init.method || (input instanceof Request ? input.method : 'GET')).toUpperCase();
+    const url = new URL(input instanceof Request ? input.url : input, window.location.href);
+    if (SAFE_METHODS.includes(method) || url.origin !== window.location.origin) return nativeFetch(input, init);
+
+    const headers = new Headers(init.headers || (input instanceof Request ? input.headers : undefined));
+    if (!headers.get('X-CSRF-Token')) headers.set('X-CSRF-Token', csrfToken() || (await loadToken()));
+    return nativeFetch(input, { ...init, headers });
+  };
+})();
@@ -0,0 +1,41 @@
+// UI strings for the page's locale, embedded by the server. Gives page scripts t() and
+// genreName(), and adds a language picker to the footer.
+(function () {
+  const el = document.getElementById('i18n-messages');
+  const data = el ? JSON.parse(el.textContent) : {};
+  const messages = data.messages || {};
+  const locale = data.locale || 'en';
+
+  window.I18N = { locale, defaultLocale: data.defaultLocale || 'en', locales: data.locales || [] };
+
+  // t('films.found', { count: 3 }) picks the plural form for count and fills {placeholders}
+  window.t = function (key, vars = {}) {
+    let message = messages[key];
+    if (message === undefined) return key;
+    if (typeof message === 'object') {
+      message = message[new Intl.PluralRules(locale).select(Number(vars.count))] ?? message.other;
+    }
+    return String(message).replace(/\{(\w+)\}/g, (match, name) => (vars[name] !== undefined ? String(vars[name]) : match));
+  };
+
+  window.genreName = function (genre) {
+    const name = messages[`genre.${genre}`];
+    return typeof name === 'string' ? name : genre;
+  };
+
+  document.addEventListener('DOMContentLoaded', () => {
+    const links = document.querySelector('.footer-links');
+    if (!links || window.I18N.locales.length < 2) return;
+    const select = document.createElement('select');
+    select.className = 'filter-select lang-select';
+    select.setAttribute('aria-label', window.t('footer.language'));
+    window.I18N.locales.forEach(({ code, name }) => select.add(new Option(name, code, false, code === locale)));
+    select.addEventListener('change', () => {
+      document.cookie = `lang=${encodeURIComponent(select.value)}; path=/; max-age=31536000; samesite=lax`;
+      const url = new URL(window.location.href);
+      url.searchParams.delete('lang');
+      window.location.replace(url);
+    });
+    links.appendChild(select);
+  });
+})();
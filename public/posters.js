@@ -0,0 +1,19 @@
+// Posters that fail to load give way to the film's initials, on every page that shows them.
+// <img data-initials="HT"> is replaced, with its siblings, by <div class="placeholder">HT</div>;
+// data-placeholder="poster-placeholder" replaces only the image, with a div of that class.
+(function () {
+  // error events don't bubble, so listen while they are captured
+  document.addEventListener(
+    'error',
+    (e) => {
+      const img = e.target;
+      if (!(img instanceof HTMLImageElement) || img.dataset.initials === undefined) return;
+      const placeholder = document.createElement('div');
+      placeholder.className = img.dataset.placeholder || 'placeholder';
+      placeholder.textContent = img.dataset.initials;
+      if (img.dataset.placeholder) img.replaceWith(placeholder);
+      else img.parentElement.replaceChildren(placeholder);
+    },
+    true
+  );
+})();
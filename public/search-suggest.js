@@ -0,0 +1,85 @@
+// Title autocomplete and Enter-to-search for the nav #search-input box, shared by every page.
+(function () {
+  const input = document.getElementById('search-input');
+  if (!input) return;
+
+  const box = document.createElement('div');
+  box.className = 'search-suggest hidden';
+  input.parentElement.classList.add('has-suggest');
+  input.parentElement.appendChild(box);
+  input.setAttribute('autocomplete', 'off');
+
+  let items = [];
+  let active = -1;
+  let timer = null;
+  let lastQuery = '';
+
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  function close() {
+    box.classList.add('hidden');
+    active = -1;
+  }
+
+  function render() {
+    if (!items.length) return close();
+    box.innerHTML = items
+      .map((m, i) => `<a href="/films/${m._id}" class="search-suggest-item${i === active ? ' active' : ''}">${escapeHtml(m.title)}${m.year ? ` <span>${m.year}</span>` : ''}</a>`)
+      .join('');
+    box.classList.remove('hidden');
+  }
+
+  async function fetchSuggestions(q) {
+    try {
+      const res = await fetch(`/api/movies/suggest?q=${encodeURIComponent(q)}`, { credentials: 'include' });
+      const data = await res.json().catch(() => ({}));
+      if (q !== lastQuery) return;
+      items = res.ok && Array.isArray(data.items) ? data.items : [];
+      active = -1;
+      render();
+    } catch (_) {
+      close();
+    }
+  }
+
+  input.addEventListener('input', () => {
+    const q = input.value.trim();
+    lastQuery = q;
+    clearTimeout(timer);
+    if (q.length < 2) {
+      items = [];
+      return close();
+    }
+    timer = setTimeout(() => fetchSuggestions(q), 150);
+  });
+
+  input.addEventListener('keydown', (e) => {
+    if (box.classList.contains('hidden')) return;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      active = (active + step + items.length) % items.length;
+      render();
+    } else if (e.key === 'Enter' && active >= 0) {
+      e.preventDefault();
+      window.location.href = `/films/${items[active]._id}`;
+    } else if (e.key === 'Escape') {
+      close();
+    } else if (e.key === 'Enter') {
+      close();
+    }
+  });
+
+  // Enter searches the catalog, except on pages that filter in place (data-search-in-page)
+  input.addEventListener('keydown', (e) => {
+    const q = input.value.trim();
+    if (e.key !== 'Enter' || e.defaultPrevented || !q || input.hasAttribute('data-search-in-page')) return;
+    window.location.href = `/films?search=${encodeURIComponent(q)}`;
+  });
+
+  input.addEventListener('blur', () => setTimeout(close, 150));
+})();
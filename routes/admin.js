@@ -0,0 +1,42 @@
+const express = require('express');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const {
+  getOverview,
+  listUsers,
+  updateUser,
+  logoutUser,
+  bulkGenres,
+  mergeDuplicateMovies,
+  getLockouts,
+  clearLockout,
+  listAudit,
+} = require('../controllers/adminController');
+const {
+  listMessages,
+  getMessage,
+  updateMessageStatus,
+  addMessageNote,
+} = require('../controllers/contactController');
+const { listTrash, restoreMovie } = require('../controllers/revisionsController');
+
+const router = express.Router();
+
+router.use(requireAuth, requireAdmin);
+
+router.get('/overview', getOverview);
+router.get('/users', listUsers);
+router.patch('/users/:id', updateUser);
+router.post('/users/:id/logout', logoutUser);
+router.post('/movies/genres', bulkGenres);
+router.post('/movies/merge', mergeDuplicateMovies);
+router.get('/trash', listTrash);
+router.post('/trash/:id/restore', restoreMovie);
+router.get('/messages', listMessages);
+router.get('/messages/:id', getMessage);
+router.patch('/messages/:id', updateMessageStatus);
+router.post('/messages/:id/notes', addMessageNote);
+router.get('/lockouts', getLockouts);
+router.delete('/lockouts/:username', clearLockout);
+router.get('/audit', listAudit);
+
+module.exports = router;
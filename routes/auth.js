@@ -1,10 +1,28 @@
 const express = require('express');
 const bcrypt = require('bcrypt');
-const { getDb } = require('../database/mongo');
+const { getDb } = require('../database/storage');
+const { requireAuth, requireSession } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { listTokens, createToken, revokeToken } = require('../controllers/tokensController');
+const { ensureCsrfToken } = require('../middleware/security');
+const { loginLimit, registerLimit, passwordResetLimit } = require('../middleware/rateLimits');
+const { getLockout, recordLoginFailure, clearLoginFailures } = require('../services/lockout');
+const {
+  getAccount,
+  updateAccount,
+  changePassword,
+  deleteAccount,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  sendVerification,
+  normalizeEmail,
+} = require('../controllers/accountController');
 
 const router = express.Router();
 // This route registers a new user
-router.post('/login', async (req, res) => {
+router.post('/login', loginLimit, validate('login'), async (req, res) => {
   try {
     const { username, password } = req.body;
     if (!username || !password || typeof username !== 'string' || typeof password !== 'string') {
@@ -16,16 +34,24 @@ router.post('/login', async (req, res) => {
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    const db = getDb();
-    const user = await db.collection('users').findOne({ username: u });
-    if (!user || !user.passwordHash) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+    const lockout = await getLockout(u);
+    if (lockout.locked) {
+      res.set('Retry-After', String(lockout.retryAfter));
+      return res.status(429).json({ message: 'Too many failed sign-in attempts, please try again later' });
     }
 
-    const match = await bcrypt.compare(p, user.passwordHash);
+    const db = getDb();
+    const user = await db.collection('users').findOne({ username: u });
+    const match = !!(user && user.passwordHash) && (await bcrypt.compare(p, user.passwordHash));
     if (!match) {
+      // unknown usernames count too, so lockouts don't reveal which accounts exist
+      await recordLoginFailure(u, req.ip);
       return res.status(401).json({ message: 'Invalid credentials' });
     }
+    await clearLoginFailures(u);
+    if (user.disabled) {
+      return res.status(403).json({ message: 'Account disabled' });
+    }
 
     const role = user.role === 'admin' ? 'admin' : 'user';
     req.session.user = { id: user._id.toString(), username: user.username, role };
@@ -36,21 +62,25 @@ router.post('/login', async (req, res) => {
   }
 });
 
-router.post('/register', async (req, res) => {
+router.post('/register', registerLimit, validate('register'), async (req, res) => {
   try {
-    const { username, password } = req.body;
+    const { username, password, email } = req.body;
     if (!username || !password || typeof username !== 'string' || typeof password !== 'string') {
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
     const u = username.trim();
     const p = password;
+    const e = normalizeEmail(email);
     if (!u || u.length < 3 || !p || p.length < 6) {
       return res.status(400).json({ message: 'Invalid credentials' });
     }
+    if (!e) {
+      return res.status(400).json({ message: 'A valid email address is required' });
+    }
 
     const db = getDb();
-    const existing = await db.collection('users').findOne({ username: u });
+    const existing = await db.collection('users').findOne({ $or: [{ username: u }, { email: e }] });
     if (existing) {
       return res.status(400).json({ message: 'Invalid credentials' });
     }
@@ -58,22 +88,29 @@ router.post('/register', async (req, res) => {
     const passwordHash = await bcrypt.hash(p, 10);
     const newUser = {
       username: u,
+      email: e,
+      emailVerified: false,
       passwordHash,
       role: 'user',
       createdAt: new Date(),
     };
 
     const result = await db.collection('users').insertOne(newUser);
+    await sendVerification({ _id: result.insertedId, ...newUser });
 
     req.session.user = { id: result.insertedId.toString(), username: u, role: 'user' };
     res.status(201).json({ message: 'ok' });
   } catch (err) {
+    // the same username or email registered concurrently; the unique indexes catch it
+    if (err && err.code === 11000) {
+      return res.status(400).json({ message: 'Invalid credentials' });
+    }
     console.error('Register error:', err);
     res.status(500).json({ message: 'Invalid credentials' });
   }
 });
 
-router.post('/logout', (req, res) => {
+router.post('/logout', validate('logout'), (req, res) => {
   req.session.destroy((err) => {
     if (err) {
       console.error('Logout error:', err);
@@ -84,11 +121,28 @@ router.post('/logout', (req, res) => {
   });
 });
 
-router.get('/me', (req, res) => {
+router.get('/me', validate('getMe'), (req, res) => {
   if (req.session && req.session.user) {
     return res.status(200).json({ user: req.session.user });
   }
   res.status(401).json({ message: 'Not authenticated' });
 });
 
+// CSRF token for clients that don't load a page first (scripts, curl)
+router.get('/csrf', validate('getCsrfToken'), (req, res) => {
+  res.status(200).json({ csrfToken: ensureCsrfToken(req) });
+});
+
+router.get('/account', requireAuth, validate('getAccount'), getAccount);
+router.patch('/account', requireAuth, validate('updateAccount'), updateAccount);
+router.delete('/account', requireAuth, validate('deleteAccount'), deleteAccount);
+router.post('/password', requireAuth, validate('changePassword'), changePassword);
+router.get('/tokens', requireAuth, requireSession, validate('listTokens'), listTokens);
+router.post('/tokens', requireAuth, requireSession, validate('createToken'), createToken);
+router.delete('/tokens/:tokenId', requireAuth, requireSession, validate('revokeToken'), revokeToken);
+router.get('/verify-email', validate('verifyEmail'), verifyEmail);
+router.post('/verify-email/resend', requireAuth, passwordResetLimit, validate('resendVerification'), resendVerification);
+router.post('/forgot-password', passwordResetLimit, validate('forgotPassword'), forgotPassword);
+router.post('/reset-password', passwordResetLimit, validate('resetPassword'), resetPassword);
+
 module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const swaggerUi = require('swagger-ui-dist');
+const { buildSpec } = require('../services/openapi');
+const { sendView } = require('../services/views');
+
+const router = express.Router();
+let spec = null;
+
+// OpenAPI document for routes/movies.js, routes/user-lists.js, routes/users.js and routes/auth.js
+router.get('/openapi.json', (req, res) => {
+  if (!spec) spec = buildSpec();
+  res.set('Cache-Control', 'public, max-age=300');
+  res.status(200).json(spec);
+});
+
+// Swagger UI, its assets served from the swagger-ui-dist package
+router.use('/docs/assets', express.static(swaggerUi.getAbsoluteFSPath(), { index: false }));
+router.get('/docs', (req, res) => sendView(req, res, 'api-docs.html'));
+
+module.exports = router;
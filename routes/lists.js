@@ -0,0 +1,9 @@
+const express = require('express');
+const { listPublicLists, getSharedList } = require('../controllers/listsController');
+
+const router = express.Router();
+
+router.get('/', listPublicLists);
+router.get('/:shareId', getSharedList);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const { mediaDir } = require('../services/media');
+const { sendError } = require('../middleware/errors');
+
+const router = express.Router();
+
+// generated poster sizes; a file's name never changes once written, so it can be cached for good
+router.use(express.static(mediaDir(), { index: false, dotfiles: 'deny', immutable: true, maxAge: '365d' }));
+router.use((req, res) => sendError(res, 404, 'Media not found'));
+
+module.exports = router;
@@ -1,19 +1,64 @@
 const express = require('express');
-const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { requireAuth, requireAdmin, requireVerified } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
 const {
   listMovies,
+  searchMovies,
+  suggestMovies,
   getMovie,
   createMovie,
   updateMovie,
   deleteMovie,
 } = require('../controllers/moviesController');
+const {
+  listReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+} = require('../controllers/reviewsController');
+const { getSimilarMovies } = require('../controllers/recommendationsController');
+const { importMovies, exportMovies } = require('../controllers/catalogController');
+const { setMoviePoster, removeMoviePoster } = require('../controllers/mediaController');
+const { listMovieRevisions, getMovieRevision, revertMovie } = require('../controllers/revisionsController');
+const { maxImageBytes } = require('../services/media');
 
 const router = express.Router();
 
-router.get('/', listMovies);
-router.get('/:id', getMovie);
-router.post('/', requireAuth, requireAdmin, createMovie);
-router.put('/:id', requireAuth, requireAdmin, updateMovie);
-router.delete('/:id', requireAuth, requireAdmin, deleteMovie);
+router.get('/', validate('listMovies'), listMovies);
+router.get('/search', validate('searchMovies'), searchMovies);
+router.get('/suggest', validate('suggestMovies'), suggestMovies);
+router.get('/export', requireAuth, requireAdmin, validate('exportMovies'), exportMovies);
+router.post(
+  '/import',
+  requireAuth,
+  requireAdmin,
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+  validate('importMovies'),
+  importMovies
+);
+router.get('/:id', validate('getMovie'), getMovie);
+router.post('/', requireAuth, requireAdmin, validate('createMovie'), createMovie);
+router.put('/:id', requireAuth, requireAdmin, validate('updateMovie'), updateMovie);
+router.delete('/:id', requireAuth, requireAdmin, validate('deleteMovie'), deleteMovie);
+router.put(
+  '/:id/poster',
+  requireAuth,
+  requireAdmin,
+  express.raw({ type: 'image/*', limit: maxImageBytes() }),
+  validate('setMoviePoster'),
+  setMoviePoster
+);
+router.delete('/:id/poster', requireAuth, requireAdmin, validate('removeMoviePoster'), removeMoviePoster);
+
+router.get('/:id/revisions', requireAuth, requireAdmin, validate('listMovieRevisions'), listMovieRevisions);
+router.get('/:id/revisions/:revisionId', requireAuth, requireAdmin, validate('getMovieRevision'), getMovieRevision);
+router.post('/:id/revisions/:revisionId/revert', requireAuth, requireAdmin, validate('revertMovie'), revertMovie);
+
+router.get('/:id/similar', validate('getSimilarMovies'), getSimilarMovies);
+
+router.get('/:id/reviews', validate('listReviews'), listReviews);
+router.post('/:id/reviews', requireAuth, requireVerified, validate('createReview'), createReview);
+router.put('/:id/reviews/:reviewId', requireAuth, requireVerified, validate('updateReview'), updateReview);
+router.delete('/:id/reviews/:reviewId', requireAuth, validate('deleteReview'), deleteReview);
 
 module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const {
+  listPeople,
+  getPerson,
+  createPerson,
+  updatePerson,
+  deletePerson,
+} = require('../controllers/peopleController');
+
+const router = express.Router();
+
+router.get('/', listPeople);
+router.get('/:id', getPerson);
+router.post('/', requireAuth, requireAdmin, createPerson);
+router.put('/:id', requireAuth, requireAdmin, updatePerson);
+router.delete('/:id', requireAuth, requireAdmin, deletePerson);
+
+module.exports = router;
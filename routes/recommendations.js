@@ -0,0 +1,8 @@
+const express = require('express');
+const { getRecommendations } = require('../controllers/recommendationsController');
+
+const router = express.Router();
+
+router.get('/', getRecommendations);
+
+module.exports = router;
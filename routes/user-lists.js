@@ -1,7 +1,36 @@
 const express = require('express');
 const { ObjectId } = require('mongodb');
-const { getDb } = require('../database/mongo');
-const { requireAuth } = require('../middleware/auth');
+const { getDb } = require('../database/storage');
+const { requireAuth, requireVerified } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const {
+  getMyLists,
+  createList,
+  getMyList,
+  updateList,
+  deleteList,
+  addListItem,
+  removeListItem,
+  reorderList,
+} = require('../controllers/listsController');
+const {
+  listDiary,
+  createDiaryEntry,
+  updateDiaryEntry,
+  deleteDiaryEntry,
+  markWatched,
+  getDiaryStats,
+  getYearSummary,
+} = require('../controllers/diaryController');
+const { exportUserList, importUserList } = require('../controllers/catalogController');
+const {
+  followUser,
+  unfollowUser,
+  getFeed,
+  listFollowRequests,
+  approveFollowRequest,
+  declineFollowRequest,
+} = require('../controllers/socialController');
 
 const router = express.Router();
 
@@ -22,8 +51,8 @@ async function getListIds(db, collectionName, userId) {
   return items.map((i) => i.movieId.toString());
 }
 
-function listRoutes(listName, collectionName) {
-  router.get(`/${listName}`, requireAuth, async (req, res) => {
+function listRoutes(listName, collectionName, operations) {
+  router.get(`/${listName}`, requireAuth, validate(operations.get), async (req, res) => {
     try {
       const db = getDb();
       const items = await getListIds(db, collectionName, req.session.user.id);
@@ -34,7 +63,7 @@ function listRoutes(listName, collectionName) {
     }
   });
 
-  router.post(`/${listName}`, requireAuth, async (req, res) => {
+  router.post(`/${listName}`, requireAuth, requireVerified, validate(operations.add), async (req, res) => {
     try {
       const { movieId } = req.body;
       const parsed = parseMovieId(req, res, movieId);
@@ -42,10 +71,10 @@ function listRoutes(listName, collectionName) {
 
       const db = getDb();
       const userId = req.session.user.id;
-      const existing = await db.collection(collectionName).findOne({ userId, movieId: parsed });
-      if (!existing) {
-        await db.collection(collectionName).insertOne({ userId, movieId: parsed, createdAt: new Date() });
-      }
+      // the unique { userId, movieId } index makes concurrent adds collapse into one entry
+      await db
+        .collection(collectionName)
+        .updateOne({ userId, movieId: parsed }, { $setOnInsert: { createdAt: new Date() } }, { upsert: true });
       const items = await getListIds(db, collectionName, userId);
       res.status(200).json({ items });
     } catch (err) {
@@ -54,7 +83,7 @@ function listRoutes(listName, collectionName) {
     }
   });
 
-  router.delete(`/${listName}/:movieId`, requireAuth, async (req, res) => {
+  router.delete(`/${listName}/:movieId`, requireAuth, validate(operations.remove), async (req, res) => {
     try {
       const parsed = parseMovieId(req, res, req.params.movieId);
       if (!parsed) return;
@@ -71,7 +100,48 @@ function listRoutes(listName, collectionName) {
   });
 }
 
-listRoutes('likes', 'likes');
-listRoutes('watchlist', 'watchlist');
+listRoutes('likes', 'likes', { get: 'getLikes', add: 'addLike', remove: 'removeLike' });
+listRoutes('watchlist', 'watchlist', { get: 'getWatchlist', add: 'addToWatchlist', remove: 'removeFromWatchlist' });
+
+// custom named lists; likes and watchlist also appear here as built-in lists.
+// Writing them (not deleting) needs a verified email.
+router.get('/lists', requireAuth, validate('getMyLists'), getMyLists);
+router.post('/lists', requireAuth, requireVerified, validate('createList'), createList);
+router.get('/lists/:listId', requireAuth, validate('getMyList'), getMyList);
+router.patch('/lists/:listId', requireAuth, requireVerified, validate('updateList'), updateList);
+router.delete('/lists/:listId', requireAuth, validate('deleteList'), deleteList);
+router.post('/lists/:listId/items', requireAuth, requireVerified, validate('addListItem'), addListItem);
+router.delete('/lists/:listId/items/:movieId', requireAuth, validate('removeListItem'), removeListItem);
+router.put('/lists/:listId/order', requireAuth, requireVerified, validate('reorderList'), reorderList);
+
+// watch diary
+router.post('/watchlist/:movieId/watched', requireAuth, validate('markWatched'), markWatched);
+router.get('/diary', requireAuth, validate('listDiary'), listDiary);
+router.post('/diary', requireAuth, validate('createDiaryEntry'), createDiaryEntry);
+router.get('/diary/stats', requireAuth, validate('getDiaryStats'), getDiaryStats);
+router.get('/diary/summary/:year', requireAuth, validate('getYearSummary'), getYearSummary);
+router.patch('/diary/:entryId', requireAuth, validate('updateDiaryEntry'), updateDiaryEntry);
+router.delete('/diary/:entryId', requireAuth, validate('deleteDiaryEntry'), deleteDiaryEntry);
+
+// following other users, and what they liked, watchlisted or reviewed; a follow waits for
+// the other user's approval
+router.post('/following', requireAuth, validate('followUser'), followUser);
+router.delete('/following/:username', requireAuth, validate('unfollowUser'), unfollowUser);
+router.get('/follow-requests', requireAuth, validate('listFollowRequests'), listFollowRequests);
+router.post('/follow-requests/:username', requireAuth, validate('approveFollowRequest'), approveFollowRequest);
+router.delete('/follow-requests/:username', requireAuth, validate('declineFollowRequest'), declineFollowRequest);
+router.get('/feed', requireAuth, validate('getFeed'), getFeed);
+
+// Letterboxd-compatible CSV for likes and watchlist (?list=likes|watchlist); importing
+// needs a verified email like any other add
+router.get('/export/letterboxd', requireAuth, validate('exportUserList'), exportUserList);
+router.post(
+  '/import/letterboxd',
+  requireAuth,
+  requireVerified,
+  express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }),
+  validate('importUserList'),
+  importUserList
+);
 
 module.exports = router;
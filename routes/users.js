@@ -0,0 +1,13 @@
+const express = require('express');
+const { validate } = require('../middleware/validate');
+const { getUserProfile, getUserActivity, listFollowers, listFollowing } = require('../controllers/socialController');
+
+const router = express.Router();
+
+// public profiles; what a profile's activity shows depends on the owner's privacy settings
+router.get('/:username', validate('getUserProfile'), getUserProfile);
+router.get('/:username/activity', validate('getUserActivity'), getUserActivity);
+router.get('/:username/followers', validate('listFollowers'), listFollowers);
+router.get('/:username/following', validate('listFollowing'), listFollowing);
+
+module.exports = router;
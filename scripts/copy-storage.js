@@ -0,0 +1,50 @@
+require('dotenv').config();
+const mongo = require('../database/mongo');
+const sqlite = require('../database/sqlite');
+const { STORAGE_BACKENDS } = require('../database/storage');
+const { copyStorage } = require('../services/storageCopy');
+
+// Usage: node scripts/copy-storage.js --from mongo|sqlite --to mongo|sqlite [--sqlite-path <file>] [--replace]
+//   copies every collection, documents and indexes, between the MongoDB at MONGO_URI /
+//   MONGO_DB_NAME and the SQLite file at SQLITE_PATH (or --sqlite-path)
+const args = process.argv.slice(2);
+const USAGE = 'Usage: node scripts/copy-storage.js --from mongo|sqlite --to mongo|sqlite [--sqlite-path <file>] [--replace]';
+
+function option(name) {
+  const i = args.indexOf(`--${name}`);
+  return i === -1 ? undefined : args[i + 1];
+}
+
+function open(backend) {
+  return backend === 'sqlite' ? sqlite.connectToSqlite({ path: option('sqlite-path') }) : mongo.connectToDb();
+}
+
+async function run() {
+  const from = option('from');
+  const to = option('to');
+  if (!STORAGE_BACKENDS.includes(from) || !STORAGE_BACKENDS.includes(to) || from === to) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  try {
+    const source = await open(from);
+    const target = await open(to);
+    const report = await copyStorage(source, target, {
+      replace: args.includes('--replace'),
+      onCollection: ({ name, documents, indexes }) => console.log(`  ${name}: ${documents} documents, ${indexes} indexes`),
+    });
+    const total = report.reduce((sum, c) => sum + c.documents, 0);
+    console.log(`Copied ${report.length} collection(s), ${total} documents, from ${from} to ${to}`);
+  } catch (err) {
+    console.error('Copy error:', err.message);
+    process.exitCode = 1;
+  } finally {
+    try {
+      sqlite.closeSqlite();
+      await mongo.closeDb();
+    } catch {}
+  }
+}
+
+run();
@@ -0,0 +1,32 @@
+require('dotenv').config();
+const fs = require('fs');
+const { connectStorage, closeStorage } = require('../database/storage');
+const { exportCatalog } = require('../services/catalog');
+
+// Usage: node scripts/export-movies.js [--format csv|json] [--out file]  (stdout without --out)
+const args = process.argv.slice(2);
+const flag = (name) => (args.indexOf(name) !== -1 ? args[args.indexOf(name) + 1] : undefined);
+const format = flag('--format') || 'json';
+const out = flag('--out');
+
+async function run() {
+  try {
+    await connectStorage();
+    const { body } = await exportCatalog(format);
+    if (out) {
+      fs.writeFileSync(out, body);
+      console.error(`Exported catalog to ${out}`);
+    } else {
+      process.stdout.write(body);
+    }
+  } catch (err) {
+    console.error('Export error:', err.message);
+    process.exitCode = 1;
+  } finally {
+    try {
+      await closeStorage();
+    } catch {}
+  }
+}
+
+run();
@@ -0,0 +1,49 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { connectStorage, closeStorage } = require('../database/storage');
+const { importCatalog } = require('../services/catalog');
+
+// Usage: node scripts/import-movies.js <file.csv|file.json> [--dry-run] [--format csv|json]
+const args = process.argv.slice(2);
+const file = args.find((a) => !a.startsWith('--'));
+const dryRun = args.includes('--dry-run');
+const formatFlag = args.indexOf('--format');
+const format =
+  formatFlag !== -1 ? args[formatFlag + 1] : file && path.extname(file).toLowerCase() === '.json' ? 'json' : 'csv';
+
+async function run() {
+  if (!file) {
+    console.error('Usage: node scripts/import-movies.js <file.csv|file.json> [--dry-run] [--format csv|json]');
+    process.exit(1);
+  }
+
+  let payload;
+  try {
+    payload = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    console.error(`Cannot read ${file}:`, err.message);
+    process.exit(1);
+  }
+
+  try {
+    await connectStorage();
+    const report = await importCatalog(payload, { format, dryRun });
+    for (const r of report.rows.filter((row) => row.action === 'error')) {
+      console.log(`Row ${r.row}${r.title ? ` (${r.title})` : ''}: ${r.errors.join('; ')}`);
+    }
+    console.log(
+      `${dryRun ? 'Dry run' : 'Imported'}: ${report.created} new, ${report.updated} updated, ${report.failed} failed of ${report.total} rows`
+    );
+    process.exitCode = report.failed ? 2 : 0;
+  } catch (err) {
+    console.error('Import error:', err.message);
+    process.exitCode = 1;
+  } finally {
+    try {
+      await closeStorage();
+    } catch {}
+  }
+}
+
+run();
@@ -0,0 +1,30 @@
+require('dotenv').config();
+const path = require('path');
+const { connectStorage, closeStorage } = require('../database/storage');
+const { importLegacyFile } = require('../services/contact');
+
+// Usage: node scripts/migrate-contact.js [file] [--dry-run]
+// Copies old data.json contact messages into the messages collection; re-running is safe.
+// Migration 007 imports the project's own data.json; this is for other copies and previews.
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const file = args.find((a) => !a.startsWith('--')) || path.join(__dirname, '..', 'data.json');
+
+async function run() {
+  try {
+    await connectStorage();
+    const report = await importLegacyFile(file, { dryRun });
+    console.log(
+      `${dryRun ? 'Dry run' : 'Migrated'}: ${report.imported} new, ${report.alreadyImported} already imported, ${report.skipped} skipped`
+    );
+  } catch (err) {
+    console.error('Migration error:', err.message);
+    process.exitCode = 1;
+  } finally {
+    try {
+      await closeStorage();
+    } catch {}
+  }
+}
+
+run();
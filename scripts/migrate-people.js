@@ -0,0 +1,25 @@
+require('dotenv').config();
+const { connectStorage, closeStorage } = require('../database/storage');
+const { migrateDirectors } = require('../services/people');
+
+// Usage: node scripts/migrate-people.js [--dry-run]
+const dryRun = process.argv.includes('--dry-run');
+
+async function run() {
+  try {
+    await connectStorage();
+    const report = await migrateDirectors({ dryRun });
+    console.log(
+      `${dryRun ? 'Dry run' : 'Migrated'}: ${report.movies} movies, ${report.peopleCreated} people created, ${report.creditsAdded} director credits added`
+    );
+  } catch (err) {
+    console.error('Migration error:', err.message);
+    process.exitCode = 1;
+  } finally {
+    try {
+      await closeStorage();
+    } catch {}
+  }
+}
+
+run();
@@ -0,0 +1,56 @@
+require('dotenv').config();
+const { connectStorage, closeStorage } = require('../database/storage');
+const { migrationStatus, migrateUp, migrateDown } = require('../services/migrations');
+
+// Usage: node scripts/migrate.js [up|down|status] [--to <id>] [--steps <n>]
+//   up      apply pending migrations (all, or up to and including --to)
+//   down    revert the newest migration (or the last --steps, or everything after --to)
+//   status  list applied and pending migrations
+const args = process.argv.slice(2);
+const command = args[0] && !args[0].startsWith('--') ? args[0] : 'up';
+
+function option(name) {
+  const i = args.indexOf(`--${name}`);
+  return i === -1 ? undefined : args[i + 1];
+}
+
+function printReport({ id, report }) {
+  const details = Object.keys(report).length ? ` ${JSON.stringify(report)}` : '';
+  console.log(`  ${id}${details}`);
+}
+
+async function run() {
+  try {
+    await connectStorage();
+    const to = option('to');
+
+    if (command === 'status') {
+      const status = await migrationStatus();
+      for (const m of status.applied) console.log(`  applied  ${m.id}  ${m.appliedAt.toISOString()}  ${m.description}`);
+      for (const m of status.pending) console.log(`  pending  ${m.id}  ${m.description}`);
+      for (const id of status.unknown) console.log(`  unknown  ${id}  (applied by a newer version)`);
+      console.log(`${status.applied.length} applied, ${status.pending.length} pending`);
+    } else if (command === 'up') {
+      const applied = await migrateUp({ to });
+      console.log(applied.length ? `Applied ${applied.length} migration(s):` : 'Nothing to apply');
+      applied.forEach(printReport);
+    } else if (command === 'down') {
+      const steps = option('steps') !== undefined ? Number(option('steps')) : 1;
+      if (!Number.isInteger(steps) || steps < 1) throw new Error('--steps must be a positive integer');
+      const reverted = await migrateDown({ to, steps });
+      console.log(reverted.length ? `Reverted ${reverted.length} migration(s):` : 'Nothing to revert');
+      reverted.forEach(printReport);
+    } else {
+      throw new Error(`Unknown command "${command}"; use up, down or status`);
+    }
+  } catch (err) {
+    console.error('Migration error:', err.message);
+    process.exitCode = 1;
+  } finally {
+    try {
+      await closeStorage();
+    } catch {}
+  }
+}
+
+run();
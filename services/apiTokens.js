@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const { apiTokensCollection } = require('../models/apiToken');
+const { hashToken } = require('./authTokens');
+
+/** Scopes a personal API token can carry. */
+const SCOPES = {
+  'catalog:read': 'Read movies, people, reviews, public lists and profiles',
+  'lists:write': 'Read and change your likes, watchlist, lists, diary, follows and feed',
+  admin: 'Admin endpoints and catalog edits (admins only)',
+};
+const TOKEN_PREFIX = 'mm_';
+const NAME_MAX = 100;
+const EXPIRES_DAYS_MAX = 365;
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/** A new raw token; only its hash is stored. */
+function generateToken() {
+  return TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+}
+
+/** Validate a create-token body for a user with the given role. Returns { errors, data }. */
+function validateTokenBody(body, role) {
+  const errors = [];
+  const { name, scopes, expiresInDays } = body || {};
+  const data = {};
+
+  if (typeof name !== 'string' || !name.trim()) errors.push('name is required');
+  else if (name.trim().length > NAME_MAX) errors.push(`name must be at most ${NAME_MAX} characters`);
+  else data.name = name.trim();
+
+  if (!Array.isArray(scopes) || scopes.length === 0) errors.push('scopes must be a non-empty array');
+  else if (scopes.some((s) => !Object.hasOwn(SCOPES, s))) errors.push(`scopes must be among ${Object.keys(SCOPES).join(', ')}`);
+  else if (scopes.includes('admin') && role !== 'admin') errors.push('only admins can create admin tokens');
+  else data.scopes = Array.from(new Set(scopes));
+
+  if (expiresInDays !== undefined && expiresInDays !== null && expiresInDays !== '') {
+    const days = Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > EXPIRES_DAYS_MAX) {
+      errors.push(`expiresInDays must be an integer between 1 and ${EXPIRES_DAYS_MAX}`);
+    } else data.expiresInDays = days;
+  }
+
+  return { errors, data };
+}
+
+/**
+ * The request path as routing sees it: decoded and lowercased, because Express matches
+ * routes case-insensitively and /api/Admin reaches the admin router too.
+ */
+function routedPath(req) {
+  const path = (req.originalUrl || req.url || '').split('?')[0];
+  try {
+    return decodeURIComponent(path).toLowerCase();
+  } catch {
+    return path.toLowerCase();
+  }
+}
+
+/**
+ * Which scope a token needs for this request: '*' for any scope, or null when tokens
+ * can't be used at all (signing in, account and token management and the contact form
+ * stay session-only). Writes outside /api/user are admin endpoints.
+ */
+function requiredScope(req) {
+  const url = routedPath(req);
+  if (url === '/auth/me') return '*';
+  if (url.startsWith('/api/admin')) return 'admin';
+  if (url === '/api/user' || url.startsWith('/api/user/')) return 'lists:write';
+  if (!url.startsWith('/api/')) return null;
+  return SAFE_METHODS.includes(req.method) ? 'catalog:read' : 'admin';
+}
+
+/** Whether a token with these scopes, owned by a user with this role, may make the request. */
+function tokenAllows(req, scopes, role) {
+  const needed = requiredScope(req);
+  if (needed === '*') return true;
+  if (!needed || !scopes.includes(needed)) return false;
+  return needed !== 'admin' || role === 'admin';
+}
+
+/** Active token document for a raw token, or null when unknown, revoked or expired. */
+async function findActiveToken(raw, now = new Date()) {
+  if (typeof raw !== 'string' || !raw.startsWith(TOKEN_PREFIX)) return null;
+  return apiTokensCollection().findOne({
+    tokenHash: hashToken(raw),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+  });
+}
+
+/** Note when and from where a token was last used; never fails the request. */
+function recordUsage(tokenId, ip) {
+  apiTokensCollection()
+    .updateOne({ _id: tokenId }, { $set: { lastUsedAt: new Date(), lastUsedIp: ip || null } })
+    .catch((err) => console.error('token usage error:', err));
+}
+
+/**
+ * Revoke every active token a user holds, for the steps that recover an account (password
+ * change and reset): a leaked token must not outlive them. Returns how many were revoked.
+ */
+async function revokeUserTokens(userId) {
+  const result = await apiTokensCollection().updateMany({ userId: String(userId), revokedAt: null }, { $set: { revokedAt: new Date() } });
+  return result.modifiedCount;
+}
+
+/** Public view of a token document; the hash never leaves the server. */
+function serializeToken(doc) {
+  return {
+    _id: doc._id,
+    name: doc.name,
+    scopes: doc.scopes,
+    prefix: doc.prefix,
+    createdAt: doc.createdAt,
+    expiresAt: doc.expiresAt || null,
+    lastUsedAt: doc.lastUsedAt || null,
+    lastUsedIp: doc.lastUsedIp || null,
+  };
+}
+
+module.exports = {
+  SCOPES,
+  TOKEN_PREFIX,
+  generateToken,
+  validateTokenBody,
+  requiredScope,
+  tokenAllows,
+  findActiveToken,
+  recordUsage,
+  revokeUserTokens,
+  serializeToken,
+};
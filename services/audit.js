@@ -0,0 +1,26 @@
+const { auditCollection } = require('../models/audit');
+
+/**
+ * Append an entry to the audit log: who (the session user), did what (action, e.g.
+ * "movie.update"), to which target ({ type, id }), plus free-form details. Failures are
+ * logged rather than thrown so auditing never breaks the change it records.
+ */
+async function recordAudit(req, action, target, details = {}) {
+  const user = req.session && req.session.user;
+  const entry = {
+    action,
+    actor: user ? { id: user.id, username: user.username } : null,
+    target: target ? { type: target.type, id: target.id != null ? String(target.id) : null } : null,
+    details,
+    ip: req.ip || null,
+    createdAt: new Date(),
+  };
+  try {
+    await auditCollection().insertOne(entry);
+  } catch (err) {
+    console.error('audit log error:', err);
+  }
+  return entry;
+}
+
+module.exports = { recordAudit };
@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+const { authTokensCollection } = require('../models/authToken');
+
+/** Token purposes and how long each stays valid. */
+const TOKEN_TTL_MS = {
+  verify: 48 * 60 * 60 * 1000,
+  reset: 60 * 60 * 1000,
+};
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Issue a single-use token for userId, bound to the email address it is sent to. Only its
+ * hash is stored, and earlier unused tokens of the same type are revoked so only the newest
+ * link works. Returns the raw token.
+ */
+async function issueToken(userId, type, { email = null, now = new Date() } = {}) {
+  if (!TOKEN_TTL_MS[type]) throw new Error(`Unknown token type: ${type}`);
+  const token = crypto.randomBytes(32).toString('hex');
+  const tokens = authTokensCollection();
+  await tokens.updateMany({ userId: String(userId), type, usedAt: null }, { $set: { usedAt: now, revoked: true } });
+  await tokens.insertOne({
+    userId: String(userId),
+    type,
+    email,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(now.getTime() + TOKEN_TTL_MS[type]),
+    usedAt: null,
+    createdAt: now,
+  });
+  return token;
+}
+
+/** Atomically mark an unexpired, unused token as used. Returns the token document, or null. */
+async function consumeToken(token, type, { now = new Date() } = {}) {
+  if (typeof token !== 'string' || !/^[a-f0-9]{64}$/.test(token)) return null;
+  const doc = await authTokensCollection().findOneAndUpdate(
+    { tokenHash: hashToken(token), type, usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } }
+  );
+  return doc && doc.userId ? doc : null;
+}
+
+module.exports = { TOKEN_TTL_MS, hashToken, issueToken, consumeToken };
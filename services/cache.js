@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const { invalidateSearchIndex } = require('./search');
+
+const CATALOG_CACHE_MAX = 500;
+const CATALOG_CACHE_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Small in-process LRU cache with a TTL. `version` is bumped by clear() so a load that
+ * started before an invalidation can tell that its result is already stale.
+ */
+function createCache({ max, ttlMs }) {
+  const entries = new Map();
+  let version = 0;
+
+  return {
+    get version() {
+      return version;
+    },
+    get size() {
+      return entries.size;
+    },
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (Date.now() - entry.storedAt > ttlMs) {
+        entries.delete(key);
+        return undefined;
+      }
+      // re-insert so Map order tracks recency
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+    set(key, value, loadedAtVersion = version) {
+      if (loadedAtVersion !== version) return;
+      entries.delete(key);
+      entries.set(key, { value, storedAt: Date.now() });
+      while (entries.size > max) entries.delete(entries.keys().next().value);
+    },
+    clear() {
+      entries.clear();
+      version++;
+    },
+  };
+}
+
+/** Cached GET /api/movies responses, keyed by the canonical query string. */
+const catalogCache = createCache({ max: CATALOG_CACHE_MAX, ttlMs: CATALOG_CACHE_TTL_MS });
+
+/** Call after any write to the movies collection: drops cached responses and the search index. */
+function invalidateCatalog() {
+  catalogCache.clear();
+  invalidateSearchIndex();
+}
+
+/** Strong ETag over a JSON response body. */
+function etagFor(body) {
+  const hash = crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64url');
+  return `"${hash}"`;
+}
+
+/** Query object to a stable cache key: keys sorted, repeated params kept in order. */
+function canonicalQuery(query) {
+  return Object.keys(query || {})
+    .sort()
+    .map((k) => `${k}=${JSON.stringify(query[k])}`)
+    .join('&');
+}
+
+/**
+ * Send a cached { body, etag } entry with validators, answering 304 when the client's
+ * If-None-Match already matches.
+ */
+function sendCached(req, res, entry, cacheControl) {
+  res.set('ETag', entry.etag);
+  res.set('Cache-Control', cacheControl);
+  if (req.fresh) return res.status(304).end();
+  res.status(200).json(entry.body);
+}
+
+module.exports = {
+  createCache,
+  catalogCache,
+  invalidateCatalog,
+  etagFor,
+  canonicalQuery,
+  sendCached,
+};
@@ -0,0 +1,210 @@
+const { moviesCollection, NOT_DELETED } = require('../models/movie');
+const { validateFilmBody, buildMovieDoc, buildMovieUpdate, movieUpdateOperators } = require('../controllers/moviesController');
+const { invalidateCatalog } = require('./cache');
+const { recordRevisions } = require('./revisions');
+const { parseCsvObjects, stringifyCsv } = require('./csv');
+
+const FORMATS = ['csv', 'json'];
+const EXPORT_COLUMNS = ['title', 'year', 'genres', 'rating', 'director', 'posterUrl', 'description', 'trailerUrl'];
+const ROWS_MAX = 5000;
+
+/** Header aliases accepted on import, matched case-insensitively. */
+const COLUMN_ALIASES = {
+  title: ['title', 'name'],
+  year: ['year', 'release year'],
+  genres: ['genres', 'genre'],
+  rating: ['rating'],
+  director: ['director', 'directors'],
+  posterUrl: ['posterurl', 'poster', 'poster url'],
+  description: ['description', 'overview', 'plot'],
+  trailerUrl: ['trailerurl', 'trailer', 'watchurl'],
+  // JSON only: { <locale>: { title, description } }
+  translations: ['translations'],
+};
+
+/** Error for bad import input; controllers answer these with 400. */
+function invalidInput(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function titleYearKey(title, year) {
+  return `${String(title).trim().toLowerCase()}|${year}`;
+}
+
+/**
+ * Map a raw CSV/JSON record to the body validateFilmBody expects. Blank cells count as
+ * absent so an upsert never wipes a field the file didn't fill in.
+ */
+function rowToFilmBody(raw) {
+  const lower = new Map(Object.entries(raw || {}).map(([k, v]) => [k.trim().toLowerCase(), v]));
+  const body = {};
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    const alias = aliases.find((a) => lower.has(a));
+    if (alias === undefined) continue;
+    const value = lower.get(alias);
+    if (value === null || value === undefined || (typeof value === 'string' && value.trim() === '')) continue;
+    body[field] = value;
+  }
+  if (typeof body.genres === 'string') {
+    body.genres = body.genres.split(/[|;,]/).map((g) => g.trim()).filter(Boolean);
+  }
+  return body;
+}
+
+/** Decode an uploaded payload into raw records. Throws with a readable message on bad input. */
+function parseRecords(payload, format) {
+  if (format === 'csv') {
+    try {
+      return parseCsvObjects(payload);
+    } catch (err) {
+      throw invalidInput(`Invalid CSV: ${err.message}`);
+    }
+  }
+  let data = payload;
+  if (typeof payload === 'string') {
+    try {
+      data = JSON.parse(payload);
+    } catch (err) {
+      throw invalidInput('Invalid JSON');
+    }
+  }
+  if (data && !Array.isArray(data) && Array.isArray(data.movies)) data = data.movies;
+  if (!Array.isArray(data)) throw invalidInput('JSON import must be an array of movies');
+  return data;
+}
+
+/**
+ * Validate records and decide what each one does, without touching the database.
+ * existing maps title+year keys to the _id of catalog movies; rows matching a key in
+ * trashed (movies in the trash) are refused. Returns the report rows and the write
+ * operations an import would run.
+ */
+function planImport(records, existing, trashed = new Set()) {
+  const rows = [];
+  const operations = [];
+  const seen = new Map();
+
+  records.forEach((raw, i) => {
+    const row = i + 1;
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      rows.push({ row, action: 'error', errors: ['row must be an object'] });
+      return;
+    }
+    const { errors, data } = validateFilmBody(rowToFilmBody(raw), true);
+    if (errors.length) {
+      rows.push({ row, action: 'error', title: raw.title || raw.Title || raw.Name || null, errors });
+      return;
+    }
+
+    const key = titleYearKey(data.title, data.year);
+    if (seen.has(key)) {
+      rows.push({ row, action: 'error', title: data.title, year: data.year, errors: [`duplicate of row ${seen.get(key)}`] });
+      return;
+    }
+    seen.set(key, row);
+    if (trashed.has(key)) {
+      rows.push({ row, action: 'error', title: data.title, year: data.year, errors: ['matches a movie in the trash; restore it first'] });
+      return;
+    }
+
+    const existingId = existing.get(key);
+    if (existingId) {
+      rows.push({ row, action: 'update', title: data.title, year: data.year, _id: existingId });
+      operations.push({ updateOne: { filter: { _id: existingId }, update: movieUpdateOperators(buildMovieUpdate(data)) } });
+    } else {
+      rows.push({ row, action: 'create', title: data.title, year: data.year });
+      operations.push({ insertOne: { document: buildMovieDoc(data) } });
+    }
+  });
+
+  const count = (action) => rows.filter((r) => r.action === action).length;
+  return {
+    summary: { total: records.length, created: count('create'), updated: count('update'), failed: count('error') },
+    rows,
+    operations,
+  };
+}
+
+/**
+ * Import a CSV or JSON payload. With dryRun nothing is written; the report is identical.
+ * Every created or changed movie gets a revision credited to editor ({ id, username }).
+ */
+async function importCatalog(payload, { format, dryRun, editor = null }) {
+  if (!FORMATS.includes(format)) throw invalidInput(`format must be one of ${FORMATS.join(', ')}`);
+  const records = parseRecords(payload, format);
+  if (records.length > ROWS_MAX) throw invalidInput(`At most ${ROWS_MAX} rows per import`);
+
+  const docs = await moviesCollection().find({}, { projection: { title: 1, year: 1, deletedAt: 1 } }).toArray();
+  const existing = new Map(docs.filter((m) => !m.deletedAt).map((m) => [titleYearKey(m.title, m.year), m._id]));
+  const trashed = new Set(docs.filter((m) => m.deletedAt).map((m) => titleYearKey(m.title, m.year)));
+  const { summary, rows, operations } = planImport(records, existing, trashed);
+
+  if (!dryRun && operations.length) {
+    const updatedIds = rows.filter((r) => r.action === 'update').map((r) => r._id);
+    const before = new Map(
+      (await moviesCollection().find({ _id: { $in: updatedIds } }).toArray()).map((m) => [m._id.toString(), m])
+    );
+    const result = await moviesCollection().bulkWrite(operations, { ordered: false });
+    const inserted = result.insertedIds || {};
+    let opIndex = 0;
+    for (const r of rows) {
+      if (r.action === 'error') continue;
+      if (r.action === 'create' && inserted[opIndex]) r._id = inserted[opIndex];
+      opIndex++;
+    }
+    invalidateCatalog();
+
+    const written = rows.filter((r) => r._id && r.action !== 'error').map((r) => r._id);
+    const after = await moviesCollection().find({ _id: { $in: written } }).toArray();
+    await recordRevisions(
+      editor,
+      after.map((movie) => {
+        const previous = before.get(movie._id.toString());
+        return { action: previous ? 'update' : 'create', before: previous || null, movie };
+      })
+    );
+  }
+
+  return { dryRun: !!dryRun, format, ...summary, rows };
+}
+
+function toExportRecord(movie) {
+  const genres = Array.isArray(movie.genres) && movie.genres.length ? movie.genres : movie.genre ? [movie.genre] : [];
+  return {
+    title: movie.title,
+    year: movie.year,
+    genres,
+    rating: movie.rating ?? null,
+    director: movie.director || null,
+    posterUrl: movie.posterUrl || movie.poster || null,
+    description: movie.description || null,
+    trailerUrl: movie.trailerUrl || null,
+    ...(movie.translations && Object.keys(movie.translations).length ? { translations: movie.translations } : {}),
+  };
+}
+
+/** Export the whole catalog in an importable format. Returns { body, contentType, filename }. */
+async function exportCatalog(format) {
+  if (!FORMATS.includes(format)) throw invalidInput(`format must be one of ${FORMATS.join(', ')}`);
+  const movies = await moviesCollection().find(NOT_DELETED).sort({ title: 1, year: 1 }).toArray();
+  const records = movies.map(toExportRecord);
+
+  if (format === 'json') {
+    return { body: JSON.stringify(records, null, 2), contentType: 'application/json', filename: 'movies.json' };
+  }
+  const csvRecords = records.map((r) => ({ ...r, genres: r.genres.join('|') }));
+  return { body: stringifyCsv(EXPORT_COLUMNS, csvRecords), contentType: 'text/csv', filename: 'movies.csv' };
+}
+
+module.exports = {
+  FORMATS,
+  rowToFilmBody,
+  parseRecords,
+  planImport,
+  importCatalog,
+  exportCatalog,
+  titleYearKey,
+  invalidInput,
+};
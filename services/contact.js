@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { messagesCollection } = require('../models/message');
+
+function legacyKey(entry, index) {
+  return crypto.createHash('sha1').update(`${index}|${JSON.stringify(entry)}`).digest('hex');
+}
+
+/** A messages document for the index-th valid entry of the old data.json array. */
+function legacyMessage(entry, index) {
+  const createdAt = entry.createdAt ? new Date(entry.createdAt) : null;
+  return {
+    name: String(entry.name || '').trim(),
+    email: String(entry.email || '').trim(),
+    message: String(entry.message || '').trim(),
+    // the old handler did not record who was signed in
+    userId: null,
+    username: null,
+    status: 'new',
+    notes: [],
+    legacyKey: legacyKey(entry, index),
+    createdAt: createdAt && !Number.isNaN(createdAt.getTime()) ? createdAt : new Date(0),
+  };
+}
+
+/**
+ * Copy the old data.json contact messages into the messages collection (of db, when given).
+ * Each entry is keyed by a hash of its content and position, so re-running does not
+ * duplicate anything.
+ */
+async function importLegacyMessages(entries, { dryRun, db } = {}) {
+  // keys count positions among the valid entries, as every earlier run did
+  const docs = entries.filter((e) => e && typeof e === 'object').map(legacyMessage);
+  const existing = await messagesCollection(db)
+    .find({ legacyKey: { $in: docs.map((d) => d.legacyKey) } }, { projection: { legacyKey: 1 } })
+    .toArray();
+  const seen = new Set(existing.map((d) => d.legacyKey));
+  const fresh = docs.filter((d) => !seen.has(d.legacyKey));
+
+  if (!dryRun && fresh.length) await messagesCollection(db).insertMany(fresh);
+  return { dryRun: !!dryRun, imported: fresh.length, alreadyImported: docs.length - fresh.length, skipped: entries.length - docs.length };
+}
+
+/** Read a data.json file and import it with importLegacyMessages; throws if it isn't an array. */
+async function importLegacyFile(file, options) {
+  const entries = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  if (!Array.isArray(entries)) throw new Error(`${file} does not contain an array of messages`);
+  return importLegacyMessages(entries, options);
+}
+
+module.exports = { legacyMessage, importLegacyMessages, importLegacyFile };
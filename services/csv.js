@@ -0,0 +1,71 @@
+/**
+ * Minimal RFC 4180 CSV parser: quoted fields, escaped quotes ("") and line breaks
+ * inside quotes. Returns an array of rows, each an array of strings.
+ */
+function parseCsv(text) {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (inQuotes) throw new Error('Unterminated quoted field');
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.length > 1 || r[0] !== '');
+}
+
+/** Parse CSV with a header row into objects keyed by the (trimmed) header names. */
+function parseCsvObjects(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+  const keys = header.map((h) => h.trim());
+  return rows.map((r) => Object.fromEntries(keys.map((k, i) => [k, r[i] !== undefined ? r[i] : ''])));
+}
+
+function escapeField(value) {
+  if (value === undefined || value === null) return '';
+  const s = String(value);
+  return /[",\r\n]|^\s|\s$/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** Serialize objects to CSV using the given column order. */
+function stringifyCsv(columns, records) {
+  const lines = [columns.map(escapeField).join(',')];
+  for (const record of records) {
+    lines.push(columns.map((c) => escapeField(record[c])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { parseCsv, parseCsvObjects, stringifyCsv };
@@ -0,0 +1,69 @@
+const { ObjectId } = require('mongodb');
+
+/**
+ * Opaque keyset cursors. A cursor records the sort values of the last item on a page and
+ * a signature of the sort it was made for, base64url-encoded so clients treat it as a token.
+ */
+
+function sortSignature(sort) {
+  return Object.entries(sort)
+    .map(([k, dir]) => `${k}:${dir}`)
+    .join(',');
+}
+
+function encodeValue(value) {
+  if (value instanceof ObjectId) return { $oid: value.toString() };
+  if (value instanceof Date) return { $date: value.toISOString() };
+  return value === undefined ? null : value;
+}
+
+function decodeValue(value) {
+  if (value && typeof value === 'object') {
+    if (typeof value.$oid === 'string' && ObjectId.isValid(value.$oid)) return new ObjectId(value.$oid);
+    if (typeof value.$date === 'string') return new Date(value.$date);
+    throw new Error('bad value');
+  }
+  return value;
+}
+
+/** Cursor pointing just after `doc` in the given sort order. */
+function encodeCursor(doc, sort) {
+  const values = Object.keys(sort).map((k) => encodeValue(doc[k]));
+  return Buffer.from(JSON.stringify({ s: sortSignature(sort), v: values })).toString('base64url');
+}
+
+/** Decode a cursor made for `sort`. Returns the sort values, or null if it is invalid or for another sort. */
+function decodeCursor(cursor, sort) {
+  try {
+    const { s, v } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (s !== sortSignature(sort) || !Array.isArray(v) || v.length !== Object.keys(sort).length) return null;
+    return v.map(decodeValue);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Condition matching documents strictly after the cursor position for one key. Missing and
+ * null values sort lowest in Mongo, so they come first ascending and last descending.
+ */
+function afterValue(key, dir, value) {
+  if (value === null) return dir === 1 ? { [key]: { $ne: null } } : null;
+  if (dir === 1) return { [key]: { $gt: value } };
+  return { $or: [{ [key]: { $lt: value } }, { [key]: null }] };
+}
+
+/** Filter selecting everything after the cursor values for a compound sort. */
+function cursorFilter(sort, values) {
+  const keys = Object.keys(sort);
+  const branches = [];
+  keys.forEach((key, i) => {
+    const after = afterValue(key, sort[key], values[i]);
+    if (!after) return;
+    const equalPrefix = keys.slice(0, i).map((k, j) => ({ [k]: values[j] }));
+    branches.push(equalPrefix.length ? { $and: [...equalPrefix, after] } : after);
+  });
+  return branches.length ? { $or: branches } : { _id: { $exists: false } };
+}
+
+module.exports = { encodeCursor, decodeCursor, cursorFilter };
@@ -0,0 +1,98 @@
+const TOP_N = 5;
+
+function monthKey(date) {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+/** Count occurrences and return the most frequent names, ties broken alphabetically. */
+function topCounts(names, limit = TOP_N) {
+  const counts = new Map();
+  for (const name of names) counts.set(name, (counts.get(name) || 0) + 1);
+  return Array.from(counts, ([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+    .slice(0, limit);
+}
+
+function movieGenres(movie) {
+  if (Array.isArray(movie.genres) && movie.genres.length) return movie.genres;
+  return movie.genre ? [movie.genre] : [];
+}
+
+/**
+ * Aggregate diary entries into profile stats. moviesById maps movie id strings to
+ * movie documents; entries for movies that no longer exist still count as viewings
+ * but add no genres or directors.
+ */
+function computeDiaryStats(entries, moviesById) {
+  const perMonth = new Map();
+  const genres = [];
+  const directors = [];
+  const films = new Set();
+  let rated = 0;
+  let ratingSum = 0;
+  let rewatches = 0;
+
+  for (const entry of entries) {
+    const id = String(entry.movieId);
+    films.add(id);
+    if (entry.rewatch) rewatches++;
+    if (typeof entry.rating === 'number') {
+      rated++;
+      ratingSum += entry.rating;
+    }
+    const key = monthKey(entry.watchedAt);
+    perMonth.set(key, (perMonth.get(key) || 0) + 1);
+
+    const movie = moviesById.get(id);
+    if (!movie) continue;
+    genres.push(...movieGenres(movie));
+    if (movie.director) directors.push(movie.director);
+  }
+
+  return {
+    totalEntries: entries.length,
+    uniqueFilms: films.size,
+    rewatches,
+    averageRating: rated ? Math.round((ratingSum / rated) * 10) / 10 : null,
+    perMonth: Array.from(perMonth, ([month, count]) => ({ month, count })).sort((a, b) =>
+      a.month.localeCompare(b.month)
+    ),
+    topGenres: topCounts(genres),
+    topDirectors: topCounts(directors),
+  };
+}
+
+/** Stats for a single calendar year, with all twelve months present and the best-rated viewings. */
+function summarizeYear(entries, moviesById, year) {
+  const inYear = entries.filter((e) => new Date(e.watchedAt).getUTCFullYear() === year);
+  const stats = computeDiaryStats(inYear, moviesById);
+  const counts = new Map(stats.perMonth.map((m) => [m.month, m.count]));
+  const perMonth = Array.from({ length: 12 }, (_, i) => {
+    const month = `${year}-${String(i + 1).padStart(2, '0')}`;
+    return { month, count: counts.get(month) || 0 };
+  });
+
+  const sorted = inYear.slice().sort((a, b) => new Date(a.watchedAt) - new Date(b.watchedAt));
+  const describe = (e) => {
+    const movie = moviesById.get(String(e.movieId));
+    return { movieId: String(e.movieId), title: movie ? movie.title : null, watchedAt: e.watchedAt, rating: e.rating ?? null };
+  };
+  const highestRated = inYear
+    .filter((e) => typeof e.rating === 'number')
+    .sort((a, b) => b.rating - a.rating || new Date(a.watchedAt) - new Date(b.watchedAt))
+    .slice(0, TOP_N)
+    .map(describe);
+
+  return {
+    year,
+    ...stats,
+    perMonth,
+    busiestMonth: stats.totalEntries ? perMonth.reduce((best, m) => (m.count > best.count ? m : best)).month : null,
+    firstWatch: sorted.length ? describe(sorted[0]) : null,
+    lastWatch: sorted.length ? describe(sorted[sorted.length - 1]) : null,
+    highestRated,
+  };
+}
+
+module.exports = { computeDiaryStats, summarizeYear };
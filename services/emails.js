@@ -0,0 +1,45 @@
+/** Base URL used in links sent by email. */
+function appUrl(env = process.env) {
+  return (env.APP_URL || `http://localhost:${env.PORT || 3000}`).replace(/\/+$/, '');
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+}
+
+function linkEmail({ to, subject, greeting, lines, label, url }) {
+  const text = [greeting, '', ...lines, '', url, ''].join('\n');
+  const html = [
+    `<p>${escapeHtml(greeting)}</p>`,
+    ...lines.map((l) => `<p>${escapeHtml(l)}</p>`),
+    `<p><a href="${escapeHtml(url)}">${escapeHtml(label)}</a></p>`,
+  ].join('\n');
+  return { to, subject, text, html };
+}
+
+function verificationEmail({ to, username, token, baseUrl = appUrl() }) {
+  return linkEmail({
+    to,
+    subject: 'Confirm your MyMovie email address',
+    greeting: `Hi ${username},`,
+    lines: ['Confirm this address to start writing reviews and lists. The link is valid for 48 hours.'],
+    label: 'Confirm email',
+    url: `${baseUrl}/auth/verify-email?token=${token}`,
+  });
+}
+
+function passwordResetEmail({ to, username, token, baseUrl = appUrl() }) {
+  return linkEmail({
+    to,
+    subject: 'Reset your MyMovie password',
+    greeting: `Hi ${username},`,
+    lines: [
+      'Someone asked to reset the password for your account. The link works once and expires in one hour.',
+      'If it wasn\'t you, ignore this email; your password stays the same.',
+    ],
+    label: 'Choose a new password',
+    url: `${baseUrl}/reset-password?token=${token}`,
+  });
+}
+
+module.exports = { appUrl, verificationEmail, passwordResetEmail };
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+
+const LOCALES_DIR = path.join(__dirname, '..', 'locales');
+/** The stored title, description and genre names are in this locale. */
+const DEFAULT_LOCALE = 'en';
+// where a locale looks next for a missing string or translation, before DEFAULT_LOCALE
+const FALLBACKS = { kk: ['ru'] };
+const TRANSLATED_FIELDS = ['title', 'description'];
+const TITLE_MAX = 300;
+const DESCRIPTION_MAX = 5000;
+
+/** One bundle of UI strings per locales/<locale>.json. */
+function loadBundles(dir = LOCALES_DIR) {
+  const bundles = new Map();
+  for (const file of fs.readdirSync(dir).filter((f) => f.endsWith('.json')).sort()) {
+    bundles.set(path.basename(file, '.json'), JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+  }
+  if (!bundles.has(DEFAULT_LOCALE)) throw new Error(`locales/${DEFAULT_LOCALE}.json is missing`);
+  return bundles;
+}
+
+const bundles = loadBundles();
+const LOCALES = [DEFAULT_LOCALE, ...[...bundles.keys()].filter((l) => l !== DEFAULT_LOCALE)];
+/** Locales a movie can carry translations for. */
+const TRANSLATION_LOCALES = LOCALES.filter((l) => l !== DEFAULT_LOCALE);
+
+/** "ru-RU" or "RU" -> "ru" when there is a ru bundle; null otherwise. */
+function supportedLocale(tag) {
+  if (typeof tag !== 'string' || !tag.trim()) return null;
+  const lower = tag.trim().toLowerCase().replace('_', '-');
+  if (bundles.has(lower)) return lower;
+  const primary = lower.split('-')[0];
+  return bundles.has(primary) ? primary : null;
+}
+
+/** Language tags from an Accept-Language header, most preferred first. */
+function parseAcceptLanguage(header) {
+  if (!header) return [];
+  return String(header)
+    .split(',')
+    .map((part, i) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map((p) => p.trim()).find((p) => p.startsWith('q='));
+      const weight = q === undefined ? 1 : Number(q.slice(2));
+      return { tag: tag.trim(), weight: Number.isNaN(weight) ? 0 : weight, i };
+    })
+    .filter((l) => l.tag && l.tag !== '*' && l.weight > 0)
+    .sort((a, b) => b.weight - a.weight || a.i - b.i)
+    .map((l) => l.tag);
+}
+
+/** The locale to answer in: ?lang=, then the lang cookie, then Accept-Language, then DEFAULT_LOCALE. */
+function resolveLocale({ lang, cookie, acceptLanguage } = {}) {
+  for (const candidate of [lang, cookie, ...parseAcceptLanguage(acceptLanguage)]) {
+    const locale = supportedLocale(candidate);
+    if (locale) return locale;
+  }
+  return DEFAULT_LOCALE;
+}
+
+/** locale, its fallbacks, then DEFAULT_LOCALE. */
+function localeChain(locale) {
+  return [...new Set([locale, ...(FALLBACKS[locale] || []), DEFAULT_LOCALE])].filter((l) => bundles.has(l));
+}
+
+const merged = new Map();
+
+/** Every UI string for locale; keys it lacks come from the next locale in its chain. */
+function messagesFor(locale) {
+  if (!merged.has(locale)) {
+    merged.set(locale, Object.assign({}, ...localeChain(locale).reverse().map((l) => bundles.get(l))));
+  }
+  return merged.get(locale);
+}
+
+/** The locales with their own names, for a language picker. */
+function localeNames() {
+  return LOCALES.map((code) => ({ code, name: bundles.get(code)['locale.name'] || code }));
+}
+
+/**
+ * The string for key in locale with {name} placeholders filled from vars. Plural strings
+ * are objects keyed by Intl.PluralRules category and picked by vars.count. Unknown keys
+ * come back unchanged.
+ */
+function translate(locale, key, vars = {}) {
+  let message = messagesFor(locale)[key];
+  if (message === undefined) return key;
+  if (typeof message === 'object') {
+    message = message[new Intl.PluralRules(locale).select(Number(vars.count))] ?? message.other;
+  }
+  return String(message).replace(/\{(\w+)\}/g, (match, name) => (vars[name] !== undefined ? String(vars[name]) : match));
+}
+
+/** A stored genre name as shown in locale; genres without a translation keep their name. */
+function genreName(genre, locale) {
+  const name = messagesFor(locale)[`genre.${genre}`];
+  return typeof name === 'string' ? name : genre;
+}
+
+/**
+ * A movie as read in locale: title and description come from the first locale in its
+ * chain with a translation, else the stored fields. genreNames sits beside the stored
+ * genres (which filters keep using), and originalTitle is set when the title changed.
+ */
+function localizeMovie(movie, locale) {
+  if (!movie) return movie;
+  const out = { ...movie };
+  const translations = movie.translations || {};
+  for (const field of TRANSLATED_FIELDS) {
+    if (!(field in movie)) continue;
+    const from = localeChain(locale).find((l) => l !== DEFAULT_LOCALE && translations[l] && translations[l][field]);
+    if (from) out[field] = translations[from][field];
+  }
+  if (out.title !== movie.title) out.originalTitle = movie.title;
+  if (Array.isArray(movie.genres)) out.genreNames = movie.genres.map((g) => genreName(g, locale));
+  return out;
+}
+
+/**
+ * Validate a movie's translations: { <locale>: { title?, description? } } for the
+ * TRANSLATION_LOCALES. Empty values are dropped, so sending "" clears a translation.
+ * Returns { errors, translations }.
+ */
+function validateTranslations(value) {
+  const errors = [];
+  const translations = {};
+  if (value === null) return { errors, translations };
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return { errors: ['translations must be an object keyed by locale'], translations };
+  }
+  for (const [locale, fields] of Object.entries(value)) {
+    if (!TRANSLATION_LOCALES.includes(locale)) {
+      errors.push(`translations locale must be one of ${TRANSLATION_LOCALES.join(', ')}`);
+      continue;
+    }
+    if (fields === null) continue;
+    if (typeof fields !== 'object' || Array.isArray(fields)) {
+      errors.push(`translations.${locale} must be an object`);
+      continue;
+    }
+    const clean = {};
+    for (const [field, text] of Object.entries(fields)) {
+      if (!TRANSLATED_FIELDS.includes(field)) {
+        errors.push(`translations.${locale} may only contain ${TRANSLATED_FIELDS.join(', ')}`);
+      } else if (text !== null && typeof text !== 'string') {
+        errors.push(`translations.${locale}.${field} must be a string`);
+      } else if (text && text.trim()) {
+        const max = field === 'title' ? TITLE_MAX : DESCRIPTION_MAX;
+        if (text.trim().length > max) errors.push(`translations.${locale}.${field} must be at most ${max} characters`);
+        else clean[field] = text.trim();
+      }
+    }
+    if (Object.keys(clean).length) translations[locale] = clean;
+  }
+  return { errors, translations };
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  LOCALES,
+  TRANSLATION_LOCALES,
+  TRANSLATED_FIELDS,
+  loadBundles,
+  supportedLocale,
+  parseAcceptLanguage,
+  resolveLocale,
+  localeChain,
+  messagesFor,
+  localeNames,
+  translate,
+  genreName,
+  localizeMovie,
+  validateTranslations,
+};
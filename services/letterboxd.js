@@ -0,0 +1,112 @@
+const { getDb } = require('../database/storage');
+const { moviesCollection, NOT_DELETED } = require('../models/movie');
+const { parseCsvObjects, stringifyCsv } = require('./csv');
+const { titleYearKey, invalidInput } = require('./catalog');
+
+const LISTS = ['likes', 'watchlist'];
+/** Column layout of Letterboxd's own likes/watchlist exports, which its importer also reads. */
+const LETTERBOXD_COLUMNS = ['Date', 'Name', 'Year', 'Letterboxd URI'];
+const ROWS_MAX = 5000;
+
+function dateOnly(date) {
+  return date ? new Date(date).toISOString().slice(0, 10) : '';
+}
+
+/** Export one of the user's built-in lists as Letterboxd CSV. */
+async function exportLetterboxd(userId, list) {
+  const entries = await getDb().collection(list).find({ userId }).sort({ createdAt: 1 }).toArray();
+  const movies = entries.length
+    ? await moviesCollection()
+        .find({ _id: { $in: entries.map((e) => e.movieId) } }, { projection: { title: 1, year: 1 } })
+        .toArray()
+    : [];
+  const byId = new Map(movies.map((m) => [m._id.toString(), m]));
+
+  const records = entries
+    .map((e) => ({ entry: e, movie: byId.get(e.movieId.toString()) }))
+    .filter((r) => r.movie)
+    .map(({ entry, movie }) => ({ Date: dateOnly(entry.createdAt), Name: movie.title, Year: movie.year, 'Letterboxd URI': '' }));
+  return stringifyCsv(LETTERBOXD_COLUMNS, records);
+}
+
+/**
+ * Match Letterboxd rows against the catalog by title and year. A row without a year
+ * only matches when exactly one catalog film has that title.
+ */
+function matchRows(records, catalog) {
+  const byKey = new Map();
+  const byTitle = new Map();
+  for (const m of catalog) {
+    byKey.set(titleYearKey(m.title, m.year), m);
+    const t = String(m.title).trim().toLowerCase();
+    byTitle.set(t, (byTitle.get(t) || []).concat(m));
+  }
+
+  return records.map((raw, i) => {
+    const name = String(raw.Name || raw.Title || raw.name || raw.title || '').trim();
+    const year = Number(raw.Year || raw.year);
+    if (!name) return { row: i + 1, status: 'invalid', name, errors: ['Name is required'] };
+
+    let movie = Number.isInteger(year) && year > 0 ? byKey.get(titleYearKey(name, year)) : undefined;
+    if (!movie && !(Number.isInteger(year) && year > 0)) {
+      const candidates = byTitle.get(name.toLowerCase()) || [];
+      if (candidates.length === 1) movie = candidates[0];
+    }
+    if (!movie) return { row: i + 1, status: 'unmatched', name, year: year || null };
+    return { row: i + 1, status: 'matched', name, year: movie.year, movieId: movie._id };
+  });
+}
+
+/** Import a Letterboxd CSV into the user's likes or watchlist. Existing entries are kept. */
+async function importLetterboxd(userId, list, csvText, { dryRun }) {
+  let records;
+  try {
+    records = parseCsvObjects(csvText);
+  } catch (err) {
+    throw invalidInput(`Invalid CSV: ${err.message}`);
+  }
+  if (records.length > ROWS_MAX) throw invalidInput(`At most ${ROWS_MAX} rows per import`);
+
+  const catalog = await moviesCollection().find(NOT_DELETED, { projection: { title: 1, year: 1 } }).toArray();
+  const rows = matchRows(records, catalog);
+
+  const collection = getDb().collection(list);
+  const current = await collection.find({ userId }).project({ movieId: 1 }).toArray();
+  const have = new Set(current.map((c) => c.movieId.toString()));
+  const toInsert = [];
+  for (const r of rows) {
+    if (r.status !== 'matched') continue;
+    const id = r.movieId.toString();
+    if (have.has(id)) {
+      r.status = 'exists';
+      continue;
+    }
+    have.add(id);
+    r.status = 'added';
+    toInsert.push({ userId, movieId: r.movieId, createdAt: new Date() });
+  }
+
+  if (!dryRun && toInsert.length) {
+    // upserts, so an entry added while the import runs isn't duplicated
+    await collection.bulkWrite(
+      toInsert.map(({ userId, movieId, createdAt }) => ({
+        updateOne: { filter: { userId, movieId }, update: { $setOnInsert: { createdAt } }, upsert: true },
+      })),
+      { ordered: false }
+    );
+  }
+
+  const count = (status) => rows.filter((r) => r.status === status).length;
+  return {
+    dryRun: !!dryRun,
+    list,
+    total: rows.length,
+    added: count('added'),
+    existing: count('exists'),
+    unmatched: count('unmatched'),
+    invalid: count('invalid'),
+    rows,
+  };
+}
+
+module.exports = { LISTS, exportLetterboxd, importLetterboxd, matchRows };
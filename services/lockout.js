@@ -0,0 +1,92 @@
+const { lockoutsCollection } = require('../models/lockout');
+
+const MINUTE = 60 * 1000;
+
+/** Lockout settings; LOCKOUT_THRESHOLD failures in a row lock the username. */
+function lockoutConfig(env = process.env) {
+  return {
+    threshold: Number(env.LOCKOUT_THRESHOLD) || 5,
+    baseMs: (Number(env.LOCKOUT_BASE_MINUTES) || 1) * MINUTE,
+    maxMs: (Number(env.LOCKOUT_MAX_MINUTES) || 60) * MINUTE,
+    // failures older than this are forgotten, and so are earlier lockouts
+    resetMs: 24 * 60 * MINUTE,
+  };
+}
+
+function usernameKey(username) {
+  return String(username || '').trim().toLowerCase();
+}
+
+/** Lock length for the nth lockout (0-based): base, 2x base, 4x base ... capped at max. */
+function lockoutDuration(level, { baseMs, maxMs }) {
+  return Math.min(maxMs, baseMs * 2 ** level);
+}
+
+/** Whether a username is locked right now, with the seconds left. */
+async function getLockout(username, now = Date.now()) {
+  const doc = await lockoutsCollection().findOne({ _id: usernameKey(username) });
+  const until = doc && doc.lockedUntil ? new Date(doc.lockedUntil).getTime() : 0;
+  return until > now ? { locked: true, retryAfter: Math.ceil((until - now) / 1000) } : { locked: false, retryAfter: 0 };
+}
+
+/**
+ * Count a failed login; returns the new state. Each step is a single atomic update, so
+ * parallel failures can't read the same count and undercount: a stale record is reset,
+ * the count is incremented, and whichever failure reaches the threshold first locks it.
+ */
+async function recordLoginFailure(username, ip, now = Date.now(), config = lockoutConfig()) {
+  const _id = usernameKey(username);
+  const lockouts = lockoutsCollection();
+  await lockouts.updateOne(
+    { _id, lastFailureAt: { $lt: new Date(now - config.resetMs) } },
+    { $set: { failures: 0, level: 0, lockedUntil: null } }
+  );
+  let doc = await lockouts.findOneAndUpdate(
+    { _id },
+    { $inc: { failures: 1 }, $set: { lastFailureAt: new Date(now), lastIp: ip || null }, $setOnInsert: { level: 0, lockedUntil: null } },
+    { upsert: true, returnDocument: 'after' }
+  );
+  if (doc.failures >= config.threshold) {
+    const locked = await lockouts.findOneAndUpdate(
+      { _id, level: doc.level, failures: { $gte: config.threshold } },
+      { $set: { failures: 0, lockedUntil: new Date(now + lockoutDuration(doc.level, config)) }, $inc: { level: 1 } },
+      { returnDocument: 'after' }
+    );
+    // null when a parallel failure locked it first
+    doc = locked || (await lockouts.findOne({ _id }));
+  }
+  return { failures: doc.failures, level: doc.level, lockedUntil: doc.lockedUntil || null, lastFailureAt: doc.lastFailureAt };
+}
+
+/** Forget failures after a successful login or an admin unlock. */
+async function clearLoginFailures(username) {
+  const result = await lockoutsCollection().deleteOne({ _id: usernameKey(username) });
+  return result.deletedCount > 0;
+}
+
+/** Usernames currently locked, plus (with includeFailing) those with recent failures. */
+async function listLockouts({ includeFailing = false, now = Date.now() } = {}) {
+  const filter = includeFailing
+    ? { $or: [{ lockedUntil: { $gt: new Date(now) } }, { failures: { $gt: 0 } }] }
+    : { lockedUntil: { $gt: new Date(now) } };
+  const docs = await lockoutsCollection().find(filter).sort({ lastFailureAt: -1 }).limit(200).toArray();
+  return docs.map((d) => ({
+    username: d._id,
+    failures: d.failures || 0,
+    level: d.level || 0,
+    lockedUntil: d.lockedUntil || null,
+    locked: !!d.lockedUntil && new Date(d.lockedUntil).getTime() > now,
+    lastFailureAt: d.lastFailureAt || null,
+    lastIp: d.lastIp || null,
+  }));
+}
+
+module.exports = {
+  lockoutConfig,
+  usernameKey,
+  lockoutDuration,
+  getLockout,
+  recordLoginFailure,
+  clearLoginFailures,
+  listLockouts,
+};
@@ -0,0 +1,102 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const TRANSPORTS = ['console', 'file', 'smtp'];
+
+/** Logs each message to stdout; the default, so development needs no mail setup. */
+function consoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      console.log(`[mail] to=${message.to} subject="${message.subject}"\n${message.text}`);
+      return { id: crypto.randomUUID() };
+    },
+  };
+}
+
+/** Writes each message as a JSON file in dir, for tests and offline inspection. */
+function fileTransport(dir) {
+  return {
+    name: 'file',
+    dir,
+    async send(message) {
+      const id = `${Date.now()}-${crypto.randomUUID()}`;
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, `${id}.json`), JSON.stringify({ id, ...message, sentAt: new Date() }, null, 2));
+      return { id };
+    },
+  };
+}
+
+/** Sends through an SMTP server with nodemailer, loaded only when this transport is used. */
+function smtpTransport(options) {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport(options);
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    },
+  };
+}
+
+/** Build a transport from environment variables (MAIL_TRANSPORT, MAIL_DIR, SMTP_*). */
+function transportFromEnv(env = process.env) {
+  const name = (env.MAIL_TRANSPORT || 'console').toLowerCase();
+  if (!TRANSPORTS.includes(name)) throw new Error(`MAIL_TRANSPORT must be one of ${TRANSPORTS.join(', ')}`);
+  if (name === 'file') return fileTransport(env.MAIL_DIR || path.join(process.cwd(), 'mail'));
+  if (name === 'smtp') {
+    return smtpTransport({
+      host: env.SMTP_HOST,
+      port: Number(env.SMTP_PORT) || 587,
+      secure: env.SMTP_SECURE === 'true',
+      auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined,
+    });
+  }
+  return consoleTransport();
+}
+
+/**
+ * Create a mailer around a transport. send() fills in the From address and rejects
+ * messages without a recipient, subject or body.
+ */
+function createMailer({ transport, from }) {
+  return {
+    transport,
+    async send({ to, subject, text, html }) {
+      if (!to || !subject || !text) throw new Error('Mail needs to, subject and text');
+      return transport.send({ from, to, subject, text, html });
+    },
+  };
+}
+
+let defaultMailer = null;
+
+/** The app-wide mailer, built from the environment on first use. */
+function getMailer() {
+  if (!defaultMailer) {
+    defaultMailer = createMailer({
+      transport: transportFromEnv(),
+      from: process.env.MAIL_FROM || 'MyMovie <no-reply@mymovie.local>',
+    });
+  }
+  return defaultMailer;
+}
+
+/** Replace the app-wide mailer (tests use a file transport); pass null to rebuild from env. */
+function setMailer(mailer) {
+  defaultMailer = mailer;
+}
+
+module.exports = {
+  TRANSPORTS,
+  consoleTransport,
+  fileTransport,
+  smtpTransport,
+  transportFromEnv,
+  createMailer,
+  getMailer,
+  setMailer,
+};
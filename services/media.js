@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const fs = require('fs/promises');
+const net = require('net');
+const path = require('path');
+const sharp = require('sharp');
+const { mediaCollection } = require('../models/media');
+const { invalidInput } = require('./catalog');
+
+/** Widths generated for every stored poster, as WebP; none is wider than the original. */
+const POSTER_WIDTHS = [160, 320, 640, 1000];
+// what posterUrl points at for clients that don't use srcset
+const DEFAULT_WIDTH = 640;
+const FORMATS = { jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp', gif: 'image/gif', avif: 'image/avif' };
+const MIN_SIDE = 100;
+const MAX_PIXELS = 40 * 1000 * 1000;
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+const FETCH_TIMEOUT_MS = 10 * 1000;
+const MAX_REDIRECTS = 3;
+const ID_PATTERN = /^[a-f0-9]{32}$/;
+
+/** Directory the generated files are written to; MEDIA_DIR overrides ./media. */
+function mediaDir(env = process.env) {
+  return path.resolve(env.MEDIA_DIR || path.join(__dirname, '..', 'media'));
+}
+
+/** Largest accepted image in bytes, from MEDIA_MAX_BYTES. */
+function maxImageBytes(env = process.env) {
+  const n = Number(env.MEDIA_MAX_BYTES);
+  return Number.isInteger(n) && n > 0 ? n : DEFAULT_MAX_BYTES;
+}
+
+function formatBytes(bytes) {
+  return bytes >= 1024 * 1024 ? `${Math.round((bytes / 1024 / 1024) * 10) / 10} MB` : `${Math.round(bytes / 1024)} KB`;
+}
+
+function mediaUrl(id, width) {
+  return `/media/${id}/${width}.webp`;
+}
+
+/** The widths to generate for an image `width` pixels wide: the standard ones that fit, plus the original width. */
+function widthsFor(width) {
+  const widths = POSTER_WIDTHS.filter((w) => w <= width);
+  if (width < POSTER_WIDTHS[POSTER_WIDTHS.length - 1] && !widths.includes(width)) widths.push(width);
+  return widths;
+}
+
+/** The poster fields a movie stores for a media document. */
+function posterFields(media) {
+  const fallback = media.widths.filter((w) => w <= DEFAULT_WIDTH).pop() || media.widths[0];
+  return {
+    posterUrl: mediaUrl(media._id, fallback),
+    posterMedia: { id: media._id, width: media.width, height: media.height, widths: media.widths },
+  };
+}
+
+/**
+ * Check that buffer is an image we accept, judged by its content rather than any declared
+ * type. Returns { type, width, height, bytes }; throws a 400 error otherwise.
+ */
+async function inspectImage(buffer, { maxBytes = maxImageBytes() } = {}) {
+  if (!buffer || !buffer.length) throw invalidInput('Image is empty');
+  if (buffer.length > maxBytes) throw invalidInput(`Image must be at most ${formatBytes(maxBytes)}`);
+  let meta;
+  try {
+    meta = await sharp(buffer, { limitInputPixels: MAX_PIXELS }).metadata();
+  } catch {
+    throw invalidInput('File is not a readable image');
+  }
+  const type = FORMATS[meta.format];
+  if (!type) throw invalidInput(`Image must be one of ${Object.values(FORMATS).join(', ')}`);
+  // EXIF orientations 5-8 are rotated a quarter turn, so width and height swap
+  const [width, height] = meta.orientation >= 5 ? [meta.height, meta.width] : [meta.width, meta.height];
+  if (width < MIN_SIDE || height < MIN_SIDE) throw invalidInput(`Image must be at least ${MIN_SIDE}x${MIN_SIDE} pixels`);
+  if (width * height > MAX_PIXELS) throw invalidInput('Image has too many pixels');
+  return { type, width, height, bytes: buffer.length };
+}
+
+/** Render one WebP per width: upright, first frame only, metadata stripped. */
+async function renderWidths(buffer, widths) {
+  return Promise.all(
+    widths.map(async (width) => ({
+      width,
+      data: await sharp(buffer, { limitInputPixels: MAX_PIXELS }).rotate().resize({ width }).webp({ quality: 80 }).toBuffer(),
+    }))
+  );
+}
+
+/**
+ * Store an image and its generated widths. Images are keyed by a hash of their bytes, so
+ * storing the same file twice reuses the first copy. Returns the media document.
+ */
+async function storeImage(buffer, { source, sourceUrl = null, uploadedBy = null, dir = mediaDir() } = {}) {
+  const info = await inspectImage(buffer);
+  const id = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 32);
+  const existing = await mediaCollection().findOne({ _id: id });
+  if (existing) return existing;
+
+  const widths = widthsFor(info.width);
+  const rendered = await renderWidths(buffer, widths);
+  const target = path.join(dir, id);
+  await fs.mkdir(target, { recursive: true });
+  for (const { width, data } of rendered) await fs.writeFile(path.join(target, `${width}.webp`), data);
+
+  const doc = { _id: id, ...info, widths, source, sourceUrl, uploadedBy, createdAt: new Date() };
+  await mediaCollection().updateOne({ _id: id }, { $setOnInsert: doc }, { upsert: true });
+  return doc;
+}
+
+// loopback, private, link-local, carrier-grade NAT, multicast and reserved ranges
+const PRIVATE_RANGES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+]) {
+  PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4');
+}
+// IPv4-mapped addresses (::ffff:a.b.c.d) are checked against the IPv4 ranges above
+for (const [address, prefix] of [
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+]) {
+  PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6');
+}
+
+/** True for addresses on the public internet. */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/** Refuse URLs that aren't http(s) or whose host resolves to a non-public address. */
+async function assertFetchable(url) {
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') throw invalidInput('url must use http or https');
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.lookup(host, { all: true });
+  } catch {
+    throw invalidInput(`Cannot resolve ${host}`);
+  }
+  if (!addresses.length || !addresses.every((a) => isPublicAddress(a.address))) {
+    throw invalidInput('url must point to a public host');
+  }
+}
+
+/** Read a response body, giving up as soon as it is larger than maxBytes. */
+async function readLimited(res, maxBytes) {
+  const declared = Number(res.headers.get('content-length'));
+  if (declared > maxBytes) throw invalidInput(`Image must be at most ${formatBytes(maxBytes)}`);
+  const chunks = [];
+  let total = 0;
+  for await (const chunk of res.body) {
+    total += chunk.length;
+    if (total > maxBytes) throw invalidInput(`Image must be at most ${formatBytes(maxBytes)}`);
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Download an image from a public http(s) URL. Redirects are followed by hand so every hop
+ * is checked; the whole download is bounded in time and size.
+ */
+async function fetchImage(rawUrl, { maxBytes = maxImageBytes() } = {}) {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch {
+    throw invalidInput('url must be a valid URL');
+  }
+  const signal = AbortSignal.timeout(FETCH_TIMEOUT_MS);
+  try {
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      await assertFetchable(url);
+      const res = await fetch(url, { redirect: 'manual', signal, headers: { Accept: 'image/*' } });
+      const location = res.headers.get('location');
+      if (res.status >= 300 && res.status < 400 && location) {
+        await res.body?.cancel();
+        url = new URL(location, url);
+        continue;
+      }
+      if (!res.ok) throw invalidInput(`Fetching the image failed with HTTP ${res.status}`);
+      return await readLimited(res, maxBytes);
+    }
+  } catch (err) {
+    if (err.status === 400) throw err;
+    throw invalidInput(err.name === 'TimeoutError' ? 'Fetching the image timed out' : 'Fetching the image failed');
+  }
+  throw invalidInput('Too many redirects');
+}
+
+module.exports = {
+  POSTER_WIDTHS,
+  ID_PATTERN,
+  mediaDir,
+  maxImageBytes,
+  mediaUrl,
+  widthsFor,
+  posterFields,
+  inspectImage,
+  storeImage,
+  isPublicAddress,
+  fetchImage,
+};
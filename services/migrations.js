@@ -0,0 +1,196 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { getDb } = require('../database/storage');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'database', 'migrations');
+const HISTORY_COLLECTION = 'migrations';
+const LOCK_COLLECTION = 'migration_lock';
+// a lock older than this is assumed to belong to a runner that crashed
+const LOCK_STALE_MS = 10 * 60 * 1000;
+const ID_PATTERN = /^\d{3}-[a-z0-9-]+$/;
+
+/**
+ * Load migration modules from dir in id order. Each file is named NNN-description.js and
+ * exports { description, up(db), down(db) }; up and down may return a report object.
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  return fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith('.js'))
+    .sort()
+    .map((file) => {
+      const id = path.basename(file, '.js');
+      if (!ID_PATTERN.test(id)) throw new Error(`Migration file ${file} must be named NNN-description.js`);
+      const migration = require(path.join(dir, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${id} must export up() and down()`);
+      }
+      return { id, description: migration.description || '', up: migration.up, down: migration.down };
+    });
+}
+
+/**
+ * Compare the known migrations with the applied history. Returns { applied, pending, unknown }:
+ * applied and pending are migrations in id order, unknown are history ids with no file (the
+ * database was migrated by a newer version of the app).
+ */
+function planMigrations(migrations, history) {
+  const appliedIds = new Set(history.map((h) => h._id));
+  const known = new Set(migrations.map((m) => m.id));
+  return {
+    applied: migrations.filter((m) => appliedIds.has(m.id)),
+    pending: migrations.filter((m) => !appliedIds.has(m.id)),
+    unknown: history.map((h) => h._id).filter((id) => !known.has(id)).sort(),
+  };
+}
+
+/** Applied migration records, oldest first. */
+async function loadHistory(db) {
+  return db.collection(HISTORY_COLLECTION).find({}).sort({ _id: 1 }).toArray();
+}
+
+/** Pending and applied migrations for this database, for the CLI and the boot check. */
+async function migrationStatus({ db = getDb(), migrations = loadMigrations() } = {}) {
+  const history = await loadHistory(db);
+  const byId = new Map(history.map((h) => [h._id, h]));
+  const plan = planMigrations(migrations, history);
+  return {
+    ...plan,
+    applied: plan.applied.map((m) => ({ id: m.id, description: m.description, appliedAt: byId.get(m.id).appliedAt })),
+    pending: plan.pending.map((m) => ({ id: m.id, description: m.description })),
+  };
+}
+
+/** Hold the single migration lock while fn runs, so two app instances never migrate at once. */
+async function withLock(db, fn) {
+  const locks = db.collection(LOCK_COLLECTION);
+  const lock = { _id: 'migrate', owner: `${os.hostname()}:${process.pid}`, lockedAt: new Date() };
+  try {
+    await locks.insertOne(lock);
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    const stale = await locks.deleteOne({ _id: 'migrate', lockedAt: { $lt: new Date(Date.now() - LOCK_STALE_MS) } });
+    if (!stale.deletedCount) throw new Error('Another process is running migrations; try again when it has finished');
+    await locks.insertOne(lock);
+  }
+  try {
+    return await fn();
+  } finally {
+    await locks.deleteOne({ _id: 'migrate', owner: lock.owner });
+  }
+}
+
+/**
+ * Apply pending migrations in order, up to and including `to` when given. Each one is
+ * recorded as soon as it succeeds; the first failure stops the run. Returns the ids applied
+ * with their reports.
+ */
+async function migrateUp({ db = getDb(), migrations = loadMigrations(), to, log = () => {} } = {}) {
+  if (to && !migrations.some((m) => m.id === to)) throw new Error(`Unknown migration ${to}`);
+  return withLock(db, async () => {
+    const { pending } = planMigrations(migrations, await loadHistory(db));
+    const run = to ? pending.filter((m) => m.id <= to) : pending;
+    const results = [];
+    for (const migration of run) {
+      log(`Applying ${migration.id}`);
+      const started = Date.now();
+      const report = (await migration.up(db)) || {};
+      await db.collection(HISTORY_COLLECTION).insertOne({
+        _id: migration.id,
+        description: migration.description,
+        appliedAt: new Date(),
+        durationMs: Date.now() - started,
+        report,
+      });
+      results.push({ id: migration.id, report });
+    }
+    return results;
+  });
+}
+
+/**
+ * Revert applied migrations, newest first: the last `steps` of them (default 1), or every
+ * one after `to` when given. Returns the ids reverted with their reports.
+ */
+async function migrateDown({ db = getDb(), migrations = loadMigrations(), steps = 1, to, log = () => {} } = {}) {
+  if (to && !migrations.some((m) => m.id === to)) throw new Error(`Unknown migration ${to}`);
+  return withLock(db, async () => {
+    const { applied, unknown } = planMigrations(migrations, await loadHistory(db));
+    if (unknown.length) throw new Error(`Cannot revert: ${unknown.join(', ')} applied by a newer version`);
+    const newestFirst = applied.slice().reverse();
+    const run = to ? newestFirst.filter((m) => m.id > to) : newestFirst.slice(0, steps);
+    const results = [];
+    for (const migration of run) {
+      log(`Reverting ${migration.id}`);
+      const report = (await migration.down(db)) || {};
+      await db.collection(HISTORY_COLLECTION).deleteOne({ _id: migration.id });
+      results.push({ id: migration.id, report });
+    }
+    return results;
+  });
+}
+
+/**
+ * Boot check: apply pending migrations when MIGRATE_ON_BOOT is true, otherwise warn about
+ * them. Never throws for pending migrations; a failing migration does throw.
+ */
+async function checkMigrations({ db = getDb(), migrations = loadMigrations(), env = process.env, log = console.log } = {}) {
+  const status = await migrationStatus({ db, migrations });
+  if (status.unknown.length) {
+    log(`Database has migrations this version does not know: ${status.unknown.join(', ')}`);
+  }
+  if (!status.pending.length) return { applied: [], pending: [] };
+  if (env.MIGRATE_ON_BOOT === 'true') {
+    const applied = await migrateUp({ db, migrations, log });
+    return { applied: applied.map((a) => a.id), pending: [] };
+  }
+  const ids = status.pending.map((m) => m.id);
+  log(`${ids.length} pending migration(s): ${ids.join(', ')}. Run "npm run migrate" or set MIGRATE_ON_BOOT=true`);
+  return { applied: [], pending: ids };
+}
+
+/** MongoDB's default index name for a key, e.g. { userId: 1, createdAt: -1 } -> userId_1_createdAt_-1. */
+function indexName(key) {
+  return Object.entries(key)
+    .map(([field, order]) => `${field}_${order}`)
+    .join('_');
+}
+
+/**
+ * Create indexes described as { collection, key, ...options }. They keep MongoDB's default
+ * names, so an index that already exists with the same key and options is left alone.
+ */
+async function createIndexes(db, specs) {
+  for (const { collection, key, ...options } of specs) {
+    await db.collection(collection).createIndex(key, options);
+  }
+  return { indexes: specs.length };
+}
+
+/** Drop indexes created by createIndexes, ignoring ones that are already gone. */
+async function dropIndexes(db, specs) {
+  for (const { collection, key } of specs) {
+    try {
+      await db.collection(collection).dropIndex(indexName(key));
+    } catch (err) {
+      // IndexNotFound, or NamespaceNotFound when the collection was never created
+      if (err.code !== 27 && err.code !== 26) throw err;
+    }
+  }
+  return { indexes: specs.length };
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  HISTORY_COLLECTION,
+  loadMigrations,
+  planMigrations,
+  migrationStatus,
+  migrateUp,
+  migrateDown,
+  checkMigrations,
+  indexName,
+  createIndexes,
+  dropIndexes,
+};
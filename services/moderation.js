@@ -0,0 +1,145 @@
+const { getDb } = require('../database/storage');
+const { moviesCollection, NOT_DELETED } = require('../models/movie');
+const { reviewsCollection } = require('../models/review');
+const { listsCollection } = require('../models/list');
+const { diaryCollection } = require('../models/diary');
+const { GENRES_MAX } = require('../controllers/moviesController');
+const { refreshCommunityRating } = require('../controllers/reviewsController');
+const { invalidateCatalog } = require('./cache');
+const { recordRevisions } = require('./revisions');
+
+/** Apply a bulk genre edit to one movie's genres. Returns the new array (order kept, additions last). */
+function editGenres(current, { add = [], remove = [] }) {
+  const removeSet = new Set(remove.map((g) => g.toLowerCase()));
+  const next = (current || []).filter((g) => !removeSet.has(String(g).toLowerCase()));
+  for (const g of add) {
+    if (!next.some((x) => String(x).toLowerCase() === g.toLowerCase())) next.push(g);
+  }
+  return next.slice(0, GENRES_MAX);
+}
+
+/**
+ * Set add/remove genres on many movies, recording a revision for each one editor changes.
+ * Movies that would be left with no genre are skipped; movies in the trash count as not found.
+ */
+async function bulkEditGenres(movieIds, edit, editor = null) {
+  const movies = await moviesCollection()
+    .find({ _id: { $in: movieIds }, ...NOT_DELETED })
+    .toArray();
+  const operations = [];
+  const revisions = [];
+  const skipped = [];
+  for (const movie of movies) {
+    const current = movie.genres && movie.genres.length ? movie.genres : movie.genre ? [movie.genre] : [];
+    const genres = editGenres(current, edit);
+    if (genres.length === 0) {
+      skipped.push({ _id: movie._id, title: movie.title, reason: 'would have no genres' });
+      continue;
+    }
+    const updatedAt = new Date();
+    operations.push({
+      updateOne: { filter: { _id: movie._id }, update: { $set: { genres, updatedAt }, $unset: { genre: '' } } },
+    });
+    const { genre, ...rest } = movie;
+    revisions.push({ action: 'update', before: movie, movie: { ...rest, genres, updatedAt } });
+  }
+  if (operations.length) {
+    await moviesCollection().bulkWrite(operations, { ordered: false });
+    invalidateCatalog();
+    await recordRevisions(editor, revisions);
+  }
+  return { matched: movies.length, updated: operations.length, skipped, notFound: movieIds.length - movies.length };
+}
+
+/**
+ * Decide how per-user entries (likes, watchlist, reviews) move onto the merge target.
+ * A user keeps at most one entry: their existing target entry if any, otherwise their
+ * newest source entry. Returns the _ids to re-point and the _ids to delete.
+ */
+function planRepoint(entries, targetId) {
+  const target = targetId.toString();
+  const byUser = new Map();
+  for (const e of entries) byUser.set(e.userId, (byUser.get(e.userId) || []).concat(e));
+
+  const repoint = [];
+  const remove = [];
+  for (const userEntries of byUser.values()) {
+    const sources = userEntries.filter((e) => e.movieId.toString() !== target);
+    if (sources.length === 0) continue;
+    if (sources.length === userEntries.length) {
+      const newest = sources.reduce((a, b) => (new Date(b.updatedAt || b.createdAt || 0) > new Date(a.updatedAt || a.createdAt || 0) ? b : a));
+      repoint.push(newest._id);
+      remove.push(...sources.filter((e) => e !== newest).map((e) => e._id));
+    } else {
+      remove.push(...sources.map((e) => e._id));
+    }
+  }
+  return { repoint, remove };
+}
+
+/** Replace source movies in a custom list with the target, dropping the duplicates this creates. */
+function mergeListItems(items, targetId, sourceIds) {
+  const sources = new Set(sourceIds.map(String));
+  const seen = new Set();
+  const merged = [];
+  for (const item of items || []) {
+    const movieId = sources.has(item.movieId.toString()) ? targetId : item.movieId;
+    if (seen.has(movieId.toString())) continue;
+    seen.add(movieId.toString());
+    merged.push({ ...item, movieId });
+  }
+  return merged;
+}
+
+async function repointCollection(collection, targetId, sourceIds) {
+  const entries = await collection
+    .find({ movieId: { $in: [targetId, ...sourceIds] } }, { projection: { userId: 1, movieId: 1, createdAt: 1, updatedAt: 1 } })
+    .toArray();
+  const { repoint, remove } = planRepoint(entries, targetId);
+  if (repoint.length) await collection.updateMany({ _id: { $in: repoint } }, { $set: { movieId: targetId } });
+  if (remove.length) await collection.deleteMany({ _id: { $in: remove } });
+  return { moved: repoint.length, dropped: remove.length };
+}
+
+/**
+ * Merge duplicate movies into one: likes, watchlist entries, reviews, diary entries and
+ * custom list items move to the target, then the source movies go to the trash, marked
+ * with mergedInto, with a delete revision credited to editor.
+ */
+async function mergeMovies(targetId, sourceIds, editor = null) {
+  const db = getDb();
+  const report = {
+    likes: await repointCollection(db.collection('likes'), targetId, sourceIds),
+    watchlist: await repointCollection(db.collection('watchlist'), targetId, sourceIds),
+    reviews: await repointCollection(reviewsCollection(), targetId, sourceIds),
+  };
+
+  const diary = await diaryCollection().updateMany({ movieId: { $in: sourceIds } }, { $set: { movieId: targetId } });
+  report.diary = { moved: diary.modifiedCount };
+
+  const lists = await listsCollection().find({ 'items.movieId': { $in: sourceIds } }, { projection: { items: 1 } }).toArray();
+  for (const list of lists) {
+    await listsCollection().updateOne(
+      { _id: list._id },
+      { $set: { items: mergeListItems(list.items, targetId, sourceIds), updatedAt: new Date() } }
+    );
+  }
+  report.lists = { updated: lists.length };
+
+  const sources = await moviesCollection().find({ _id: { $in: sourceIds }, ...NOT_DELETED }).toArray();
+  const deletedAt = new Date();
+  const deleted = await moviesCollection().updateMany(
+    { _id: { $in: sources.map((m) => m._id) }, ...NOT_DELETED },
+    { $set: { deletedAt, deletedBy: editor, mergedInto: targetId } }
+  );
+  report.moviesDeleted = deleted.modifiedCount;
+  await recordRevisions(
+    editor,
+    sources.map((movie) => ({ action: 'delete', before: movie, movie: { ...movie, deletedAt } }))
+  );
+  await refreshCommunityRating(targetId);
+  invalidateCatalog();
+  return report;
+}
+
+module.exports = { editGenres, bulkEditGenres, planRepoint, mergeListItems, mergeMovies };
@@ -0,0 +1,212 @@
+const { ObjectId } = require('mongodb');
+const { escapeRegex } = require('./search');
+const { ROLES } = require('./people');
+const { TRANSLATION_LOCALES } = require('./i18n');
+
+const SORT_FIELDS = ['title', 'year', 'rating', 'communityRating', 'createdAt'];
+const GENRE_MODES = ['any', 'all'];
+const EXCLUDE_LISTS = ['likes', 'watchlist'];
+const RATING_BOUNDARIES = [0, 2, 4, 6, 8, 10];
+const YEAR_MIN = 1800;
+
+/** Accept "a,b" or a repeated query param; returns trimmed non-empty strings. */
+function parseList(value) {
+  const values = Array.isArray(value) ? value : value === undefined ? [] : [value];
+  return values
+    .flatMap((v) => String(v).split(','))
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+function parseNumber(value) {
+  if (value === undefined || value === '') return undefined;
+  const n = Number(value);
+  return Number.isNaN(n) ? NaN : n;
+}
+
+function genreCondition(g) {
+  return { $or: [{ genres: g }, { genre: g }] };
+}
+
+/** Parse "field[:asc|desc]" against SORT_FIELDS; _id keeps pagination stable between equal values. */
+function parseSort(sort, errors) {
+  if (!sort) return { year: 1, _id: 1 };
+  const [field, dir = 'asc'] = String(sort).split(':');
+  if (!SORT_FIELDS.includes(field) || !['asc', 'desc'].includes(dir)) {
+    errors.push(`sort must be one of ${SORT_FIELDS.join(', ')} with optional :asc or :desc`);
+    return null;
+  }
+  const order = dir === 'desc' ? -1 : 1;
+  if (field === 'communityRating') return { communityRating: order, communityRatingCount: -1, _id: 1 };
+  return { [field]: order, _id: 1 };
+}
+
+/**
+ * Parse listMovies query params. Filter conditions are grouped by the facet they narrow
+ * (genre, year, rating; everything else in other) so each facet can be counted without
+ * its own filter applied. Returns { errors, clauses, sort, exclude }.
+ */
+function parseMovieQuery(query) {
+  const errors = [];
+  const clauses = { genre: [], year: [], rating: [], other: [] };
+  const q = query || {};
+
+  // genres
+  const genres = parseList(q.genres).concat(parseList(q.genre));
+  const mode = q.genresMode || 'any';
+  if (!GENRE_MODES.includes(mode)) errors.push(`genresMode must be one of ${GENRE_MODES.join(', ')}`);
+  if (genres.length) {
+    if (mode === 'all') clauses.genre.push(...genres.map(genreCondition));
+    else clauses.genre.push(genres.length === 1 ? genreCondition(genres[0]) : { $or: [{ genres: { $in: genres } }, { genre: { $in: genres } }] });
+  }
+
+  // years: exact, range and decades
+  const maxYear = new Date().getFullYear() + 1;
+  const year = parseNumber(q.year);
+  if (year !== undefined) {
+    if (!Number.isInteger(year)) errors.push('Year must be an integer');
+    else if (year < YEAR_MIN || year > maxYear) errors.push('Year out of range');
+    else clauses.year.push({ year });
+  }
+  const yearFrom = parseNumber(q.yearFrom);
+  const yearTo = parseNumber(q.yearTo);
+  for (const [name, value] of [['yearFrom', yearFrom], ['yearTo', yearTo]]) {
+    if (value !== undefined && !Number.isInteger(value)) errors.push(`${name} must be an integer`);
+  }
+  if (Number.isInteger(yearFrom) && Number.isInteger(yearTo) && yearFrom > yearTo) {
+    errors.push('yearFrom must not be after yearTo');
+  } else if (Number.isInteger(yearFrom) || Number.isInteger(yearTo)) {
+    const range = {};
+    if (Number.isInteger(yearFrom)) range.$gte = yearFrom;
+    if (Number.isInteger(yearTo)) range.$lte = yearTo;
+    clauses.year.push({ year: range });
+  }
+  const decades = parseList(q.decade).map((d) => Number(d.replace(/s$/i, '')));
+  if (decades.some((d) => !Number.isInteger(d) || d % 10 !== 0)) {
+    errors.push('decade must be a year ending in 0, e.g. 1990');
+  } else if (decades.length) {
+    const ranges = decades.map((d) => ({ year: { $gte: d, $lte: d + 9 } }));
+    clauses.year.push(ranges.length === 1 ? ranges[0] : { $or: ranges });
+  }
+
+  // editorial rating
+  const ratingMin = parseNumber(q.ratingMin);
+  const ratingMax = parseNumber(q.ratingMax);
+  for (const [name, value] of [['ratingMin', ratingMin], ['ratingMax', ratingMax]]) {
+    if (value !== undefined && (Number.isNaN(value) || value < 0 || value > 10)) errors.push(`${name} must be between 0 and 10`);
+  }
+  if (ratingMin !== undefined && ratingMax !== undefined && ratingMin > ratingMax) {
+    errors.push('ratingMin must not be above ratingMax');
+  } else {
+    const range = {};
+    if (ratingMin >= 0 && ratingMin <= 10) range.$gte = ratingMin;
+    if (ratingMax >= 0 && ratingMax <= 10) range.$lte = ratingMax;
+    if (Object.keys(range).length) clauses.rating.push({ rating: range });
+  }
+
+  // everything else
+  if (q.title) {
+    // the stored title or any of its translations
+    const pattern = { $regex: escapeRegex(q.title), $options: 'i' };
+    clauses.other.push({ $or: [{ title: pattern }, ...TRANSLATION_LOCALES.map((l) => ({ [`translations.${l}.title`]: pattern }))] });
+  }
+  if (q.director) clauses.other.push({ director: { $regex: escapeRegex(q.director), $options: 'i' } });
+  if (q.person !== undefined) {
+    if (!ObjectId.isValid(q.person)) errors.push('Invalid person id');
+    else if (q.role !== undefined && !ROLES.includes(q.role)) errors.push(`role must be one of ${ROLES.join(', ')}`);
+    else {
+      const personId = new ObjectId(q.person);
+      clauses.other.push({ credits: { $elemMatch: q.role ? { personId, role: q.role } : { personId } } });
+    }
+  }
+
+  const exclude = parseList(q.exclude);
+  if (exclude.some((l) => !EXCLUDE_LISTS.includes(l))) errors.push(`exclude must list only ${EXCLUDE_LISTS.join(', ')}`);
+
+  const sort = parseSort(q.sort, errors);
+  return { errors, clauses, sort, exclude };
+}
+
+/** Combine the conditions of the given clause groups into one Mongo filter. */
+function buildFilter(clauses, groups = Object.keys(clauses)) {
+  const conditions = groups.flatMap((g) => clauses[g]);
+  return conditions.length ? { $and: conditions } : {};
+}
+
+/** Aggregation computing genre, decade and rating-bucket counts for the current filters. */
+function buildFacetPipeline(clauses) {
+  const matchOn = (groups) => {
+    const filter = buildFilter(clauses, groups);
+    return Object.keys(filter).length ? [{ $match: filter }] : [];
+  };
+  return [
+    ...matchOn(['other']),
+    {
+      $facet: {
+        genres: [
+          ...matchOn(['year', 'rating']),
+          {
+            $project: {
+              g: {
+                $cond: [
+                  { $gt: [{ $size: { $ifNull: ['$genres', []] } }, 0] },
+                  '$genres',
+                  [{ $ifNull: ['$genre', 'general'] }],
+                ],
+              },
+            },
+          },
+          { $unwind: '$g' },
+          { $group: { _id: '$g', count: { $sum: 1 } } },
+        ],
+        decades: [
+          ...matchOn(['genre', 'rating']),
+          { $match: { year: { $type: 'number' } } },
+          { $group: { _id: { $subtract: ['$year', { $mod: ['$year', 10] }] }, count: { $sum: 1 } } },
+        ],
+        ratings: [
+          ...matchOn(['genre', 'year']),
+          {
+            $bucket: {
+              groupBy: '$rating',
+              // 10 itself belongs in the top bucket
+              boundaries: [...RATING_BOUNDARIES.slice(0, -1), RATING_BOUNDARIES[RATING_BOUNDARIES.length - 1] + 0.001],
+              default: 'unrated',
+              output: { count: { $sum: 1 } },
+            },
+          },
+        ],
+      },
+    },
+  ];
+}
+
+/** Turn the raw $facet output into stable, display-ready lists. */
+function shapeFacets(raw) {
+  const facet = raw || {};
+  const genres = (facet.genres || [])
+    .map((g) => ({ value: g._id, count: g.count }))
+    .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+  const decades = (facet.decades || [])
+    .map((d) => ({ value: d._id, label: `${d._id}s`, count: d.count }))
+    .sort((a, b) => a.value - b.value);
+
+  const byBucket = new Map((facet.ratings || []).map((r) => [r._id, r.count]));
+  const ratings = RATING_BOUNDARIES.slice(0, -1).map((min, i) => {
+    const max = RATING_BOUNDARIES[i + 1];
+    return { value: `${min}-${max}`, min, max, count: byBucket.get(min) || 0 };
+  });
+  ratings.push({ value: 'unrated', min: null, max: null, count: byBucket.get('unrated') || 0 });
+
+  return { genres, decades, ratings };
+}
+
+module.exports = {
+  SORT_FIELDS,
+  EXCLUDE_LISTS,
+  parseList,
+  parseMovieQuery,
+  buildFilter,
+  buildFacetPipeline,
+  shapeFacets,
+};
@@ -0,0 +1,1337 @@
+const { SCOPES, requiredScope } = require('./apiTokens');
+const { ROLES } = require('./people');
+const { SORT_FIELDS } = require('./movieFilters');
+const { FORMATS } = require('./catalog');
+const { LISTS } = require('./letterboxd');
+const { ACTIONS: REVISION_ACTIONS } = require('./revisions');
+const { LOCALES, TRANSLATION_LOCALES } = require('./i18n');
+const { PRIVACY_LEVELS, DEFAULT_PRIVACY, ACTIVITY_SOURCES } = require('./social');
+
+const ERROR_CODES = [
+  'bad_request',
+  'validation_error',
+  'unauthorized',
+  'forbidden',
+  'not_found',
+  'conflict',
+  'payload_too_large',
+  'unsupported_media_type',
+  'rate_limited',
+  'internal_error',
+  'error',
+];
+const UNSAFE_METHODS = ['post', 'put', 'patch', 'delete'];
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const arrayOf = (items, extra = {}) => ({ type: 'array', items, ...extra });
+const nullable = (schema) => ({ ...schema, type: [schema.type, 'null'] });
+const page = (item, extra = {}) => ({
+  type: 'object',
+  required: ['items'],
+  properties: {
+    items: arrayOf(item),
+    page: { type: 'integer' },
+    limit: { type: 'integer' },
+    total: { type: 'integer' },
+    totalPages: { type: 'integer' },
+    ...extra,
+  },
+});
+
+const objectId = ref('ObjectId');
+const rating = { type: 'number', minimum: 0, maximum: 10 };
+const pageQuery = { type: 'integer', minimum: 1, description: 'Page number, from 1' };
+const limitQuery = (max, fallback) => ({
+  type: 'integer',
+  minimum: 1,
+  description: `Page size, default ${fallback}; larger values are capped at ${max}`,
+});
+const csvList = (description) => ({ anyOf: [{ type: 'string' }, arrayOf({ type: 'string' })], description });
+const feedCursorQuery = { type: 'string', description: 'nextCursor of the previous page; empty for the first' };
+const langQuery = {
+  type: 'string',
+  description: `Answer in this locale (${LOCALES.join(', ')}); defaults to the lang cookie, then Accept-Language`,
+};
+
+/** Reusable request and response bodies, published as components/schemas. */
+function buildSchemas(currentYear = new Date().getFullYear()) {
+  return {
+    ObjectId: { type: 'string', pattern: '^[0-9a-fA-F]{24}$', description: 'MongoDB id (24 hex characters)' },
+    FieldError: {
+      type: 'object',
+      required: ['field', 'message'],
+      properties: {
+        in: { type: 'string', enum: ['body', 'query', 'path'] },
+        field: { type: ['string', 'null'], description: 'Field path, e.g. year or credits[0].role' },
+        message: { type: 'string' },
+      },
+    },
+    Error: {
+      type: 'object',
+      required: ['status', 'code', 'message'],
+      properties: {
+        status: { type: 'integer' },
+        code: { type: 'string', enum: ERROR_CODES },
+        message: { type: 'string' },
+        details: arrayOf(ref('FieldError')),
+      },
+    },
+    Message: { type: 'object', required: ['message'], properties: { message: { type: 'string' } } },
+
+    Credit: {
+      type: 'object',
+      required: ['personId', 'role'],
+      properties: {
+        personId: objectId,
+        role: { type: 'string', enum: ROLES },
+        character: { type: ['string', 'null'], maxLength: 200, description: 'Actors only' },
+      },
+    },
+    MovieInput: {
+      type: 'object',
+      required: ['title', 'year'],
+      // genre is the single-genre alias older clients send
+      if: { not: { required: ['genre'] } },
+      then: { required: ['genres'] },
+      properties: {
+        title: { type: 'string', minLength: 1 },
+        year: { type: 'integer', minimum: 1888, maximum: currentYear + 1 },
+        genres: arrayOf({ type: 'string', minLength: 1 }, { minItems: 1, maxItems: 6 }),
+        genre: { type: 'string', description: 'Single genre, for older clients; genres wins when both are sent' },
+        rating: nullable(rating),
+        director: { type: ['string', 'null'] },
+        credits: arrayOf(ref('Credit'), { maxItems: 200 }),
+        posterUrl: { type: 'string' },
+        poster: { type: 'string', description: 'Alias of posterUrl' },
+        description: { type: ['string', 'null'] },
+        trailerUrl: { type: ['string', 'null'] },
+        watchUrl: { type: ['string', 'null'] },
+        translations: ref('Translations'),
+      },
+    },
+    Translations: {
+      type: 'object',
+      description: 'Title and description per locale; empty or null values clear a translation',
+      propertyNames: { enum: TRANSLATION_LOCALES },
+      additionalProperties: {
+        type: ['object', 'null'],
+        additionalProperties: false,
+        properties: { title: { type: ['string', 'null'] }, description: { type: ['string', 'null'] } },
+      },
+    },
+    Movie: {
+      type: 'object',
+      required: ['_id'],
+      properties: {
+        _id: objectId,
+        title: { type: 'string', description: 'In the requested locale when translated' },
+        originalTitle: { type: 'string', description: 'The stored title, when title is a translation' },
+        year: { type: 'integer' },
+        genres: arrayOf({ type: 'string' }),
+        genreNames: arrayOf({ type: 'string' }, { description: 'genres as named in the requested locale' }),
+        rating: { type: ['number', 'null'] },
+        director: { type: ['string', 'null'] },
+        credits: arrayOf({ type: 'object' }),
+        posterUrl: { type: ['string', 'null'] },
+        posterMedia: {
+          type: 'object',
+          description: 'Set when the poster is stored here; each width is served at /media/{id}/{width}.webp',
+          properties: {
+            id: { type: 'string' },
+            width: { type: 'integer' },
+            height: { type: 'integer' },
+            widths: arrayOf({ type: 'integer' }),
+          },
+        },
+        description: { type: ['string', 'null'] },
+        trailerUrl: { type: ['string', 'null'] },
+        translations: ref('Translations'),
+        communityRating: { type: ['number', 'null'] },
+        communityRatingCount: { type: 'integer' },
+      },
+    },
+    Revision: {
+      type: 'object',
+      required: ['_id', 'movieId', 'action', 'changes'],
+      properties: {
+        _id: objectId,
+        movieId: objectId,
+        number: { type: 'integer', description: 'Position in the movie\'s history, from 1' },
+        action: { type: 'string', enum: REVISION_ACTIONS },
+        editor: {
+          type: ['object', 'null'],
+          properties: { id: { type: 'string' }, username: { type: 'string' } },
+        },
+        changes: arrayOf({
+          type: 'object',
+          required: ['field'],
+          properties: { field: { type: 'string' }, from: {}, to: {} },
+        }),
+        snapshot: { type: 'object', description: 'The movie after this change; single revisions only' },
+        revertedTo: { ...objectId, description: 'The revision a revert went back to' },
+        createdAt: { type: 'string', format: 'date-time' },
+      },
+    },
+    RevisionPage: page(ref('Revision'), {
+      movie: {
+        type: 'object',
+        properties: { _id: objectId, title: { type: 'string' }, year: { type: 'integer' }, deletedAt: { type: 'string', format: 'date-time' } },
+      },
+    }),
+    MoviePage: page(ref('Movie'), {
+      hasMore: { type: 'boolean', description: 'Cursor pagination only' },
+      nextCursor: { type: ['string', 'null'], description: 'Cursor pagination only' },
+      facets: { type: 'object', description: 'Counts per genre (with its label in the requested locale), decade and rating band' },
+    }),
+    SearchResults: page({ allOf: [ref('Movie'), { type: 'object', properties: { score: { type: 'number' } } }] }, {
+      q: { type: 'string' },
+    }),
+    Suggestions: {
+      type: 'object',
+      required: ['items'],
+      properties: { items: arrayOf({ type: 'object', properties: { _id: objectId, title: { type: 'string' }, year: { type: 'integer' } } }) },
+    },
+    MovieItems: { type: 'object', required: ['items'], properties: { items: arrayOf(ref('Movie')) } },
+    ImportReport: {
+      type: 'object',
+      required: ['dryRun', 'rows'],
+      properties: {
+        dryRun: { type: 'boolean' },
+        format: { type: 'string', enum: FORMATS },
+        total: { type: 'integer' },
+        created: { type: 'integer' },
+        updated: { type: 'integer' },
+        failed: { type: 'integer' },
+        rows: arrayOf({ type: 'object' }),
+      },
+    },
+
+    ReviewInput: {
+      type: 'object',
+      required: ['rating'],
+      properties: { rating, text: { type: ['string', 'null'], maxLength: 2000 } },
+    },
+    Review: {
+      type: 'object',
+      required: ['_id', 'movieId', 'rating'],
+      properties: {
+        _id: objectId,
+        movieId: objectId,
+        userId: { type: 'string' },
+        username: { type: 'string' },
+        rating: { type: 'number' },
+        text: { type: ['string', 'null'] },
+        createdAt: { type: 'string', format: 'date-time' },
+        updatedAt: { type: 'string', format: 'date-time' },
+      },
+    },
+    ReviewPage: page(ref('Review'), {
+      communityRating: { type: ['number', 'null'] },
+      communityRatingCount: { type: 'integer' },
+      mine: { anyOf: [ref('Review'), { type: 'null' }] },
+    }),
+    ReviewResult: {
+      type: 'object',
+      properties: {
+        review: ref('Review'),
+        message: { type: 'string' },
+        communityRating: { type: ['number', 'null'] },
+        communityRatingCount: { type: 'integer' },
+      },
+    },
+
+    MovieIdInput: { type: 'object', required: ['movieId'], properties: { movieId: objectId } },
+    MovieIdList: { type: 'object', required: ['items'], properties: { items: arrayOf(objectId) } },
+    ListInput: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        description: { type: ['string', 'null'], maxLength: 1000 },
+        visibility: { type: 'string', enum: ['private', 'unlisted', 'public'] },
+      },
+    },
+    ListOrder: { type: 'object', required: ['movieIds'], properties: { movieIds: arrayOf(objectId) } },
+    List: {
+      type: 'object',
+      required: ['_id', 'name', 'visibility', 'builtIn', 'items'],
+      properties: {
+        _id: { type: 'string', description: 'List id, or likes / watchlist for built-in lists' },
+        shareId: { type: ['string', 'null'] },
+        name: { type: 'string' },
+        description: { type: ['string', 'null'] },
+        visibility: { type: 'string', enum: ['private', 'unlisted', 'public'] },
+        username: { type: 'string' },
+        builtIn: { type: 'boolean' },
+        count: { type: 'integer' },
+        items: arrayOf({ type: 'object', properties: { movieId: objectId, addedAt: { type: 'string', format: 'date-time' } } }),
+        createdAt: { type: 'string', format: 'date-time' },
+        updatedAt: { type: 'string', format: 'date-time' },
+      },
+    },
+    ListItems: { type: 'object', required: ['items'], properties: { items: arrayOf(ref('List')) } },
+    ListWithMovies: {
+      type: 'object',
+      required: ['list', 'movies'],
+      properties: { list: ref('List'), movies: arrayOf(ref('Movie')) },
+    },
+
+    DiaryInput: {
+      type: 'object',
+      properties: {
+        movieId: objectId,
+        watchedAt: { type: ['string', 'null'], description: 'ISO date or date-time, not in the future; defaults to now' },
+        rating: nullable(rating),
+        rewatch: { type: 'boolean', description: 'Defaults to whether the film was logged before' },
+        notes: { type: ['string', 'null'], maxLength: 2000 },
+      },
+    },
+    DiaryEntry: {
+      type: 'object',
+      required: ['_id', 'movieId', 'watchedAt'],
+      properties: {
+        _id: objectId,
+        movieId: objectId,
+        watchedAt: { type: 'string', format: 'date-time' },
+        rating: { type: ['number', 'null'] },
+        rewatch: { type: 'boolean' },
+        notes: { type: ['string', 'null'] },
+        movie: { anyOf: [ref('Movie'), { type: 'null' }] },
+        createdAt: { type: 'string', format: 'date-time' },
+      },
+    },
+    DiaryPage: page(ref('DiaryEntry')),
+    WatchedResult: {
+      type: 'object',
+      required: ['entry', 'items'],
+      properties: { entry: ref('DiaryEntry'), items: arrayOf(objectId, { description: 'Remaining watchlist' }) },
+    },
+    DiaryStats: { type: 'object', properties: { years: arrayOf({ type: 'integer' }) } },
+    YearSummary: { type: 'object', properties: { year: { type: 'integer' } } },
+    LetterboxdReport: {
+      type: 'object',
+      required: ['dryRun', 'list', 'rows'],
+      properties: {
+        dryRun: { type: 'boolean' },
+        list: { type: 'string', enum: LISTS },
+        total: { type: 'integer' },
+        added: { type: 'integer' },
+        existing: { type: 'integer' },
+        unmatched: { type: 'integer' },
+        invalid: { type: 'integer' },
+        rows: arrayOf({ type: 'object' }),
+      },
+    },
+
+    Credentials: {
+      type: 'object',
+      required: ['username', 'password'],
+      properties: { username: { type: 'string', minLength: 1 }, password: { type: 'string', minLength: 1 } },
+    },
+    Registration: {
+      type: 'object',
+      required: ['username', 'email', 'password'],
+      properties: {
+        username: { type: 'string', minLength: 3 },
+        email: { type: 'string', format: 'email', maxLength: 254 },
+        password: { type: 'string', minLength: 6 },
+      },
+    },
+    SessionUser: {
+      type: 'object',
+      required: ['user'],
+      properties: {
+        user: {
+          type: 'object',
+          required: ['id', 'username', 'role'],
+          properties: { id: { type: 'string' }, username: { type: 'string' }, role: { type: 'string', enum: ['user', 'admin'] } },
+        },
+      },
+    },
+    CsrfToken: { type: 'object', required: ['csrfToken'], properties: { csrfToken: { type: 'string' } } },
+    Account: {
+      type: 'object',
+      required: ['id', 'username', 'emailVerified', 'role'],
+      properties: {
+        id: { type: 'string' },
+        username: { type: 'string' },
+        email: { type: ['string', 'null'] },
+        emailVerified: { type: 'boolean' },
+        role: { type: 'string', enum: ['user', 'admin'] },
+        displayName: { type: ['string', 'null'] },
+        avatarUrl: { type: ['string', 'null'] },
+        favoriteGenres: arrayOf({ type: 'string' }),
+        privacy: ref('Privacy'),
+        followers: { type: 'integer' },
+        following: { type: 'integer' },
+        createdAt: { type: ['string', 'null'], format: 'date-time' },
+      },
+    },
+    AccountInput: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email', maxLength: 254 },
+        displayName: { type: ['string', 'null'], maxLength: 50 },
+        avatarUrl: { type: ['string', 'null'], maxLength: 500 },
+        favoriteGenres: arrayOf({ type: 'string', maxLength: 40 }),
+        privacy: { ...ref('Privacy'), description: 'Only the settings given are changed' },
+      },
+    },
+    Privacy: {
+      type: 'object',
+      description: 'Who sees each kind of activity on your profile and in feeds',
+      additionalProperties: false,
+      properties: Object.fromEntries(
+        Object.entries(DEFAULT_PRIVACY).map(([key, level]) => [key, { type: 'string', enum: PRIVACY_LEVELS, default: level }])
+      ),
+    },
+
+    UserCard: {
+      type: 'object',
+      required: ['id', 'username'],
+      properties: {
+        id: { type: 'string' },
+        username: { type: 'string' },
+        displayName: { type: ['string', 'null'] },
+        avatarUrl: { type: ['string', 'null'] },
+      },
+    },
+    UserCardPage: page(ref('UserCard')),
+    UserProfile: {
+      allOf: [
+        ref('UserCard'),
+        {
+          type: 'object',
+          required: ['followers', 'following', 'sharing'],
+          properties: {
+            favoriteGenres: arrayOf({ type: 'string' }),
+            createdAt: { type: ['string', 'null'], format: 'date-time' },
+            followers: { type: 'integer' },
+            following: { type: 'integer' },
+            isSelf: { type: 'boolean' },
+            isFollowing: { type: 'boolean', description: 'Whether the signed-in viewer follows this user' },
+            followRequested: { type: 'boolean', description: 'Whether the viewer asked to follow and awaits approval' },
+            sharing: arrayOf({ type: 'string', enum: ACTIVITY_SOURCES.map((s) => s.type) }, { description: 'Activity the viewer may see' }),
+            privacy: { ...ref('Privacy'), description: 'Only on your own profile' },
+          },
+        },
+      ],
+    },
+    ActivityItem: {
+      type: 'object',
+      required: ['type', 'createdAt', 'user', 'movie'],
+      properties: {
+        type: { type: 'string', enum: ACTIVITY_SOURCES.map((s) => s.type) },
+        createdAt: { type: 'string', format: 'date-time' },
+        user: ref('UserCard'),
+        movie: ref('Movie'),
+        review: { type: 'object', description: 'Review activity only', properties: { _id: objectId, rating: { type: 'number' }, text: { type: ['string', 'null'] } } },
+      },
+    },
+    ActivityPage: {
+      type: 'object',
+      required: ['items', 'nextCursor', 'hasMore'],
+      properties: { items: arrayOf(ref('ActivityItem')), nextCursor: { type: ['string', 'null'] }, hasMore: { type: 'boolean' } },
+    },
+    FollowInput: { type: 'object', required: ['username'], properties: { username: { type: 'string', minLength: 1, maxLength: 100 } } },
+    FollowResult: {
+      type: 'object',
+      required: ['following', 'requested', 'followers'],
+      properties: {
+        following: { type: 'boolean', description: 'Whether you now follow the user' },
+        requested: { type: 'boolean', description: 'Whether your follow request awaits their approval' },
+        followers: { type: 'integer', description: "The followed user's follower count" },
+      },
+    },
+    FollowRequestResult: {
+      type: 'object',
+      required: ['approved', 'followers'],
+      properties: {
+        approved: { type: 'boolean', description: 'Whether the request was approved or declined' },
+        followers: { type: 'integer', description: 'Your follower count' },
+      },
+    },
+    PasswordChange: {
+      type: 'object',
+      required: ['currentPassword', 'newPassword'],
+      properties: {
+        currentPassword: { type: 'string', minLength: 1 },
+        newPassword: { type: 'string', minLength: 6, maxLength: 200 },
+      },
+    },
+    PasswordConfirmation: { type: 'object', required: ['password'], properties: { password: { type: 'string', minLength: 1 } } },
+    EmailInput: { type: 'object', required: ['email'], properties: { email: { type: 'string', format: 'email' } } },
+    PasswordReset: {
+      type: 'object',
+      required: ['token', 'password'],
+      properties: { token: { type: 'string', minLength: 1 }, password: { type: 'string', minLength: 6, maxLength: 200 } },
+    },
+    ApiTokenInput: {
+      type: 'object',
+      required: ['name', 'scopes'],
+      properties: {
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        scopes: arrayOf({ type: 'string', enum: Object.keys(SCOPES) }, { minItems: 1 }),
+        expiresInDays: { type: ['integer', 'null'], minimum: 1, maximum: 365 },
+      },
+    },
+    ApiToken: {
+      type: 'object',
+      required: ['_id', 'name', 'scopes', 'prefix'],
+      properties: {
+        _id: objectId,
+        name: { type: 'string' },
+        scopes: arrayOf({ type: 'string', enum: Object.keys(SCOPES) }),
+        prefix: { type: 'string' },
+        createdAt: { type: 'string', format: 'date-time' },
+        expiresAt: { type: ['string', 'null'], format: 'date-time' },
+        lastUsedAt: { type: ['string', 'null'], format: 'date-time' },
+        lastUsedIp: { type: ['string', 'null'] },
+      },
+    },
+    ApiTokenCreated: {
+      allOf: [ref('ApiToken'), { type: 'object', required: ['token'], properties: { token: { type: 'string', description: 'Shown once' } } }],
+    },
+    ApiTokenList: {
+      type: 'object',
+      required: ['items'],
+      properties: { items: arrayOf(ref('ApiToken')), scopes: { type: 'object', additionalProperties: { type: 'string' } } },
+    },
+  };
+}
+
+/** Schemas for path parameters, shared by every route that uses the name. */
+const PATH_PARAMS = {
+  id: objectId,
+  reviewId: objectId,
+  movieId: objectId,
+  entryId: objectId,
+  revisionId: objectId,
+  tokenId: objectId,
+  username: { type: 'string', minLength: 1, maxLength: 100 },
+  listId: { type: 'string', pattern: '^([0-9a-fA-F]{24}|likes|watchlist)$', description: 'List id, or likes / watchlist' },
+  year: { type: 'integer', minimum: 1888 },
+};
+
+const CATALOG_QUERY = {
+  format: { type: 'string', enum: FORMATS },
+  dryRun: { type: 'string', enum: ['1', '0', 'true', 'false', 'yes', 'no'], description: 'Validate and report without writing' },
+};
+
+/**
+ * Every documented operation. auth is 'user', 'admin', 'verified' (signed in with a
+ * verified email) or 'session' (cookie sessions only, no API tokens); limited marks
+ * rate-limited routes. Paths use Express syntax and include the router's mount point.
+ */
+const OPERATIONS = [
+  // movies
+  {
+    operationId: 'listMovies',
+    method: 'get',
+    path: '/api/movies',
+    tag: 'Movies',
+    summary: 'Browse the catalog with filters, facets and page or cursor pagination',
+    query: {
+      ids: { type: 'string', description: 'Comma-separated ids; returns a plain array of those movies' },
+      fields: { type: 'string', description: 'Comma-separated fields to return' },
+      genre: csvList('Genres, comma-separated or repeated'),
+      genres: csvList('Alias of genre'),
+      genresMode: { type: 'string', enum: ['any', 'all'] },
+      year: { type: 'integer' },
+      yearFrom: { type: 'integer' },
+      yearTo: { type: 'integer' },
+      decade: csvList('Decades such as 1990 or 1990s'),
+      ratingMin: rating,
+      ratingMax: rating,
+      title: { type: 'string' },
+      director: { type: 'string' },
+      person: objectId,
+      role: { type: 'string', enum: ROLES },
+      exclude: csvList('likes and/or watchlist (signed-in users)'),
+      sort: { type: 'string', enum: SORT_FIELDS.flatMap((f) => [f, `${f}:asc`, `${f}:desc`]) },
+      page: pageQuery,
+      limit: limitQuery(50, 12),
+      cursor: { type: 'string', description: 'Empty for the first page; switches to cursor pagination' },
+      lang: langQuery,
+    },
+    responses: { 200: { anyOf: [ref('MoviePage'), arrayOf(ref('Movie'))] } },
+  },
+  {
+    operationId: 'searchMovies',
+    method: 'get',
+    path: '/api/movies/search',
+    tag: 'Movies',
+    summary: 'Ranked full-text search',
+    query: {
+      q: { type: 'string', minLength: 1, maxLength: 200 },
+      genre: { type: 'string' },
+      year: { type: 'integer' },
+      page: pageQuery,
+      limit: limitQuery(50, 12),
+      lang: langQuery,
+    },
+    requiredQuery: ['q'],
+    responses: { 200: ref('SearchResults') },
+  },
+  {
+    operationId: 'suggestMovies',
+    method: 'get',
+    path: '/api/movies/suggest',
+    tag: 'Movies',
+    summary: 'Title autocomplete',
+    query: { q: { type: 'string' }, limit: limitQuery(10, 8) },
+    responses: { 200: ref('Suggestions') },
+  },
+  {
+    operationId: 'exportMovies',
+    method: 'get',
+    path: '/api/movies/export',
+    tag: 'Movies',
+    summary: 'Export the catalog as CSV or JSON',
+    auth: 'admin',
+    query: { format: CATALOG_QUERY.format },
+    responses: { 200: { content: { 'text/csv': { type: 'string' }, 'application/json': arrayOf(ref('MovieInput')) } } },
+  },
+  {
+    operationId: 'importMovies',
+    method: 'post',
+    path: '/api/movies/import',
+    tag: 'Movies',
+    summary: 'Bulk import or update movies matched by title and year',
+    auth: 'admin',
+    query: CATALOG_QUERY,
+    body: {
+      content: {
+        'application/json': { anyOf: [arrayOf({ type: 'object' }), { type: 'object', properties: { movies: arrayOf({ type: 'object' }) } }] },
+        'text/csv': { type: 'string' },
+      },
+    },
+    responses: { 200: ref('ImportReport') },
+  },
+  {
+    operationId: 'getMovie',
+    method: 'get',
+    path: '/api/movies/:id',
+    tag: 'Movies',
+    summary: 'One movie with its credits',
+    query: { lang: langQuery },
+    responses: { 200: ref('Movie') },
+  },
+  {
+    operationId: 'createMovie',
+    method: 'post',
+    path: '/api/movies',
+    tag: 'Movies',
+    summary: 'Add a movie',
+    auth: 'admin',
+    body: ref('MovieInput'),
+    responses: { 201: ref('Movie') },
+  },
+  {
+    operationId: 'updateMovie',
+    method: 'put',
+    path: '/api/movies/:id',
+    tag: 'Movies',
+    summary: 'Replace a movie',
+    auth: 'admin',
+    body: ref('MovieInput'),
+    responses: { 200: ref('Movie') },
+  },
+  {
+    operationId: 'deleteMovie',
+    method: 'delete',
+    path: '/api/movies/:id',
+    tag: 'Movies',
+    summary: 'Move a movie to the trash; admins can restore it from /api/admin/trash',
+    auth: 'admin',
+    responses: { 200: ref('Message') },
+  },
+  {
+    operationId: 'listMovieRevisions',
+    method: 'get',
+    path: '/api/movies/:id/revisions',
+    tag: 'Movies',
+    summary: 'A movie\'s change history, newest first, including movies in the trash',
+    auth: 'admin',
+    query: { page: pageQuery, limit: limitQuery(100, 20) },
+    responses: { 200: ref('RevisionPage') },
+  },
+  {
+    operationId: 'getMovieRevision',
+    method: 'get',
+    path: '/api/movies/:id/revisions/:revisionId',
+    tag: 'Movies',
+    summary: 'One revision with a snapshot of the movie after it',
+    auth: 'admin',
+    responses: { 200: ref('Revision') },
+  },
+  {
+    operationId: 'revertMovie',
+    method: 'post',
+    path: '/api/movies/:id/revisions/:revisionId/revert',
+    tag: 'Movies',
+    summary: 'Roll a movie back to how it was after a revision; recorded as a new revision',
+    auth: 'admin',
+    responses: { 200: ref('Movie') },
+  },
+  {
+    operationId: 'setMoviePoster',
+    method: 'put',
+    path: '/api/movies/:id/poster',
+    tag: 'Movies',
+    summary: 'Store a poster from an uploaded image or a URL, with generated sizes',
+    auth: 'admin',
+    body: {
+      content: {
+        'image/*': { type: 'string', format: 'binary', description: 'JPEG, PNG, WebP, GIF or AVIF' },
+        'application/json': {
+          type: 'object',
+          required: ['url'],
+          properties: { url: { type: 'string', format: 'uri', description: 'Public http(s) image to fetch and store' } },
+        },
+      },
+    },
+    responses: { 200: ref('Movie') },
+  },
+  {
+    operationId: 'removeMoviePoster',
+    method: 'delete',
+    path: '/api/movies/:id/poster',
+    tag: 'Movies',
+    summary: 'Remove a movie\'s poster',
+    auth: 'admin',
+    responses: { 200: ref('Movie') },
+  },
+  {
+    operationId: 'getSimilarMovies',
+    method: 'get',
+    path: '/api/movies/:id/similar',
+    tag: 'Movies',
+    summary: 'Movies similar to this one',
+    query: { limit: limitQuery(20, 6) },
+    responses: { 200: ref('MovieItems') },
+  },
+
+  // reviews
+  {
+    operationId: 'listReviews',
+    method: 'get',
+    path: '/api/movies/:id/reviews',
+    tag: 'Reviews',
+    summary: "A movie's reviews, newest first",
+    query: { page: pageQuery, limit: limitQuery(50, 10) },
+    responses: { 200: ref('ReviewPage') },
+  },
+  {
+    operationId: 'createReview',
+    method: 'post',
+    path: '/api/movies/:id/reviews',
+    tag: 'Reviews',
+    summary: 'Review a movie (one review per user)',
+    auth: 'verified',
+    body: ref('ReviewInput'),
+    responses: { 201: ref('ReviewResult') },
+  },
+  {
+    operationId: 'updateReview',
+    method: 'put',
+    path: '/api/movies/:id/reviews/:reviewId',
+    tag: 'Reviews',
+    summary: 'Edit your review',
+    auth: 'verified',
+    body: ref('ReviewInput'),
+    responses: { 200: ref('ReviewResult') },
+  },
+  {
+    operationId: 'deleteReview',
+    method: 'delete',
+    path: '/api/movies/:id/reviews/:reviewId',
+    tag: 'Reviews',
+    summary: 'Delete your review (admins can delete any)',
+    auth: 'user',
+    responses: { 200: ref('ReviewResult') },
+  },
+
+  // likes and watchlist
+  ...['likes', 'watchlist'].flatMap((name) => [
+    {
+      operationId: `get${name === 'likes' ? 'Likes' : 'Watchlist'}`,
+      method: 'get',
+      path: `/api/user/${name}`,
+      tag: 'Likes and watchlist',
+      summary: `Movie ids in your ${name}`,
+      auth: 'user',
+      responses: { 200: ref('MovieIdList') },
+    },
+    {
+      operationId: `add${name === 'likes' ? 'Like' : 'ToWatchlist'}`,
+      method: 'post',
+      path: `/api/user/${name}`,
+      tag: 'Likes and watchlist',
+      summary: `Add a movie to your ${name}`,
+      auth: 'verified',
+      body: ref('MovieIdInput'),
+      responses: { 200: ref('MovieIdList') },
+    },
+    {
+      operationId: `remove${name === 'likes' ? 'Like' : 'FromWatchlist'}`,
+      method: 'delete',
+      path: `/api/user/${name}/:movieId`,
+      tag: 'Likes and watchlist',
+      summary: `Remove a movie from your ${name}`,
+      auth: 'user',
+      responses: { 200: ref('MovieIdList') },
+    },
+  ]),
+
+  // lists
+  {
+    operationId: 'getMyLists',
+    method: 'get',
+    path: '/api/user/lists',
+    tag: 'Lists',
+    summary: 'Your lists, built-in likes and watchlist first',
+    auth: 'user',
+    responses: { 200: ref('ListItems') },
+  },
+  {
+    operationId: 'createList',
+    method: 'post',
+    path: '/api/user/lists',
+    tag: 'Lists',
+    summary: 'Create a list',
+    auth: 'verified',
+    body: { allOf: [ref('ListInput'), { required: ['name'] }] },
+    responses: { 201: ref('List') },
+  },
+  {
+    operationId: 'getMyList',
+    method: 'get',
+    path: '/api/user/lists/:listId',
+    tag: 'Lists',
+    summary: 'One of your lists with its movies',
+    auth: 'user',
+    responses: { 200: ref('ListWithMovies') },
+  },
+  {
+    operationId: 'updateList',
+    method: 'patch',
+    path: '/api/user/lists/:listId',
+    tag: 'Lists',
+    summary: "Rename a list or change its description or visibility",
+    auth: 'verified',
+    body: ref('ListInput'),
+    responses: { 200: ref('List') },
+  },
+  {
+    operationId: 'deleteList',
+    method: 'delete',
+    path: '/api/user/lists/:listId',
+    tag: 'Lists',
+    summary: 'Delete a list',
+    auth: 'user',
+    responses: { 200: ref('Message') },
+  },
+  {
+    operationId: 'addListItem',
+    method: 'post',
+    path: '/api/user/lists/:listId/items',
+    tag: 'Lists',
+    summary: 'Add a movie to a list',
+    auth: 'verified',
+    body: ref('MovieIdInput'),
+    responses: { 200: ref('List') },
+  },
+  {
+    operationId: 'removeListItem',
+    method: 'delete',
+    path: '/api/user/lists/:listId/items/:movieId',
+    tag: 'Lists',
+    summary: 'Remove a movie from a list',
+    auth: 'user',
+    responses: { 200: ref('List') },
+  },
+  {
+    operationId: 'reorderList',
+    method: 'put',
+    path: '/api/user/lists/:listId/order',
+    tag: 'Lists',
+    summary: 'Set the order of every item in a list',
+    auth: 'verified',
+    body: ref('ListOrder'),
+    responses: { 200: ref('List') },
+  },
+
+  // diary
+  {
+    operationId: 'markWatched',
+    method: 'post',
+    path: '/api/user/watchlist/:movieId/watched',
+    tag: 'Diary',
+    summary: 'Log a watchlisted movie in the diary and take it off the watchlist',
+    auth: 'user',
+    body: ref('DiaryInput'),
+    optionalBody: true,
+    responses: { 201: ref('WatchedResult') },
+  },
+  {
+    operationId: 'listDiary',
+    method: 'get',
+    path: '/api/user/diary',
+    tag: 'Diary',
+    summary: 'Your diary, newest viewing first',
+    auth: 'user',
+    query: { page: pageQuery, limit: limitQuery(50, 20), year: { type: 'integer', minimum: 1888 } },
+    responses: { 200: ref('DiaryPage') },
+  },
+  {
+    operationId: 'createDiaryEntry',
+    method: 'post',
+    path: '/api/user/diary',
+    tag: 'Diary',
+    summary: 'Log a viewing',
+    auth: 'user',
+    body: { allOf: [ref('DiaryInput'), { required: ['movieId'] }] },
+    responses: { 201: ref('DiaryEntry') },
+  },
+  {
+    operationId: 'getDiaryStats',
+    method: 'get',
+    path: '/api/user/diary/stats',
+    tag: 'Diary',
+    summary: 'Totals, streaks and favourite genres across the diary',
+    auth: 'user',
+    responses: { 200: ref('DiaryStats') },
+  },
+  {
+    operationId: 'getYearSummary',
+    method: 'get',
+    path: '/api/user/diary/summary/:year',
+    tag: 'Diary',
+    summary: 'Year-in-review summary',
+    auth: 'user',
+    responses: { 200: ref('YearSummary') },
+  },
+  {
+    operationId: 'updateDiaryEntry',
+    method: 'patch',
+    path: '/api/user/diary/:entryId',
+    tag: 'Diary',
+    summary: 'Edit a diary entry',
+    auth: 'user',
+    body: ref('DiaryInput'),
+    responses: { 200: ref('DiaryEntry') },
+  },
+  {
+    operationId: 'deleteDiaryEntry',
+    method: 'delete',
+    path: '/api/user/diary/:entryId',
+    tag: 'Diary',
+    summary: 'Delete a diary entry',
+    auth: 'user',
+    responses: { 200: ref('Message') },
+  },
+
+  // Letterboxd
+  {
+    operationId: 'exportUserList',
+    method: 'get',
+    path: '/api/user/export/letterboxd',
+    tag: 'Likes and watchlist',
+    summary: 'Export likes or watchlist as Letterboxd CSV',
+    auth: 'user',
+    query: { list: { type: 'string', enum: LISTS } },
+    requiredQuery: ['list'],
+    responses: { 200: { content: { 'text/csv': { type: 'string' } } } },
+  },
+  {
+    operationId: 'importUserList',
+    method: 'post',
+    path: '/api/user/import/letterboxd',
+    tag: 'Likes and watchlist',
+    summary: 'Import a Letterboxd CSV into likes or watchlist',
+    auth: 'verified',
+    query: { list: { type: 'string', enum: LISTS }, dryRun: CATALOG_QUERY.dryRun },
+    requiredQuery: ['list'],
+    body: { content: { 'text/csv': { type: 'string' } } },
+    responses: { 200: ref('LetterboxdReport') },
+  },
+
+  // users and follows
+  {
+    operationId: 'getUserProfile',
+    method: 'get',
+    path: '/api/users/:username',
+    tag: 'Social',
+    summary: "A user's public profile with follower counts",
+    responses: { 200: ref('UserProfile') },
+  },
+  {
+    operationId: 'getUserActivity',
+    method: 'get',
+    path: '/api/users/:username/activity',
+    tag: 'Social',
+    summary: "A user's likes, watchlist additions and reviews, newest first, as their privacy settings allow",
+    query: { cursor: feedCursorQuery, limit: limitQuery(50, 20), lang: langQuery },
+    responses: { 200: ref('ActivityPage') },
+  },
+  {
+    operationId: 'listFollowers',
+    method: 'get',
+    path: '/api/users/:username/followers',
+    tag: 'Social',
+    summary: 'Who follows a user, most recent first',
+    query: { page: pageQuery, limit: limitQuery(50, 20) },
+    responses: { 200: ref('UserCardPage') },
+  },
+  {
+    operationId: 'listFollowing',
+    method: 'get',
+    path: '/api/users/:username/following',
+    tag: 'Social',
+    summary: 'Who a user follows, most recent first',
+    query: { page: pageQuery, limit: limitQuery(50, 20) },
+    responses: { 200: ref('UserCardPage') },
+  },
+  {
+    operationId: 'followUser',
+    method: 'post',
+    path: '/api/user/following',
+    tag: 'Social',
+    summary: 'Ask to follow a user; the follow counts once they approve, and asking twice is a no-op',
+    auth: 'user',
+    body: ref('FollowInput'),
+    responses: { 200: ref('FollowResult') },
+  },
+  {
+    operationId: 'unfollowUser',
+    method: 'delete',
+    path: '/api/user/following/:username',
+    tag: 'Social',
+    summary: 'Stop following a user, or withdraw a follow request',
+    auth: 'user',
+    responses: { 200: ref('FollowResult') },
+  },
+  {
+    operationId: 'listFollowRequests',
+    method: 'get',
+    path: '/api/user/follow-requests',
+    tag: 'Social',
+    summary: 'Users waiting for you to approve their follow request, most recent first',
+    auth: 'user',
+    query: { page: pageQuery, limit: limitQuery(50, 20) },
+    responses: { 200: ref('UserCardPage') },
+  },
+  {
+    operationId: 'approveFollowRequest',
+    method: 'post',
+    path: '/api/user/follow-requests/:username',
+    tag: 'Social',
+    summary: "Approve a user's follow request",
+    auth: 'user',
+    responses: { 200: ref('FollowRequestResult') },
+  },
+  {
+    operationId: 'declineFollowRequest',
+    method: 'delete',
+    path: '/api/user/follow-requests/:username',
+    tag: 'Social',
+    summary: "Decline a user's follow request",
+    auth: 'user',
+    responses: { 200: ref('FollowRequestResult') },
+  },
+  {
+    operationId: 'getFeed',
+    method: 'get',
+    path: '/api/user/feed',
+    tag: 'Social',
+    summary: 'What the people you follow liked, watchlisted or reviewed, newest first',
+    auth: 'user',
+    query: { cursor: feedCursorQuery, limit: limitQuery(50, 20), lang: langQuery },
+    responses: { 200: ref('ActivityPage') },
+  },
+
+  // auth and account
+  {
+    operationId: 'login',
+    method: 'post',
+    path: '/auth/login',
+    tag: 'Auth',
+    summary: 'Sign in and start a cookie session',
+    limited: true,
+    body: ref('Credentials'),
+    responses: { 200: ref('Message') },
+  },
+  {
+    operationId: 'register',
+    method: 'post',
+    path: '/auth/register',
+    tag: 'Auth',
+    summary: 'Create an account and sign in; a verification email is sent',
+    limited: true,
+    body: ref('Registration'),
+    responses: { 201: ref('Message') },
+  },
+  {
+    operationId: 'logout',
+    method: 'post',
+    path: '/auth/logout',
+    tag: 'Auth',
+    summary: 'End the session',
+    responses: { 200: ref('Message') },
+  },
+  {
+    operationId: 'getMe',
+    method: 'get',
+    path: '/auth/me',
+    tag: 'Auth',
+    summary: 'The signed-in user',
+    auth: 'user',
+    responses: { 200: ref('SessionUser') },
+  },
+  {
+    operationId: 'getCsrfToken',
+    method: 'get',
+    path: '/auth/csrf',
+    tag: 'Auth',
+    summary: "The session's CSRF token, for the X-CSRF-Token header",
+    responses: { 200: ref('CsrfToken') },
+  },
+  {
+    operationId: 'getAccount',
+    method: 'get',
+    path: '/auth/account',
+    tag: 'Account',
+    summary: 'Your profile settings and follower counts',
+    auth: 'user',
+    responses: { 200: ref('Account') },
+  },
+  {
+    operationId: 'updateAccount',
+    method: 'patch',
+    path: '/auth/account',
+    tag: 'Account',
+    summary: 'Change email, display name, avatar, favourite genres or privacy settings',
+    auth: 'user',
+    body: ref('AccountInput'),
+    responses: { 200: ref('Account') },
+  },
+  {
+    operationId: 'deleteAccount',
+    method: 'delete',
+    path: '/auth/account',
+    tag: 'Account',
+    summary: 'Delete your account and everything it owns',
+    auth: 'user',
+    body: ref('PasswordConfirmation'),
+    responses: { 200: ref('Message') },
+  },
+  {
+    operationId: 'changePassword',
+    method: 'post',
+    path: '/auth/password',
+    tag: 'Account',
+    summary: 'Change your password; other sessions are signed out and API tokens revoked',
+    auth: 'user',
+    body: ref('PasswordChange'),
+    responses: { 200: ref('Message') },
+  },
+  {
+    operationId: 'listTokens',
+    method: 'get',
+    path: '/auth/tokens',
+    tag: 'API tokens',
+    summary: 'Your personal API tokens',
+    auth: 'session',
+    responses: { 200: ref('ApiTokenList') },
+  },
+  {
+    operationId: 'createToken',
+    method: 'post',
+    path: '/auth/tokens',
+    tag: 'API tokens',
+    summary: 'Create an API token; its value is only returned here',
+    auth: 'session',
+    body: ref('ApiTokenInput'),
+    responses: { 201: ref('ApiTokenCreated') },
+  },
+  {
+    operationId: 'revokeToken',
+    method: 'delete',
+    path: '/auth/tokens/:tokenId',
+    tag: 'API tokens',
+    summary: 'Revoke an API token',
+    auth: 'session',
+    responses: { 200: ref('Message') },
+  },
+  {
+    operationId: 'verifyEmail',
+    method: 'get',
+    path: '/auth/verify-email',
+    tag: 'Account',
+    summary: 'Follow an email verification link; redirects to the profile page',
+    query: { token: { type: 'string' } },
+    responses: { 302: { description: 'Redirect to /profile?verified=1 or 0' } },
+  },
+  {
+    operationId: 'resendVerification',
+    method: 'post',
+    path: '/auth/verify-email/resend',
+    tag: 'Account',
+    summary: 'Send the verification email again',
+    auth: 'user',
+    limited: true,
+    responses: { 200: ref('Message') },
+  },
+  {
+    operationId: 'forgotPassword',
+    method: 'post',
+    path: '/auth/forgot-password',
+    tag: 'Account',
+    summary: 'Email a password reset link; the reply never reveals whether the address exists',
+    limited: true,
+    body: ref('EmailInput'),
+    responses: { 200: ref('Message') },
+  },
+  {
+    operationId: 'resetPassword',
+    method: 'post',
+    path: '/auth/reset-password',
+    tag: 'Account',
+    summary: 'Set a new password with a reset token; sessions are signed out and API tokens revoked',
+    limited: true,
+    body: ref('PasswordReset'),
+    responses: { 200: ref('Message') },
+  },
+];
+
+const byId = new Map(OPERATIONS.map((op) => [op.operationId, op]));
+
+/** The operation with this operationId; throws for unknown ids so typos fail at startup. */
+function getOperation(operationId) {
+  const op = byId.get(operationId);
+  if (!op) throw new Error(`Unknown OpenAPI operation "${operationId}"`);
+  return op;
+}
+
+/** "/api/movies/:id" -> "/api/movies/{id}" */
+function toOpenApiPath(path) {
+  return path.replace(/:(\w+)/g, '{$1}');
+}
+
+function pathParamNames(path) {
+  return Array.from(path.matchAll(/:(\w+)/g), (m) => m[1]);
+}
+
+/** Body media types and schemas: a bare schema means JSON. */
+function bodyContent(op) {
+  if (!op.body) return null;
+  return op.body.content || { 'application/json': op.body };
+}
+
+function parametersFor(op) {
+  const params = pathParamNames(op.path).map((name) => ({ name, in: 'path', required: true, schema: PATH_PARAMS[name] }));
+  for (const [name, schema] of Object.entries(op.query || {})) {
+    const { description, ...rest } = schema;
+    params.push({ name, in: 'query', required: (op.requiredQuery || []).includes(name), description, schema: rest });
+  }
+  return params;
+}
+
+/** Security requirements; bearer scopes come from the same rule the token middleware enforces. */
+function securityFor(op) {
+  const unsafe = UNSAFE_METHODS.includes(op.method);
+  const cookie = unsafe ? { cookieAuth: [], csrfToken: [] } : { cookieAuth: [] };
+  if (!op.auth) return unsafe ? [{ csrfToken: [] }] : undefined;
+  const scope = op.auth === 'session' ? null : requiredScope({ originalUrl: op.path, method: op.method.toUpperCase() });
+  if (!scope) return [cookie];
+  return [cookie, { bearerAuth: scope === '*' ? [] : [scope] }];
+}
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: ref('Error') } },
+});
+
+function responsesFor(op) {
+  const responses = {};
+  for (const [status, schema] of Object.entries(op.responses)) {
+    if (schema.description) responses[status] = schema;
+    else if (schema.content) {
+      responses[status] = {
+        description: 'OK',
+        content: Object.fromEntries(Object.entries(schema.content).map(([type, s]) => [type, { schema: s }])),
+      };
+    } else responses[status] = { description: 'OK', content: { 'application/json': { schema } } };
+  }
+  const hasInput = op.body || op.query || pathParamNames(op.path).length;
+  if (hasInput) responses[400] = errorResponse('Invalid request; details lists each bad field');
+  if (op.auth) responses[401] = errorResponse('Not signed in');
+  if (['admin', 'verified', 'session'].includes(op.auth) || UNSAFE_METHODS.includes(op.method)) {
+    responses[403] = errorResponse('Not allowed, email not verified or missing CSRF token');
+  }
+  if (pathParamNames(op.path).length) responses[404] = errorResponse('Not found');
+  if (op.limited || UNSAFE_METHODS.includes(op.method)) responses[429] = errorResponse('Rate limited; see Retry-After');
+  responses.default = errorResponse('Unexpected error');
+  return responses;
+}
+
+/** The OpenAPI 3.1 document served at /api/openapi.json. */
+function buildSpec({ serverUrl = '/' } = {}) {
+  const paths = {};
+  for (const op of OPERATIONS) {
+    const item = (paths[toOpenApiPath(op.path)] ||= {});
+    const content = bodyContent(op);
+    item[op.method] = {
+      operationId: op.operationId,
+      tags: [op.tag],
+      summary: op.summary,
+      parameters: parametersFor(op),
+      requestBody: content
+        ? {
+            required: !op.optionalBody,
+            content: Object.fromEntries(Object.entries(content).map(([type, schema]) => [type, { schema }])),
+          }
+        : undefined,
+      security: securityFor(op),
+      responses: responsesFor(op),
+    };
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'MyMovie API',
+      version: require('../package.json').version,
+      description:
+        'Movie catalog, reviews, lists, diary and account API. Every error response uses the Error ' +
+        'envelope; validation failures list each bad field in details.',
+    },
+    servers: [{ url: serverUrl }],
+    tags: Array.from(new Set(OPERATIONS.map((op) => op.tag)), (name) => ({ name })),
+    paths,
+    components: {
+      schemas: buildSchemas(),
+      securitySchemes: {
+        cookieAuth: { type: 'apiKey', in: 'cookie', name: 'sid', description: 'Session cookie set by /auth/login' },
+        csrfToken: { type: 'apiKey', in: 'header', name: 'X-CSRF-Token', description: 'Required with the session cookie on writes' },
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: `Personal API token. Scopes: ${Object.entries(SCOPES).map(([s, d]) => `${s} (${d})`).join('; ')}`,
+        },
+      },
+    },
+  };
+}
+
+module.exports = {
+  ERROR_CODES,
+  OPERATIONS,
+  PATH_PARAMS,
+  getOperation,
+  toOpenApiPath,
+  pathParamNames,
+  bodyContent,
+  buildSpec,
+  buildSchemas,
+};
@@ -0,0 +1,108 @@
+const { escapeHtml, movieGenres } = require('./seo');
+const { DEFAULT_LOCALE, translate, genreName } = require('./i18n');
+
+// Server-rendered fragments of the film pages. They mirror the markup the page scripts
+// build, so the first paint matches what the scripts swap in once they have loaded.
+
+function initials(title) {
+  return String(title)
+    .split(' ')
+    .map((word) => word[0] || '')
+    .join('')
+    .slice(0, 2)
+    .toUpperCase();
+}
+
+function posterSrc(movie) {
+  return movie.poster || movie.posterUrl || null;
+}
+
+/** srcset attribute for posters stored on this server, matching the grid's sizes. */
+function posterSrcset(movie) {
+  const media = movie.posterMedia;
+  if (!media || !Array.isArray(media.widths) || !media.widths.length) return '';
+  const srcset = media.widths.map((w) => `/media/${media.id}/${w}.webp ${w}w`).join(', ');
+  return ` srcset="${escapeHtml(srcset)}" sizes="(max-width: 480px) 50vw, (max-width: 1024px) 220px, 280px"`;
+}
+
+function roleLabel(credit, locale) {
+  if (credit.role === 'actor' && credit.character) return escapeHtml(credit.character);
+  const label = translate(locale, `role.${credit.role}`);
+  return label === `role.${credit.role}` ? escapeHtml(credit.role.charAt(0).toUpperCase() + credit.role.slice(1)) : escapeHtml(label);
+}
+
+/**
+ * The poster, backdrop and info column of /films/:id for a movie already localized for
+ * locale; the action buttons are left to the page script.
+ */
+function renderFilmHeader(film, locale = DEFAULT_LOCALE) {
+  const src = posterSrc(film);
+  const poster = src
+    ? `<img src="${escapeHtml(src)}" alt="${escapeHtml(film.title)}">`
+    : `<div class="placeholder">${escapeHtml(initials(film.title))}</div>`;
+  const backdrop = src ? `<img class="film-backdrop" src="${escapeHtml(src)}" alt="">` : '';
+
+  const credits = Array.isArray(film.credits) ? film.credits.filter((c) => c.person) : [];
+  const personLink = (c) => `<a href="/people/${c.person._id}">${escapeHtml(c.person.name)}</a>`;
+  const directors = credits.filter((c) => c.role === 'director');
+  const directorHtml = directors.length ? directors.map(personLink).join(', ') : film.director ? escapeHtml(film.director) : '';
+  const cast = credits.filter((c) => c.role !== 'director');
+  const hasRating = film.rating != null && film.rating !== '';
+  const genres = movieGenres(film);
+
+  const meta = [`<span>${film.year || escapeHtml(translate(locale, 'film.yearUnknown'))}</span>`];
+  if (directorHtml) meta.push(`<span>•</span><span>${directorHtml}</span>`);
+  if (hasRating) {
+    meta.push(`<span>•</span><span title="Editorial rating">${escapeHtml(translate(locale, 'film.editorial', { rating: Number(film.rating) }))}</span>`);
+  }
+  if (film.communityRatingCount) {
+    const community = translate(locale, 'film.community', { rating: Number(film.communityRating), count: film.communityRatingCount });
+    meta.push(`<span>•</span><span title="Community rating">${escapeHtml(community)}</span>`);
+  }
+
+  const info = [`<h1>${escapeHtml(film.title)}</h1>`];
+  if (film.originalTitle) {
+    info.push(`<p class="film-original-title">${escapeHtml(translate(locale, 'film.originalTitle', { title: film.originalTitle }))}</p>`);
+  }
+  info.push(`<div class="film-meta">${meta.join('')}</div>`);
+  if (genres.length) {
+    const tags = genres.map((g) => `<span class="genre-tag">${escapeHtml(genreName(g, locale))}</span>`).join('');
+    info.push(`<div class="film-genres">${tags}</div>`);
+  }
+  info.push(
+    film.description
+      ? `<p class="film-description">${escapeHtml(film.description)}</p>`
+      : `<p class="film-description" style="color: var(--text-muted); font-style: italic;">${escapeHtml(translate(locale, 'film.noDescription'))}</p>`
+  );
+  if (cast.length) {
+    info.push(
+      `<div class="mb-3"><p class="section-title" style="border: none; padding: 0; margin-bottom: 0.5rem;">${escapeHtml(translate(locale, 'film.castCrew'))}</p>` +
+        `<div class="credit-list">${cast.map((c) => `<div>${personLink(c)} <span class="credit-role">${roleLabel(c, locale)}</span></div>`).join('')}</div></div>`
+    );
+  }
+  return { poster, backdrop, info: info.join('\n') };
+}
+
+/** Poster cards for the /films grid, without the signed-in action buttons. */
+function renderPosterCards(movies, locale = DEFAULT_LOCALE) {
+  return movies
+    .map((movie) => {
+      const src = posterSrc(movie);
+      const poster = src
+        ? `<img src="${escapeHtml(src)}"${posterSrcset(movie)} alt="${escapeHtml(movie.title)}" loading="lazy">`
+        : `<div class="placeholder">${escapeHtml(initials(movie.title))}</div>`;
+      const genres = movieGenres(movie).map((g) => genreName(g, locale)).join(', ');
+      const rating = movie.rating != null && movie.rating !== '' ? ` • ${Number(movie.rating)}/10` : '';
+      const year = `${movie.year || 'N/A'}${genres ? ` • ${escapeHtml(genres)}` : ''}${rating}`;
+      return `<a href="/films/${movie._id}" class="poster-card">${poster}<div class="poster-overlay"><span class="poster-title">${escapeHtml(movie.title)}</span><span class="poster-year">${year}</span></div></a>`;
+    })
+    .join('\n');
+}
+
+function renderEmptyGrid(locale = DEFAULT_LOCALE) {
+  const heading = escapeHtml(translate(locale, 'films.none'));
+  const hint = escapeHtml(translate(locale, 'films.noneHint'));
+  return `<div class="empty-state" style="grid-column: 1/-1;"><div class="empty-state-icon">🎬</div><h3>${heading}</h3><p>${hint}</p></div>`;
+}
+
+module.exports = { initials, renderFilmHeader, renderPosterCards, renderEmptyGrid };
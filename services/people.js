@@ -0,0 +1,187 @@
+const { ObjectId } = require('mongodb');
+const { moviesCollection } = require('../models/movie');
+const { peopleCollection } = require('../models/person');
+const { invalidateCatalog } = require('./cache');
+const { recordRevisions } = require('./revisions');
+
+const ROLES = ['director', 'actor', 'writer', 'composer'];
+const CREDITS_MAX = 200;
+const CHARACTER_MAX = 200;
+const PERSON_PROJECTION = { name: 1, photoUrl: 1 };
+
+/** Lookup key for a name: case- and whitespace-insensitive. */
+function nameKey(name) {
+  return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/** Split a legacy director string ("Joel Coen, Ethan Coen") into individual names. */
+function splitNames(value) {
+  return String(value || '')
+    .split(/\s*[,&/;]\s*|\s+and\s+/i)
+    .map((n) => n.trim().replace(/\s+/g, ' '))
+    .filter(Boolean);
+}
+
+/**
+ * Validate a movie's credits array: [{ personId, role, character? }]. character is only
+ * kept for actors. Returns { errors, credits } with personIds as ObjectIds.
+ */
+function validateCredits(value) {
+  const errors = [];
+  const credits = [];
+  if (!Array.isArray(value)) return { errors: ['credits must be an array'], credits };
+  if (value.length > CREDITS_MAX) return { errors: [`credits must contain at most ${CREDITS_MAX} items`], credits };
+
+  const seen = new Set();
+  value.forEach((c, i) => {
+    const { personId, role, character } = c || {};
+    if (!ObjectId.isValid(personId)) return errors.push(`credits[${i}].personId must be a valid id`);
+    if (!ROLES.includes(role)) return errors.push(`credits[${i}].role must be one of ${ROLES.join(', ')}`);
+    if (character !== undefined && character !== null && typeof character !== 'string') {
+      return errors.push(`credits[${i}].character must be a string`);
+    }
+    if (character && character.trim().length > CHARACTER_MAX) {
+      return errors.push(`credits[${i}].character must be at most ${CHARACTER_MAX} characters`);
+    }
+    const key = `${personId}|${role}`;
+    if (seen.has(key)) return errors.push(`credits[${i}] duplicates an earlier ${role} credit`);
+    seen.add(key);
+
+    const credit = { personId: new ObjectId(personId), role };
+    if (role === 'actor' && character && character.trim()) credit.character = character.trim();
+    credits.push(credit);
+  });
+  return { errors, credits };
+}
+
+/** Legacy `director` string derived from director credits, in credit order. */
+function directorString(credits, peopleById) {
+  const names = (credits || [])
+    .filter((c) => c.role === 'director')
+    .map((c) => peopleById.get(c.personId.toString()))
+    .filter(Boolean)
+    .map((p) => p.name);
+  return names.length ? names.join(', ') : null;
+}
+
+/** Group a person's movies by the roles they had on each, newest first. */
+function groupFilmography(movies, personId) {
+  const id = personId.toString();
+  const filmography = Object.fromEntries(ROLES.map((r) => [r, []]));
+  const sorted = movies.slice().sort((a, b) => (b.year || 0) - (a.year || 0) || String(a.title).localeCompare(String(b.title)));
+  for (const movie of sorted) {
+    const { credits, ...rest } = movie;
+    for (const c of credits || []) {
+      if (c.personId.toString() !== id) continue;
+      filmography[c.role].push(c.character ? { ...rest, character: c.character } : rest);
+    }
+  }
+  return filmography;
+}
+
+async function loadPeopleById(ids) {
+  const unique = Array.from(new Set(ids.map(String))).map((id) => new ObjectId(id));
+  if (unique.length === 0) return new Map();
+  const people = await peopleCollection().find({ _id: { $in: unique } }, { projection: PERSON_PROJECTION }).toArray();
+  return new Map(people.map((p) => [p._id.toString(), p]));
+}
+
+/** Attach { person: { _id, name, photoUrl } } to each credit of a movie for display. */
+async function populateCredits(movie) {
+  if (!movie || !Array.isArray(movie.credits) || movie.credits.length === 0) return movie;
+  const people = await loadPeopleById(movie.credits.map((c) => c.personId));
+  return {
+    ...movie,
+    credits: movie.credits.map((c) => ({ ...c, person: people.get(c.personId.toString()) || null })),
+  };
+}
+
+/**
+ * Recompute the legacy director string on every movie this person directed (after a
+ * rename), recording a revision for each movie that changes, credited to editor.
+ * Returns the number of movies changed.
+ */
+async function syncDirectorStrings(personId, editor = null) {
+  const movies = await moviesCollection()
+    .find({ credits: { $elemMatch: { personId, role: 'director' } } })
+    .toArray();
+  const operations = [];
+  const revisions = [];
+  for (const movie of movies) {
+    const people = await loadPeopleById(movie.credits.map((c) => c.personId));
+    const director = directorString(movie.credits, people);
+    if (director === (movie.director ?? null)) continue;
+    const updatedAt = new Date();
+    operations.push({ updateOne: { filter: { _id: movie._id }, update: { $set: { director, updatedAt } } } });
+    revisions.push({ action: 'update', before: movie, movie: { ...movie, director, updatedAt } });
+  }
+  if (operations.length) {
+    await moviesCollection().bulkWrite(operations, { ordered: false });
+    invalidateCatalog();
+    await recordRevisions(editor, revisions);
+  }
+  return operations.length;
+}
+
+/**
+ * Turn legacy director strings into people and director credits. Movies that already have
+ * director credits are skipped, so the migration can be re-run safely.
+ */
+async function migrateDirectors({ dryRun } = {}) {
+  const movies = await moviesCollection()
+    .find({ director: { $nin: [null, ''] }, 'credits.role': { $ne: 'director' } }, { projection: { director: 1, credits: 1 } })
+    .toArray();
+
+  const existing = await peopleCollection().find({}, { projection: { nameKey: 1 } }).toArray();
+  const byKey = new Map(existing.map((p) => [p.nameKey, p._id]));
+  const report = { movies: movies.length, peopleCreated: 0, creditsAdded: 0 };
+
+  for (const movie of movies) {
+    const credits = [];
+    for (const name of splitNames(movie.director)) {
+      const key = nameKey(name);
+      let personId = byKey.get(key);
+      if (!personId) {
+        personId = new ObjectId();
+        byKey.set(key, personId);
+        report.peopleCreated++;
+        if (!dryRun) {
+          await peopleCollection().insertOne({
+            _id: personId,
+            name,
+            nameKey: key,
+            bio: null,
+            birthYear: null,
+            photoUrl: null,
+            createdAt: new Date(),
+          });
+        }
+      }
+      if (!credits.some((c) => c.personId.equals(personId))) credits.push({ personId, role: 'director' });
+    }
+    report.creditsAdded += credits.length;
+    if (!dryRun && credits.length) {
+      // the director string is left as-is for older clients
+      await moviesCollection().updateOne({ _id: movie._id }, { $push: { credits: { $each: credits } } });
+    }
+  }
+
+  if (!dryRun) {
+    await peopleCollection().createIndex({ nameKey: 1 });
+    await moviesCollection().createIndex({ 'credits.personId': 1 });
+  }
+  return { dryRun: !!dryRun, ...report };
+}
+
+module.exports = {
+  ROLES,
+  nameKey,
+  splitNames,
+  validateCredits,
+  directorString,
+  groupFilmography,
+  loadPeopleById,
+  populateCredits,
+  syncDirectorStrings,
+  migrateDirectors,
+};
@@ -0,0 +1,141 @@
+const { getDb } = require('../database/storage');
+
+const UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/** Parse a limit spec such as "10/15m" (10 hits per 15 minutes) into { max, windowMs }. */
+function parseLimit(spec) {
+  const match = /^\s*(\d+)\s*\/\s*(\d*)\s*([smhd])\s*$/.exec(String(spec || ''));
+  if (!match) throw new Error(`Invalid rate limit "${spec}", expected e.g. 10/15m`);
+  const max = Number(match[1]);
+  const windowMs = (match[2] ? Number(match[2]) : 1) * UNITS[match[3]];
+  if (max < 1 || windowMs < 1000) throw new Error(`Invalid rate limit "${spec}"`);
+  return { max, windowMs };
+}
+
+/** Limit from an environment variable, falling back to the default spec. */
+function limitFromEnv(name, fallback, env = process.env) {
+  return parseLimit(env[name] || fallback);
+}
+
+/**
+ * Fixed-window counters in MongoDB so every app instance shares them. One document per
+ * key and window; a TTL index on expiresAt removes old windows.
+ */
+function createMongoStore(collectionName = 'rate_limits') {
+  let indexReady = null;
+  return {
+    async hit(key, windowMs, now = Date.now()) {
+      const collection = getDb().collection(collectionName);
+      if (!indexReady) {
+        indexReady = collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 }).catch((err) => {
+          console.error('rate limit index error:', err);
+        });
+      }
+      const windowStart = Math.floor(now / windowMs) * windowMs;
+      const resetAt = windowStart + windowMs;
+      const doc = await collection.findOneAndUpdate(
+        { _id: `${key}:${windowStart}` },
+        { $inc: { count: 1 }, $setOnInsert: { key, expiresAt: new Date(resetAt) } },
+        { upsert: true, returnDocument: 'after' }
+      );
+      return { count: doc.count, resetAt };
+    },
+  };
+}
+
+/** Same interface as the Mongo store, kept in process memory (tests, single-instance dev). */
+function createMemoryStore() {
+  const windows = new Map();
+  return {
+    async hit(key, windowMs, now = Date.now()) {
+      const windowStart = Math.floor(now / windowMs) * windowMs;
+      const resetAt = windowStart + windowMs;
+      for (const [k, w] of windows) if (w.resetAt <= now) windows.delete(k);
+      const id = `${key}:${windowStart}`;
+      const entry = windows.get(id) || { count: 0, resetAt };
+      entry.count++;
+      windows.set(id, entry);
+      return { count: entry.count, resetAt };
+    },
+  };
+}
+
+let defaultStore = null;
+
+function getStore() {
+  if (!defaultStore) defaultStore = createMongoStore();
+  return defaultStore;
+}
+
+/** Replace the shared store (tests use a memory store); pass null to go back to Mongo. */
+function setStore(store) {
+  defaultStore = store;
+}
+
+/** Seconds until resetAt, at least 1, for a Retry-After header. */
+function retryAfterSeconds(resetAt, now = Date.now()) {
+  return Math.max(1, Math.ceil((resetAt - now) / 1000));
+}
+
+/**
+ * Express middleware allowing `max` requests per `windowMs` for each key returned by
+ * keys(req) (e.g. the IP and the submitted username). Over the limit it answers 429 with
+ * Retry-After. Store errors let the request through rather than lock everyone out.
+ */
+function rateLimit({ name, max, windowMs, keys, methods, store, message = 'Too many requests, please try again later' }) {
+  return async (req, res, next) => {
+    if (methods && !methods.includes(req.method)) return next();
+    try {
+      const list = (keys(req) || []).filter(Boolean);
+      const activeStore = store || getStore();
+      const now = Date.now();
+      let worst = null;
+      for (const key of list) {
+        const hit = await activeStore.hit(`${name}:${key}`, windowMs, now);
+        if (!worst || hit.count > worst.count) worst = hit;
+      }
+      if (!worst) return next();
+      res.set('RateLimit-Limit', String(max));
+      res.set('RateLimit-Remaining', String(Math.max(0, max - worst.count)));
+      if (worst.count > max) {
+        res.set('Retry-After', String(retryAfterSeconds(worst.resetAt, now)));
+        return res.status(429).json({ message });
+      }
+      next();
+    } catch (err) {
+      console.error(`rate limit (${name}) error:`, err);
+      next();
+    }
+  };
+}
+
+/** Client IP as Express resolves it (honours "trust proxy"). */
+function ipKey(req) {
+  return `ip:${req.ip || (req.socket && req.socket.remoteAddress) || 'unknown'}`;
+}
+
+/** Signed-in user id, or the IP for anonymous requests. */
+function userOrIpKey(req) {
+  return req.session && req.session.user ? `user:${req.session.user.id}` : ipKey(req);
+}
+
+/** Case-insensitive key for a string field of the JSON body, e.g. the username on login. */
+function bodyKey(field) {
+  return (req) => {
+    const value = req.body && req.body[field];
+    return typeof value === 'string' && value.trim() ? `${field}:${value.trim().toLowerCase()}` : null;
+  };
+}
+
+module.exports = {
+  parseLimit,
+  limitFromEnv,
+  createMongoStore,
+  createMemoryStore,
+  setStore,
+  retryAfterSeconds,
+  rateLimit,
+  ipKey,
+  userOrIpKey,
+  bodyKey,
+};
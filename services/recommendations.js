@@ -0,0 +1,182 @@
+const { getDb } = require('../database/storage');
+const { moviesCollection, NOT_DELETED } = require('../models/movie');
+
+const WEIGHTS = { genres: 3, director: 2, year: 1 };
+const YEAR_WINDOW = 10;
+const SEED_WEIGHTS = { likes: 1, watchlist: 0.5 };
+const CANDIDATE_PROJECTION = {
+  title: 1,
+  year: 1,
+  genre: 1,
+  genres: 1,
+  director: 1,
+  rating: 1,
+  communityRating: 1,
+  communityRatingCount: 1,
+  poster: 1,
+  posterUrl: 1,
+  posterMedia: 1,
+  createdAt: 1,
+};
+
+function idOf(movie) {
+  return String(movie._id);
+}
+
+function genreSet(movie) {
+  const list = Array.isArray(movie.genres) && movie.genres.length ? movie.genres : movie.genre ? [movie.genre] : [];
+  return new Set(list.map((g) => String(g).trim().toLowerCase()).filter(Boolean));
+}
+
+function directorKey(movie) {
+  return movie.director ? String(movie.director).trim().toLowerCase() : '';
+}
+
+/** Stable ordering for equal scores: better rated first, then title, then id. */
+function tieBreak(a, b) {
+  return (
+    (b.communityRating ?? -1) - (a.communityRating ?? -1) ||
+    (b.rating ?? -1) - (a.rating ?? -1) ||
+    String(a.title).localeCompare(String(b.title)) ||
+    idOf(a).localeCompare(idOf(b))
+  );
+}
+
+/**
+ * Content similarity of two movies: genre Jaccard overlap, same director and
+ * release-year proximity. 0 means nothing in common.
+ */
+function similarity(a, b) {
+  let score = 0;
+
+  const ga = genreSet(a);
+  const gb = genreSet(b);
+  if (ga.size && gb.size) {
+    let shared = 0;
+    for (const g of ga) if (gb.has(g)) shared++;
+    score += WEIGHTS.genres * (shared / (ga.size + gb.size - shared));
+  }
+
+  const da = directorKey(a);
+  if (da && da === directorKey(b)) score += WEIGHTS.director;
+
+  if (score > 0 && Number.isInteger(a.year) && Number.isInteger(b.year)) {
+    score += WEIGHTS.year * Math.max(0, 1 - Math.abs(a.year - b.year) / YEAR_WINDOW);
+  }
+
+  return Math.round(score * 1000) / 1000;
+}
+
+/** Movies most similar to target, excluding the target itself and any excluded ids. */
+function similarMovies(target, candidates, { limit = 6, exclude = [] } = {}) {
+  const skip = new Set([idOf(target), ...exclude.map(String)]);
+  return candidates
+    .filter((m) => !skip.has(idOf(m)))
+    .map((movie) => ({ movie, score: similarity(target, movie) }))
+    .filter((r) => r.score > 0)
+    .sort((a, b) => b.score - a.score || tieBreak(a.movie, b.movie))
+    .slice(0, limit)
+    .map((r) => r.movie);
+}
+
+/**
+ * Popularity from user activity: likes count double, watchlist adds and reviews once.
+ * counts is { likes: { [movieId]: n }, watchlist: { [movieId]: n } }.
+ */
+function popularMovies(candidates, counts = {}, { limit = 12, exclude = [] } = {}) {
+  const skip = new Set(exclude.map(String));
+  const likes = counts.likes || {};
+  const watchlist = counts.watchlist || {};
+  const popularity = (m) => 2 * (likes[idOf(m)] || 0) + (watchlist[idOf(m)] || 0) + (m.communityRatingCount || 0);
+  return candidates
+    .filter((m) => !skip.has(idOf(m)))
+    .map((movie) => ({ movie, score: popularity(movie) }))
+    .sort((a, b) => b.score - a.score || tieBreak(a.movie, b.movie))
+    .slice(0, limit)
+    .map((r) => r.movie);
+}
+
+/**
+ * Build "Because you liked X" rows. seeds are { likes: [movieId], watchlist: [movieId] },
+ * most recent first. Already listed movies are never recommended, and a movie appears in
+ * at most one row. The final "Recommended for you" row blends every seed by weight.
+ */
+function buildRows(seeds, candidates, { rows = 3, perRow = 6 } = {}) {
+  const byId = new Map(candidates.map((m) => [idOf(m), m]));
+  const likeIds = (seeds.likes || []).map(String).filter((id) => byId.has(id));
+  const watchIds = (seeds.watchlist || []).map(String).filter((id) => byId.has(id));
+  const seen = new Set([...likeIds, ...watchIds]);
+  const used = new Set();
+  const result = [];
+
+  for (const seedId of likeIds.slice(0, rows)) {
+    const seed = byId.get(seedId);
+    const items = similarMovies(seed, candidates, { limit: perRow, exclude: [...seen, ...used] });
+    if (!items.length) continue;
+    items.forEach((m) => used.add(idOf(m)));
+    result.push({ reason: 'liked', seed: { _id: seed._id, title: seed.title }, title: `Because you liked ${seed.title}`, items });
+  }
+
+  const weighted = [
+    ...likeIds.map((id) => [byId.get(id), SEED_WEIGHTS.likes]),
+    ...watchIds.map((id) => [byId.get(id), SEED_WEIGHTS.watchlist]),
+  ];
+  if (weighted.length) {
+    const blended = candidates
+      .filter((m) => !seen.has(idOf(m)) && !used.has(idOf(m)))
+      .map((movie) => ({
+        movie,
+        score: weighted.reduce((sum, [seed, w]) => sum + w * similarity(seed, movie), 0),
+      }))
+      .filter((r) => r.score > 0)
+      .sort((a, b) => b.score - a.score || tieBreak(a.movie, b.movie))
+      .slice(0, perRow)
+      .map((r) => r.movie);
+    if (blended.length) result.push({ reason: 'blended', seed: null, title: 'Recommended for you', items: blended });
+  }
+
+  return result;
+}
+
+async function loadCandidates() {
+  return moviesCollection().find(NOT_DELETED, { projection: CANDIDATE_PROJECTION }).toArray();
+}
+
+/** Movie ids in a user's likes and watchlist, most recently added first. */
+async function loadSeeds(userId) {
+  const db = getDb();
+  const [likes, watchlist] = await Promise.all(
+    ['likes', 'watchlist'].map((name) =>
+      db.collection(name).find({ userId }).sort({ createdAt: -1 }).project({ movieId: 1 }).toArray()
+    )
+  );
+  return {
+    likes: likes.map((i) => i.movieId.toString()),
+    watchlist: watchlist.map((i) => i.movieId.toString()),
+  };
+}
+
+/** Like and watchlist counts per movie id across all users. */
+async function loadPopularityCounts() {
+  const db = getDb();
+  const [likes, watchlist] = await Promise.all(
+    ['likes', 'watchlist'].map((name) =>
+      db
+        .collection(name)
+        .aggregate([{ $group: { _id: '$movieId', count: { $sum: 1 } } }])
+        .toArray()
+    )
+  );
+  const toMap = (rows) => Object.fromEntries(rows.map((r) => [String(r._id), r.count]));
+  return { likes: toMap(likes), watchlist: toMap(watchlist) };
+}
+
+module.exports = {
+  similarity,
+  similarMovies,
+  popularMovies,
+  buildRows,
+  loadCandidates,
+  loadSeeds,
+  loadPopularityCounts,
+};
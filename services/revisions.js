@@ -0,0 +1,95 @@
+const { revisionsCollection } = require('../models/revision');
+
+/** Movie fields kept in each revision; derived ones (community rating, timestamps) are left out. */
+const TRACKED_FIELDS = ['title', 'year', 'genres', 'rating', 'director', 'credits', 'posterUrl', 'posterMedia', 'description', 'trailerUrl', 'translations'];
+const ACTIONS = ['create', 'update', 'delete', 'restore', 'revert'];
+
+// ObjectIds and Dates compare by value
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/** The tracked fields of a movie, which is what a revert puts back. */
+function snapshotOf(movie) {
+  const snapshot = {};
+  for (const field of TRACKED_FIELDS) {
+    if (movie[field] !== undefined) snapshot[field] = movie[field];
+  }
+  return snapshot;
+}
+
+/**
+ * Field-level changes between two versions of a movie, as [{ field, from, to }]. before is
+ * null for a new movie. Moving in or out of the trash shows up as a deletedAt change.
+ */
+function diffMovies(before, after) {
+  const changes = [];
+  for (const field of [...TRACKED_FIELDS, 'deletedAt']) {
+    const from = before ? before[field] ?? null : null;
+    const to = after[field] ?? null;
+    if (!sameValue(from, to)) changes.push({ field, from, to });
+  }
+  return changes;
+}
+
+/** The session user making a change, as stored on revisions. */
+function editorOf(req) {
+  const user = req && req.session && req.session.user;
+  return user ? { id: user.id, username: user.username } : null;
+}
+
+/**
+ * Build the revision for one change: `movie` is the document after it, `before` the one
+ * before (null on create). Returns null for an update or revert that changed nothing.
+ */
+function buildRevision({ action, before = null, movie, editor = null, revertedTo }) {
+  const changes = diffMovies(before, movie);
+  if (!changes.length && (action === 'update' || action === 'revert')) return null;
+  const revision = { movieId: movie._id, action, editor, changes, snapshot: snapshotOf(movie), createdAt: new Date() };
+  if (revertedTo) revision.revertedTo = revertedTo;
+  return revision;
+}
+
+/**
+ * Record a revision per change made by editor (see editorOf; null for scripts); entries
+ * are buildRevision arguments. Like the audit log, failures are logged rather than thrown
+ * so the change itself stands.
+ */
+async function recordRevisions(editor, entries) {
+  const revisions = entries.map((entry) => buildRevision({ ...entry, editor })).filter(Boolean);
+  if (!revisions.length) return revisions;
+  try {
+    await revisionsCollection().insertMany(revisions);
+  } catch (err) {
+    console.error('revision history error:', err);
+  }
+  return revisions;
+}
+
+function recordRevision(editor, entry) {
+  return recordRevisions(editor, [entry]);
+}
+
+/**
+ * The update that puts a movie back the way a revision's snapshot has it. Fields the
+ * snapshot lacks are removed, as are the legacy genre/poster fields.
+ */
+function revertOperators(snapshot) {
+  const $set = { updatedAt: new Date() };
+  const $unset = { genre: '', poster: '' };
+  for (const field of TRACKED_FIELDS) {
+    if (snapshot[field] !== undefined) $set[field] = snapshot[field];
+    else $unset[field] = '';
+  }
+  return { $set, $unset };
+}
+
+module.exports = {
+  TRACKED_FIELDS,
+  ACTIONS,
+  snapshotOf,
+  diffMovies,
+  editorOf,
+  buildRevision,
+  recordRevisions,
+  recordRevision,
+  revertOperators,
+};
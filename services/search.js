@@ -0,0 +1,234 @@
+const { moviesCollection, NOT_DELETED } = require('../models/movie');
+
+const INDEX_TTL_MS = 60 * 1000;
+const FIELD_WEIGHTS = { title: 10, director: 6, genres: 4, description: 1 };
+const INDEX_PROJECTION = {
+  title: 1,
+  year: 1,
+  genre: 1,
+  genres: 1,
+  director: 1,
+  description: 1,
+  rating: 1,
+  communityRating: 1,
+  communityRatingCount: 1,
+  poster: 1,
+  posterUrl: 1,
+  posterMedia: 1,
+  translations: 1,
+};
+
+let index = null;
+let builtAt = 0;
+let building = null;
+// bumped by invalidateSearchIndex() so a build that started before a write is not kept
+let generation = 0;
+
+/** Lowercase, strip accents, collapse to plain words (in any script, for translated titles). */
+function normalize(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+function tokenize(text) {
+  const s = normalize(text);
+  return s ? s.split(' ') : [];
+}
+
+/** Escape a user string for literal use inside a RegExp. */
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** Levenshtein distance, giving up early once it exceeds max. */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (cur[j] < rowMin) rowMin = cur[j];
+    }
+    if (rowMin > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/** Edits allowed for a query token: none for short words, 1 up to 7 chars, 2 beyond. */
+function allowedEdits(token) {
+  if (token.length < 4) return 0;
+  if (token.length < 8) return 1;
+  return 2;
+}
+
+/** How well one query token matches a list of field tokens, 0..1. */
+function matchToken(token, fieldTokens) {
+  let best = 0;
+  const maxEdits = allowedEdits(token);
+  for (const ft of fieldTokens) {
+    if (ft === token) return 1;
+    if (token.length >= 2 && ft.startsWith(token)) {
+      best = Math.max(best, 0.8);
+      continue;
+    }
+    if (maxEdits > 0) {
+      const d = editDistance(token, ft, maxEdits);
+      if (d <= maxEdits) best = Math.max(best, 0.6 - 0.15 * (d - 1));
+    }
+  }
+  return best;
+}
+
+/**
+ * Turn a movie document into the token lists used for scoring. Translated titles and
+ * descriptions are indexed with the stored ones, so a search in any language finds it.
+ */
+function indexMovie(movie) {
+  const genres = Array.isArray(movie.genres) && movie.genres.length ? movie.genres : movie.genre ? [movie.genre] : [];
+  const translations = Object.values(movie.translations || {});
+  const titles = [movie.title, ...translations.map((t) => t.title).filter(Boolean)];
+  const descriptions = [movie.description, ...translations.map((t) => t.description)].filter(Boolean);
+  return {
+    movie,
+    titles,
+    normTitle: normalize(movie.title),
+    normTitles: titles.map(normalize),
+    fields: {
+      title: titles.flatMap(tokenize),
+      director: tokenize(movie.director),
+      genres: tokenize(genres.join(' ')),
+      description: descriptions.flatMap(tokenize),
+    },
+  };
+}
+
+/**
+ * Score an indexed movie against query tokens. Every token has to match some field
+ * (exactly, by prefix or within the typo budget); otherwise the score is 0.
+ */
+function scoreEntry(entry, queryTokens, normQuery) {
+  let score = 0;
+  for (const token of queryTokens) {
+    let best = 0;
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      const m = matchToken(token, entry.fields[field]);
+      if (m) best = Math.max(best, m * weight);
+    }
+    if (!best) return 0;
+    score += best;
+  }
+  if (normQuery && entry.normTitles.includes(normQuery)) score += 20;
+  else if (normQuery && entry.normTitles.some((t) => t.startsWith(normQuery))) score += 10;
+  else if (normQuery && entry.normTitles.some((t) => t.includes(normQuery))) score += 5;
+  return score;
+}
+
+/**
+ * Rank movies for a free-text query. Pure function over an array of movies so it can
+ * run on any candidate set. Returns [{ movie, score }] best first.
+ */
+function rankMovies(movies, q, entries) {
+  const queryTokens = tokenize(q);
+  if (queryTokens.length === 0) return [];
+  const normQuery = queryTokens.join(' ');
+  const list = entries || movies.map(indexMovie);
+  const results = [];
+  for (const entry of list) {
+    const score = scoreEntry(entry, queryTokens, normQuery);
+    if (score > 0) results.push({ movie: entry.movie, score: Math.round(score * 100) / 100 });
+  }
+  results.sort(
+    (a, b) =>
+      b.score - a.score ||
+      (b.movie.communityRatingCount || 0) - (a.movie.communityRatingCount || 0) ||
+      String(a.movie.title).localeCompare(String(b.movie.title))
+  );
+  return results;
+}
+
+/**
+ * Titles whose words start with the query's words, in order of how early they match.
+ * Each movie is suggested under the title (stored or translated) the query matched.
+ */
+function suggestTitles(entries, q, limit) {
+  const queryTokens = tokenize(q);
+  if (queryTokens.length === 0) return [];
+  const normQuery = queryTokens.join(' ');
+  const last = queryTokens[queryTokens.length - 1];
+  const head = queryTokens.slice(0, -1);
+
+  const hits = [];
+  for (const entry of entries) {
+    let best = null;
+    entry.normTitles.forEach((normTitle, i) => {
+      const words = normTitle.split(' ');
+      let rank;
+      if (normTitle.startsWith(normQuery)) rank = 0;
+      else if (head.every((t) => words.includes(t)) && words.some((w) => w.startsWith(last))) rank = 1;
+      else return;
+      if (!best || rank < best.rank) best = { entry, rank, title: entry.titles[i], length: normTitle.length };
+    });
+    if (best) hits.push(best);
+  }
+  hits.sort((a, b) => a.rank - b.rank || a.length - b.length);
+  return hits.slice(0, limit).map(({ entry, title }) => ({
+    _id: entry.movie._id,
+    title,
+    year: entry.movie.year,
+  }));
+}
+
+/**
+ * Lazily (re)build the in-process search index from the movies collection. A build that an
+ * invalidation overtook still answers the searches waiting on it, but is not cached.
+ */
+async function getIndex() {
+  if (index && Date.now() - builtAt < INDEX_TTL_MS) return index;
+  if (!building) {
+    const startedAt = generation;
+    const build = moviesCollection()
+      .find(NOT_DELETED, { projection: INDEX_PROJECTION })
+      .toArray()
+      .then((movies) => {
+        const built = movies.map(indexMovie);
+        if (startedAt === generation) {
+          index = built;
+          builtAt = Date.now();
+        }
+        return built;
+      })
+      .finally(() => {
+        if (building === build) building = null;
+      });
+    building = build;
+  }
+  return building;
+}
+
+/** Drop the cached index, and any build in flight, so the next search sees catalog changes. */
+function invalidateSearchIndex() {
+  generation++;
+  index = null;
+  builtAt = 0;
+  building = null;
+}
+
+module.exports = {
+  normalize,
+  tokenize,
+  escapeRegex,
+  editDistance,
+  indexMovie,
+  rankMovies,
+  suggestTitles,
+  getIndex,
+  invalidateSearchIndex,
+};
@@ -0,0 +1,199 @@
+const SITE_NAME = 'MyMovie';
+const DESCRIPTION_MAX = 160;
+// the sitemap protocol's limit for one file
+const SITEMAP_MAX_URLS = 50000;
+
+/** Public origin for canonical links: APP_URL when set, otherwise the request's own host. */
+function siteUrl(req, env = process.env) {
+  if (env.APP_URL) return env.APP_URL.trim().replace(/\/+$/, '');
+  return `${req.protocol}://${req.get('host')}`;
+}
+
+/** Resolve url against base; null for empty or malformed values. */
+function absoluteUrl(base, url) {
+  if (!url) return null;
+  try {
+    return new URL(url, `${base}/`).href;
+  } catch {
+    return null;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function escapeXml(value) {
+  return escapeHtml(value).replace(/&#39;/g, '&apos;');
+}
+
+/** JSON that is safe inside a <script> element: nothing in it can close the tag. */
+function jsonForHtml(value) {
+  return JSON.stringify(value)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+/** Cut text to max characters at a word boundary. */
+function truncate(text, max = DESCRIPTION_MAX) {
+  const clean = String(text).replace(/\s+/g, ' ').trim();
+  if (clean.length <= max) return clean;
+  const cut = clean.slice(0, max - 1);
+  const space = cut.lastIndexOf(' ');
+  return `${(space > max / 2 ? cut.slice(0, space) : cut).replace(/[\s,.;:]+$/, '')}…`;
+}
+
+/** Genres from the genres array, or the legacy comma-separated genre string. */
+function movieGenres(movie) {
+  if (Array.isArray(movie.genres) && movie.genres.length) return movie.genres;
+  return movie.genre ? String(movie.genre).split(',').map((g) => g.trim()).filter(Boolean) : [];
+}
+
+/** Credits whose person was found, in credit order. */
+function creditedPeople(movie, roles) {
+  return (Array.isArray(movie.credits) ? movie.credits : []).filter((c) => c.person && roles.includes(c.role));
+}
+
+function movieTitle(movie) {
+  return movie.year ? `${movie.title} (${movie.year})` : movie.title;
+}
+
+/** The movie's own description, or a sentence built from its year, genres and director. */
+function movieDescription(movie) {
+  if (movie.description && String(movie.description).trim()) return truncate(movie.description);
+  const directors = creditedPeople(movie, ['director']).map((c) => c.person.name);
+  const director = directors.length ? directors.join(', ') : movie.director;
+  const genres = movieGenres(movie);
+  let text = `${movieTitle(movie)}`;
+  if (genres.length) text += `, ${genres.join(', ').toLowerCase()}`;
+  if (director) text += `, directed by ${director}`;
+  return truncate(`${text}. Ratings, reviews and lists on ${SITE_NAME}.`);
+}
+
+/**
+ * <title>, description, canonical link, Open Graph and Twitter card tags for a page.
+ * url and image must already be absolute.
+ */
+function headTags({ title, description, url, image, type = 'website', noindex = false }) {
+  const tags = [`<title>${escapeHtml(title)}</title>`];
+  const meta = (attr, key, content) => {
+    if (content) tags.push(`<meta ${attr}="${key}" content="${escapeHtml(content)}" />`);
+  };
+  meta('name', 'description', description);
+  if (url) tags.push(`<link rel="canonical" href="${escapeHtml(url)}" />`);
+  if (noindex) meta('name', 'robots', 'noindex, follow');
+  meta('property', 'og:site_name', SITE_NAME);
+  meta('property', 'og:type', type);
+  meta('property', 'og:title', title);
+  meta('property', 'og:description', description);
+  meta('property', 'og:url', url);
+  meta('property', 'og:image', image);
+  meta('name', 'twitter:card', image ? 'summary_large_image' : 'summary');
+  meta('name', 'twitter:title', title);
+  meta('name', 'twitter:description', description);
+  meta('name', 'twitter:image', image);
+  return tags.join('\n  ');
+}
+
+function jsonLdTag(data) {
+  return `<script type="application/ld+json">${jsonForHtml(data)}</script>`;
+}
+
+function personLd(person, base) {
+  return { '@type': 'Person', name: person.name, url: absoluteUrl(base, `/people/${person._id}`) };
+}
+
+/** schema.org Movie for a movie with populated credits. */
+function movieJsonLd(movie, base) {
+  const data = {
+    '@context': 'https://schema.org',
+    '@type': 'Movie',
+    name: movie.title,
+    url: absoluteUrl(base, `/films/${movie._id}`),
+  };
+  const image = absoluteUrl(base, movie.posterUrl || movie.poster);
+  if (image) data.image = image;
+  if (movie.year) data.datePublished = String(movie.year);
+  if (movie.description) data.description = movie.description;
+  const genres = movieGenres(movie);
+  if (genres.length) data.genre = genres;
+
+  const directors = creditedPeople(movie, ['director']);
+  if (directors.length) data.director = directors.map((c) => personLd(c.person, base));
+  else if (movie.director) data.director = { '@type': 'Person', name: movie.director };
+  const actors = creditedPeople(movie, ['actor']);
+  if (actors.length) data.actor = actors.map((c) => personLd(c.person, base));
+
+  if (movie.communityRatingCount > 0) {
+    data.aggregateRating = {
+      '@type': 'AggregateRating',
+      ratingValue: movie.communityRating,
+      ratingCount: movie.communityRatingCount,
+      bestRating: 10,
+      worstRating: 0,
+    };
+  }
+  return data;
+}
+
+/** schema.org ItemList of movie pages, in display order. */
+function itemListJsonLd(movies, base) {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'ItemList',
+    itemListElement: movies.map((movie, i) => ({
+      '@type': 'ListItem',
+      position: i + 1,
+      url: absoluteUrl(base, `/films/${movie._id}`),
+      name: movie.title,
+    })),
+  };
+}
+
+/** sitemaps.org urlset for [{ loc, lastmod? }], capped at the protocol's 50,000 URLs. */
+function buildSitemap(entries) {
+  const urls = entries.slice(0, SITEMAP_MAX_URLS).map(({ loc, lastmod }) => {
+    const date = lastmod ? new Date(lastmod) : null;
+    const mod = date && !Number.isNaN(date.getTime()) ? `<lastmod>${date.toISOString().slice(0, 10)}</lastmod>` : '';
+    return `  <url><loc>${escapeXml(loc)}</loc>${mod}</url>`;
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls,
+    '</urlset>',
+    '',
+  ].join('\n');
+}
+
+// account pages, forms and the API have nothing worth indexing
+const DISALLOWED_PATHS = ['/api/', '/auth/', '/admin', '/add-film', '/profile', '/watchlist', '/login', '/register', '/forgot-password', '/reset-password'];
+
+function robotsTxt(base) {
+  return ['User-agent: *', ...DISALLOWED_PATHS.map((p) => `Disallow: ${p}`), '', `Sitemap: ${base}/sitemap.xml`, ''].join('\n');
+}
+
+module.exports = {
+  SITE_NAME,
+  SITEMAP_MAX_URLS,
+  siteUrl,
+  absoluteUrl,
+  escapeHtml,
+  jsonForHtml,
+  truncate,
+  movieGenres,
+  movieTitle,
+  movieDescription,
+  headTags,
+  jsonLdTag,
+  movieJsonLd,
+  itemListJsonLd,
+  buildSitemap,
+  robotsTxt,
+};
@@ -0,0 +1,78 @@
+const session = require('express-session');
+const { getDb } = require('../database/storage');
+
+/** connect-mongo's default collection. */
+const SESSIONS_COLLECTION = 'sessions';
+
+function sessionUserId(doc) {
+  let { session } = doc;
+  if (typeof session === 'string') {
+    try {
+      session = JSON.parse(session);
+    } catch {
+      return null;
+    }
+  }
+  return session && session.user ? session.user.id : null;
+}
+
+/**
+ * Delete every stored session belonging to a user, which signs them out everywhere.
+ * connect-mongo stores the session as a JSON string by default, so candidates are
+ * pre-filtered by a substring match and then checked after parsing. Pass exceptSessionId
+ * to keep the caller's own session.
+ */
+async function destroyUserSessions(userId, { exceptSessionId } = {}) {
+  const id = String(userId);
+  const sessions = getDb().collection(SESSIONS_COLLECTION);
+  const candidates = await sessions
+    .find({ $or: [{ 'session.user.id': id }, { session: { $regex: id } }] }, { projection: { session: 1 } })
+    .toArray();
+  const ids = candidates
+    .filter((doc) => sessionUserId(doc) === id && doc._id !== exceptSessionId)
+    .map((doc) => doc._id);
+  if (ids.length === 0) return 0;
+  const result = await sessions.deleteMany({ _id: { $in: ids } });
+  return result.deletedCount;
+}
+
+/**
+ * An express-session store over the sessions collection, for backends connect-mongo can't
+ * use (SQLite). Documents keep connect-mongo's shape ({ _id, expires, session } with the
+ * session as a JSON string), so destroyUserSessions works the same on every backend.
+ */
+function createSessionStore({ ttlSeconds, collection = () => getDb().collection(SESSIONS_COLLECTION) } = {}) {
+  let indexReady = null;
+  const sessions = () => {
+    indexReady ||= collection().createIndex({ expires: 1 }, { expireAfterSeconds: 0 }).catch((err) => {
+      console.error('session index error:', err);
+    });
+    return collection();
+  };
+  const expiresAt = (sess) =>
+    sess && sess.cookie && sess.cookie.expires ? new Date(sess.cookie.expires) : new Date(Date.now() + ttlSeconds * 1000);
+  const callback = (promise, cb = () => {}) => promise.then((value) => cb(null, value), cb);
+
+  return Object.assign(new session.Store(), {
+    get(sid, cb) {
+      callback(
+        sessions()
+          .findOne({ _id: sid, expires: { $gt: new Date() } })
+          .then((doc) => (doc ? JSON.parse(doc.session) : null)),
+        cb
+      );
+    },
+    set(sid, sess, cb) {
+      const update = { $set: { session: JSON.stringify(sess), expires: expiresAt(sess) } };
+      callback(sessions().updateOne({ _id: sid }, update, { upsert: true }).then(() => undefined), cb);
+    },
+    touch(sid, sess, cb) {
+      callback(sessions().updateOne({ _id: sid }, { $set: { expires: expiresAt(sess) } }).then(() => undefined), cb);
+    },
+    destroy(sid, cb) {
+      callback(sessions().deleteOne({ _id: sid }).then(() => undefined), cb);
+    },
+  });
+}
+
+module.exports = { destroyUserSessions, sessionUserId, createSessionStore, SESSIONS_COLLECTION };
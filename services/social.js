@@ -0,0 +1,95 @@
+const { encodeCursor, decodeCursor } = require('./cursor');
+
+/** Who sees an activity type: anyone, followers the user approved, or nobody but the user. */
+const PRIVACY_LEVELS = ['public', 'followers', 'private'];
+// likes and watchlists were private before profiles existed, so sharing them is opt-in;
+// reviews were always shown on film pages
+const DEFAULT_PRIVACY = { likes: 'private', watchlist: 'private', reviews: 'public' };
+
+/** Activity types in feed order for equal timestamps, with the collection each is read from. */
+const ACTIVITY_SOURCES = [
+  { type: 'review', setting: 'reviews', collection: 'reviews' },
+  { type: 'like', setting: 'likes', collection: 'likes' },
+  { type: 'watchlist', setting: 'watchlist', collection: 'watchlist' },
+];
+const FEED_SORT = { createdAt: -1, rank: 1, _id: -1 };
+
+/** A user's privacy settings with the defaults filled in. */
+function privacySettings(user) {
+  const stored = (user && user.privacy) || {};
+  return Object.fromEntries(
+    Object.entries(DEFAULT_PRIVACY).map(([key, level]) => [key, PRIVACY_LEVELS.includes(stored[key]) ? stored[key] : level])
+  );
+}
+
+/** Validate a partial privacy update for PATCH /auth/account. Returns { errors, privacy }. */
+function validatePrivacy(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { errors: ['privacy must be an object'], privacy: {} };
+  }
+  const errors = [];
+  const privacy = {};
+  for (const [key, level] of Object.entries(value)) {
+    if (!Object.hasOwn(DEFAULT_PRIVACY, key)) errors.push(`privacy may only contain ${Object.keys(DEFAULT_PRIVACY).join(', ')}`);
+    else if (!PRIVACY_LEVELS.includes(level)) errors.push(`privacy.${key} must be one of ${PRIVACY_LEVELS.join(', ')}`);
+    else privacy[key] = level;
+  }
+  return { errors, privacy };
+}
+
+/**
+ * Activity types of a user that a viewer may see. relation is 'self', 'follower' (the
+ * user approved the viewer's follow) or anything else, such as a pending request.
+ */
+function visibleTypes(user, relation) {
+  const privacy = privacySettings(user);
+  const levels = relation === 'self' ? PRIVACY_LEVELS : relation === 'follower' ? ['public', 'followers'] : ['public'];
+  return ACTIVITY_SOURCES.filter((s) => levels.includes(privacy[s.setting])).map((s) => s.type);
+}
+
+/** Decode a feed cursor into { createdAt, rank, _id }, or null when it is invalid. */
+function decodeFeedCursor(cursor) {
+  const values = decodeCursor(cursor, FEED_SORT);
+  if (!values || !(values[0] instanceof Date) || !Number.isInteger(values[1]) || !values[2]) return null;
+  return { createdAt: values[0], rank: values[1], _id: values[2] };
+}
+
+/**
+ * Filter for one activity source's entries that come after the cursor. Entries are ordered
+ * newest first, then by source rank, then by id, so a source ranked after the cursor's may
+ * repeat its timestamp and the cursor's own source continues below its id.
+ */
+function afterCursor(rank, cursor) {
+  const dated = { createdAt: { $type: 'date' } };
+  if (!cursor) return dated;
+  if (rank > cursor.rank) return { createdAt: { $lte: cursor.createdAt } };
+  if (rank < cursor.rank) return { createdAt: { $lt: cursor.createdAt } };
+  return { $or: [{ createdAt: { $lt: cursor.createdAt } }, { createdAt: cursor.createdAt, _id: { $lt: cursor._id } }] };
+}
+
+function compareEntries(a, b) {
+  return b.createdAt - a.createdAt || a.rank - b.rank || (String(b._id) < String(a._id) ? -1 : String(b._id) > String(a._id) ? 1 : 0);
+}
+
+/**
+ * Merge per-source entries (each already newest first and tagged with rank) into one page.
+ * Returns { entries, nextCursor }; nextCursor is null on the last page.
+ */
+function mergeActivity(lists, limit) {
+  const merged = lists.flat().sort(compareEntries);
+  const entries = merged.slice(0, limit);
+  const last = entries[entries.length - 1];
+  return { entries, nextCursor: merged.length > limit && last ? encodeCursor(last, FEED_SORT) : null };
+}
+
+module.exports = {
+  PRIVACY_LEVELS,
+  DEFAULT_PRIVACY,
+  ACTIVITY_SOURCES,
+  privacySettings,
+  validatePrivacy,
+  visibleTypes,
+  decodeFeedCursor,
+  afterCursor,
+  mergeActivity,
+};
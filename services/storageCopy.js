@@ -0,0 +1,64 @@
+// index options worth carrying over; the rest (v, ns, background) are server bookkeeping
+const INDEX_OPTIONS = ['name', 'unique', 'sparse', 'partialFilterExpression', 'expireAfterSeconds'];
+const BATCH_SIZE = 500;
+
+async function collectionNames(db) {
+  const collections = await db.listCollections({}, { nameOnly: true }).toArray();
+  return collections
+    .filter((c) => (c.type || 'collection') === 'collection' && !c.name.startsWith('system.'))
+    .map((c) => c.name)
+    .sort();
+}
+
+/**
+ * Copy every collection, with its documents and indexes, from one Db to another (MongoDB
+ * or SQLite, in either direction). The target must be empty unless replace is set, which
+ * clears each copied collection first. Indexes are built after the documents, so a
+ * conflicting unique key fails the copy instead of dropping documents.
+ * Returns [{ name, documents, indexes }].
+ */
+async function copyStorage(source, target, { replace = false, batchSize = BATCH_SIZE, onCollection = () => {} } = {}) {
+  const names = await collectionNames(source);
+  if (!replace) {
+    const occupied = [];
+    for (const name of await collectionNames(target)) {
+      if (await target.collection(name).countDocuments({}, { limit: 1 })) occupied.push(name);
+    }
+    if (occupied.length) throw new Error(`The target already has data in ${occupied.join(', ')}; pass replace to overwrite it`);
+  }
+
+  const report = [];
+  for (const name of names) {
+    const from = source.collection(name);
+    const to = target.collection(name);
+    if (replace) await to.deleteMany({});
+
+    let documents = 0;
+    let batch = [];
+    for await (const doc of from.find({}).batchSize(batchSize)) {
+      batch.push(doc);
+      if (batch.length >= batchSize) {
+        await to.insertMany(batch);
+        documents += batch.length;
+        batch = [];
+      }
+    }
+    if (batch.length) {
+      await to.insertMany(batch);
+      documents += batch.length;
+    }
+
+    const indexes = (await from.indexes()).filter((index) => index.name !== '_id_');
+    for (const index of indexes) {
+      const options = Object.fromEntries(INDEX_OPTIONS.filter((key) => index[key] !== undefined).map((key) => [key, index[key]]));
+      await to.createIndex(index.key, options);
+    }
+
+    const entry = { name, documents, indexes: indexes.length };
+    report.push(entry);
+    onCollection(entry);
+  }
+  return report;
+}
+
+module.exports = { copyStorage };
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+const { ensureCsrfToken } = require('../middleware/security');
+const { DEFAULT_LOCALE, messagesFor, localeNames } = require('./i18n');
+const { jsonForHtml } = require('./seo');
+
+const VIEWS_DIR = path.join(__dirname, '..', 'views');
+const templates = new Map();
+
+function escapeAttr(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+/**
+ * Put locale's strings into the markup: the text of data-i18n="key" elements and the
+ * placeholder of data-i18n-placeholder="key" ones. Keys without a string keep the
+ * English text written in the view.
+ */
+function localizeHtml(html, locale) {
+  const messages = messagesFor(locale);
+  const message = (key) => (typeof messages[key] === 'string' ? escapeAttr(messages[key]) : null);
+  return html
+    .replace(/<html\b([^>]*?)\slang="[^"]*"/i, (match, attrs) => `<html${attrs} lang="${escapeAttr(locale)}"`)
+    .replace(/(<([a-z][a-z0-9]*)\b[^>]*?\sdata-i18n="([^"]+)"[^>]*>)[^<]*(<\/\2>)/gi, (match, open, tag, key, close) => {
+      const text = message(key);
+      return text === null ? match : `${open}${text}${close}`;
+    })
+    .replace(/<[a-z][a-z0-9]*\b[^>]*?\sdata-i18n-placeholder="([^"]+)"[^>]*>/gi, (tag, key) => {
+      const text = message(key);
+      return text === null ? tag : tag.replace(/\splaceholder="[^"]*"/, () => ` placeholder="${text}"`);
+    });
+}
+
+/** The page's strings for public/i18n.js, which gives the page scripts t() and the language picker. */
+function i18nScripts(locale) {
+  const data = { locale, defaultLocale: DEFAULT_LOCALE, locales: localeNames(), messages: messagesFor(locale) };
+  return `  <script type="application/json" id="i18n-messages">${jsonForHtml(data)}</script>\n  <script src="/i18n.js"></script>\n`;
+}
+
+/**
+ * Fill a view in: head replaces its <title>, slots replace the placeholder content between
+ * <!-- ssr:name --> and <!-- /ssr:name -->, and with a locale the UI strings are swapped
+ * in. Then the CSP nonce goes on every <script> tag (including any added here) and the
+ * CSRF token into <head> as a meta tag.
+ */
+function renderHtml(html, { nonce, csrfToken, head, slots = {}, locale }) {
+  let out = html;
+  if (locale) {
+    out = localizeHtml(out, locale).replace(/<\/head>/i, () => `${i18nScripts(locale)}</head>`);
+  }
+  if (head) out = out.replace(/<title>[\s\S]*?<\/title>/i, () => head);
+  for (const [name, content] of Object.entries(slots)) {
+    out = out.replace(new RegExp(`<!-- ssr:${name} -->[\\s\\S]*?<!-- /ssr:${name} -->`), () => content);
+  }
+  if (nonce) out = out.replace(/<script(?=[\s>])/gi, `<script nonce="${escapeAttr(nonce)}"`);
+  if (csrfToken) {
+    out = out.replace(/<\/head>/i, `  <meta name="csrf-token" content="${escapeAttr(csrfToken)}" />\n</head>`);
+  }
+  return out;
+}
+
+/** Read a view, cached in production so edits show up on reload during development. */
+function loadTemplate(name) {
+  if (process.env.NODE_ENV === 'production' && templates.has(name)) return templates.get(name);
+  const html = fs.readFileSync(path.join(VIEWS_DIR, name), 'utf8');
+  templates.set(name, html);
+  return html;
+}
+
+/**
+ * Whether the page gets a CSRF token: when the visitor already has a session, or the page
+ * is one of the forms guests submit (page.csrf). Other guest page views leave the session
+ * uninitialized, so reading the site doesn't write to the session store.
+ */
+function wantsCsrfToken(req, csrf) {
+  if (!req.session) return false;
+  return Boolean(csrf || req.session.user || req.session.csrfToken);
+}
+
+/**
+ * Send views/<name> with this response's nonce and, when wanted, the session's CSRF token
+ * filled in; page passes server-rendered { head, slots } through to renderHtml.
+ */
+function sendView(req, res, name, status = 200, page = {}) {
+  const { csrf, ...rendered } = page;
+  const html = renderHtml(loadTemplate(name), {
+    ...rendered,
+    locale: req.locale,
+    nonce: res.locals.cspNonce,
+    csrfToken: wantsCsrfToken(req, csrf) ? ensureCsrfToken(req) : null,
+  });
+  res.status(status).type('html').set('Cache-Control', 'no-store').send(html);
+}
+
+module.exports = { localizeHtml, renderHtml, sendView };
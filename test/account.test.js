@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateAccountBody, validatePasswordChange, normalizeEmail } = require('../controllers/accountController');
+
+test('validateAccountBody trims settings, dedupes genres and clears blank fields', () => {
+  const { errors, data } = validateAccountBody({
+    displayName: '  Film Fan ',
+    avatarUrl: '',
+    favoriteGenres: [' Drama', 'Horror', 'Drama', ''],
+  });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(data, { displayName: 'Film Fan', avatarUrl: null, favoriteGenres: ['Drama', 'Horror'] });
+  assert.deepEqual(validateAccountBody({}).data, {});
+  assert.deepEqual(validateAccountBody({ privacy: { likes: 'followers' } }).data, { privacy: { likes: 'followers' } });
+  assert.deepEqual(validateAccountBody({ privacy: { likes: 'all' } }).errors, ['privacy.likes must be one of public, followers, private']);
+});
+
+test('validateAccountBody rejects non-http avatars and oversized values', () => {
+  assert.deepEqual(validateAccountBody({ avatarUrl: 'javascript:alert(1)' }).errors, ['avatarUrl must be an http(s) URL']);
+  assert.deepEqual(validateAccountBody({ displayName: 'x'.repeat(51) }).errors, ['displayName must be at most 50 characters']);
+  assert.deepEqual(validateAccountBody({ favoriteGenres: 'Drama' }).errors, ['favoriteGenres must be an array of strings']);
+  const many = Array.from({ length: 11 }, (_, i) => `Genre ${i}`);
+  assert.deepEqual(validateAccountBody({ favoriteGenres: many }).errors, ['favoriteGenres must contain at most 10 items']);
+});
+
+test('validatePasswordChange requires the current password and a new, different one', () => {
+  assert.deepEqual(validatePasswordChange({ currentPassword: 'secret1', newPassword: 'secret2' }), []);
+  assert.deepEqual(validatePasswordChange({ newPassword: 'secret2' }), ['currentPassword is required']);
+  assert.deepEqual(validatePasswordChange({ currentPassword: 'secret1', newPassword: '123' }), [
+    'newPassword must be 6-200 characters',
+  ]);
+  assert.deepEqual(validatePasswordChange({ currentPassword: 'secret1', newPassword: 'secret1' }), [
+    'newPassword must differ from the current password',
+  ]);
+});
+
+test('normalizeEmail lowercases and trims valid addresses', () => {
+  assert.equal(normalizeEmail('  Ana@Example.COM '), 'ana@example.com');
+  assert.equal(normalizeEmail('ana@example'), null);
+  assert.equal(normalizeEmail(42), null);
+  assert.deepEqual(validateAccountBody({ email: 'nope' }).errors, ['email must be a valid address']);
+});
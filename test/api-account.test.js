@@ -0,0 +1,67 @@
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { integration, createClient, signedIn, seedMovies } = require('./helpers/harness');
+
+const it = integration();
+
+const sessionsOf = (db, userId) => db.collection('sessions').find({ session: { $regex: userId } }).toArray();
+
+it('deleting an account removes its likes, watchlist, lists, reviews and sessions', async ({ baseUrl, db }) => {
+  const [heat, ronin] = await seedMovies(db, [
+    { title: 'Heat', year: 1995, genres: ['Crime'] },
+    { title: 'Ronin', year: 1998, genres: ['Action'] },
+  ]);
+  const leaver = await signedIn(baseUrl, db, 'leaver');
+  const otherDevice = createClient(baseUrl);
+  await otherDevice.login('leaver', 'secret123');
+  const stayer = await signedIn(baseUrl, db, 'stayer');
+  const userId = (await leaver.get('/auth/me')).body.user.id;
+
+  await leaver.post('/api/user/likes', { movieId: heat });
+  await leaver.post('/api/user/watchlist', { movieId: ronin });
+  assert.equal((await leaver.post('/api/user/lists', { name: 'Heists', visibility: 'public' })).status, 201);
+  assert.equal((await leaver.post(`/api/movies/${heat}/reviews`, { rating: 4 })).status, 201);
+  assert.equal((await stayer.post(`/api/movies/${heat}/reviews`, { rating: 8 })).status, 201);
+  assert.equal((await db.collection('movies').findOne({ _id: new ObjectId(heat) })).communityRating, 6);
+  for (const collection of ['likes', 'watchlist', 'lists', 'reviews']) {
+    assert.equal(await db.collection(collection).countDocuments({ userId }), 1, `${collection} were saved`);
+  }
+  assert.equal((await sessionsOf(db, userId)).length, 2);
+
+  assert.equal((await leaver.delete('/auth/account', { body: { password: 'wrong-password' } })).status, 403);
+  assert.equal((await leaver.delete('/auth/account', { body: { password: 'secret123' } })).status, 200);
+
+  for (const collection of ['likes', 'watchlist', 'lists', 'reviews']) {
+    assert.equal(await db.collection(collection).countDocuments({ userId }), 0, `${collection} are removed`);
+  }
+  assert.deepEqual(await sessionsOf(db, userId), []);
+  assert.equal((await otherDevice.get('/auth/me')).status, 401, 'other devices are signed out too');
+  assert.equal((await leaver.get('/auth/me')).status, 401);
+  assert.equal(await db.collection('users').countDocuments({ username: 'leaver' }), 0);
+
+  const movie = await db.collection('movies').findOne({ _id: new ObjectId(heat) });
+  assert.deepEqual([movie.communityRating, movie.communityRatingCount], [8, 1], 'the community rating is recomputed');
+  assert.equal((await stayer.get('/api/user/likes')).status, 200, 'other users are untouched');
+});
+
+it('changing the password ends the other sessions and keeps the current one', async ({ baseUrl, db }) => {
+  const current = await signedIn(baseUrl, db, 'changer');
+  const laptop = createClient(baseUrl);
+  const phone = createClient(baseUrl);
+  await laptop.login('changer', 'secret123');
+  await phone.login('changer', 'secret123');
+  const bystander = await signedIn(baseUrl, db, 'bystander');
+
+  assert.equal((await current.post('/auth/password', { currentPassword: 'wrong-password', newPassword: 'secret456' })).status, 403);
+  const res = await current.post('/auth/password', { currentPassword: 'secret123', newPassword: 'secret456' });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.sessionsEnded, 2);
+
+  assert.equal((await current.get('/auth/me')).body.user.username, 'changer');
+  assert.equal((await laptop.get('/auth/me')).status, 401);
+  assert.equal((await phone.get('/auth/me')).status, 401);
+  assert.equal((await bystander.get('/auth/me')).status, 200, "other users' sessions are kept");
+
+  assert.equal((await createClient(baseUrl).login('changer', 'secret123')).status, 401);
+  assert.equal((await createClient(baseUrl).login('changer', 'secret456')).status, 200);
+});
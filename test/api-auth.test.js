@@ -0,0 +1,116 @@
+const assert = require('node:assert/strict');
+const { integration, createClient, createUser } = require('./helpers/harness');
+const { recordLoginFailure, getLockout } = require('../services/lockout');
+
+const it = integration();
+
+it('register signs the new user in and emails a verification link', async ({ baseUrl, db, mail }) => {
+  const client = createClient(baseUrl);
+  const res = await client.post('/auth/register', { username: 'newbie', email: 'Newbie@Example.com', password: 'secret123' });
+  assert.equal(res.status, 201);
+
+  const me = await client.get('/auth/me');
+  assert.equal(me.status, 200);
+  assert.equal(me.body.user.username, 'newbie');
+  assert.equal(me.body.user.role, 'user');
+
+  const user = await db.collection('users').findOne({ username: 'newbie' });
+  assert.equal(user.email, 'newbie@example.com');
+  assert.equal(user.emailVerified, false);
+  assert.notEqual(user.passwordHash, 'secret123');
+  assert.ok(mail.some((m) => m.to === 'newbie@example.com' && /verify-email\?token=/.test(m.text)));
+});
+
+it('register rejects duplicates and invalid input', async ({ baseUrl }) => {
+  const client = createClient(baseUrl);
+  const body = { username: 'twin', email: 'twin@example.com', password: 'secret123' };
+  assert.equal((await client.post('/auth/register', body)).status, 201);
+  assert.equal((await createClient(baseUrl).post('/auth/register', body)).status, 400);
+  assert.equal((await createClient(baseUrl).post('/auth/register', { ...body, username: 'twin2' })).status, 400);
+
+  const invalid = await createClient(baseUrl).post('/auth/register', { username: 'ab', email: 'nope', password: '123' });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.code, 'validation_error');
+  assert.deepEqual(invalid.body.details.map((d) => d.field).sort(), ['email', 'password', 'username']);
+});
+
+it('login, me and logout', async ({ baseUrl, db }) => {
+  await createUser(db, { username: 'alice', password: 'wonderland' });
+  const client = createClient(baseUrl);
+
+  assert.equal((await client.get('/auth/me')).status, 401);
+
+  const wrong = await client.login('alice', 'looking-glass');
+  assert.equal(wrong.status, 401);
+  assert.equal(wrong.body.code, 'unauthorized');
+
+  assert.equal((await client.login('alice', 'wonderland')).status, 200);
+  assert.equal((await client.get('/auth/me')).body.user.username, 'alice');
+
+  assert.equal((await client.post('/auth/logout')).status, 200);
+  assert.equal((await client.get('/auth/me')).status, 401);
+});
+
+it('login refuses disabled accounts', async ({ baseUrl, db }) => {
+  const user = await createUser(db, { username: 'mallory' });
+  await db.collection('users').updateOne({ _id: user._id }, { $set: { disabled: true } });
+  const res = await createClient(baseUrl).login('mallory', 'secret123');
+  assert.equal(res.status, 403);
+  assert.equal(res.body.message, 'Account disabled');
+});
+
+it('writes without the CSRF token are refused', async ({ baseUrl, db }) => {
+  await createUser(db, { username: 'bob' });
+  const res = await fetch(`${baseUrl}/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: 'bob', password: 'secret123' }),
+  });
+  assert.equal(res.status, 403);
+  assert.deepEqual(await res.json(), { status: 403, code: 'forbidden', message: 'Invalid or missing CSRF token' });
+});
+
+it('admin routes check the role stored at sign-in', async ({ baseUrl, db }) => {
+  await createUser(db, { username: 'carol' });
+  await createUser(db, { username: 'dave', role: 'admin' });
+
+  const user = createClient(baseUrl);
+  await user.login('carol', 'secret123');
+  assert.equal((await user.get('/api/admin/users')).status, 403);
+  assert.equal((await user.get('/api/movies/export')).status, 403);
+
+  const admin = createClient(baseUrl);
+  await admin.login('dave', 'secret123');
+  assert.equal((await admin.get('/api/admin/users')).status, 200);
+  assert.equal((await admin.get('/api/movies/export?format=json')).status, 200);
+});
+
+it('parallel failed logins are all counted and lock the username', async ({ baseUrl, db }) => {
+  await createUser(db, { username: 'erin' });
+  const attempts = Array.from({ length: 5 }, () => createClient(baseUrl).login('erin', 'wrong-password'));
+  assert.deepEqual((await Promise.all(attempts)).map((res) => res.status), [401, 401, 401, 401, 401]);
+
+  const locked = await createClient(baseUrl).login('erin', 'secret123');
+  assert.equal(locked.status, 429);
+  assert.ok(Number(locked.headers.get('retry-after')) > 0);
+  const doc = await db.collection('login_lockouts').findOne({ _id: 'erin' });
+  assert.deepEqual([doc.failures, doc.level], [0, 1]);
+});
+
+it('lockouts start at the threshold, grow with each one and are forgotten after a quiet day', async () => {
+  const config = { threshold: 3, baseMs: 60 * 1000, maxMs: 10 * 60 * 1000, resetMs: 24 * 60 * 60 * 1000 };
+  const now = Date.UTC(2026, 0, 1);
+  let state;
+  for (let i = 0; i < 2; i++) state = await recordLoginFailure('Frank', '10.0.0.1', now, config);
+  assert.deepEqual([state.failures, state.lockedUntil], [2, null]);
+
+  state = await recordLoginFailure('frank', '10.0.0.1', now, config);
+  assert.deepEqual([state.failures, state.level, state.lockedUntil.getTime()], [0, 1, now + 60 * 1000]);
+  assert.equal((await getLockout('FRANK', now)).retryAfter, 60);
+
+  for (let i = 0; i < 3; i++) state = await recordLoginFailure('frank', '10.0.0.1', now + 120 * 1000, config);
+  assert.equal(state.lockedUntil.getTime(), now + 120 * 1000 + 2 * 60 * 1000);
+
+  state = await recordLoginFailure('frank', '10.0.0.1', now + config.resetMs + 200 * 1000, config);
+  assert.deepEqual([state.failures, state.level, state.lockedUntil], [1, 0, null]);
+});
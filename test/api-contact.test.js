@@ -0,0 +1,91 @@
+const assert = require('node:assert/strict');
+const { integration, createClient, signedIn } = require('./helpers/harness');
+const { importLegacyMessages } = require('../services/contact');
+
+const it = integration();
+
+const LEGACY = [
+  { name: 'Ana', email: 'ana@example.com', message: 'Love the site', createdAt: '2025-03-01T10:00:00Z' },
+  'not a message',
+  { name: 'Ana', email: 'ana@example.com', message: 'Love the site', createdAt: '2025-03-01T10:00:00Z' },
+  { name: ' Bo ', email: 'bo@example.com', message: ' Broken poster ', createdAt: 'yesterday' },
+];
+
+it('data.json messages are imported once, however often the import runs', async ({ db }) => {
+  await db.collection('messages').deleteMany({});
+  assert.deepEqual(await importLegacyMessages(LEGACY, { dryRun: true }), { dryRun: true, imported: 3, alreadyImported: 0, skipped: 1 });
+  assert.equal(await db.collection('messages').countDocuments(), 0, 'a dry run writes nothing');
+
+  assert.deepEqual(await importLegacyMessages(LEGACY), { dryRun: false, imported: 3, alreadyImported: 0, skipped: 1 });
+  assert.deepEqual(await importLegacyMessages(LEGACY), { dryRun: false, imported: 0, alreadyImported: 3, skipped: 1 });
+  assert.equal(await db.collection('messages').countDocuments(), 3, 'identical entries at different positions both survive');
+
+  const bo = await db.collection('messages').findOne({ name: 'Bo' });
+  assert.equal(bo.message, 'Broken poster');
+  assert.deepEqual([bo.status, bo.userId, bo.notes], ['new', null, []]);
+  assert.deepEqual(bo.createdAt, new Date(0), 'an unreadable date sorts the message last');
+
+  const more = [...LEGACY, { name: 'Cy', email: 'cy@example.com', message: 'Hello' }];
+  assert.deepEqual(await importLegacyMessages(more), { dryRun: false, imported: 1, alreadyImported: 3, skipped: 1 });
+  await db.collection('messages').deleteMany({});
+});
+
+it('contact messages keep their sender and move through the inbox statuses', async ({ baseUrl, db }) => {
+  await db.collection('messages').deleteMany({});
+  const sender = await signedIn(baseUrl, db, 'sender');
+  const admin = await signedIn(baseUrl, db, 'inbox-admin', 'admin');
+
+  assert.equal((await createClient(baseUrl).post('/contact', { name: 'Anon', email: 'a@example.com', message: 'Hi' })).status, 401);
+  assert.equal((await sender.post('/contact', { name: 'Sender', email: 'nope', message: 'Hi' })).status, 400);
+  const sent = await sender.post('/contact', { name: 'Sender', email: 'sender@example.com', message: 'The search is slow' });
+  assert.equal(sent.status, 201);
+  assert.match(sent.headers.get('content-type'), /application\/json/);
+  const { id } = sent.body;
+
+  const inbox = (await admin.get('/api/admin/messages')).body;
+  assert.deepEqual(inbox.counts, { new: 1, read: 0, resolved: 0 });
+  assert.equal(inbox.items[0].username, 'sender');
+  assert.equal(inbox.items[0].userId, (await sender.get('/auth/me')).body.user.id);
+
+  const opened = (await admin.get(`/api/admin/messages/${id}`)).body;
+  assert.equal(opened.status, 'read', 'opening a new message marks it read');
+  assert.ok(opened.readAt);
+
+  const noted = await admin.post(`/api/admin/messages/${id}/notes`, { text: ' Asked for the query ' });
+  assert.equal(noted.status, 201);
+  assert.deepEqual(noted.body.notes.map((n) => [n.text, n.authorUsername]), [['Asked for the query', 'inbox-admin']]);
+  assert.equal((await admin.post(`/api/admin/messages/${id}/notes`, { text: '  ' })).status, 400);
+
+  assert.equal((await admin.patch(`/api/admin/messages/${id}`, { status: 'archived' })).status, 400);
+  const resolved = await admin.patch(`/api/admin/messages/${id}`, { status: 'resolved' });
+  assert.equal(resolved.status, 200);
+  assert.ok(resolved.body.resolvedAt);
+  assert.deepEqual((await admin.get('/api/admin/messages?status=resolved')).body.items.map((m) => m.message), ['The search is slow']);
+  assert.deepEqual((await admin.get('/api/admin/messages?status=new')).body.items, []);
+  assert.equal((await admin.get('/api/admin/messages?status=archived')).status, 400);
+  assert.equal((await admin.get('/api/admin/messages?q=SEARCH')).body.total, 1);
+
+  assert.equal((await admin.patch(`/api/admin/messages/${id}`, { status: 'new' })).body.status, 'new', 'a message can be reopened');
+  assert.equal((await admin.patch('/api/admin/messages/0123456789abcdef01234567', { status: 'read' })).status, 404);
+  assert.equal((await admin.post('/api/admin/messages/0123456789abcdef01234567/notes', { text: 'Lost' })).status, 404);
+  const actions = await db.collection('audit_log').distinct('action', { 'target.type': 'message' });
+  assert.deepEqual(actions.sort(), ['message.note', 'message.status']);
+  await db.collection('messages').deleteMany({});
+});
+
+it('only admins can read or change the inbox', async ({ baseUrl, db }) => {
+  const user = await signedIn(baseUrl, db, 'inbox-user');
+  const { id } = (await user.post('/contact', { name: 'User', email: 'user@example.com', message: 'Hello' })).body;
+  const guest = createClient(baseUrl);
+
+  for (const client of [user, guest]) {
+    const expected = client === user ? 403 : 401;
+    assert.equal((await client.get('/api/admin/messages')).status, expected);
+    assert.equal((await client.get(`/api/admin/messages/${id}`)).status, expected);
+    assert.equal((await client.patch(`/api/admin/messages/${id}`, { status: 'resolved' })).status, expected);
+    assert.equal((await client.post(`/api/admin/messages/${id}/notes`, { text: 'Sneaky' })).status, expected);
+  }
+  const message = await db.collection('messages').findOne({ username: 'inbox-user' });
+  assert.deepEqual([message.status, message.notes], ['new', []]);
+  await db.collection('messages').deleteMany({});
+});
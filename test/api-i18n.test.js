@@ -0,0 +1,77 @@
+const assert = require('node:assert/strict');
+const { integration, createClient, createUser, seedMovies } = require('./helpers/harness');
+
+const it = integration();
+
+const HEAT = {
+  title: 'Heat',
+  year: 1995,
+  genres: ['Crime'],
+  description: 'A heist goes wrong.',
+  translations: { ru: { title: 'Схватка', description: 'Ограбление идёт не по плану.' } },
+};
+
+it('movies are read in the locale from ?lang= or Accept-Language', async ({ baseUrl, db }) => {
+  const [id] = await seedMovies(db, [HEAT, { title: 'Ronin', year: 1998, genres: ['Action'] }]);
+  const client = createClient(baseUrl);
+
+  const ru = await client.get(`/api/movies/${id}?lang=ru`);
+  assert.equal(ru.headers.get('content-language'), 'ru');
+  assert.equal(ru.body.title, 'Схватка');
+  assert.equal(ru.body.originalTitle, 'Heat');
+  assert.deepEqual(ru.body.genreNames, ['Криминал']);
+
+  const kk = await client.get(`/api/movies/${id}`, { headers: { 'Accept-Language': 'kk-KZ, en;q=0.5' } });
+  assert.equal(kk.body.title, 'Схватка', 'kk falls back to the Russian title');
+  const en = await client.get(`/api/movies/${id}`, { headers: { 'Accept-Language': 'de' } });
+  assert.equal(en.body.title, 'Heat');
+  assert.equal(en.body.description, 'A heist goes wrong.');
+
+  const page = await client.get('/api/movies?lang=ru&sort=year:asc');
+  assert.deepEqual(page.body.items.map((m) => m.title), ['Схватка', 'Ronin']);
+  assert.equal(page.body.facets.genres.find((g) => g.value === 'Crime').label, 'Криминал');
+});
+
+it('title filters and search match translated titles', async ({ baseUrl, db }) => {
+  await seedMovies(db, [HEAT, { title: 'Ronin', year: 1998, genres: ['Action'] }]);
+  const client = createClient(baseUrl);
+
+  const filtered = await client.get(`/api/movies?title=${encodeURIComponent('схват')}`);
+  assert.deepEqual(filtered.body.items.map((m) => m.title), ['Heat']);
+  const search = await client.get(`/api/movies/search?q=${encodeURIComponent('схватка')}&lang=ru`);
+  assert.equal(search.body.items[0].title, 'Схватка');
+  const suggest = await client.get(`/api/movies/suggest?q=${encodeURIComponent('Схв')}`);
+  assert.deepEqual(suggest.body.items.map((s) => s.title), ['Схватка']);
+});
+
+it('admins save translations and pages come out in the chosen language', async ({ baseUrl, db }) => {
+  const heat = { title: 'Heat', year: 1995, genres: ['Crime'] };
+  const [id] = await seedMovies(db, [heat]);
+  await createUser(db, { username: 'Editor', role: 'admin' });
+  const client = createClient(baseUrl);
+  await client.login('Editor', 'secret123');
+
+  const bad = await client.put(`/api/movies/${id}`, { ...heat, translations: { de: { title: 'Heat' } } });
+  assert.equal(bad.status, 400);
+  const saved = await client.put(`/api/movies/${id}`, { ...heat, translations: { ru: { title: 'Схватка' } } });
+  assert.equal(saved.status, 200);
+  assert.deepEqual((await db.collection('movies').findOne({ title: 'Heat' })).translations, { ru: { title: 'Схватка' } });
+
+  const page = await client.get(`/films/${id}?lang=ru`);
+  assert.ok(page.body.includes('<html lang="ru">'));
+  assert.ok(page.body.includes('<h1>Схватка</h1>'));
+  assert.ok(page.body.includes('data-i18n="nav.films">Фильмы</a>'));
+  assert.ok(page.body.includes(`<link rel="alternate" hreflang="ru" href="${baseUrl}/films/${id}?lang=ru" />`));
+  assert.ok(page.headers.getSetCookie().some((c) => c.startsWith('lang=ru')), 'the choice is remembered');
+
+  await client.put(`/api/movies/${id}`, { ...heat, translations: { ru: { title: '' } } });
+  assert.deepEqual((await db.collection('movies').findOne({ title: 'Heat' })).translations, {});
+});
+
+it('the person page and its filmography strings come out in the chosen language', async ({ baseUrl }) => {
+  const page = await createClient(baseUrl).get('/people/0123456789abcdef01234567?lang=ru');
+  assert.ok(page.body.includes('data-i18n="person.loading">Загрузка...</h1>'));
+  const { messages } = JSON.parse(page.body.match(/id="i18n-messages">([^<]*)</)[1]);
+  assert.equal(messages['role.director'], 'Режиссёр');
+  assert.equal(messages['person.noFilms'], 'Фильмов пока нет');
+});
@@ -0,0 +1,147 @@
+const assert = require('node:assert/strict');
+const { integration, createClient, createUser, seedMovies } = require('./helpers/harness');
+const { getIndex, invalidateSearchIndex } = require('../services/search');
+
+const it = integration();
+
+const MOVIES = [
+  { title: 'Alien', year: 1979, genres: ['Sci-Fi', 'Horror'], rating: 8.5, director: 'Ridley Scott' },
+  { title: 'Aliens', year: 1986, genres: ['Sci-Fi', 'Action'], rating: 8.4, director: 'James Cameron' },
+  { title: 'Heat', year: 1995, genres: ['Crime', 'Drama'], rating: 8.3, director: 'Michael Mann' },
+  { title: 'Se7en', year: 1995, genres: ['Crime', 'Mystery'], rating: 8.6, director: 'David Fincher' },
+  { title: 'Toy Story', year: 1995, genres: ['Animation', 'Comedy'], rating: 8.3, director: 'John Lasseter' },
+  { title: 'Up', year: 2009, genres: ['Animation', 'Adventure'], rating: 8.3, director: 'Pete Docter' },
+  { title: 'Arrival', year: 2016, genres: ['Sci-Fi', 'Drama'], rating: 7.9, director: 'Denis Villeneuve' },
+  { title: 'Paddington 2', year: 2017, genres: ['Comedy', 'Family'], rating: 7.8, director: 'Paul King' },
+];
+
+const titles = (res) => res.body.items.map((m) => m.title);
+
+it('listMovies pages through the catalog in year order', async ({ baseUrl, db }) => {
+  await seedMovies(db, MOVIES);
+  const client = createClient(baseUrl);
+
+  const first = await client.get('/api/movies?limit=3');
+  assert.equal(first.status, 200);
+  assert.deepEqual(titles(first), ['Alien', 'Aliens', 'Heat']);
+  assert.equal(first.body.total, 8);
+  assert.equal(first.body.totalPages, 3);
+
+  const last = await client.get('/api/movies?limit=3&page=3');
+  assert.deepEqual(titles(last), ['Arrival', 'Paddington 2']);
+
+  const capped = await client.get('/api/movies?limit=500');
+  assert.equal(capped.body.limit, 50);
+  assert.equal(capped.body.items.length, 8);
+});
+
+it('listMovies filters by genre, years, decade, rating and title', async ({ baseUrl, db }) => {
+  await seedMovies(db, MOVIES);
+  const client = createClient(baseUrl);
+
+  assert.deepEqual(titles(await client.get('/api/movies?genre=Sci-Fi')), ['Alien', 'Aliens', 'Arrival']);
+  assert.equal((await client.get('/api/movies?genre=Sci-Fi,Comedy')).body.total, 5);
+  assert.deepEqual(titles(await client.get('/api/movies?genres=Sci-Fi,Drama&genresMode=all')), ['Arrival']);
+  assert.deepEqual(titles(await client.get('/api/movies?yearFrom=1990&yearTo=2010')), ['Heat', 'Se7en', 'Toy Story', 'Up']);
+  assert.equal((await client.get('/api/movies?decade=1990s')).body.total, 3);
+  assert.deepEqual(titles(await client.get('/api/movies?ratingMin=8.4')), ['Alien', 'Aliens', 'Se7en']);
+  assert.deepEqual(titles(await client.get('/api/movies?title=alien')), ['Alien', 'Aliens']);
+  assert.deepEqual(titles(await client.get('/api/movies?sort=rating:desc&limit=2')), ['Se7en', 'Alien']);
+});
+
+it('listMovies facets ignore their own filter', async ({ baseUrl, db }) => {
+  await seedMovies(db, MOVIES);
+  const { body } = await createClient(baseUrl).get('/api/movies?genre=Comedy');
+  assert.equal(body.total, 2);
+  assert.deepEqual(body.facets.genres.find((g) => g.value === 'Sci-Fi'), { value: 'Sci-Fi', label: 'Sci-Fi', count: 3 });
+  assert.deepEqual(body.facets.decades.map((d) => d.value), [1990, 2010]);
+});
+
+it('listMovies cursor pagination visits every movie once', async ({ baseUrl, db }) => {
+  await seedMovies(db, MOVIES);
+  const client = createClient(baseUrl);
+  const seen = [];
+  let cursor = '';
+  for (let pages = 0; pages < 5; pages++) {
+    const res = await client.get(`/api/movies?limit=3&cursor=${encodeURIComponent(cursor)}`);
+    assert.equal(res.status, 200);
+    seen.push(...titles(res));
+    if (!res.body.hasMore) break;
+    cursor = res.body.nextCursor;
+  }
+  assert.deepEqual(seen, MOVIES.map((m) => m.title));
+
+  const bad = await client.get('/api/movies?cursor=not-a-cursor');
+  assert.equal(bad.status, 400);
+  assert.equal(bad.body.code, 'bad_request');
+});
+
+it('listMovies rejects bad filters with field-level details', async ({ baseUrl }) => {
+  const res = await createClient(baseUrl).get('/api/movies?year=abc&sort=budget');
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, 'validation_error');
+  assert.deepEqual(res.body.details.map((d) => d.field).sort(), ['sort', 'year']);
+});
+
+it('movie writes require an admin', async ({ baseUrl, db }) => {
+  await createUser(db, { username: 'viewer' });
+  await createUser(db, { username: 'boss', role: 'admin' });
+  const movie = { title: 'Dune', year: 2021, genres: ['Sci-Fi'] };
+
+  const guest = createClient(baseUrl);
+  assert.equal((await guest.post('/api/movies', movie)).status, 401);
+
+  const viewer = createClient(baseUrl);
+  assert.equal((await viewer.login('viewer', 'secret123')).status, 200);
+  const forbidden = await viewer.post('/api/movies', movie);
+  assert.equal(forbidden.status, 403);
+  assert.equal(forbidden.body.code, 'forbidden');
+
+  const admin = createClient(baseUrl);
+  assert.equal((await admin.login('boss', 'secret123')).status, 200);
+  const created = await admin.post('/api/movies', { ...movie, year: '2021', rating: '8' });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.year, 2021);
+  assert.equal(created.body.rating, 8);
+
+  const id = created.body._id;
+  assert.equal((await viewer.put(`/api/movies/${id}`, { ...movie, title: 'Dune: Part One' })).status, 403);
+  const updated = await admin.put(`/api/movies/${id}`, { ...movie, title: 'Dune: Part One' });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.title, 'Dune: Part One');
+
+  assert.equal((await viewer.delete(`/api/movies/${id}`)).status, 403);
+  assert.equal((await admin.delete(`/api/movies/${id}`)).status, 200);
+  assert.equal((await guest.get(`/api/movies/${id}`)).status, 404);
+});
+
+it('createMovie reports every invalid field', async ({ baseUrl, db }) => {
+  await createUser(db, { username: 'editor', role: 'admin' });
+  const admin = createClient(baseUrl);
+  await admin.login('editor', 'secret123');
+
+  const res = await admin.post('/api/movies', { title: ' ', year: 1700, genres: [], rating: 11 });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, 'validation_error');
+  assert.deepEqual(res.body.details.map((d) => d.field).sort(), ['genres', 'rating', 'year']);
+
+  // whitespace passes the schema; the controller still rejects it
+  const blank = await admin.post('/api/movies', { title: ' ', year: 2000, genres: ['Drama'] });
+  assert.equal(blank.status, 400);
+  assert.deepEqual(blank.body.details, [{ field: 'title', message: 'title must be a non-empty string' }]);
+});
+
+it('a search index build overtaken by a catalog change is not reused or kept', async ({ db }) => {
+  await seedMovies(db, [{ title: 'Heat', year: 1995, genres: ['Crime'] }]);
+  const titles = (entries) => entries.map((e) => e.movie.title).sort();
+
+  const stale = getIndex();
+  await db.collection('movies').insertOne({ title: 'Ronin', year: 1998, genres: ['Action'], createdAt: new Date() });
+  invalidateSearchIndex();
+  const fresh = getIndex();
+  assert.notEqual(fresh, stale, 'searches after the change wait for a new build');
+  assert.deepEqual(titles(await fresh), ['Heat', 'Ronin']);
+
+  await stale;
+  assert.deepEqual(titles(await getIndex()), ['Heat', 'Ronin'], 'the older build finishing late does not replace the new one');
+});
@@ -0,0 +1,104 @@
+const assert = require('node:assert/strict');
+const { integration, createClient, createUser, seedMovies } = require('./helpers/harness');
+
+const it = integration();
+
+function jsonLd(html) {
+  const match = html.match(/<script[^>]*type="application\/ld\+json">([\s\S]*?)<\/script>/);
+  return match && JSON.parse(match[1]);
+}
+
+it('film pages are rendered on the server with meta tags and JSON-LD', async ({ baseUrl, db }) => {
+  const [id] = await seedMovies(db, [
+    { title: 'Heat', year: 1995, genres: ['Crime'], description: 'A heist goes wrong.', posterUrl: '/media/abc/640.webp' },
+  ]);
+  const client = createClient(baseUrl);
+
+  const page = await client.get(`/films/${id}`);
+  assert.equal(page.status, 200);
+  assert.match(page.headers.get('content-type'), /text\/html/);
+  assert.ok(page.body.includes('<title>Heat (1995) | MyMovie</title>'));
+  assert.ok(page.body.includes('<meta name="description" content="A heist goes wrong." />'));
+  assert.ok(page.body.includes(`<meta property="og:url" content="${baseUrl}/films/${id}" />`));
+  assert.ok(page.body.includes(`<meta property="og:image" content="${baseUrl}/media/abc/640.webp" />`));
+  assert.ok(page.body.includes('<h1>Heat</h1>'));
+  assert.ok(page.body.includes('<script nonce='), 'scripts still get the nonce');
+  const ld = jsonLd(page.body);
+  assert.equal(ld['@type'], 'Movie');
+  assert.equal(ld.name, 'Heat');
+  const embedded = page.body.match(/<script[^>]*id="film-data">([\s\S]*?)<\/script>/);
+  assert.equal(JSON.parse(embedded[1])._id, id, 'the page script gets the film without a second request');
+
+  assert.equal((await client.get('/films/000000000000000000000000')).status, 404);
+  assert.equal((await client.get('/films/not-an-id')).status, 404);
+});
+
+it('the films page renders the first page of results for its filters', async ({ baseUrl, db }) => {
+  await seedMovies(db, [
+    { title: 'Heat', year: 1995, genres: ['Crime'] },
+    { title: 'Ronin', year: 1998, genres: ['Action'] },
+  ]);
+  const client = createClient(baseUrl);
+
+  const all = await client.get('/films');
+  assert.ok(all.body.includes('2 films found'));
+  assert.equal(jsonLd(all.body).itemListElement.length, 2);
+  assert.ok(all.body.includes(`<link rel="canonical" href="${baseUrl}/films" />`));
+
+  const crime = await client.get('/films?genre=Crime');
+  assert.ok(crime.body.includes('<title>Crime films | MyMovie</title>'));
+  assert.ok(crime.body.includes('1 film found'));
+  assert.ok(!crime.body.includes('Ronin'));
+
+  const search = await client.get('/films?search=ronin');
+  assert.ok(search.body.includes('1 film found for &quot;ronin&quot;'));
+  assert.ok(search.body.includes('<meta name="robots" content="noindex, follow" />'));
+
+  const invalid = await client.get('/films?year=soon');
+  assert.equal(invalid.status, 200);
+  assert.ok(invalid.body.includes('Loading films...'), 'the page script reports bad filters');
+});
+
+it('sitemap.xml lists live movies and robots.txt points to it', async ({ baseUrl, db }) => {
+  const [live, trashed] = await seedMovies(db, [
+    { title: 'Heat', year: 1995 },
+    { title: 'Gone', year: 2000, deletedAt: new Date() },
+  ]);
+  await db.collection('lists').insertOne({ name: 'Heists', shareId: 'heists1', visibility: 'public', items: [] });
+  const client = createClient(baseUrl);
+
+  const sitemap = await client.get('/sitemap.xml');
+  assert.equal(sitemap.status, 200);
+  assert.match(sitemap.headers.get('content-type'), /application\/xml/);
+  assert.ok(sitemap.body.includes(`<loc>${baseUrl}/films/${live}</loc>`));
+  assert.ok(!sitemap.body.includes(trashed), 'trashed movies are left out');
+  assert.ok(sitemap.body.includes(`<loc>${baseUrl}/lists/heists1</loc>`));
+
+  const robots = await client.get('/robots.txt');
+  assert.equal(robots.status, 200);
+  assert.ok(robots.body.includes(`Sitemap: ${baseUrl}/sitemap.xml`));
+  await db.collection('lists').deleteMany({});
+});
+
+it('guests reading pages get no session; forms and signed-in pages get a CSRF token', async ({ baseUrl, db }) => {
+  const [id] = await seedMovies(db, [{ title: 'Heat', year: 1995, genres: ['Crime'] }]);
+  await db.collection('sessions').deleteMany({});
+  const meta = (html) => /<meta name="csrf-token" content="[0-9a-f]{64}" \/>/.test(html);
+
+  for (const path of ['/', '/films', `/films/${id}`, '/about']) {
+    const res = await fetch(baseUrl + path);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.headers.getSetCookie(), [], `${path} sets no cookie`);
+    assert.equal(meta(await res.text()), false, `${path} has no token`);
+  }
+  assert.equal(await db.collection('sessions').countDocuments(), 0);
+
+  const login = await fetch(`${baseUrl}/login`);
+  assert.ok(meta(await login.text()), 'the sign-in form gets a token');
+  assert.equal(await db.collection('sessions').countDocuments(), 1);
+
+  await createUser(db, { username: 'reader' });
+  const client = createClient(baseUrl);
+  assert.equal((await client.login('reader', 'secret123')).status, 200);
+  assert.ok(meta((await client.get(`/films/${id}`)).body), 'a signed-in page carries the token for its writes');
+});
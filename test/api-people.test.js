@@ -0,0 +1,46 @@
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { integration, createClient, signedIn } = require('./helpers/harness');
+
+const it = integration();
+
+it('people are edited by admins, and an unknown person is a 404', async ({ baseUrl, db }) => {
+  const admin = await signedIn(baseUrl, db, 'casting', 'admin');
+
+  const created = await admin.post('/api/people', { name: 'Michael Mann' });
+  assert.equal(created.status, 201);
+  const updated = await admin.put(`/api/people/${created.body._id}`, { bio: 'Director of Heat' });
+  assert.equal(updated.status, 200);
+  assert.deepEqual([updated.body.name, updated.body.bio], ['Michael Mann', 'Director of Heat']);
+  assert.equal(updated.body.nameKey, undefined);
+
+  const missing = await admin.put('/api/people/0123456789abcdef01234567', { bio: 'Nobody' });
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.code, 'not_found');
+});
+
+it("renaming a director rewrites their movies' director with a revision per movie and a fresh catalog", async ({ baseUrl, db }) => {
+  const admin = await signedIn(baseUrl, db, 'renamer', 'admin');
+  const guest = createClient(baseUrl);
+
+  const person = (await admin.post('/api/people', { name: 'Micheal Man' })).body;
+  const credits = [{ personId: person._id, role: 'director' }];
+  const heat = (await admin.post('/api/movies', { title: 'Heat', year: 1995, genres: ['Crime'], credits })).body;
+  const thief = (await admin.post('/api/movies', { title: 'Thief', year: 1981, genres: ['Crime'], credits })).body;
+  assert.equal((await guest.get(`/api/movies/${heat._id}`)).body.director, 'Micheal Man');
+
+  assert.equal((await admin.put(`/api/people/${person._id}`, { name: 'Michael Mann' })).status, 200);
+  assert.equal((await guest.get(`/api/movies/${heat._id}`)).body.director, 'Michael Mann', 'the cached movie is dropped');
+  for (const movie of [heat, thief]) {
+    const [latest] = (await admin.get(`/api/movies/${movie._id}/revisions`)).body.items;
+    assert.equal(latest.action, 'update');
+    assert.equal(latest.editor.username, 'renamer');
+    assert.deepEqual(latest.changes, [{ field: 'director', from: 'Micheal Man', to: 'Michael Mann' }]);
+  }
+
+  const ofBoth = { movieId: { $in: [heat._id, thief._id].map((id) => new ObjectId(id)) } };
+  const recorded = await db.collection('movie_revisions').countDocuments(ofBoth);
+  assert.equal(recorded, 4, 'a create and a rename for each movie');
+  assert.equal((await admin.put(`/api/people/${person._id}`, { name: 'Michael Mann' })).status, 200);
+  assert.equal(await db.collection('movie_revisions').countDocuments(ofBoth), recorded, 'an unchanged name records nothing');
+});
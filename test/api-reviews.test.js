@@ -0,0 +1,76 @@
+const assert = require('node:assert/strict');
+const { integration, createClient, signedIn, seedMovies } = require('./helpers/harness');
+
+const it = integration();
+
+const summary = (body) => [body.communityRating, body.communityRatingCount];
+
+it('each user reviews a film once', async ({ baseUrl, db }) => {
+  const [heat] = await seedMovies(db, [{ title: 'Heat', year: 1995, genres: ['Crime'] }]);
+  const critic = await signedIn(baseUrl, db, 'critic');
+
+  assert.equal((await createClient(baseUrl).post(`/api/movies/${heat}/reviews`, { rating: 7 })).status, 401);
+  assert.equal((await critic.post(`/api/movies/${heat}/reviews`, { rating: 11 })).status, 400);
+  const created = await critic.post(`/api/movies/${heat}/reviews`, { rating: 7, text: '  Tense  ' });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.review.text, 'Tense');
+  assert.equal((await critic.post(`/api/movies/${heat}/reviews`, { rating: 9 })).status, 409);
+
+  const attempts = await Promise.all([1, 2, 3].map(async (n) => {
+    const client = createClient(baseUrl);
+    await client.login('critic', 'secret123');
+    return (await client.post(`/api/movies/${heat}/reviews`, { rating: n })).status;
+  }));
+  assert.deepEqual(attempts, [409, 409, 409]);
+
+  const list = (await critic.get(`/api/movies/${heat}/reviews`)).body;
+  assert.equal(list.total, 1);
+  assert.equal(list.mine.rating, 7);
+});
+
+it('only the author edits a review; the author or an admin deletes it', async ({ baseUrl, db }) => {
+  const [heat] = await seedMovies(db, [{ title: 'Heat', year: 1995, genres: ['Crime'] }]);
+  const author = await signedIn(baseUrl, db, 'author');
+  const other = await signedIn(baseUrl, db, 'other');
+  const moderator = await signedIn(baseUrl, db, 'moderator', 'admin');
+
+  const { _id } = (await author.post(`/api/movies/${heat}/reviews`, { rating: 6 })).body.review;
+  const path = `/api/movies/${heat}/reviews/${_id}`;
+  assert.equal((await other.put(path, { rating: 1 })).status, 403);
+  assert.equal((await moderator.put(path, { rating: 1 })).status, 403, 'admins moderate by deleting, not editing');
+  assert.equal((await other.delete(path)).status, 403);
+
+  const edited = await author.put(path, { rating: 8, text: 'Better the second time' });
+  assert.equal(edited.status, 200);
+  assert.deepEqual([edited.body.review.rating, edited.body.review.text], [8, 'Better the second time']);
+  assert.ok(edited.body.review.updatedAt);
+
+  assert.equal((await moderator.delete(path)).status, 200);
+  assert.equal((await author.delete(path)).status, 404);
+  assert.equal(await db.collection('audit_log').countDocuments({ action: 'review.delete' }), 1, "deleting someone else's review is audited");
+
+  const { _id: second } = (await author.post(`/api/movies/${heat}/reviews`, { rating: 5 })).body.review;
+  assert.equal((await author.delete(`/api/movies/${heat}/reviews/${second}`)).status, 200);
+  assert.equal(await db.collection('audit_log').countDocuments({ action: 'review.delete' }), 1, 'deleting your own is not');
+});
+
+it('the community rating and count follow creates, edits and deletes', async ({ baseUrl, db }) => {
+  const [heat] = await seedMovies(db, [{ title: 'Heat', year: 1995, genres: ['Crime'] }]);
+  const ann = await signedIn(baseUrl, db, 'rater-ann');
+  const ben = await signedIn(baseUrl, db, 'rater-ben');
+  const movieSummary = async () => summary((await createClient(baseUrl).get(`/api/movies/${heat}`)).body);
+
+  const first = await ann.post(`/api/movies/${heat}/reviews`, { rating: 6 });
+  assert.deepEqual(summary(first.body), [6, 1]);
+  const second = await ben.post(`/api/movies/${heat}/reviews`, { rating: 9 });
+  assert.deepEqual(summary(second.body), [7.5, 2]);
+  assert.deepEqual(await movieSummary(), [7.5, 2], 'the film shows the new rating, not a cached one');
+
+  const edited = await ann.put(`/api/movies/${heat}/reviews/${first.body.review._id}`, { rating: 8 });
+  assert.deepEqual(summary(edited.body), [8.5, 2]);
+  assert.deepEqual(summary((await ann.get(`/api/movies/${heat}/reviews`)).body), [8.5, 2]);
+
+  assert.deepEqual(summary((await ben.delete(`/api/movies/${heat}/reviews/${second.body.review._id}`)).body), [8, 1]);
+  assert.deepEqual(summary((await ann.delete(`/api/movies/${heat}/reviews/${first.body.review._id}`)).body), [null, 0]);
+  assert.deepEqual(await movieSummary(), [null, 0]);
+});
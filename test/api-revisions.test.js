@@ -0,0 +1,95 @@
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { integration, createClient, createUser } = require('./helpers/harness');
+
+const it = integration();
+
+const MOVIE = { title: 'Heat', year: 1995, genres: ['Crime'], rating: 8 };
+
+async function signIn(baseUrl, db, username, role = 'user') {
+  await createUser(db, { username, role });
+  const client = createClient(baseUrl);
+  await client.login(username, 'secret123');
+  return client;
+}
+
+it('every change is a revision and admins can revert to any of them', async ({ baseUrl, db }) => {
+  const admin = await signIn(baseUrl, db, 'historian', 'admin');
+  const viewer = await signIn(baseUrl, db, 'reader');
+  const id = (await admin.post('/api/movies', MOVIE)).body._id;
+  await admin.put(`/api/movies/${id}`, { ...MOVIE, rating: 9, director: 'Michael Mann' });
+  await admin.put(`/api/movies/${id}`, { ...MOVIE, rating: 9, director: 'Michael Mann' });
+  await admin.put(`/api/movies/${id}`, { ...MOVIE, title: 'Heat (1995)', rating: 9, director: 'Michael Mann' });
+
+  assert.equal((await viewer.get(`/api/movies/${id}/revisions`)).status, 403);
+  const history = await admin.get(`/api/movies/${id}/revisions`);
+  assert.equal(history.status, 200);
+  assert.equal(history.body.total, 3, 'an update that changes nothing is not a revision');
+  assert.deepEqual(history.body.items.map((r) => [r.number, r.action]), [[3, 'update'], [2, 'update'], [1, 'create']]);
+  assert.deepEqual(history.body.items[0].changes, [{ field: 'title', from: 'Heat', to: 'Heat (1995)' }]);
+  assert.deepEqual(history.body.items[1].changes.map((c) => c.field), ['rating', 'director']);
+  assert.equal(history.body.items[0].editor.username, 'historian');
+  assert.equal(history.body.items[0].snapshot, undefined);
+
+  const first = history.body.items[2];
+  assert.equal((await admin.get(`/api/movies/${id}/revisions/${first._id}`)).body.snapshot.rating, 8);
+  const reverted = await admin.post(`/api/movies/${id}/revisions/${first._id}/revert`);
+  assert.equal(reverted.status, 200);
+  assert.equal(reverted.body.title, 'Heat');
+  assert.equal(reverted.body.rating, 8);
+  assert.equal(reverted.body.director, null);
+
+  const latest = (await admin.get(`/api/movies/${id}/revisions?limit=1`)).body.items[0];
+  assert.equal(latest.number, 4);
+  assert.equal(latest.action, 'revert');
+  assert.equal(latest.revertedTo, first._id);
+  assert.equal((await admin.post(`/api/movies/${id}/revisions/${new ObjectId()}/revert`)).status, 404);
+});
+
+it('deleted movies go to the trash, keep their likes and can be restored', async ({ baseUrl, db }) => {
+  const admin = await signIn(baseUrl, db, 'janitor', 'admin');
+  const fan = await signIn(baseUrl, db, 'fan');
+  const id = (await admin.post('/api/movies', { ...MOVIE, title: 'Ronin', year: 1998 })).body._id;
+  await fan.post('/api/user/likes', { movieId: id });
+
+  assert.equal((await admin.delete(`/api/movies/${id}`)).status, 200);
+  assert.equal((await fan.get(`/api/movies/${id}`)).status, 404);
+  assert.ok(!(await fan.get('/api/movies?title=Ronin')).body.items.length);
+  assert.deepEqual(await fan.get(`/api/movies?ids=${id}`).then((r) => r.body), []);
+  assert.equal((await fan.post(`/api/movies/${id}/reviews`, { rating: 7 })).status, 404);
+  assert.deepEqual((await fan.get('/api/user/likes')).body.items, [id], 'the like is kept');
+  assert.equal((await admin.put(`/api/movies/${id}`, { ...MOVIE, title: 'Ronin', year: 1998 })).status, 404);
+  assert.equal((await admin.delete(`/api/movies/${id}`)).status, 404);
+
+  assert.equal((await fan.get('/api/admin/trash')).status, 403);
+  const trash = await admin.get('/api/admin/trash');
+  assert.deepEqual(trash.body.items.map((m) => m.title), ['Ronin']);
+  assert.equal(trash.body.items[0].deletedBy.username, 'janitor');
+
+  const history = (await admin.get(`/api/movies/${id}/revisions`)).body;
+  assert.equal(history.items[0].action, 'delete');
+  const firstRevision = history.items[1]._id;
+  assert.equal((await admin.post(`/api/movies/${id}/revisions/${firstRevision}/revert`)).status, 409);
+
+  const restored = await admin.post(`/api/admin/trash/${id}/restore`);
+  assert.equal(restored.status, 200);
+  assert.equal(restored.body.deletedAt, undefined);
+  assert.equal((await fan.get(`/api/movies/${id}`)).status, 200);
+  assert.deepEqual((await fan.get(`/api/movies?ids=${id}`)).body.map((m) => m._id), [id]);
+  assert.equal((await admin.post(`/api/admin/trash/${id}/restore`)).status, 404);
+  assert.deepEqual((await admin.get(`/api/movies/${id}/revisions`)).body.items.map((r) => r.action), ['restore', 'delete', 'create']);
+});
+
+it('merged duplicates go to the trash marked with the movie they were merged into', async ({ baseUrl, db }) => {
+  const admin = await signIn(baseUrl, db, 'merger', 'admin');
+  const keep = (await admin.post('/api/movies', { ...MOVIE, title: 'Collateral', year: 2004 })).body._id;
+  const dupe = (await admin.post('/api/movies', { ...MOVIE, title: 'Collateral ', year: 2004, genres: ['Thriller'] })).body._id;
+
+  const merged = await admin.post('/api/admin/movies/merge', { targetId: keep, sourceIds: [dupe] });
+  assert.equal(merged.status, 200);
+  assert.equal(merged.body.moviesDeleted, 1);
+  const trashed = await db.collection('movies').findOne({ _id: new ObjectId(dupe) });
+  assert.ok(trashed.deletedAt);
+  assert.equal(String(trashed.mergedInto), keep);
+  assert.equal((await admin.get(`/api/movies/${dupe}/revisions`)).body.items[0].action, 'delete');
+});
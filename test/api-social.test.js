@@ -0,0 +1,136 @@
+const assert = require('node:assert/strict');
+const { integration, createClient, signedIn, seedMovies } = require('./helpers/harness');
+
+const it = integration();
+
+/** Send a follow request from follower and have owner approve it. */
+async function follow(follower, owner, ownerName, followerName) {
+  assert.equal((await follower.post('/api/user/following', { username: ownerName })).status, 200);
+  assert.equal((await owner.post(`/api/user/follow-requests/${followerName}`)).status, 200);
+}
+
+it('follow and unfollow update both profiles and the account counts', async ({ baseUrl, db }) => {
+  const ann = await signedIn(baseUrl, db, 'ann');
+  const benClient = await signedIn(baseUrl, db, 'ben');
+
+  assert.equal((await ann.post('/api/user/following', { username: 'ann' })).status, 400, 'no following yourself');
+  assert.equal((await ann.post('/api/user/following', { username: 'nobody' })).status, 404);
+  const requested = { following: false, requested: true, followers: 0 };
+  assert.deepEqual((await ann.post('/api/user/following', { username: 'ben' })).body, requested);
+  assert.deepEqual((await ann.post('/api/user/following', { username: 'ben' })).body, requested);
+  assert.equal((await ann.get('/api/users/ben')).body.followRequested, true);
+  assert.deepEqual((await ann.get('/api/users/ben/followers')).body.items, [], 'a request is not a follow yet');
+
+  assert.deepEqual((await benClient.get('/api/user/follow-requests')).body.items.map((u) => u.username), ['ann']);
+  assert.deepEqual((await benClient.post('/api/user/follow-requests/ann')).body, { approved: true, followers: 1 });
+  assert.equal((await benClient.post('/api/user/follow-requests/ann')).status, 404, 'already approved');
+  assert.deepEqual((await benClient.get('/api/user/follow-requests')).body.items, []);
+  assert.deepEqual((await ann.post('/api/user/following', { username: 'ben' })).body, { following: true, requested: false, followers: 1 });
+
+  const ben = (await ann.get('/api/users/ben')).body;
+  assert.equal(ben.followers, 1);
+  assert.equal(ben.isFollowing, true);
+  assert.equal(ben.followRequested, false);
+  assert.equal(ben.isSelf, false);
+  assert.ok(!('privacy' in ben), 'privacy settings are only shown to their owner');
+  assert.deepEqual((await ann.get('/api/users/ben/followers')).body.items.map((u) => u.username), ['ann']);
+  assert.deepEqual((await ann.get('/api/users/ann/following')).body.items.map((u) => u.username), ['ben']);
+  assert.equal((await ann.get('/auth/account')).body.following, 1);
+
+  assert.deepEqual((await ann.delete('/api/user/following/ben')).body, { following: false, requested: false, followers: 0 });
+  assert.equal((await ann.get('/auth/account')).body.following, 0);
+  assert.equal((await createClient(baseUrl).post('/api/user/following', { username: 'ben' })).status, 401);
+});
+
+it('privacy settings decide what profiles and feeds show', async ({ baseUrl, db }) => {
+  const [heat, ronin] = await seedMovies(db, [
+    { title: 'Heat', year: 1995, genres: ['Crime'] },
+    { title: 'Ronin', year: 1998, genres: ['Action'] },
+  ]);
+  const cara = await signedIn(baseUrl, db, 'cara');
+  const fan = await signedIn(baseUrl, db, 'fan');
+  const guest = createClient(baseUrl);
+
+  await cara.post('/api/user/likes', { movieId: heat });
+  await cara.post('/api/user/watchlist', { movieId: ronin });
+  await cara.post(`/api/movies/${ronin}/reviews`, { rating: 8, text: 'Great car chases' });
+
+  const types = async (client, path) => (await client.get(path)).body.items.map((i) => i.type);
+  assert.deepEqual(await types(guest, '/api/users/cara/activity'), ['review'], 'likes and watchlist are private by default');
+  assert.deepEqual(await types(cara, '/api/users/cara/activity'), ['review', 'watchlist', 'like']);
+
+  const patched = await cara.patch('/auth/account', { privacy: { likes: 'followers' } });
+  assert.deepEqual(patched.body.privacy, { likes: 'followers', watchlist: 'private', reviews: 'public' });
+  assert.equal((await cara.patch('/auth/account', { privacy: { likes: 'friends' } })).status, 400);
+  assert.deepEqual(await types(guest, '/api/users/cara/activity'), ['review']);
+
+  assert.deepEqual((await fan.get('/api/user/feed')).body, { items: [], nextCursor: null, hasMore: false });
+  await follow(fan, cara, 'cara', 'fan');
+  const feed = (await fan.get('/api/user/feed')).body;
+  assert.deepEqual(feed.items.map((i) => i.type), ['review', 'like']);
+  assert.equal(feed.items[0].user.username, 'cara');
+  assert.equal(feed.items[0].movie.title, 'Ronin');
+  assert.deepEqual(feed.items[0].review.text, 'Great car chases');
+  assert.equal(feed.items[1].movie.title, 'Heat');
+
+  await cara.delete(`/api/user/likes/${heat}`);
+  assert.deepEqual(await types(fan, '/api/user/feed'), ['review'], 'an unlike leaves the feed too');
+});
+
+it('the feed pages with a cursor', async ({ baseUrl, db }) => {
+  const ids = await seedMovies(db, [1, 2, 3, 4, 5].map((n) => ({ title: `Film ${n}`, year: 2000 + n, genres: ['Drama'] })));
+  const dee = await signedIn(baseUrl, db, 'dee');
+  const reader = await signedIn(baseUrl, db, 'reader');
+  await dee.patch('/auth/account', { privacy: { likes: 'public' } });
+  for (const movieId of ids) await dee.post('/api/user/likes', { movieId });
+  await follow(reader, dee, 'dee', 'reader');
+
+  const seen = [];
+  let cursor = '';
+  for (let pages = 0; pages < 5; pages++) {
+    const { body } = await reader.get(`/api/user/feed?limit=2${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}`);
+    seen.push(...body.items.map((i) => i.movie._id));
+    if (!body.hasMore) break;
+    cursor = body.nextCursor;
+  }
+  assert.deepEqual(seen.sort(), ids.slice().sort());
+  assert.equal((await reader.get('/api/user/feed?cursor=nope')).status, 400);
+});
+
+it('deleting an account removes its follows', async ({ baseUrl, db }) => {
+  const eve = await signedIn(baseUrl, db, 'eve');
+  const fay = await signedIn(baseUrl, db, 'fay');
+  await follow(eve, fay, 'fay', 'eve');
+  await fay.post('/api/user/following', { username: 'eve' });
+
+  assert.equal((await eve.request('DELETE', '/auth/account', { body: { password: 'secret123' } })).status, 200);
+  assert.equal((await fay.get('/api/users/eve')).status, 404);
+  const account = (await fay.get('/auth/account')).body;
+  assert.deepEqual([account.followers, account.following], [0, 0]);
+});
+
+it('followers-only activity stays hidden until the follow request is approved', async ({ baseUrl, db }) => {
+  const [heat] = await seedMovies(db, [{ title: 'Heat', year: 1995, genres: ['Crime'] }]);
+  const gil = await signedIn(baseUrl, db, 'gil');
+  const stranger = await signedIn(baseUrl, db, 'stranger');
+  const friend = await signedIn(baseUrl, db, 'friend');
+  await gil.patch('/auth/account', { privacy: { likes: 'followers' } });
+  await gil.post('/api/user/likes', { movieId: heat });
+
+  const types = async (client, path) => (await client.get(path)).body.items.map((i) => i.type);
+  await stranger.post('/api/user/following', { username: 'gil' });
+  await friend.post('/api/user/following', { username: 'gil' });
+  assert.deepEqual(await types(stranger, '/api/users/gil/activity'), [], 'a pending request reveals nothing');
+  assert.deepEqual(await types(stranger, '/api/user/feed'), []);
+
+  assert.equal((await gil.post('/api/user/follow-requests/friend')).status, 200);
+  assert.deepEqual((await gil.delete('/api/user/follow-requests/stranger')).body, { approved: false, followers: 1 });
+  assert.equal((await gil.delete('/api/user/follow-requests/stranger')).status, 404);
+  assert.deepEqual(await types(friend, '/api/users/gil/activity'), ['like']);
+  assert.deepEqual(await types(friend, '/api/user/feed'), ['like']);
+  assert.deepEqual(await types(stranger, '/api/users/gil/activity'), [], 'a declined follower is still refused');
+  assert.equal((await stranger.get('/api/users/gil')).body.followRequested, false);
+
+  assert.equal((await stranger.post('/api/user/follow-requests/gil')).status, 404, 'only the followed user can approve');
+  assert.equal((await createClient(baseUrl).get('/api/user/follow-requests')).status, 401);
+});
@@ -0,0 +1,55 @@
+const assert = require('node:assert/strict');
+const { integration, createClient, signedIn } = require('./helpers/harness');
+
+const it = integration();
+
+async function createToken(client, scopes) {
+  const res = await client.post('/auth/tokens', { name: 'script', scopes });
+  assert.equal(res.status, 201);
+  return res.body.token;
+}
+
+const withToken = (baseUrl, token, path, init = {}) =>
+  fetch(baseUrl + path, { ...init, headers: { ...init.headers, Authorization: `Bearer ${token}` } });
+
+it('token scopes hold whatever the case of the path', async ({ baseUrl, db }) => {
+  const admin = await signedIn(baseUrl, db, 'token-admin', 'admin');
+  const token = await createToken(admin, ['catalog:read']);
+
+  assert.equal((await withToken(baseUrl, token, '/api/movies')).status, 200);
+  for (const path of ['/api/admin/users', '/api/Admin/users', '/API/ADMIN/users', '/api/user/likes', '/api/User/likes', '/Auth/Tokens']) {
+    assert.equal((await withToken(baseUrl, token, path)).status, 403, path);
+  }
+});
+
+it('changing the password revokes every token of the user', async ({ baseUrl, db }) => {
+  const client = await signedIn(baseUrl, db, 'token-changer');
+  const token = await createToken(client, ['catalog:read']);
+  assert.equal((await withToken(baseUrl, token, '/auth/me')).status, 200);
+
+  const res = await client.post('/auth/password', { currentPassword: 'secret123', newPassword: 'secret456' });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.tokensRevoked, 1);
+  assert.equal((await withToken(baseUrl, token, '/auth/me')).status, 401);
+});
+
+it('resetting the password revokes every token of the user', async ({ baseUrl, db, mail }) => {
+  const client = await signedIn(baseUrl, db, 'token-resetter');
+  const token = await createToken(client, ['catalog:read']);
+
+  await createClient(baseUrl).post('/auth/forgot-password', { email: 'token-resetter@example.com' });
+  const resetToken = mail.at(-1).text.match(/token=([\w-]+)/)[1];
+  const res = await createClient(baseUrl).post('/auth/reset-password', { token: resetToken, password: 'secret456' });
+  assert.equal(res.status, 200);
+  assert.equal((await withToken(baseUrl, token, '/auth/me')).status, 401);
+});
+
+it('deleting the account removes its tokens', async ({ baseUrl, db }) => {
+  const client = await signedIn(baseUrl, db, 'token-leaver');
+  const token = await createToken(client, ['catalog:read']);
+  const { id } = (await client.get('/auth/me')).body.user;
+
+  assert.equal((await client.delete('/auth/account', { body: { password: 'secret123' } })).status, 200);
+  assert.equal((await withToken(baseUrl, token, '/auth/me')).status, 401);
+  assert.equal(await db.collection('api_tokens').countDocuments({ userId: String(id) }), 0);
+});
@@ -0,0 +1,151 @@
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { integration, createClient, createUser, signedIn, seedMovies } = require('./helpers/harness');
+
+const it = integration();
+
+it('likes and watchlist need a signed-in user', async ({ baseUrl }) => {
+  const guest = createClient(baseUrl);
+  for (const list of ['likes', 'watchlist']) {
+    assert.equal((await guest.get(`/api/user/${list}`)).status, 401);
+    assert.equal((await guest.post(`/api/user/${list}`, { movieId: '0123456789abcdef01234567' })).status, 401);
+  }
+});
+
+for (const list of ['likes', 'watchlist']) {
+  it(`${list}: add is idempotent and delete removes`, async ({ baseUrl, db }) => {
+    const [alien, heat] = await seedMovies(db, [
+      { title: 'Alien', year: 1979, genres: ['Sci-Fi'] },
+      { title: 'Heat', year: 1995, genres: ['Crime'] },
+    ]);
+    const client = await signedIn(baseUrl, db, `${list}-fan`);
+
+    assert.deepEqual((await client.get(`/api/user/${list}`)).body, { items: [] });
+    assert.deepEqual((await client.post(`/api/user/${list}`, { movieId: alien })).body, { items: [alien] });
+    assert.deepEqual((await client.post(`/api/user/${list}`, { movieId: alien })).body, { items: [alien] });
+    const both = await client.post(`/api/user/${list}`, { movieId: heat });
+    assert.deepEqual(both.body.items.sort(), [alien, heat].sort());
+
+    const removed = await client.delete(`/api/user/${list}/${alien}`);
+    assert.equal(removed.status, 200);
+    assert.deepEqual(removed.body, { items: [heat] });
+    assert.deepEqual((await client.get(`/api/user/${list}`)).body, { items: [heat] });
+  });
+}
+
+it('likes are kept per user and shown as a built-in list', async ({ baseUrl, db }) => {
+  const [movieId] = await seedMovies(db, [{ title: 'Up', year: 2009, genres: ['Animation'] }]);
+  const ann = await signedIn(baseUrl, db, 'ann');
+  const ben = await signedIn(baseUrl, db, 'ben');
+
+  await ann.post('/api/user/likes', { movieId });
+  assert.deepEqual((await ben.get('/api/user/likes')).body, { items: [] });
+
+  const { body } = await ann.get('/api/user/lists');
+  const likes = body.items.find((l) => l._id === 'likes');
+  assert.equal(likes.builtIn, true);
+  assert.equal(likes.count, 1);
+  assert.equal(likes.items[0].movieId, movieId);
+  assert.equal((await ann.get('/api/user/lists/watchlist')).body.list.count, 0);
+});
+
+it('likes and watchlist reject malformed movie ids', async ({ baseUrl, db }) => {
+  const client = await signedIn(baseUrl, db, 'typo');
+
+  const body = await client.post('/api/user/likes', { movieId: 'not-an-id' });
+  assert.equal(body.status, 400);
+  assert.deepEqual(body.body.details, [{ in: 'body', field: 'movieId', message: 'movieId must be a valid id' }]);
+
+  const missing = await client.post('/api/user/watchlist', {});
+  assert.equal(missing.body.details[0].message, 'movieId is required');
+
+  const path = await client.delete('/api/user/watchlist/42');
+  assert.equal(path.status, 400);
+  assert.equal(path.body.details[0].in, 'path');
+});
+
+it('concurrent adds of the same film keep one entry and all succeed', async ({ baseUrl, db }) => {
+  const [movieId] = await seedMovies(db, [{ title: 'Ronin', year: 1998, genres: ['Action'] }]);
+  const client = await signedIn(baseUrl, db, 'double-click');
+
+  for (const path of ['/api/user/likes', '/api/user/lists/likes/items', '/api/user/lists/watchlist/items']) {
+    const responses = await Promise.all(Array.from({ length: 5 }, () => client.post(path, { movieId })));
+    assert.deepEqual(responses.map((r) => r.status), [200, 200, 200, 200, 200], path);
+  }
+  assert.equal(await db.collection('likes').countDocuments({ movieId: new ObjectId(movieId) }), 1);
+  assert.equal(await db.collection('watchlist').countDocuments({ movieId: new ObjectId(movieId) }), 1);
+});
+
+it('private lists are only shown to their owner', async ({ baseUrl, db }) => {
+  const [heat] = await seedMovies(db, [{ title: 'Heat', year: 1995, genres: ['Crime'] }]);
+  const owner = await signedIn(baseUrl, db, 'list-owner');
+  const other = await signedIn(baseUrl, db, 'list-other');
+  const list = (await owner.post('/api/user/lists', { name: 'Secret', visibility: 'private' })).body;
+  await owner.post(`/api/user/lists/${list._id}/items`, { movieId: heat });
+
+  const shared = await owner.get(`/api/lists/${list.shareId}`);
+  assert.equal(shared.status, 200);
+  assert.equal(shared.body.isOwner, true);
+  assert.deepEqual(shared.body.movies.map((m) => m.title), ['Heat']);
+  assert.equal((await other.get(`/api/lists/${list.shareId}`)).status, 404);
+  assert.equal((await createClient(baseUrl).get(`/api/lists/${list.shareId}`)).status, 404);
+  assert.equal((await other.get(`/api/user/lists/${list._id}`)).status, 404);
+  assert.deepEqual((await createClient(baseUrl).get('/api/lists?user=list-owner')).body.items, []);
+});
+
+it('unlisted lists open by share id but are left out of public listings', async ({ baseUrl, db }) => {
+  const owner = await signedIn(baseUrl, db, 'unlisted-owner');
+  const unlisted = (await owner.post('/api/user/lists', { name: 'Link only', visibility: 'unlisted' })).body;
+  const published = (await owner.post('/api/user/lists', { name: 'For everyone', visibility: 'public' })).body;
+  const guest = createClient(baseUrl);
+
+  const shared = await guest.get(`/api/lists/${unlisted.shareId}`);
+  assert.equal(shared.status, 200);
+  assert.equal(shared.body.list.name, 'Link only');
+  assert.equal(shared.body.isOwner, false);
+  assert.deepEqual((await guest.get('/api/lists?user=unlisted-owner')).body.items.map((l) => l.shareId), [published.shareId]);
+  assert.ok(!(await guest.get('/api/lists')).body.items.some((l) => l.shareId === unlisted.shareId));
+
+  await owner.patch(`/api/user/lists/${published._id}`, { visibility: 'private' });
+  assert.deepEqual((await guest.get('/api/lists?user=unlisted-owner')).body.items, [], 'making a list private hides it at once');
+  assert.equal((await guest.get(`/api/lists/${published.shareId}`)).status, 404);
+});
+
+it("diary entries are edited only by their owner; another user's entry is a 404", async ({ baseUrl, db }) => {
+  const [heat] = await seedMovies(db, [{ title: 'Heat', year: 1995, genres: ['Crime'] }]);
+  const owner = await signedIn(baseUrl, db, 'diarist');
+  const other = await signedIn(baseUrl, db, 'snoop');
+
+  const created = await owner.post('/api/user/diary', { movieId: heat, watchedAt: '2026-01-02', rating: 7 });
+  assert.equal(created.status, 201);
+  const path = `/api/user/diary/${created.body._id}`;
+
+  assert.equal((await other.patch(path, { rating: 1 })).status, 404);
+  assert.equal((await other.delete(path)).status, 404);
+  assert.equal((await owner.patch('/api/user/diary/0123456789abcdef01234567', { rating: 1 })).status, 404);
+
+  const edited = await owner.patch(path, { rating: 9, notes: ' Again ' });
+  assert.equal(edited.status, 200);
+  assert.deepEqual([edited.body.rating, edited.body.notes], [9, 'Again']);
+});
+
+it('an unverified account cannot add to likes or the watchlist, directly or by import', async ({ baseUrl, db }) => {
+  const [heat] = await seedMovies(db, [{ title: 'Heat', year: 1995, genres: ['Crime'] }]);
+  await createUser(db, { username: 'unconfirmed', emailVerified: false });
+  const client = createClient(baseUrl);
+  assert.equal((await client.login('unconfirmed', 'secret123')).status, 200);
+  const csv = 'Name,Year\nHeat,1995\n';
+
+  for (const list of ['likes', 'watchlist']) {
+    const added = await client.post(`/api/user/${list}`, { movieId: heat });
+    assert.equal(added.status, 403);
+    assert.equal(added.body.code, 'forbidden');
+    const imported = await client.post(`/api/user/import/letterboxd?list=${list}`, csv, { headers: { 'Content-Type': 'text/csv' } });
+    assert.equal(imported.status, 403);
+    assert.deepEqual((await client.get(`/api/user/${list}`)).body, { items: [] }, 'reading still works');
+    assert.equal((await client.delete(`/api/user/${list}/${heat}`)).status, 200, 'so does removing');
+  }
+  const userId = (await client.get('/auth/me')).body.user.id;
+  assert.equal(await db.collection('likes').countDocuments({ userId }), 0);
+  assert.equal(await db.collection('watchlist').countDocuments({ userId }), 0);
+});
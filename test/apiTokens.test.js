@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { generateToken, validateTokenBody, requiredScope, tokenAllows } = require('../services/apiTokens');
+
+const req = (method, originalUrl) => ({ method, originalUrl });
+
+test('generateToken makes prefixed, unguessable tokens', () => {
+  const a = generateToken();
+  assert.match(a, /^mm_[A-Za-z0-9_-]{43}$/);
+  assert.notEqual(a, generateToken());
+});
+
+test('validateTokenBody checks name, scopes and expiry, and keeps admin scope for admins', () => {
+  const { errors, data } = validateTokenBody({ name: ' Script ', scopes: ['catalog:read', 'catalog:read'], expiresInDays: '30' }, 'user');
+  assert.deepEqual(errors, []);
+  assert.deepEqual(data, { name: 'Script', scopes: ['catalog:read'], expiresInDays: 30 });
+
+  assert.deepEqual(validateTokenBody({ name: 'x', scopes: ['admin'] }, 'user').errors, ['only admins can create admin tokens']);
+  assert.deepEqual(validateTokenBody({ name: 'x', scopes: ['admin'] }, 'admin').errors, []);
+  assert.deepEqual(validateTokenBody({ name: 'x', scopes: ['everything'] }, 'admin').errors, [
+    'scopes must be among catalog:read, lists:write, admin',
+  ]);
+  assert.deepEqual(validateTokenBody({ scopes: [], expiresInDays: 0 }, 'user').errors, [
+    'name is required',
+    'scopes must be a non-empty array',
+    'expiresInDays must be an integer between 1 and 365',
+  ]);
+});
+
+test('requiredScope maps requests to scopes and keeps account routes session-only', () => {
+  assert.equal(requiredScope(req('GET', '/api/movies?genre=Drama')), 'catalog:read');
+  assert.equal(requiredScope(req('POST', '/api/user/likes')), 'lists:write');
+  assert.equal(requiredScope(req('GET', '/api/user/diary')), 'lists:write');
+  assert.equal(requiredScope(req('GET', '/api/user/feed?limit=5')), 'lists:write');
+  assert.equal(requiredScope(req('GET', '/api/users/alice/activity')), 'catalog:read', 'public profiles are not the user\'s own data');
+  assert.equal(requiredScope(req('DELETE', '/api/movies/1')), 'admin');
+  assert.equal(requiredScope(req('GET', '/api/admin/users')), 'admin');
+  assert.equal(requiredScope(req('GET', '/auth/me')), '*');
+  assert.equal(requiredScope(req('GET', '/api/Admin/users')), 'admin', 'routing ignores case, so scopes must too');
+  assert.equal(requiredScope(req('GET', '/API/USER/likes')), 'lists:write');
+  assert.equal(requiredScope(req('GET', '/api/%61dmin/users')), 'admin');
+  assert.equal(requiredScope(req('POST', '/Auth/Tokens')), null);
+  assert.equal(requiredScope(req('POST', '/auth/tokens')), null);
+  assert.equal(requiredScope(req('POST', '/auth/logout')), null);
+  assert.equal(requiredScope(req('GET', '/profile')), null);
+});
+
+test('tokenAllows needs the scope, and admin scope only works for admins', () => {
+  assert.equal(tokenAllows(req('GET', '/api/movies'), ['catalog:read'], 'user'), true);
+  assert.equal(tokenAllows(req('POST', '/api/user/lists'), ['catalog:read'], 'user'), false);
+  assert.equal(tokenAllows(req('POST', '/api/user/lists'), ['lists:write'], 'user'), true);
+  assert.equal(tokenAllows(req('POST', '/api/movies'), ['admin'], 'admin'), true);
+  assert.equal(tokenAllows(req('POST', '/api/movies'), ['admin'], 'user'), false);
+  assert.equal(tokenAllows(req('GET', '/auth/me'), ['lists:write'], 'user'), true);
+  assert.equal(tokenAllows(req('PATCH', '/auth/account'), ['admin'], 'admin'), false);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { createCache, etagFor, canonicalQuery } = require('../services/cache');
+const { encodeCursor, decodeCursor, cursorFilter } = require('../services/cursor');
+
+test('createCache evicts the least recently used entry and expires old ones', (t) => {
+  t.mock.timers.enable({ apis: ['Date'] });
+  const cache = createCache({ max: 2, ttlMs: 1000 });
+  cache.set('a', 1);
+  cache.set('b', 2);
+  assert.equal(cache.get('a'), 1);
+  cache.set('c', 3);
+  assert.equal(cache.get('b'), undefined);
+  assert.equal(cache.get('a'), 1);
+
+  t.mock.timers.tick(1001);
+  assert.equal(cache.get('a'), undefined);
+});
+
+test('a load that started before clear() is not stored', () => {
+  const cache = createCache({ max: 10, ttlMs: 1000 });
+  const version = cache.version;
+  cache.clear();
+  cache.set('stale', 1, version);
+  assert.equal(cache.get('stale'), undefined);
+  cache.set('fresh', 2, cache.version);
+  assert.equal(cache.get('fresh'), 2);
+});
+
+test('canonicalQuery ignores parameter order and etagFor tracks content', () => {
+  assert.equal(canonicalQuery({ sort: 'year', genre: 'Drama' }), canonicalQuery({ genre: 'Drama', sort: 'year' }));
+  assert.notEqual(canonicalQuery({ genre: ['a', 'b'] }), canonicalQuery({ genre: 'a,b' }));
+  assert.equal(etagFor({ a: 1 }), etagFor({ a: 1 }));
+  assert.notEqual(etagFor({ a: 1 }), etagFor({ a: 2 }));
+  assert.match(etagFor({}), /^"[\w-]+"$/);
+});
+
+test('cursors round-trip ObjectIds and dates and are rejected for another sort', () => {
+  const sort = { createdAt: -1, _id: 1 };
+  const doc = { _id: new ObjectId(), createdAt: new Date('2024-05-01T00:00:00Z') };
+  const values = decodeCursor(encodeCursor(doc, sort), sort);
+  assert.ok(values[1].equals(doc._id));
+  assert.equal(values[0].getTime(), doc.createdAt.getTime());
+
+  assert.equal(decodeCursor(encodeCursor(doc, sort), { year: 1, _id: 1 }), null);
+  assert.equal(decodeCursor('not-a-cursor', sort), null);
+});
+
+// Just enough of Mongo's query and sort semantics to walk pages in memory.
+function compare(a, b) {
+  if (a == null || b == null) return (a == null ? 0 : 1) - (b == null ? 0 : 1);
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+function matches(doc, filter) {
+  return Object.entries(filter).every(([key, cond]) => {
+    if (key === '$or') return cond.some((f) => matches(doc, f));
+    if (key === '$and') return cond.every((f) => matches(doc, f));
+    const value = doc[key] ?? null;
+    if (cond === null || typeof cond !== 'object') return compare(value, cond) === 0;
+    if ('$gt' in cond) return value != null && compare(value, cond.$gt) > 0;
+    if ('$lt' in cond) return value != null && compare(value, cond.$lt) < 0;
+    if ('$ne' in cond) return compare(value, cond.$ne) !== 0;
+    return false;
+  });
+}
+function sortDocs(docs, sort) {
+  return docs.slice().sort((a, b) => {
+    for (const [k, dir] of Object.entries(sort)) {
+      const c = compare(a[k] ?? null, b[k] ?? null);
+      if (c) return c * dir;
+    }
+    return 0;
+  });
+}
+
+test('cursorFilter pages through ties and missing values without gaps or repeats', () => {
+  const docs = [
+    { _id: 1, rating: 8 },
+    { _id: 2, rating: null },
+    { _id: 3, rating: 8 },
+    { _id: 4, rating: 5 },
+    { _id: 5 },
+    { _id: 6, rating: 9 },
+    { _id: 7, rating: 5 },
+  ];
+  for (const sort of [{ rating: -1, _id: 1 }, { rating: 1, _id: 1 }]) {
+    const expected = sortDocs(docs, sort).map((d) => d._id);
+    const seen = [];
+    let after = null;
+    for (let guard = 0; guard < 10; guard++) {
+      const pool = after ? docs.filter((d) => matches(d, cursorFilter(sort, after))) : docs;
+      const page = sortDocs(pool, sort).slice(0, 2);
+      if (page.length === 0) break;
+      seen.push(...page.map((d) => d._id));
+      after = decodeCursor(encodeCursor(page[page.length - 1], sort), sort);
+    }
+    assert.deepEqual(seen, expected);
+  }
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, parseCsvObjects, stringifyCsv } = require('../services/csv');
+const { rowToFilmBody, parseRecords, planImport, titleYearKey } = require('../services/catalog');
+const { matchRows } = require('../services/letterboxd');
+
+test('parseCsv handles quotes, escaped quotes, embedded newlines, CRLF and BOM', () => {
+  const text = '﻿title,description\r\n"Heat","A ""cop"", a thief,\nand LA"\r\nAlien,\r\n';
+  assert.deepEqual(parseCsv(text), [
+    ['title', 'description'],
+    ['Heat', 'A "cop", a thief,\nand LA'],
+    ['Alien', ''],
+  ]);
+  assert.throws(() => parseCsv('"open'), /Unterminated/);
+});
+
+test('stringifyCsv output parses back to the same records', () => {
+  const records = [{ title: 'Heat, 1995', year: 1995, note: 'say "hi"' }, { title: 'Alien', year: 1979, note: null }];
+  const csv = stringifyCsv(['title', 'year', 'note'], records);
+  assert.deepEqual(parseCsvObjects(csv), [
+    { title: 'Heat, 1995', year: '1995', note: 'say "hi"' },
+    { title: 'Alien', year: '1979', note: '' },
+  ]);
+});
+
+test('rowToFilmBody maps header aliases, splits genres and drops blank cells', () => {
+  assert.deepEqual(rowToFilmBody({ Name: 'Heat', Year: '1995', Genres: 'Crime| Thriller', Director: '', Poster: 'p.jpg' }), {
+    title: 'Heat',
+    year: '1995',
+    genres: ['Crime', 'Thriller'],
+    posterUrl: 'p.jpg',
+  });
+});
+
+test('parseRecords accepts a JSON array or { movies } and rejects anything else', () => {
+  assert.equal(parseRecords('[{"title":"Heat"}]', 'json').length, 1);
+  assert.equal(parseRecords({ movies: [{}, {}] }, 'json').length, 2);
+  assert.throws(() => parseRecords('{"title":"Heat"}', 'json'), (err) => err.status === 400);
+  assert.throws(() => parseRecords('nope', 'json'), /Invalid JSON/);
+});
+
+test('planImport validates rows, flags in-file duplicates and upserts on title + year', () => {
+  const existing = new Map([[titleYearKey('Heat', 1995), 'existing-heat']]);
+  const records = [
+    { title: 'heat ', year: 1995, genres: ['Crime'] },
+    { title: 'Alien', year: 1979, genres: 'Horror|Sci-Fi', rating: 8.5 },
+    { title: 'ALIEN', year: '1979', genres: 'Horror' },
+    { title: '', year: 1979, genres: 'Horror' },
+    { title: 'Future', year: 3000, genres: 'Sci-Fi', rating: 11 },
+    'not an object',
+  ];
+  const { summary, rows, operations } = planImport(records, existing);
+
+  assert.deepEqual(summary, { total: 6, created: 1, updated: 1, failed: 4 });
+  assert.deepEqual(rows.map((r) => r.action), ['update', 'create', 'error', 'error', 'error', 'error']);
+  assert.equal(rows[0]._id, 'existing-heat');
+  assert.deepEqual(rows[2].errors, ['duplicate of row 2']);
+  assert.equal(rows[4].errors.length, 2);
+
+  assert.equal(operations.length, 2);
+  assert.equal(operations[0].updateOne.filter._id, 'existing-heat');
+  assert.equal(operations[0].updateOne.update.$set.title, 'heat');
+  assert.deepEqual(operations[1].insertOne.document.genres, ['Horror', 'Sci-Fi']);
+  assert.equal(operations[1].insertOne.document.rating, 8.5);
+});
+
+test('planImport refuses rows matching a movie in the trash', () => {
+  const trashed = new Set([titleYearKey('Heat', 1995)]);
+  const { summary, rows, operations } = planImport([{ title: 'Heat', year: 1995, genres: 'Crime' }], new Map(), trashed);
+  assert.deepEqual(summary, { total: 1, created: 0, updated: 0, failed: 1 });
+  assert.deepEqual(rows[0].errors, ['matches a movie in the trash; restore it first']);
+  assert.equal(operations.length, 0);
+});
+
+test('Letterboxd rows match by title and year, or by unique title when the year is missing', () => {
+  const catalog = [
+    { _id: 'a', title: 'Heat', year: 1995 },
+    { _id: 'b', title: 'Heat', year: 1986 },
+    { _id: 'c', title: 'Alien', year: 1979 },
+  ];
+  const rows = matchRows(
+    [
+      { Date: '2024-01-01', Name: 'Heat', Year: '1986' },
+      { Name: 'Heat', Year: '' },
+      { Title: 'alien' },
+      { Name: 'Arrival', Year: '2016' },
+      { Name: '' },
+    ],
+    catalog
+  );
+  assert.deepEqual(rows.map((r) => r.status), ['matched', 'unmatched', 'matched', 'unmatched', 'invalid']);
+  assert.equal(rows[0].movieId, 'b');
+  assert.equal(rows[2].movieId, 'c');
+});
@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateContactBody } = require('../controllers/contactController');
+
+test('validateContactBody trims fields and accepts a complete message', () => {
+  const { errors, data } = validateContactBody({ name: ' Ana ', email: 'ana@example.com ', message: ' Hi there ' });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(data, { name: 'Ana', email: 'ana@example.com', message: 'Hi there' });
+});
+
+test('validateContactBody rejects missing, malformed and oversized fields', () => {
+  assert.equal(validateContactBody({}).errors.length, 3);
+  assert.deepEqual(validateContactBody({ name: 'Ana', email: 'not-an-email', message: 'Hi' }).errors, [
+    'email must be a valid address',
+  ]);
+  assert.deepEqual(validateContactBody({ name: 'Ana', email: 'ana@example.com', message: 'x'.repeat(5001) }).errors, [
+    'message must be at most 5000 characters',
+  ]);
+  assert.deepEqual(validateContactBody({ name: 'Ana', email: 'ana@example.com', message: '   ' }).errors, [
+    'message is required',
+  ]);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const movies = require('./fixtures/movies');
+const { computeDiaryStats, summarizeYear } = require('../services/diary');
+
+const moviesById = new Map(movies.map((m) => [m._id, m]));
+const entries = [
+  { movieId: 'm1', watchedAt: new Date('2025-01-03T20:00:00Z'), rating: 9, rewatch: false },
+  { movieId: 'm2', watchedAt: new Date('2025-01-20T20:00:00Z'), rating: 8, rewatch: false },
+  { movieId: 'm7', watchedAt: new Date('2025-03-08T20:00:00Z'), rating: null, rewatch: false },
+  { movieId: 'm1', watchedAt: new Date('2025-12-31T23:30:00Z'), rating: 10, rewatch: true },
+  { movieId: 'm6', watchedAt: new Date('2026-02-14T19:00:00Z'), rating: 7, rewatch: false },
+  { movieId: 'gone', watchedAt: new Date('2026-02-15T19:00:00Z'), rating: 4, rewatch: false },
+];
+
+test('computeDiaryStats counts viewings, films, rewatches and average rating', () => {
+  const stats = computeDiaryStats(entries, moviesById);
+  assert.equal(stats.totalEntries, 6);
+  assert.equal(stats.uniqueFilms, 5);
+  assert.equal(stats.rewatches, 1);
+  assert.equal(stats.averageRating, 7.6);
+  assert.deepEqual(stats.perMonth, [
+    { month: '2025-01', count: 2 },
+    { month: '2025-03', count: 1 },
+    { month: '2025-12', count: 1 },
+    { month: '2026-02', count: 2 },
+  ]);
+});
+
+test('computeDiaryStats ranks genres and directors, ignoring deleted movies', () => {
+  const stats = computeDiaryStats(entries, moviesById);
+  assert.deepEqual(stats.topGenres.slice(0, 3), [
+    { name: 'Drama', count: 4 },
+    { name: 'Crime', count: 3 },
+    { name: 'Sci-Fi', count: 2 },
+  ]);
+  assert.deepEqual(stats.topDirectors, [
+    { name: 'Francis Ford Coppola', count: 3 },
+    { name: 'Christopher Nolan', count: 2 },
+  ]);
+});
+
+test('computeDiaryStats handles an empty diary', () => {
+  const stats = computeDiaryStats([], moviesById);
+  assert.equal(stats.totalEntries, 0);
+  assert.equal(stats.averageRating, null);
+  assert.deepEqual(stats.perMonth, []);
+});
+
+test('summarizeYear fills every month and picks highlights for that year only', () => {
+  const summary = summarizeYear(entries, moviesById, 2025);
+  assert.equal(summary.totalEntries, 4);
+  assert.equal(summary.perMonth.length, 12);
+  assert.deepEqual(summary.perMonth[1], { month: '2025-02', count: 0 });
+  assert.equal(summary.busiestMonth, '2025-01');
+  assert.equal(summary.firstWatch.title, 'The Godfather');
+  assert.equal(summary.lastWatch.rating, 10);
+  assert.deepEqual(summary.highestRated.map((h) => h.rating), [10, 9, 8]);
+});
@@ -0,0 +1,14 @@
+// Small fixed catalog for recommendation tests. Ids are plain strings; the service
+// only ever compares ids through String().
+module.exports = [
+  { _id: 'm1', title: 'The Godfather', year: 1972, genres: ['Crime', 'Drama'], director: 'Francis Ford Coppola', communityRating: 9.2, communityRatingCount: 4 },
+  { _id: 'm2', title: 'The Godfather Part II', year: 1974, genres: ['Crime', 'Drama'], director: 'Francis Ford Coppola', communityRating: 9.0, communityRatingCount: 2 },
+  { _id: 'm3', title: 'The Conversation', year: 1974, genres: ['Drama', 'Mystery', 'Thriller'], director: 'Francis Ford Coppola', communityRating: 7.8, communityRatingCount: 1 },
+  { _id: 'm4', title: 'Goodfellas', year: 1990, genres: ['Crime', 'Drama'], director: 'Martin Scorsese', communityRating: 8.7, communityRatingCount: 3 },
+  { _id: 'm5', title: 'Taxi Driver', year: 1976, genres: ['Crime', 'Drama'], director: 'Martin Scorsese', communityRating: 8.2, communityRatingCount: 1 },
+  { _id: 'm6', title: 'Interstellar', year: 2014, genres: ['Sci-Fi', 'Drama', 'Adventure'], director: 'Christopher Nolan', communityRating: 8.6, communityRatingCount: 5 },
+  { _id: 'm7', title: 'Inception', year: 2010, genres: ['Sci-Fi', 'Action', 'Thriller'], director: 'Christopher Nolan', communityRating: 8.8, communityRatingCount: 6 },
+  { _id: 'm8', title: 'Arrival', year: 2016, genres: ['Sci-Fi', 'Drama', 'Mystery'], director: 'Denis Villeneuve', communityRating: 7.9, communityRatingCount: 2 },
+  { _id: 'm9', title: 'Toy Story', year: 1995, genres: ['Animation', 'Comedy'], director: 'John Lasseter', communityRating: null, communityRatingCount: 0 },
+  { _id: 'm10', title: 'Paddington 2', year: 2017, genres: ['Comedy', 'Adventure'], director: 'Paul King', communityRating: null, communityRatingCount: 0 },
+];
@@ -0,0 +1,186 @@
+// Boots the real app against a throwaway database for integration tests. The database is
+// an in-memory mongod from mongodb-memory-server, or TEST_MONGO_URI when set (a fresh
+// database per test file is created there and dropped afterwards). When no mongod can be
+// started the tests run on an in-memory SQLite store, with a note saying so;
+// TEST_STORAGE=sqlite always uses SQLite and TEST_STORAGE=mongo never falls back.
+const { test, after } = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bcrypt = require('bcrypt');
+
+// limits are read when the middleware loads, so loosen them before the app is required
+process.env.NODE_ENV = 'test';
+process.env.SESSION_SECRET = process.env.SESSION_SECRET || 'test-secret';
+for (const name of ['LOGIN', 'REGISTER', 'PASSWORD_RESET', 'CONTACT', 'WRITE']) {
+  process.env[`RATE_LIMIT_${name}`] = '10000/1m';
+}
+// stored posters go to a scratch directory, never the checkout's media/
+process.env.MEDIA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mymovie-media-'));
+
+const { connectStorage, closeStorage } = require('../../database/storage');
+const { createApp } = require('../../app');
+const { setStore, createMemoryStore } = require('../../services/rateLimit');
+const { setMailer, createMailer } = require('../../services/mailer');
+const { invalidateCatalog } = require('../../services/cache');
+const { migrateUp } = require('../../services/migrations');
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const SQLITE_DATABASE = { backend: 'sqlite', path: ':memory:', stop: async () => {} };
+
+async function startMongo() {
+  if (process.env.TEST_MONGO_URI) return { backend: 'mongo', uri: process.env.TEST_MONGO_URI, stop: async () => {} };
+  const { MongoMemoryServer } = require('mongodb-memory-server');
+  const server = await MongoMemoryServer.create();
+  return { backend: 'mongo', uri: server.getUri(), stop: () => server.stop() };
+}
+
+async function startDatabase() {
+  const storage = process.env.TEST_STORAGE;
+  if (storage === 'sqlite') return SQLITE_DATABASE;
+  try {
+    return await startMongo();
+  } catch (err) {
+    if (storage === 'mongo') throw err;
+    console.warn(`MongoDB is unavailable (${err.message.split('\n')[0]}); running on SQLite instead`);
+    return SQLITE_DATABASE;
+  }
+}
+
+/** Start the app on a random port. Resolves to { baseUrl, db, mail, stop }. */
+async function startApp() {
+  const { stop: stopDatabase, ...options } = await startDatabase();
+  const db = await connectStorage({ ...options, dbName: `mymovie_test_${process.pid}` });
+  await migrateUp({ db });
+  setStore(createMemoryStore());
+  const mail = [];
+  const transport = {
+    name: 'memory',
+    async send(message) {
+      mail.push(message);
+      return { id: String(mail.length) };
+    },
+  };
+  setMailer(createMailer({ transport, from: 'MyMovie <test@mymovie.local>' }));
+
+  const app = createApp({ logRequests: false });
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    db,
+    mail,
+    async stop() {
+      await new Promise((resolve) => server.close(resolve));
+      await db.dropDatabase();
+      await closeStorage();
+      await stopDatabase();
+      setStore(null);
+      setMailer(null);
+      fs.rmSync(process.env.MEDIA_DIR, { recursive: true, force: true });
+    },
+  };
+}
+
+/**
+ * Declare integration tests for one file. The app starts with the first test and stops
+ * after the last; each test gets the running context.
+ */
+function integration() {
+  let starting = null;
+  const context = () => (starting ||= startApp());
+  after(async () => {
+    if (!starting) return;
+    const ctx = await starting;
+    if (ctx.stop) await ctx.stop();
+  });
+  return (name, fn) =>
+    test(name, async (t) => {
+      await fn(await context(), t);
+    });
+}
+
+/**
+ * A cookie-keeping HTTP client, like one browser tab. Writes fetch a CSRF token first and
+ * fetch a new one whenever the session cookie changes.
+ */
+function createClient(baseUrl) {
+  let cookie = '';
+  let csrf = null;
+
+  function remember(res) {
+    const setCookie = res.headers.getSetCookie().find((c) => c.startsWith('sid='));
+    if (!setCookie) return;
+    const value = setCookie.split(';')[0];
+    if (value === 'sid=') cookie = '';
+    else if (value !== cookie) cookie = value;
+    else return;
+    csrf = null;
+  }
+
+  async function request(method, path, { body, headers = {} } = {}) {
+    const init = { method, headers: { ...headers }, redirect: 'manual' };
+    if (!SAFE_METHODS.includes(method)) {
+      if (!csrf) csrf = (await request('GET', '/auth/csrf')).body.csrfToken;
+      init.headers['X-CSRF-Token'] = csrf;
+    }
+    // after the token fetch, which may have started the session
+    if (cookie) init.headers.Cookie = cookie;
+    if (body !== undefined) {
+      init.headers['Content-Type'] = init.headers['Content-Type'] || 'application/json';
+      init.body = typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body);
+    }
+    const res = await fetch(baseUrl + path, init);
+    remember(res);
+    const text = await res.text();
+    let parsed = text;
+    if ((res.headers.get('content-type') || '').includes('application/json')) parsed = JSON.parse(text);
+    return { status: res.status, headers: res.headers, body: parsed };
+  }
+
+  return {
+    request,
+    get: (path, options) => request('GET', path, options),
+    post: (path, body, options) => request('POST', path, { ...options, body }),
+    put: (path, body, options) => request('PUT', path, { ...options, body }),
+    patch: (path, body, options) => request('PATCH', path, { ...options, body }),
+    delete: (path, options) => request('DELETE', path, options),
+    login: (username, password) => request('POST', '/auth/login', { body: { username, password } }),
+  };
+}
+
+/** Insert a user directly; returns the document with its plain password. */
+async function createUser(db, { username, password = 'secret123', role = 'user', emailVerified = true } = {}) {
+  const doc = {
+    username,
+    email: `${username.toLowerCase()}@example.com`,
+    emailVerified,
+    passwordHash: await bcrypt.hash(password, 4),
+    role,
+    createdAt: new Date(),
+  };
+  const result = await db.collection('users').insertOne(doc);
+  return { _id: result.insertedId, ...doc, password };
+}
+
+/** Create a user (password secret123) and return a client signed in as them. */
+async function signedIn(baseUrl, db, username, role = 'user') {
+  await createUser(db, { username, role });
+  const client = createClient(baseUrl);
+  const res = await client.login(username, 'secret123');
+  if (res.status !== 200) throw new Error(`Signing in as ${username} answered ${res.status}`);
+  return client;
+}
+
+/** Replace the catalog with these movies and drop cached catalog responses. */
+async function seedMovies(db, movies) {
+  await db.collection('movies').deleteMany({});
+  const result = await db.collection('movies').insertMany(movies.map((m) => ({ createdAt: new Date(), ...m })));
+  invalidateCatalog();
+  return Object.values(result.insertedIds).map(String);
+}
+
+module.exports = { startApp, integration, createClient, createUser, signedIn, seedMovies };
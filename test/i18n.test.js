@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  LOCALES,
+  TRANSLATION_LOCALES,
+  parseAcceptLanguage,
+  resolveLocale,
+  localeChain,
+  messagesFor,
+  translate,
+  genreName,
+  localizeMovie,
+  validateTranslations,
+} = require('../services/i18n');
+const { localizeHtml, renderHtml } = require('../services/views');
+const { renderFilmHeader } = require('../services/pages');
+
+const HEAT = {
+  _id: 'heat',
+  title: 'Heat',
+  description: 'A heist goes wrong.',
+  genres: ['Crime', 'Drama'],
+  translations: { ru: { title: 'Схватка', description: 'Ограбление идёт не по плану.' }, kk: { description: 'Тонау сәтсіз аяқталады.' } },
+};
+
+test('every bundle has the English keys', () => {
+  assert.deepEqual(LOCALES, ['en', 'kk', 'ru']);
+  assert.deepEqual(TRANSLATION_LOCALES, ['kk', 'ru']);
+  const english = Object.keys(messagesFor('en'));
+  for (const locale of LOCALES) {
+    assert.deepEqual(english.filter((key) => !(key in messagesFor(locale))), [], locale);
+  }
+});
+
+test('the locale comes from ?lang=, then the cookie, then Accept-Language', () => {
+  assert.deepEqual(parseAcceptLanguage('de;q=0.5, ru-RU, kk;q=0.9, *;q=0.1, fr;q=0'), ['ru-RU', 'kk', 'de']);
+  assert.equal(resolveLocale({ acceptLanguage: 'de, ru-RU;q=0.8, en;q=0.5' }), 'ru');
+  assert.equal(resolveLocale({ cookie: 'kk', acceptLanguage: 'ru' }), 'kk');
+  assert.equal(resolveLocale({ lang: 'EN', cookie: 'kk' }), 'en');
+  assert.equal(resolveLocale({ lang: 'xx', cookie: 'zz', acceptLanguage: 'fr' }), 'en');
+  assert.deepEqual(localeChain('kk'), ['kk', 'ru', 'en']);
+  assert.deepEqual(localeChain('en'), ['en']);
+});
+
+test('translate picks plural forms and fills placeholders', () => {
+  assert.equal(translate('en', 'films.found', { count: 1 }), '1 film found');
+  assert.equal(translate('en', 'films.foundFor', { count: 3, query: 'heat' }), '3 films found for "heat"');
+  assert.equal(translate('ru', 'films.found', { count: 2 }), 'Найдено 2 фильма');
+  assert.equal(translate('ru', 'films.found', { count: 5 }), 'Найдено 5 фильмов');
+  assert.equal(translate('ru', 'missing.key'), 'missing.key');
+  assert.equal(genreName('Crime', 'ru'), 'Криминал');
+  assert.equal(genreName('Noir', 'ru'), 'Noir');
+});
+
+test('localizeMovie follows the fallback chain field by field', () => {
+  const ru = localizeMovie(HEAT, 'ru');
+  assert.equal(ru.title, 'Схватка');
+  assert.equal(ru.originalTitle, 'Heat');
+  assert.deepEqual(ru.genres, ['Crime', 'Drama']);
+  assert.deepEqual(ru.genreNames, ['Криминал', 'Драма']);
+
+  const kk = localizeMovie(HEAT, 'kk');
+  assert.equal(kk.title, 'Схватка', 'kk has no title, so the Russian one is used');
+  assert.equal(kk.description, 'Тонау сәтсіз аяқталады.');
+
+  const en = localizeMovie(HEAT, 'en');
+  assert.equal(en.title, 'Heat');
+  assert.equal(en.originalTitle, undefined);
+  assert.ok(!('description' in localizeMovie({ title: 'Heat', translations: HEAT.translations }, 'ru')), 'projected-out fields stay out');
+});
+
+test('validateTranslations keeps known locales and fields and drops empty values', () => {
+  assert.deepEqual(validateTranslations({ ru: { title: ' Схватка ', description: '' }, kk: { title: null } }), {
+    errors: [],
+    translations: { ru: { title: 'Схватка' } },
+  });
+  assert.deepEqual(validateTranslations(null), { errors: [], translations: {} });
+  assert.equal(validateTranslations(['ru']).errors.length, 1);
+  assert.deepEqual(validateTranslations({ de: { title: 'Heat' } }).errors, ['translations locale must be one of kk, ru']);
+  assert.deepEqual(validateTranslations({ ru: { year: 1995 } }).errors, ['translations.ru may only contain title, description']);
+  assert.deepEqual(validateTranslations({ ru: { title: 'x'.repeat(301) } }).errors, ['translations.ru.title must be at most 300 characters']);
+});
+
+test('views get their UI strings and the page scripts the bundle', () => {
+  const html =
+    '<html lang="en"><head><title>t</title></head><body><a href="/" class="nav-link" data-i18n="nav.home">Home</a>' +
+    '<input id="search-input" placeholder="Search films..." data-i18n-placeholder="nav.search" /><p data-i18n="nope">Kept</p></body></html>';
+  const ru = localizeHtml(html, 'ru');
+  assert.ok(ru.startsWith('<html lang="ru">'));
+  assert.ok(ru.includes('data-i18n="nav.home">Главная</a>'));
+  assert.ok(ru.includes('placeholder="Поиск фильмов..."'));
+  assert.ok(ru.includes('<p data-i18n="nope">Kept</p>'));
+
+  const page = renderHtml(html, { nonce: 'n0nce', locale: 'kk' });
+  const data = JSON.parse(page.match(/<script nonce="n0nce" type="application\/json" id="i18n-messages">([\s\S]*?)<\/script>/)[1]);
+  assert.equal(data.locale, 'kk');
+  assert.deepEqual(data.locales.map((l) => l.code), LOCALES);
+  assert.ok(page.includes('<script nonce="n0nce" src="/i18n.js"></script>'));
+});
+
+test('the server-rendered film header is read in the page locale', () => {
+  const film = localizeMovie({ ...HEAT, year: 1995, rating: 8, communityRating: 7, communityRatingCount: 3 }, 'ru');
+  const { info } = renderFilmHeader(film, 'ru');
+  assert.ok(info.includes('<h1>Схватка</h1>'));
+  assert.ok(info.includes('<p class="film-original-title">Оригинальное название: Heat</p>'));
+  assert.ok(info.includes('<span class="genre-tag">Криминал</span>'));
+  assert.ok(info.includes('Зрители 7 / 10 (3 рецензии)'));
+});
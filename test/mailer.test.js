@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { createMailer, fileTransport, transportFromEnv } = require('../services/mailer');
+const { verificationEmail, passwordResetEmail } = require('../services/emails');
+const { hashToken } = require('../services/authTokens');
+
+test('file transport writes each message as JSON with the mailer From address', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mymovie-mail-'));
+  try {
+    const mailer = createMailer({ transport: fileTransport(dir), from: 'MyMovie <no-reply@example.com>' });
+    const { id } = await mailer.send({ to: 'ana@example.com', subject: 'Hi', text: 'Hello' });
+    const files = await fs.readdir(dir);
+    assert.deepEqual(files, [`${id}.json`]);
+    const saved = JSON.parse(await fs.readFile(path.join(dir, files[0]), 'utf8'));
+    assert.equal(saved.from, 'MyMovie <no-reply@example.com>');
+    assert.equal(saved.to, 'ana@example.com');
+    assert.equal(saved.text, 'Hello');
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('mailer rejects incomplete messages and unknown transports', async () => {
+  const mailer = createMailer({ transport: { send: async () => ({ id: 'x' }) }, from: 'a@example.com' });
+  await assert.rejects(mailer.send({ to: 'ana@example.com', text: 'no subject' }), /needs to, subject and text/);
+  assert.throws(() => transportFromEnv({ MAIL_TRANSPORT: 'pigeon' }), /MAIL_TRANSPORT must be one of/);
+  assert.equal(transportFromEnv({}).name, 'console');
+  assert.equal(transportFromEnv({ MAIL_TRANSPORT: 'file', MAIL_DIR: '/tmp/x' }).dir, '/tmp/x');
+});
+
+test('verification and reset emails link to the app with the raw token and escape HTML', () => {
+  const verify = verificationEmail({ to: 'a@example.com', username: '<b>ana</b>', token: 'abc', baseUrl: 'https://mymovie.test' });
+  assert.match(verify.text, /https:\/\/mymovie\.test\/auth\/verify-email\?token=abc/);
+  assert.ok(verify.html.includes('&lt;b&gt;ana&lt;/b&gt;'));
+
+  const reset = passwordResetEmail({ to: 'a@example.com', username: 'ana', token: 'def', baseUrl: 'https://mymovie.test' });
+  assert.match(reset.text, /https:\/\/mymovie\.test\/reset-password\?token=def/);
+  assert.equal(reset.subject, 'Reset your MyMovie password');
+});
+
+test('tokens are stored only as SHA-256 hashes', () => {
+  assert.equal(hashToken('abc'), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+});
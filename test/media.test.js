@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { ObjectId } = require('mongodb');
+const { widthsFor, posterFields, inspectImage, isPublicAddress, fetchImage } = require('../services/media');
+const { integration, createClient, createUser, seedMovies } = require('./helpers/harness');
+
+const it = integration();
+
+function image(width, height, format = 'png') {
+  return sharp({ create: { width, height, channels: 3, background: { r: 200, g: 40, b: 40 } } })[format]().toBuffer();
+}
+
+test('widthsFor keeps the standard widths that fit, plus the original', () => {
+  assert.deepEqual(widthsFor(2000), [160, 320, 640, 1000]);
+  assert.deepEqual(widthsFor(1000), [160, 320, 640, 1000]);
+  assert.deepEqual(widthsFor(500), [160, 320, 500]);
+  assert.deepEqual(widthsFor(120), [120]);
+});
+
+test('posterFields points posterUrl at the largest width up to 640', () => {
+  const media = { _id: 'a'.repeat(32), width: 800, height: 1200, widths: [160, 320, 640, 800] };
+  assert.deepEqual(posterFields(media), {
+    posterUrl: `/media/${'a'.repeat(32)}/640.webp`,
+    posterMedia: { id: 'a'.repeat(32), width: 800, height: 1200, widths: [160, 320, 640, 800] },
+  });
+  assert.equal(posterFields({ ...media, widths: [120] }).posterUrl, `/media/${'a'.repeat(32)}/120.webp`);
+});
+
+test('inspectImage judges images by content, size and dimensions', async () => {
+  assert.deepEqual(await inspectImage(await image(300, 450, 'jpeg')), {
+    type: 'image/jpeg',
+    width: 300,
+    height: 450,
+    bytes: (await image(300, 450, 'jpeg')).length,
+  });
+  await assert.rejects(inspectImage(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"></svg>')), /one of|not a readable image/);
+  await assert.rejects(inspectImage(Buffer.from('GIF89a but not really')), /not a readable image/);
+  await assert.rejects(inspectImage(await image(50, 300)), /at least 100x100/);
+  await assert.rejects(inspectImage(await image(300, 300), { maxBytes: 10 }), /at most 0 KB/);
+  await assert.rejects(inspectImage(Buffer.alloc(0)), /empty/);
+});
+
+test('isPublicAddress refuses loopback, private and link-local addresses', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0', '::1', 'fd00::1', '::ffff:127.0.0.1', 'localhost']) {
+    assert.equal(isPublicAddress(address), false, address);
+  }
+  for (const address of ['93.184.216.34', '::ffff:93.184.216.34', '2606:4700::1111']) assert.equal(isPublicAddress(address), true, address);
+});
+
+test('fetchImage only fetches public http(s) URLs', async () => {
+  await assert.rejects(fetchImage('not a url'), /valid URL/);
+  await assert.rejects(fetchImage('ftp://example.com/poster.jpg'), /http or https/);
+  await assert.rejects(fetchImage('http://127.0.0.1/poster.jpg'), /public host/);
+  await assert.rejects(fetchImage('http://[::1]:3000/poster.jpg'), /public host/);
+});
+
+it('admins upload a poster and get sized copies with long cache headers', async ({ baseUrl, db }) => {
+  const [id] = await seedMovies(db, [{ title: 'Heat', year: 1995, genres: ['Crime'], posterUrl: 'https://example.com/heat.jpg' }]);
+  await createUser(db, { username: 'poster-admin', role: 'admin' });
+  await createUser(db, { username: 'poster-user' });
+  const png = await image(700, 1000);
+
+  const user = createClient(baseUrl);
+  await user.login('poster-user', 'secret123');
+  assert.equal((await user.put(`/api/movies/${id}/poster`, png, { headers: { 'Content-Type': 'image/png' } })).status, 403);
+
+  const admin = createClient(baseUrl);
+  await admin.login('poster-admin', 'secret123');
+  const uploaded = await admin.put(`/api/movies/${id}/poster`, png, { headers: { 'Content-Type': 'image/png' } });
+  assert.equal(uploaded.status, 200);
+  const { posterMedia } = uploaded.body;
+  assert.deepEqual(posterMedia.widths, [160, 320, 640, 700]);
+  assert.equal(uploaded.body.posterUrl, `/media/${posterMedia.id}/640.webp`);
+
+  const file = await admin.get(`/media/${posterMedia.id}/320.webp`);
+  assert.equal(file.status, 200);
+  assert.equal(file.headers.get('content-type'), 'image/webp');
+  assert.match(file.headers.get('cache-control'), /max-age=31536000, immutable/);
+  assert.equal((await admin.get(`/media/${posterMedia.id}/999.webp`)).status, 404);
+
+  const again = await admin.put(`/api/movies/${id}/poster`, png, { headers: { 'Content-Type': 'image/png' } });
+  assert.equal(again.body.posterMedia.id, posterMedia.id);
+  assert.equal(await db.collection('media').countDocuments(), 1, 'the same file is stored once');
+
+  const listed = await admin.get('/api/movies');
+  assert.deepEqual(listed.body.items[0].posterMedia, posterMedia);
+
+  const edited = await admin.put(`/api/movies/${id}`, { title: 'Heat', year: 1995, genres: ['Crime'], posterUrl: 'https://example.com/other.jpg' });
+  assert.equal(edited.status, 200);
+  const movie = await db.collection('movies').findOne({ _id: new ObjectId(id) });
+  assert.equal(movie.posterMedia, undefined, 'an external posterUrl drops the stored copy');
+});
+
+it('poster uploads are validated', async ({ baseUrl, db }) => {
+  const [id] = await seedMovies(db, [{ title: 'Up', year: 2009, genres: ['Animation'] }]);
+  await createUser(db, { username: 'poster-admin2', role: 'admin' });
+  const admin = createClient(baseUrl);
+  await admin.login('poster-admin2', 'secret123');
+  const poster = `/api/movies/${id}/poster`;
+
+  const fake = await admin.put(poster, Buffer.from('not an image at all'), { headers: { 'Content-Type': 'image/png' } });
+  assert.equal(fake.status, 400);
+  assert.equal(fake.body.message, 'File is not a readable image');
+
+  const tiny = await admin.put(poster, await image(40, 40), { headers: { 'Content-Type': 'image/png' } });
+  assert.equal(tiny.status, 400);
+
+  const text = await admin.put(poster, 'hello', { headers: { 'Content-Type': 'text/plain' } });
+  assert.equal(text.status, 400);
+
+  const local = await admin.put(poster, { url: 'http://127.0.0.1/poster.png' });
+  assert.equal(local.status, 400);
+  assert.equal(local.body.message, 'url must point to a public host');
+
+  const missing = await admin.put(`/api/movies/${new ObjectId()}/poster`, await image(200, 300), { headers: { 'Content-Type': 'image/png' } });
+  assert.equal(missing.status, 404);
+
+  const removed = await admin.delete(poster);
+  assert.equal(removed.status, 200);
+  assert.equal(removed.body.posterUrl, null);
+});
@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ObjectId } = require('mongodb');
+const { loadMigrations, planMigrations, indexName, migrationStatus, migrateUp, migrateDown } = require('../services/migrations');
+const { normalizeMovieFields } = require('../database/migrations/003-normalize-movie-fields');
+const { integration } = require('./helpers/harness');
+
+const it = integration();
+
+function tempMigrations(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mymovie-migrations-'));
+  for (const [name, source] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), source);
+  return dir;
+}
+
+test('loadMigrations reads the migrations directory in id order', () => {
+  const migrations = loadMigrations();
+  const ids = migrations.map((m) => m.id);
+  assert.deepEqual(ids, ids.slice().sort());
+  assert.deepEqual(ids.slice(0, 3), ['001-query-indexes', '002-unique-indexes', '003-normalize-movie-fields']);
+  for (const m of migrations) assert.ok(m.description, `${m.id} has no description`);
+});
+
+test('loadMigrations rejects badly named or incomplete files', () => {
+  const stub = 'module.exports = { up: async () => {}, down: async () => {} };';
+  assert.throws(() => loadMigrations(tempMigrations({ 'add-indexes.js': stub })), /must be named NNN-description\.js/);
+  assert.throws(() => loadMigrations(tempMigrations({ '001-up-only.js': 'module.exports = { up() {} };' })), /must export up\(\) and down\(\)/);
+});
+
+test('planMigrations splits applied from pending and reports unknown history', () => {
+  const migrations = ['001-a', '002-b', '003-c'].map((id) => ({ id }));
+  const plan = planMigrations(migrations, [{ _id: '001-a' }, { _id: '004-d' }]);
+  assert.deepEqual(plan.applied.map((m) => m.id), ['001-a']);
+  assert.deepEqual(plan.pending.map((m) => m.id), ['002-b', '003-c']);
+  assert.deepEqual(plan.unknown, ['004-d']);
+});
+
+test('indexName matches MongoDB default index names', () => {
+  assert.equal(indexName({ userId: 1, movieId: 1 }), 'userId_1_movieId_1');
+  assert.equal(indexName({ 'credits.personId': 1, createdAt: -1 }), 'credits.personId_1_createdAt_-1');
+});
+
+test('normalizeMovieFields folds legacy genre and poster into genres and posterUrl', () => {
+  assert.equal(normalizeMovieFields({ genres: ['Drama'], posterUrl: '/a.jpg' }), null);
+  assert.deepEqual(normalizeMovieFields({ genre: 'Crime, Drama,crime, Drama' }), {
+    $set: { genres: ['Crime', 'Drama', 'crime'] },
+    $unset: { genre: '' },
+  });
+  assert.deepEqual(normalizeMovieFields({ genre: 'Drama', genres: ['Crime'] }), { $unset: { genre: '' } });
+  assert.deepEqual(normalizeMovieFields({ poster: ' /p.jpg ', posterUrl: null }), { $set: { posterUrl: '/p.jpg' }, $unset: { poster: '' } });
+  assert.deepEqual(normalizeMovieFields({ poster: '/old.jpg', posterUrl: '/new.jpg' }), { $unset: { poster: '' } });
+  assert.deepEqual(normalizeMovieFields({ genre: null, poster: null }), { $unset: { genre: '', poster: '' } });
+});
+
+it('the test database starts fully migrated', async ({ db }) => {
+  const status = await migrationStatus({ db });
+  assert.deepEqual(status.pending, []);
+  assert.deepEqual(status.unknown, []);
+  assert.equal(status.applied.length, loadMigrations().length);
+  assert.deepEqual(await migrateUp({ db }), []);
+
+  const likes = await db.collection('likes').indexes();
+  assert.ok(likes.some((i) => i.name === 'userId_1_movieId_1' && i.unique));
+  const movies = await db.collection('movies').indexes();
+  assert.ok(movies.some((i) => i.name === 'genres_1'));
+});
+
+it('unique indexes merge duplicate likes and refuse duplicate users', async ({ db }) => {
+  await migrateDown({ db, to: '001-query-indexes' });
+  assert.deepEqual((await migrationStatus({ db })).pending.map((m) => m.id), [
+    '002-unique-indexes',
+    '003-normalize-movie-fields',
+    '004-revision-history',
+    '005-social-feed',
+    '006-follow-requests',
+    '007-import-contact-messages',
+  ]);
+
+  const movieId = new ObjectId();
+  await db.collection('likes').insertMany([
+    { userId: 'u1', movieId, createdAt: new Date('2024-01-01') },
+    { userId: 'u1', movieId, createdAt: new Date('2024-02-01') },
+    { userId: 'u2', movieId, createdAt: new Date('2024-03-01') },
+  ]);
+  await db.collection('users').insertMany([{ username: 'twin' }, { username: 'twin' }]);
+  await assert.rejects(migrateUp({ db }), /users: 1 duplicate username value/);
+  assert.equal(await db.collection('likes').countDocuments(), 3, 'nothing changes while a conflict remains');
+
+  await db.collection('users').deleteOne({ username: 'twin' });
+  const applied = await migrateUp({ db, to: '002-unique-indexes' });
+  assert.deepEqual(applied.map((a) => a.id), ['002-unique-indexes']);
+  assert.deepEqual(applied[0].report.merged, { likes: 1 });
+  const kept = await db.collection('likes').findOne({ userId: 'u1' });
+  assert.deepEqual(kept.createdAt, new Date('2024-01-01'));
+  await assert.rejects(db.collection('likes').insertOne({ userId: 'u1', movieId }), { code: 11000 });
+
+  await migrateUp({ db });
+  await db.collection('likes').deleteMany({});
+  await db.collection('users').deleteMany({});
+});
+
+it('legacy movie fields are normalized and restored', async ({ db }) => {
+  await migrateDown({ db, to: '002-unique-indexes' });
+  const { insertedId } = await db.collection('movies').insertOne({ title: 'Heat', year: 1995, genre: 'Crime, Drama', poster: '/heat.jpg' });
+  const [{ report }] = await migrateUp({ db });
+  assert.equal(report.updated, 1);
+  const movie = await db.collection('movies').findOne({ _id: insertedId });
+  assert.deepEqual(movie.genres, ['Crime', 'Drama']);
+  assert.equal(movie.posterUrl, '/heat.jpg');
+  assert.ok(!('genre' in movie) && !('poster' in movie));
+
+  await migrateDown({ db, to: '002-unique-indexes' });
+  const restored = await db.collection('movies').findOne({ _id: insertedId });
+  assert.equal(restored.genre, 'Crime');
+  assert.equal(restored.poster, '/heat.jpg');
+  await migrateUp({ db });
+  await db.collection('movies').deleteMany({});
+});
+
+it('follows made before approval become requests', async ({ db }) => {
+  await migrateDown({ db, to: '005-social-feed' });
+  await db.collection('follows').insertOne({ followerId: 'u1', followeeId: 'u2', createdAt: new Date('2026-01-01') });
+  const [{ report }] = await migrateUp({ db });
+  assert.deepEqual(report, { requests: 1 });
+  assert.equal((await db.collection('follows').findOne({ followerId: 'u1' })).status, 'pending');
+
+  await db.collection('follows').insertOne({ followerId: 'u3', followeeId: 'u2', status: 'accepted', createdAt: new Date() });
+  const [, { report: removed }] = await migrateDown({ db, to: '005-social-feed' });
+  assert.deepEqual(removed, { removed: 1 });
+  assert.deepEqual(await db.collection('follows').find({}, { projection: { _id: 0, followerId: 1, status: 1 } }).toArray(), [{ followerId: 'u3' }]);
+  await migrateUp({ db });
+  await db.collection('follows').deleteMany({});
+});
+
+it("the project's data.json messages are imported into the inbox once", async ({ db }) => {
+  const legacy = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data.json'), 'utf8'));
+  await migrateDown({ db, to: '006-follow-requests' });
+  await db.collection('messages').deleteMany({});
+
+  const [{ report }] = await migrateUp({ db });
+  assert.deepEqual(report, { imported: legacy.length, alreadyImported: 0, skipped: 0 });
+  assert.equal(await db.collection('messages').countDocuments({ status: 'new', legacyKey: { $exists: true } }), legacy.length);
+
+  await migrateDown({ db, to: '006-follow-requests' });
+  assert.equal(await db.collection('messages').countDocuments(), legacy.length, 'reverting keeps the messages');
+  const [{ report: again }] = await migrateUp({ db });
+  assert.deepEqual(again, { imported: 0, alreadyImported: legacy.length, skipped: 0 });
+  await db.collection('messages').deleteMany({});
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { editGenres, planRepoint, mergeListItems } = require('../services/moderation');
+const { sessionUserId } = require('../services/sessions');
+
+const target = new ObjectId();
+const dupA = new ObjectId();
+const dupB = new ObjectId();
+const other = new ObjectId();
+
+test('editGenres removes case-insensitively, appends new genres once and caps the list', () => {
+  assert.deepEqual(editGenres(['Drama', 'general'], { add: ['Noir', 'drama'], remove: ['GENERAL'] }), ['Drama', 'Noir']);
+  assert.deepEqual(editGenres(['Horror'], { remove: ['Horror'] }), []);
+  assert.equal(editGenres(['a', 'b', 'c', 'd', 'e'], { add: ['f', 'g'] }).length, 6);
+});
+
+test('planRepoint keeps one entry per user, preferring the target then the newest source', () => {
+  const entries = [
+    { _id: 1, userId: 'u1', movieId: target },
+    { _id: 2, userId: 'u1', movieId: dupA },
+    { _id: 3, userId: 'u2', movieId: dupA, createdAt: new Date('2024-01-01') },
+    { _id: 4, userId: 'u2', movieId: dupB, createdAt: new Date('2024-06-01') },
+    { _id: 5, userId: 'u3', movieId: dupB },
+  ];
+  const { repoint, remove } = planRepoint(entries, target);
+  assert.deepEqual(repoint.sort(), [4, 5]);
+  assert.deepEqual(remove.sort(), [2, 3]);
+});
+
+test('mergeListItems swaps in the target and drops the duplicates it creates', () => {
+  const items = [
+    { movieId: other, addedAt: 'x' },
+    { movieId: dupA, addedAt: 'y' },
+    { movieId: target, addedAt: 'z' },
+    { movieId: dupB, addedAt: 'w' },
+  ];
+  const merged = mergeListItems(items, target, [dupA, dupB]);
+  assert.deepEqual(merged.map((i) => i.movieId.toString()), [other.toString(), target.toString()]);
+  assert.equal(merged[1].addedAt, 'y');
+});
+
+test('sessionUserId reads both stringified and object sessions', () => {
+  assert.equal(sessionUserId({ session: JSON.stringify({ user: { id: 'abc' } }) }), 'abc');
+  assert.equal(sessionUserId({ session: { user: { id: 'def' } } }), 'def');
+  assert.equal(sessionUserId({ session: '{broken' }), null);
+  assert.equal(sessionUserId({ session: JSON.stringify({ cookie: {} }) }), null);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseMovieQuery, buildFilter, buildFacetPipeline, shapeFacets } = require('../services/movieFilters');
+
+test('genres combine with any (default) or all, and the legacy genre param still works', () => {
+  const any = parseMovieQuery({ genres: 'Drama,Comedy' });
+  assert.deepEqual(any.clauses.genre, [
+    { $or: [{ genres: { $in: ['Drama', 'Comedy'] } }, { genre: { $in: ['Drama', 'Comedy'] } }] },
+  ]);
+
+  const all = parseMovieQuery({ genres: ['Drama', 'Comedy'], genresMode: 'all' });
+  assert.equal(all.clauses.genre.length, 2);
+
+  const legacy = parseMovieQuery({ genre: 'Horror' });
+  assert.deepEqual(legacy.clauses.genre, [{ $or: [{ genres: 'Horror' }, { genre: 'Horror' }] }]);
+
+  assert.match(parseMovieQuery({ genresMode: 'some' }).errors[0], /genresMode/);
+});
+
+test('year, range and decades become year clauses; bad values are reported', () => {
+  const { errors, clauses } = parseMovieQuery({ yearFrom: '1990', yearTo: '2005', decade: '1990s,2000' });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(clauses.year, [
+    { year: { $gte: 1990, $lte: 2005 } },
+    { $or: [{ year: { $gte: 1990, $lte: 1999 } }, { year: { $gte: 2000, $lte: 2009 } }] },
+  ]);
+
+  assert.deepEqual(parseMovieQuery({ year: 'abc' }).errors, ['Year must be an integer']);
+  assert.deepEqual(parseMovieQuery({ year: '1500' }).errors, ['Year out of range']);
+  assert.match(parseMovieQuery({ yearFrom: '2000', yearTo: '1990' }).errors[0], /yearFrom/);
+  assert.match(parseMovieQuery({ decade: '1995' }).errors[0], /decade/);
+});
+
+test('rating bounds and text filters', () => {
+  const { clauses } = parseMovieQuery({ ratingMin: '7', director: 'Nolan (Jr.)', title: 'a.b' });
+  assert.deepEqual(clauses.rating, [{ rating: { $gte: 7 } }]);
+  assert.deepEqual(clauses.other, [
+    {
+      $or: [
+        { title: { $regex: 'a\\.b', $options: 'i' } },
+        { 'translations.kk.title': { $regex: 'a\\.b', $options: 'i' } },
+        { 'translations.ru.title': { $regex: 'a\\.b', $options: 'i' } },
+      ],
+    },
+    { director: { $regex: 'Nolan \\(Jr\\.\\)', $options: 'i' } },
+  ]);
+  assert.match(parseMovieQuery({ ratingMax: '11' }).errors[0], /ratingMax/);
+  assert.match(parseMovieQuery({ ratingMin: '8', ratingMax: '5' }).errors[0], /ratingMin/);
+});
+
+test('sort is whitelisted and always ends with an _id tie-break', () => {
+  assert.deepEqual(parseMovieQuery({}).sort, { year: 1, _id: 1 });
+  assert.deepEqual(parseMovieQuery({ sort: 'title:desc' }).sort, { title: -1, _id: 1 });
+  assert.deepEqual(parseMovieQuery({ sort: 'communityRating' }).sort, { communityRating: 1, communityRatingCount: -1, _id: 1 });
+  assert.match(parseMovieQuery({ sort: 'password:asc' }).errors[0], /sort must be one of/);
+  assert.match(parseMovieQuery({ sort: 'year:sideways' }).errors[0], /sort must be one of/);
+});
+
+test('exclude accepts only the built-in lists', () => {
+  assert.deepEqual(parseMovieQuery({ exclude: 'likes,watchlist' }).exclude, ['likes', 'watchlist']);
+  assert.match(parseMovieQuery({ exclude: 'diary' }).errors[0], /exclude/);
+});
+
+test('each facet is counted without its own filter', () => {
+  const { clauses } = parseMovieQuery({ genres: 'Drama', decade: '1990', ratingMin: '6', director: 'Lee' });
+  assert.equal(buildFilter(clauses).$and.length, 4);
+
+  const [base, { $facet }] = buildFacetPipeline(clauses);
+  assert.deepEqual(base, { $match: { $and: clauses.other } });
+  assert.deepEqual($facet.genres[0], { $match: { $and: [...clauses.year, ...clauses.rating] } });
+  assert.deepEqual($facet.decades[0], { $match: { $and: [...clauses.genre, ...clauses.rating] } });
+  assert.deepEqual($facet.ratings[0], { $match: { $and: [...clauses.genre, ...clauses.year] } });
+});
+
+test('shapeFacets sorts genres by count and fills empty rating buckets', () => {
+  const facets = shapeFacets({
+    genres: [{ _id: 'Drama', count: 2 }, { _id: 'Action', count: 5 }, { _id: 'Crime', count: 2 }],
+    decades: [{ _id: 2000, count: 1 }, { _id: 1990, count: 3 }],
+    ratings: [{ _id: 8, count: 4 }, { _id: 'unrated', count: 1 }],
+  });
+  assert.deepEqual(facets.genres.map((g) => g.value), ['Action', 'Crime', 'Drama']);
+  assert.deepEqual(facets.decades, [
+    { value: 1990, label: '1990s', count: 3 },
+    { value: 2000, label: '2000s', count: 1 },
+  ]);
+  assert.deepEqual(facets.ratings.map((r) => [r.value, r.count]), [
+    ['0-2', 0],
+    ['2-4', 0],
+    ['4-6', 0],
+    ['6-8', 0],
+    ['8-10', 4],
+    ['unrated', 1],
+  ]);
+});
@@ -0,0 +1,166 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OPERATIONS, buildSpec, getOperation } = require('../services/openapi');
+const { checkRequest } = require('../middleware/validate');
+const { normalizeErrorBody, fieldFromMessage, errorEnvelope, errorHandler } = require('../middleware/errors');
+
+const ROUTERS = {
+  '/api/movies': require('../routes/movies'),
+  '/api/user': require('../routes/user-lists'),
+  '/api/users': require('../routes/users'),
+  '/auth': require('../routes/auth'),
+};
+
+function fakeRes() {
+  return {
+    statusCode: 200,
+    body: null,
+    headersSent: false,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+function check(operationId, req) {
+  return checkRequest(getOperation(operationId), { params: {}, query: {}, ...req });
+}
+
+const ID = '0123456789abcdef01234567';
+
+test('every route in the movies, user lists and auth routers is documented and validated', () => {
+  const documented = new Set(OPERATIONS.map((op) => `${op.method} ${op.path}`));
+  let routes = 0;
+  for (const [mount, router] of Object.entries(ROUTERS)) {
+    for (const layer of router.stack.filter((l) => l.route)) {
+      const path = `${mount}${layer.route.path === '/' ? '' : layer.route.path}`;
+      for (const method of Object.keys(layer.route.methods)) {
+        routes++;
+        const key = `${method} ${path}`;
+        assert.ok(documented.has(key), `${key} is missing from the spec`);
+        const validator = layer.route.stack.find((l) => l.handle.operationId);
+        assert.ok(validator, `${key} has no validate() middleware`);
+        const op = getOperation(validator.handle.operationId);
+        assert.equal(`${op.method} ${op.path}`, key);
+      }
+    }
+  }
+  assert.equal(routes, OPERATIONS.length);
+});
+
+test('buildSpec produces an OpenAPI 3.1 document with unique operation ids and resolvable refs', () => {
+  const spec = buildSpec();
+  assert.equal(spec.openapi, '3.1.0');
+  const ids = Object.values(spec.paths).flatMap((item) => Object.values(item).map((op) => op.operationId));
+  assert.equal(new Set(ids).size, OPERATIONS.length);
+  assert.ok(spec.paths['/api/movies/{id}/reviews/{reviewId}'].put);
+
+  const refs = JSON.stringify(spec).match(/#\/components\/schemas\/\w+/g);
+  for (const ref of new Set(refs)) assert.ok(spec.components.schemas[ref.split('/').pop()], `${ref} is not defined`);
+
+  // bearer scopes follow the token middleware's rules
+  assert.deepEqual(spec.paths['/api/user/lists'].post.security[1], { bearerAuth: ['lists:write'] });
+  assert.deepEqual(spec.paths['/api/movies'].post.security[1], { bearerAuth: ['admin'] });
+  assert.deepEqual(spec.paths['/auth/tokens'].get.security, [{ cookieAuth: [] }]);
+  assert.ok(spec.paths['/api/movies'].get.responses[400]);
+});
+
+test('every operation compiles and accepts a minimal valid request', () => {
+  for (const op of OPERATIONS) assert.doesNotThrow(() => checkRequest(op, { params: {}, query: {} }), op.operationId);
+  assert.equal(check('getMovie', { params: { id: ID } }), null);
+  assert.equal(check('getMyList', { params: { listId: 'watchlist' } }), null);
+  assert.equal(check('markWatched', { params: { movieId: ID }, body: {} }), null);
+});
+
+test('request bodies are validated with field-level details and numeric strings coerced', () => {
+  const body = { title: 'Heat', year: '1995', genre: 'Crime', rating: '8.3' };
+  assert.equal(check('createMovie', { body }), null);
+  assert.equal(body.year, 1995);
+  assert.equal(body.rating, 8.3);
+
+  const failure = check('createMovie', { body: { title: '', year: 1700, credits: [{ personId: 'x', role: 'grip' }] } });
+  assert.equal(failure.status, 400);
+  assert.deepEqual(
+    failure.details.map((d) => d.message),
+    [
+      'genres is required',
+      'title must not be empty',
+      'year must be at least 1888',
+      'credits[0].personId must be a valid id',
+      'credits[0].role must be one of director, actor, writer, composer',
+    ]
+  );
+  assert.deepEqual(failure.details[3], { in: 'body', field: 'credits[0].personId', message: 'credits[0].personId must be a valid id' });
+
+  assert.equal(check('createDiaryEntry', {}).details[0].message, 'Request body is required');
+  assert.equal(check('importUserList', { query: { list: 'likes' }, body: { rows: [] } }).status, 415);
+});
+
+test('query and path parameters are validated on copies, ignoring empty values', () => {
+  const query = { year: '', limit: '20', genre: ['Drama', 'Crime'] };
+  assert.equal(check('listMovies', { query }), null);
+  assert.equal(query.limit, '20');
+
+  const failure = check('listMovies', { query: { sort: 'budget', person: 'nope' } });
+  assert.deepEqual(failure.details.map((d) => d.field).sort(), ['person', 'sort']);
+  assert.equal(check('searchMovies', {}).details[0].message, 'q is required');
+  assert.equal(check('getMovie', { params: { id: '42' } }).details[0].in, 'path');
+  assert.equal(check('exportUserList', { query: { list: 'diary' } }).details[0].message, 'list must be one of likes, watchlist');
+});
+
+test('fieldFromMessage finds the leading field name of controller messages', () => {
+  assert.equal(fieldFromMessage('year must be between 1888 and 2030'), 'year');
+  assert.equal(fieldFromMessage('credits[2].character must be a string'), 'credits[2].character');
+  assert.equal(fieldFromMessage('Invalid movie id'), null);
+  assert.equal(fieldFromMessage('each genre must be a non-empty string'), null);
+});
+
+test('normalizeErrorBody turns every older error shape into the envelope', () => {
+  assert.deepEqual(normalizeErrorBody(404, { error: 'Movie not found' }), { status: 404, code: 'not_found', message: 'Movie not found' });
+  assert.deepEqual(normalizeErrorBody(401, { message: 'Not authenticated' }), {
+    status: 401,
+    code: 'unauthorized',
+    message: 'Not authenticated',
+  });
+  assert.deepEqual(normalizeErrorBody(400, { message: 'Validation error', errors: ['name must be a non-empty string'] }), {
+    status: 400,
+    code: 'validation_error',
+    message: 'Validation error',
+    details: [{ field: 'name', message: 'name must be a non-empty string' }],
+  });
+  assert.equal(normalizeErrorBody(400, { error: 'Year must be an integer', errors: ['Year must be an integer'] }).message, 'Validation error');
+  assert.equal(normalizeErrorBody(429, { message: 'Slow down', retryAfter: 30 }).retryAfter, 30);
+
+  const envelope = { status: 400, code: 'validation_error', message: 'Validation error', details: [] };
+  assert.equal(normalizeErrorBody(400, envelope), envelope);
+});
+
+test('errorEnvelope rewrites error responses only', () => {
+  const res = fakeRes();
+  errorEnvelope({}, res, () => {});
+  res.status(200).json({ error: 'not an error response' });
+  assert.deepEqual(res.body, { error: 'not an error response' });
+  res.status(403).json({ message: 'Invalid or missing CSRF token' });
+  assert.deepEqual(res.body, { status: 403, code: 'forbidden', message: 'Invalid or missing CSRF token' });
+});
+
+test('errorHandler answers malformed JSON with 400 and hides other failures', () => {
+  const res = fakeRes();
+  errorHandler(Object.assign(new Error('Unexpected token'), { type: 'entity.parse.failed', status: 400 }), {}, res, () => {});
+  assert.deepEqual(res.body, { status: 400, code: 'bad_request', message: 'Request body is not valid JSON' });
+
+  const original = console.error;
+  console.error = () => {};
+  try {
+    const failed = fakeRes();
+    errorHandler(new Error('db down'), {}, failed, () => {});
+    assert.deepEqual(failed.body, { status: 500, code: 'internal_error', message: 'Internal server error' });
+  } finally {
+    console.error = original;
+  }
+});
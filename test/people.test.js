@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { nameKey, splitNames, validateCredits, directorString, groupFilmography } = require('../services/people');
+
+const coen = new ObjectId();
+const dafoe = new ObjectId();
+
+test('splitNames breaks legacy director strings on separators but keeps names whole', () => {
+  assert.deepEqual(splitNames('Joel Coen, Ethan Coen'), ['Joel Coen', 'Ethan Coen']);
+  assert.deepEqual(splitNames('Lana Wachowski & Lilly Wachowski'), ['Lana Wachowski', 'Lilly Wachowski']);
+  assert.deepEqual(splitNames('Michael Powell and Emeric Pressburger'), ['Michael Powell', 'Emeric Pressburger']);
+  assert.deepEqual(splitNames('Wes Anderson'), ['Wes Anderson']);
+  assert.deepEqual(splitNames(''), []);
+  assert.equal(nameKey('  Wes   ANDERSON '), 'wes anderson');
+});
+
+test('validateCredits converts ids, keeps characters only for actors and rejects bad entries', () => {
+  const { errors, credits } = validateCredits([
+    { personId: coen.toString(), role: 'director', character: 'ignored' },
+    { personId: dafoe.toString(), role: 'actor', character: ' Bobby Peru ' },
+  ]);
+  assert.deepEqual(errors, []);
+  assert.ok(credits[0].personId instanceof ObjectId);
+  assert.equal(credits[0].character, undefined);
+  assert.equal(credits[1].character, 'Bobby Peru');
+
+  assert.deepEqual(validateCredits('nope').errors, ['credits must be an array']);
+  const bad = validateCredits([
+    { personId: 'x', role: 'actor' },
+    { personId: coen.toString(), role: 'gaffer' },
+    { personId: coen.toString(), role: 'writer' },
+    { personId: coen.toString(), role: 'writer' },
+  ]);
+  assert.equal(bad.errors.length, 3);
+  assert.match(bad.errors[2], /duplicates/);
+});
+
+test('directorString joins director names in credit order and ignores other roles', () => {
+  const people = new Map([
+    [coen.toString(), { name: 'Joel Coen' }],
+    [dafoe.toString(), { name: 'Willem Dafoe' }],
+  ]);
+  const credits = [
+    { personId: dafoe, role: 'actor' },
+    { personId: coen, role: 'director' },
+  ];
+  assert.equal(directorString(credits, people), 'Joel Coen');
+  assert.equal(directorString([{ personId: dafoe, role: 'actor' }], people), null);
+});
+
+test('groupFilmography buckets movies by role, newest first, with character names', () => {
+  const movies = [
+    { _id: 'a', title: 'Old', year: 1990, credits: [{ personId: dafoe, role: 'actor', character: 'Bobby' }] },
+    {
+      _id: 'b',
+      title: 'New',
+      year: 2019,
+      credits: [
+        { personId: dafoe, role: 'actor' },
+        { personId: dafoe, role: 'writer' },
+        { personId: coen, role: 'director' },
+      ],
+    },
+  ];
+  const filmography = groupFilmography(movies, dafoe);
+  assert.deepEqual(filmography.actor.map((m) => m._id), ['b', 'a']);
+  assert.equal(filmography.actor[1].character, 'Bobby');
+  assert.deepEqual(filmography.writer.map((m) => m._id), ['b']);
+  assert.deepEqual(filmography.director, []);
+  assert.equal(filmography.actor[0].credits, undefined);
+});
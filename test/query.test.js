@@ -0,0 +1,212 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { matches, sortDocuments, project, applyUpdate, upsertSeed, runPipeline } = require('../database/query');
+
+const id = (n) => new ObjectId(n.toString(16).padStart(24, '0'));
+
+const heat = {
+  _id: id(1),
+  title: 'Heat',
+  year: 1995,
+  genres: ['Crime', 'Drama'],
+  credits: [{ personId: 'p1', role: 'director' }],
+  createdAt: new Date('2026-01-01T00:00:00Z'),
+};
+
+test('equality compares ObjectIds and dates by value, arrays by element and a missing field like null', () => {
+  assert.ok(matches(heat, { _id: id(1), createdAt: new Date('2026-01-01T00:00:00Z') }));
+  assert.ok(matches(heat, { genres: 'Drama', 'credits.personId': 'p1' }));
+  assert.ok(matches(heat, { deletedAt: null }));
+  assert.ok(!matches(heat, { _id: id(2) }));
+  assert.ok(matches({ ids: [1, 2] }, { 'ids.1': 2 }), 'a numeric part indexes into an array');
+});
+
+test('$ne and $nin reject a value or any array element that matches', () => {
+  assert.ok(matches(heat, { year: { $ne: 1996 }, deletedAt: { $ne: 1 } }));
+  assert.ok(!matches(heat, { genres: { $ne: 'Crime' } }));
+  assert.ok(!matches(heat, { director: { $nin: [null, ''] } }), 'a missing field counts as null');
+  assert.ok(matches(heat, { genres: { $nin: ['Comedy'] } }));
+  assert.ok(!matches(heat, { _id: { $nin: [id(1)] } }));
+});
+
+test('$gt, $gte, $lt and $lte only match values of the same type', () => {
+  assert.ok(matches(heat, { year: { $gt: 1990, $lte: 1995 } }));
+  assert.ok(!matches(heat, { year: { $gte: 1996 } }));
+  assert.ok(matches(heat, { createdAt: { $lt: new Date('2026-02-01T00:00:00Z') } }));
+  assert.ok(!matches(heat, { year: { $gt: '1990' } }));
+  assert.ok(!matches(heat, { rating: { $lt: 5 } }), 'a missing field is not below anything');
+  assert.ok(matches(heat, { _id: { $gt: id(0) } }), 'ObjectIds compare by value');
+});
+
+test('$in matches any listed value, including array elements', () => {
+  assert.ok(matches(heat, { genres: { $in: ['Comedy', 'Crime'] } }));
+  assert.ok(matches(heat, { _id: { $in: [id(3), id(1)] } }));
+  assert.ok(!matches(heat, { year: { $in: [] } }));
+});
+
+test('$exists tells missing fields from present ones, through array indexes too', () => {
+  assert.ok(matches(heat, { title: { $exists: true }, deletedAt: { $exists: false } }));
+  assert.ok(matches({ ids: [1, 2] }, { 'ids.1': { $exists: true } }));
+  assert.ok(!matches({ ids: [1] }, { 'ids.1': { $exists: true } }));
+  assert.ok(matches({ v: null }, { v: { $exists: true } }), 'null is present');
+});
+
+test('$type checks number, string and date', () => {
+  assert.ok(matches(heat, { year: { $type: 'number' }, title: { $type: 'string' }, createdAt: { $type: 'date' } }));
+  assert.ok(!matches({ year: '1995' }, { year: { $type: 'number' } }));
+  assert.ok(!matches({}, { email: { $type: 'string' } }));
+  assert.throws(() => matches(heat, { title: { $type: 'object' } }), /Unsupported \$type "object"/);
+});
+
+test('$regex matches strings with its $options', () => {
+  assert.ok(matches(heat, { title: { $regex: '^he', $options: 'i' } }));
+  assert.ok(!matches(heat, { title: { $regex: '^he' } }));
+  assert.ok(matches(heat, { genres: { $regex: 'ram' } }), 'any array element may match');
+  assert.ok(!matches(heat, { year: { $regex: '19' } }), 'only strings match');
+});
+
+test('$elemMatch needs one array element to satisfy every field', () => {
+  const movie = { credits: [{ personId: 'p1', role: 'writer' }, { personId: 'p2', role: 'director' }] };
+  assert.ok(matches(movie, { credits: { $elemMatch: { personId: 'p2', role: 'director' } } }));
+  assert.ok(!matches(movie, { credits: { $elemMatch: { personId: 'p1', role: 'director' } } }));
+  assert.ok(!matches({ credits: 'p1' }, { credits: { $elemMatch: { personId: 'p1' } } }));
+});
+
+test('$and and $or combine filters', () => {
+  assert.ok(matches(heat, { $or: [{ year: 2000 }, { title: 'Heat' }] }));
+  assert.ok(!matches(heat, { $or: [{ year: 2000 }, { title: 'Ronin' }] }));
+  assert.ok(matches(heat, { $and: [{ year: { $gt: 1990 } }, { year: { $lt: 2000 } }] }));
+  assert.ok(!matches(heat, { $and: [{ year: 1995 }, { title: 'Ronin' }] }));
+});
+
+test('operators the app does not use are refused rather than guessed', () => {
+  for (const filter of [{ $nor: [] }, { $expr: true }, { $where: 'true' }]) {
+    assert.throws(() => matches(heat, filter), /Unsupported query operator/);
+  }
+  for (const condition of [{ $eq: 1 }, { $all: [] }, { $size: 2 }, { $mod: [2, 0] }, { $not: { $gt: 1 } }]) {
+    assert.throws(() => matches(heat, { year: condition }), /Unsupported query operator/);
+  }
+});
+
+test('sortDocuments follows the MongoDB type order and sorts arrays by their extremes', () => {
+  const docs = [{ v: 'b' }, { v: 2 }, {}, { v: [5, 1] }, { v: null }];
+  assert.deepEqual(sortDocuments(docs, { v: 1 }).map((d) => d.v), [undefined, null, [5, 1], 2, 'b']);
+  assert.deepEqual(sortDocuments(docs, { v: -1 }).map((d) => d.v), ['b', [5, 1], 2, undefined, null]);
+  assert.deepEqual(sortDocuments([{ a: 1, b: 2 }, { a: 1, b: 1 }, { a: 0, b: 3 }], { a: -1, b: 1 }).map((d) => d.b), [1, 2, 3]);
+});
+
+test('project includes or excludes fields and keeps _id unless told not to', () => {
+  assert.deepEqual(project(heat, { title: 1 }), { _id: id(1), title: 'Heat' });
+  assert.deepEqual(project(heat, { title: 1, _id: 0 }), { title: 'Heat' });
+  assert.deepEqual(project(heat, { _id: 1 }), { _id: id(1) });
+  assert.deepEqual(project(heat, { 'credits.role': 1, _id: 0 }), { credits: [{ role: 'director' }] });
+  assert.deepEqual(Object.keys(project(heat, { credits: 0, genres: 0 })), ['_id', 'title', 'year', 'createdAt']);
+});
+
+test('$set, $unset and $inc write dotted paths on a copy', () => {
+  const updated = applyUpdate(heat, { $set: { 'privacy.likes': 'public' }, $unset: { createdAt: '' }, $inc: { views: 2, year: -1 } });
+  assert.deepEqual(updated.privacy, { likes: 'public' });
+  assert.equal('createdAt' in updated, false);
+  assert.deepEqual([updated.views, updated.year], [2, 1994]);
+  assert.equal(heat.views, undefined, 'the original is left alone');
+});
+
+test('$push appends one value or $each of several, creating the array', () => {
+  assert.deepEqual(applyUpdate(heat, { $push: { genres: 'Thriller' } }).genres, ['Crime', 'Drama', 'Thriller']);
+  assert.deepEqual(applyUpdate(heat, { $push: { genres: { $each: ['A', 'B'] } } }).genres, ['Crime', 'Drama', 'A', 'B']);
+  assert.deepEqual(applyUpdate({}, { $push: { notes: { text: 'hi' } } }).notes, [{ text: 'hi' }]);
+});
+
+test('$pull removes the array elements matching a document condition', () => {
+  const list = { items: [{ movieId: 'a', addedAt: 1 }, { movieId: 'b', addedAt: 2 }, 'a'] };
+  assert.deepEqual(applyUpdate(list, { $pull: { items: { movieId: 'a' } } }).items, [{ movieId: 'b', addedAt: 2 }, 'a']);
+  assert.deepEqual(applyUpdate({}, { $pull: { items: { movieId: 'a' } } }), {});
+});
+
+test('$setOnInsert only applies when an upsert inserts', () => {
+  assert.equal(applyUpdate({}, { $setOnInsert: { n: 1 } }).n, undefined);
+  assert.equal(applyUpdate({}, { $setOnInsert: { n: 1 } }, { inserting: true }).n, 1);
+});
+
+test('a pipeline update evaluates $set stages against the current document', () => {
+  const pipeline = [{ $set: { genre: { $ifNull: [{ $arrayElemAt: ['$genres', 0] }, 'general'] }, poster: { $ifNull: ['$posterUrl', null] } } }];
+  assert.deepEqual(applyUpdate({ genres: ['Crime'], posterUrl: '/p.jpg' }, pipeline), { genres: ['Crime'], posterUrl: '/p.jpg', genre: 'Crime', poster: '/p.jpg' });
+  assert.deepEqual(applyUpdate({ genres: [] }, pipeline), { genres: [], genre: 'general', poster: null });
+});
+
+test('update operators and stages the app does not use are refused', () => {
+  for (const op of ['$rename', '$min', '$max', '$addToSet']) {
+    assert.throws(() => applyUpdate(heat, { [op]: { year: 1 } }), new RegExp(`Unsupported update operator \\${op}`));
+  }
+  assert.throws(() => applyUpdate(heat, [{ $unset: 'year' }]), /Unsupported update stage \$unset/);
+});
+
+test('upsertSeed starts an upsert from the equality conditions of its filter', () => {
+  assert.deepEqual(upsertSeed({ followerId: 'a', year: { $gt: 1 }, $and: [{ 'x.y': 3 }], $or: [{ z: 1 }] }), {
+    followerId: 'a',
+    x: { y: 3 },
+  });
+});
+
+const docs = [heat, { _id: id(2), year: 2005, genres: ['Drama'], rating: 8 }, { _id: id(3), year: 2020, genres: [], rating: 6 }];
+
+test('$match, $sort and $project stages filter, order and reshape', () => {
+  const result = runPipeline(docs, [
+    { $match: { year: { $gt: 2000 } } },
+    { $sort: { year: -1 } },
+    { $project: { _id: 0, year: 1, many: { $cond: [{ $gt: [{ $size: { $ifNull: ['$genres', []] } }, 0] }, '$genres', ['none']] } } },
+  ]);
+  assert.deepEqual(result, [
+    { year: 2020, many: ['none'] },
+    { year: 2005, many: ['Drama'] },
+  ]);
+});
+
+test('$unwind emits one document per element and drops empty arrays', () => {
+  assert.deepEqual(runPipeline(docs, [{ $unwind: '$genres' }, { $project: { genres: 1 } }]), [
+    { _id: id(1), genres: 'Crime' },
+    { _id: id(1), genres: 'Drama' },
+    { _id: id(2), genres: 'Drama' },
+  ]);
+});
+
+test('$group collects $sum, $avg and $push per key', () => {
+  assert.deepEqual(runPipeline(docs, [{ $group: { _id: null, count: { $sum: 1 }, average: { $avg: '$rating' }, ids: { $push: '$_id' } } }]), [
+    { _id: null, count: 3, average: 7, ids: [id(1), id(2), id(3)] },
+  ]);
+  const decades = runPipeline(docs, [{ $group: { _id: { $subtract: ['$year', { $mod: ['$year', 10] }] }, count: { $sum: 1 } } }]);
+  assert.deepEqual(decades, [
+    { _id: 1990, count: 1 },
+    { _id: 2000, count: 1 },
+    { _id: 2020, count: 1 },
+  ]);
+  assert.deepEqual(runPipeline([{ a: 1, b: 2 }, { a: 1, b: 2 }], [{ $group: { _id: { a: '$a', b: '$b' }, n: { $sum: 1 } } }]), [
+    { _id: { a: 1, b: 2 }, n: 2 },
+  ]);
+  assert.throws(() => runPipeline(docs, [{ $group: { _id: null, first: { $first: '$year' } } }]), /Unsupported accumulator \$first/);
+});
+
+test('$bucket counts values per boundary and puts the rest in the default', () => {
+  const buckets = runPipeline(docs, [{ $bucket: { groupBy: '$rating', boundaries: [0, 7, 10], default: 'unrated', output: { count: { $sum: 1 } } } }]);
+  assert.deepEqual(buckets, [
+    { _id: 0, count: 1 },
+    { _id: 7, count: 1 },
+    { _id: 'unrated', count: 1 },
+  ]);
+  assert.throws(() => runPipeline(docs, [{ $bucket: { groupBy: '$rating', boundaries: [0, 7] } }]), /outside its boundaries/);
+});
+
+test('$facet runs each sub-pipeline over the same input', () => {
+  const [facets] = runPipeline(docs, [{ $facet: { recent: [{ $match: { year: { $gte: 2005 } } }, { $project: { _id: 1 } }], all: [{ $group: { _id: null, n: { $sum: 1 } } }] } }]);
+  assert.deepEqual(facets, { recent: [{ _id: id(2) }, { _id: id(3) }], all: [{ _id: null, n: 3 }] });
+});
+
+test('stages and expressions the app does not use are refused', () => {
+  for (const stage of [{ $limit: 1 }, { $skip: 1 }, { $count: 'n' }, { $addFields: { a: 1 } }, { $lookup: {} }]) {
+    assert.throws(() => runPipeline(docs, [stage]), /Unsupported aggregation stage/);
+  }
+  for (const expr of [{ $add: [1, 2] }, { $eq: [1, 1] }, { $concat: ['a'] }, { $literal: 1 }]) {
+    assert.throws(() => runPipeline(docs, [{ $project: { v: expr } }]), /Unsupported expression operator/);
+  }
+});
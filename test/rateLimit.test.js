@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseLimit, createMemoryStore, rateLimit, retryAfterSeconds, bodyKey } = require('../services/rateLimit');
+const { lockoutDuration } = require('../services/lockout');
+
+function fakeRes() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+async function run(middleware, req) {
+  const res = fakeRes();
+  let passed = false;
+  await middleware(req, res, () => {
+    passed = true;
+  });
+  return { res, passed };
+}
+
+test('parseLimit reads count/window specs', () => {
+  assert.deepEqual(parseLimit('10/15m'), { max: 10, windowMs: 15 * 60 * 1000 });
+  assert.deepEqual(parseLimit('5/h'), { max: 5, windowMs: 60 * 60 * 1000 });
+  assert.throws(() => parseLimit('ten per minute'), /Invalid rate limit/);
+  assert.throws(() => parseLimit('0/1m'), /Invalid rate limit/);
+});
+
+test('rateLimit answers 429 with Retry-After once any key is over the limit', async () => {
+  const limiter = rateLimit({
+    name: 'login',
+    max: 2,
+    windowMs: 60 * 1000,
+    keys: (req) => [`ip:${req.ip}`, bodyKey('username')(req)],
+    store: createMemoryStore(),
+  });
+  const attempt = (ip, username) => run(limiter, { ip, method: 'POST', body: { username } });
+
+  assert.equal((await attempt('1.1.1.1', 'ana')).passed, true);
+  assert.equal((await attempt('2.2.2.2', 'ANA ')).passed, true);
+  const blocked = await attempt('3.3.3.3', 'ana');
+  assert.equal(blocked.passed, false);
+  assert.equal(blocked.res.statusCode, 429);
+  assert.ok(Number(blocked.res.headers['Retry-After']) >= 1);
+  assert.equal(blocked.res.headers['RateLimit-Remaining'], '0');
+
+  assert.equal((await attempt('4.4.4.4', 'bob')).passed, true);
+});
+
+test('rateLimit skips other methods and lets requests through when the store fails', async () => {
+  const failing = { hit: async () => { throw new Error('down'); } };
+  const limiter = rateLimit({ name: 'write', max: 1, windowMs: 1000, keys: () => ['k'], methods: ['POST'], store: failing });
+  const original = console.error;
+  console.error = () => {};
+  try {
+    assert.equal((await run(limiter, { method: 'GET' })).passed, true);
+    assert.equal((await run(limiter, { method: 'POST' })).passed, true);
+  } finally {
+    console.error = original;
+  }
+  assert.equal(retryAfterSeconds(Date.now() + 1500), 2);
+});
+
+test('lockouts double in length up to the cap', () => {
+  const config = { baseMs: 60 * 1000, maxMs: 10 * 60 * 1000 };
+  assert.deepEqual([0, 1, 2].map((level) => lockoutDuration(level, config)), [60 * 1000, 2 * 60 * 1000, 4 * 60 * 1000]);
+  assert.equal(lockoutDuration(10, config), config.maxMs);
+});
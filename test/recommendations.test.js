@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const movies = require('./fixtures/movies');
+const { similarity, similarMovies, popularMovies, buildRows } = require('../services/recommendations');
+
+const byId = (id) => movies.find((m) => m._id === id);
+const ids = (list) => list.map((m) => m._id);
+
+test('similarity is symmetric and zero without genre or director overlap', () => {
+  assert.equal(similarity(byId('m1'), byId('m4')), similarity(byId('m4'), byId('m1')));
+  assert.equal(similarity(byId('m1'), byId('m9')), 0);
+  assert.equal(similarity(byId('m9'), { _id: 'x', title: 'No genres', year: 1995 }), 0);
+});
+
+test('same director and genres outranks genre-only overlap', () => {
+  assert.ok(similarity(byId('m1'), byId('m2')) > similarity(byId('m1'), byId('m4')));
+  assert.ok(similarity(byId('m1'), byId('m5')) > similarity(byId('m1'), byId('m4')));
+});
+
+test('similarMovies excludes the target and ranks deterministically', () => {
+  const result = ids(similarMovies(byId('m1'), movies, { limit: 4 }));
+  assert.deepEqual(result, ['m2', 'm5', 'm3', 'm4']);
+  assert.deepEqual(ids(similarMovies(byId('m1'), movies, { limit: 4 })), result);
+});
+
+test('similarMovies honours exclude and drops unrelated movies', () => {
+  const result = ids(similarMovies(byId('m7'), movies, { limit: 10, exclude: ['m6'] }));
+  assert.ok(!result.includes('m6'));
+  assert.ok(!result.includes('m7'));
+  assert.ok(!result.includes('m10'));
+  assert.equal(result[0], 'm8');
+});
+
+test('popularMovies falls back to review counts and breaks ties by rating then title', () => {
+  assert.deepEqual(ids(popularMovies(movies, {}, { limit: 3 })), ['m7', 'm6', 'm1']);
+  assert.deepEqual(ids(popularMovies(movies, {}, { limit: 10 })).slice(-2), ['m10', 'm9']);
+});
+
+test('popularMovies weights likes above watchlist adds', () => {
+  const counts = { likes: { m9: 4 }, watchlist: { m10: 4 } };
+  assert.deepEqual(ids(popularMovies(movies, counts, { limit: 5 })), ['m9', 'm7', 'm6', 'm1', 'm10']);
+  assert.deepEqual(ids(popularMovies(movies, counts, { limit: 2, exclude: ['m9'] })), ['m7', 'm6']);
+});
+
+test('buildRows makes one "Because you liked" row per like without repeats', () => {
+  const rows = buildRows({ likes: ['m1', 'm7'], watchlist: ['m5'] }, movies, { rows: 3, perRow: 2 });
+  assert.deepEqual(
+    rows.map((r) => r.title),
+    ['Because you liked The Godfather', 'Because you liked Inception', 'Recommended for you']
+  );
+  assert.deepEqual(ids(rows[0].items), ['m2', 'm3']);
+  assert.deepEqual(ids(rows[1].items), ['m6', 'm8']);
+  assert.deepEqual(ids(rows[2].items), ['m4']);
+
+  const all = rows.flatMap((r) => ids(r.items));
+  assert.equal(new Set(all).size, all.length);
+  for (const listed of ['m1', 'm7', 'm5']) assert.ok(!all.includes(listed));
+});
+
+test('buildRows returns nothing for users without likes or watchlist', () => {
+  assert.deepEqual(buildRows({ likes: [], watchlist: [] }, movies), []);
+  assert.deepEqual(buildRows({ likes: ['missing'] }, movies), []);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { diffMovies, snapshotOf, buildRevision, revertOperators } = require('../services/revisions');
+
+const _id = new ObjectId();
+const heat = { _id, title: 'Heat', year: 1995, genres: ['Crime'], rating: 8, communityRating: 7.5, createdAt: new Date() };
+
+test('diffMovies lists changed tracked fields and ignores derived ones', () => {
+  const after = { ...heat, genres: ['Crime', 'Drama'], rating: null, director: 'Michael Mann', communityRating: 9 };
+  assert.deepEqual(diffMovies(heat, after), [
+    { field: 'genres', from: ['Crime'], to: ['Crime', 'Drama'] },
+    { field: 'rating', from: 8, to: null },
+    { field: 'director', from: null, to: 'Michael Mann' },
+  ]);
+  assert.deepEqual(diffMovies(heat, { ...heat }), []);
+  assert.deepEqual(
+    diffMovies(null, heat).map((c) => c.field),
+    ['title', 'year', 'genres', 'rating']
+  );
+});
+
+test('diffMovies compares ids by value and reports moves in and out of the trash', () => {
+  const personId = new ObjectId();
+  const before = { ...heat, credits: [{ personId, role: 'director' }] };
+  const after = { ...heat, credits: [{ personId: new ObjectId(String(personId)), role: 'director' }] };
+  assert.deepEqual(diffMovies(before, after), []);
+
+  const deletedAt = new Date();
+  assert.deepEqual(diffMovies(heat, { ...heat, deletedAt }), [{ field: 'deletedAt', from: null, to: deletedAt }]);
+});
+
+test('buildRevision snapshots the movie and skips updates that change nothing', () => {
+  const editor = { id: 'u1', username: 'boss' };
+  const revision = buildRevision({ action: 'update', before: heat, movie: { ...heat, year: 1996 }, editor });
+  assert.equal(revision.movieId, _id);
+  assert.deepEqual(revision.editor, editor);
+  assert.deepEqual(revision.changes, [{ field: 'year', from: 1995, to: 1996 }]);
+  assert.deepEqual(revision.snapshot, { title: 'Heat', year: 1996, genres: ['Crime'], rating: 8 });
+
+  assert.equal(buildRevision({ action: 'update', before: heat, movie: heat }), null);
+  assert.equal(buildRevision({ action: 'revert', before: heat, movie: heat }), null);
+  assert.ok(buildRevision({ action: 'create', movie: heat }));
+});
+
+test('revertOperators sets snapshot fields and removes the rest', () => {
+  const { $set, $unset } = revertOperators(snapshotOf({ ...heat, posterUrl: '/a.jpg' }));
+  assert.deepEqual({ ...$set, updatedAt: undefined }, {
+    title: 'Heat',
+    year: 1995,
+    genres: ['Crime'],
+    rating: 8,
+    posterUrl: '/a.jpg',
+    updatedAt: undefined,
+  });
+  assert.deepEqual(Object.keys($unset).sort(), ['credits', 'description', 'director', 'genre', 'poster', 'posterMedia', 'trailerUrl', 'translations']);
+});
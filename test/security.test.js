@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { buildCsp, securityHeaders, securityConfig, csrfProtection, ensureCsrfToken } = require('../middleware/security');
+const { renderHtml } = require('../services/views');
+
+function fakeRes() {
+  return {
+    statusCode: 200,
+    headers: {},
+    locals: {},
+    body: null,
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+function fakeReq(method, { session = {}, headers = {}, body } = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return { method, session, body, get: (name) => lower[name.toLowerCase()] };
+}
+
+test('buildCsp requires the nonce for scripts and tightens in production', () => {
+  const dev = buildCsp('abc', { production: false });
+  assert.match(dev, /script-src 'self' 'nonce-abc';/);
+  assert.doesNotMatch(dev, /script-src-attr/, 'inline on* handlers are refused');
+  assert.match(dev, /frame-ancestors 'none'/);
+  assert.match(dev, /img-src 'self' data: https: http:/);
+  assert.doesNotMatch(dev, /upgrade-insecure-requests/);
+
+  const prod = buildCsp('abc', { production: true });
+  assert.match(prod, /img-src 'self' data: https:;/);
+  assert.match(prod, /upgrade-insecure-requests$/);
+});
+
+test('no view or page script relies on inline on* handlers', () => {
+  for (const dir of ['views', 'public']) {
+    for (const file of fs.readdirSync(path.join(__dirname, '..', dir)).filter((f) => /\.(html|js)$/.test(f))) {
+      const source = fs.readFileSync(path.join(__dirname, '..', dir, file), 'utf8');
+      assert.doesNotMatch(source, /<[^>]*\son[a-z]+\s*=/i, `${dir}/${file}`);
+    }
+  }
+});
+
+test('securityHeaders sets a fresh nonce per response and HSTS only in production', () => {
+  const middleware = securityHeaders(securityConfig({ NODE_ENV: 'development' }));
+  const first = fakeRes();
+  const second = fakeRes();
+  middleware({}, first, () => {});
+  middleware({}, second, () => {});
+  assert.notEqual(first.locals.cspNonce, second.locals.cspNonce);
+  assert.ok(first.headers['Content-Security-Policy'].includes(`'nonce-${first.locals.cspNonce}'`));
+  assert.equal(first.headers['X-Frame-Options'], 'DENY');
+  assert.equal(first.headers['Strict-Transport-Security'], undefined);
+
+  const prod = fakeRes();
+  securityHeaders(securityConfig({ NODE_ENV: 'production', CSP_REPORT_ONLY: 'true' }))({}, prod, () => {});
+  assert.equal(prod.headers['Strict-Transport-Security'], 'max-age=15552000; includeSubDomains');
+  assert.ok(prod.headers['Content-Security-Policy-Report-Only']);
+});
+
+test('csrfProtection lets safe methods through and checks the token on writes', () => {
+  const session = {};
+  const token = ensureCsrfToken({ session });
+  assert.equal(ensureCsrfToken({ session }), token);
+
+  const run = (req) => {
+    const res = fakeRes();
+    let passed = false;
+    csrfProtection(req, res, () => {
+      passed = true;
+    });
+    return { res, passed };
+  };
+
+  assert.equal(run(fakeReq('GET', { session })).passed, true);
+  assert.equal(run(fakeReq('POST', { session, headers: { 'X-CSRF-Token': token } })).passed, true);
+  assert.equal(run(fakeReq('DELETE', { session, body: { _csrf: token } })).passed, true);
+
+  const missing = run(fakeReq('POST', { session }));
+  assert.equal(missing.passed, false);
+  assert.equal(missing.res.statusCode, 403);
+  assert.equal(run(fakeReq('POST', { session, headers: { 'X-CSRF-Token': token.slice(1) } })).passed, false);
+  assert.equal(run(fakeReq('POST', { session: {}, headers: { 'X-CSRF-Token': token } })).passed, false);
+});
+
+test('renderHtml adds the nonce to every script tag and the token to <head>', () => {
+  const html = '<html><head><script src="/csrf.js"></script></head><body><script>go()</script><scripts></scripts></body></html>';
+  const out = renderHtml(html, { nonce: 'n0nce', csrfToken: 'tok"en' });
+  assert.equal((out.match(/<script nonce="n0nce"/g) || []).length, 2);
+  assert.ok(out.includes('<scripts>'));
+  assert.ok(out.includes('<meta name="csrf-token" content="tok&quot;en" />\n</head>'));
+});
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { ObjectId } = require('mongodb');
+const {
+  siteUrl,
+  absoluteUrl,
+  jsonForHtml,
+  truncate,
+  movieDescription,
+  headTags,
+  movieJsonLd,
+  buildSitemap,
+  robotsTxt,
+} = require('../services/seo');
+const { renderFilmHeader, renderPosterCards } = require('../services/pages');
+const { renderHtml } = require('../services/views');
+const { browseQuery } = require('../controllers/pagesController');
+
+const director = { _id: new ObjectId(), name: 'Michael Mann' };
+const actor = { _id: new ObjectId(), name: 'Al Pacino' };
+const HEAT = {
+  _id: new ObjectId(),
+  title: 'Heat',
+  year: 1995,
+  genres: ['Crime', 'Drama'],
+  rating: 8,
+  posterUrl: '/media/abc/640.webp',
+  communityRating: 8.5,
+  communityRatingCount: 2,
+  credits: [
+    { personId: director._id, role: 'director', person: director },
+    { personId: actor._id, role: 'actor', character: 'Vincent Hanna', person: actor },
+  ],
+};
+
+test('siteUrl prefers APP_URL and falls back to the request host', () => {
+  const req = { protocol: 'http', get: () => 'localhost:3000' };
+  assert.equal(siteUrl(req, { APP_URL: 'https://mymovie.example/ ' }), 'https://mymovie.example');
+  assert.equal(siteUrl(req, {}), 'http://localhost:3000');
+  assert.equal(absoluteUrl('https://mymovie.example', '/media/a.webp'), 'https://mymovie.example/media/a.webp');
+  assert.equal(absoluteUrl('https://mymovie.example', 'https://cdn.example/p.jpg'), 'https://cdn.example/p.jpg');
+  assert.equal(absoluteUrl('https://mymovie.example', ''), null);
+});
+
+test('jsonForHtml cannot close the script element it is embedded in', () => {
+  const json = jsonForHtml({ title: '</script><script>alert(1)</script>' });
+  assert.ok(!json.includes('<'));
+  assert.deepEqual(JSON.parse(json), { title: '</script><script>alert(1)</script>' });
+});
+
+test('descriptions are trimmed to a word boundary or built from the movie', () => {
+  const long = 'word '.repeat(60);
+  const cut = truncate(long, 40);
+  assert.ok(cut.length <= 40);
+  assert.ok(cut.endsWith('word…'));
+  assert.equal(
+    movieDescription(HEAT),
+    'Heat (1995), crime, drama, directed by Michael Mann. Ratings, reviews and lists on MyMovie.'
+  );
+  assert.equal(movieDescription({ ...HEAT, description: '  A  heist.  ' }), 'A heist.');
+});
+
+test('headTags escapes values and switches the card type with an image', () => {
+  const head = headTags({ title: 'Heat & "Ronin"', description: 'd', url: 'https://x.example/films/1', image: 'https://x.example/p.webp' });
+  assert.ok(head.startsWith('<title>Heat &amp; &quot;Ronin&quot;</title>'));
+  assert.ok(head.includes('<link rel="canonical" href="https://x.example/films/1" />'));
+  assert.ok(head.includes('<meta property="og:image" content="https://x.example/p.webp" />'));
+  assert.ok(head.includes('<meta name="twitter:card" content="summary_large_image" />'));
+  const bare = headTags({ title: 'Search', noindex: true });
+  assert.ok(bare.includes('<meta name="robots" content="noindex, follow" />'));
+  assert.ok(bare.includes('<meta name="twitter:card" content="summary" />'));
+  assert.ok(!bare.includes('canonical'));
+});
+
+test('movieJsonLd describes the movie with its people and community rating', () => {
+  const ld = movieJsonLd(HEAT, 'https://x.example');
+  assert.equal(ld['@type'], 'Movie');
+  assert.equal(ld.url, `https://x.example/films/${HEAT._id}`);
+  assert.equal(ld.image, 'https://x.example/media/abc/640.webp');
+  assert.equal(ld.datePublished, '1995');
+  assert.deepEqual(ld.genre, ['Crime', 'Drama']);
+  assert.deepEqual(ld.director, [{ '@type': 'Person', name: 'Michael Mann', url: `https://x.example/people/${director._id}` }]);
+  assert.equal(ld.actor[0].name, 'Al Pacino');
+  assert.deepEqual(ld.aggregateRating, { '@type': 'AggregateRating', ratingValue: 8.5, ratingCount: 2, bestRating: 10, worstRating: 0 });
+
+  const legacy = movieJsonLd({ _id: 'x', title: 'Old', director: 'Someone', genre: 'Drama, War' }, 'https://x.example');
+  assert.deepEqual(legacy.director, { '@type': 'Person', name: 'Someone' });
+  assert.deepEqual(legacy.genre, ['Drama', 'War']);
+  assert.equal(legacy.aggregateRating, undefined);
+});
+
+test('buildSitemap escapes locations and writes dates only', () => {
+  const xml = buildSitemap([
+    { loc: 'https://x.example/lists/a&b' },
+    { loc: 'https://x.example/films/1', lastmod: new Date('2026-03-04T05:06:07Z') },
+  ]);
+  assert.ok(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<urlset'));
+  assert.ok(xml.includes('<url><loc>https://x.example/lists/a&amp;b</loc></url>'));
+  assert.ok(xml.includes('<loc>https://x.example/films/1</loc><lastmod>2026-03-04</lastmod>'));
+  const robots = robotsTxt('https://x.example');
+  assert.ok(robots.includes('Disallow: /api/\n'));
+  assert.ok(robots.endsWith('Sitemap: https://x.example/sitemap.xml\n'));
+});
+
+test('browseQuery keeps the filters the films page script sends', () => {
+  assert.deepEqual(browseQuery({ genre: 'Crime', year: '1995', exclude: 'likes', search: '', sort: ' ' }), { genres: 'Crime', year: '1995' });
+  assert.deepEqual(browseQuery({ genres: 'Crime,Drama', genre: 'War', genresMode: 'all' }), { genres: 'Crime,Drama', genresMode: 'all' });
+});
+
+test('the film page template is filled with the movie and its head tags', () => {
+  const html = fs.readFileSync(path.join(__dirname, '..', 'views', 'film.html'), 'utf8');
+  const hostile = { ...HEAT, title: '<img src=x onerror=alert(1)>' };
+  const out = renderHtml(html, {
+    nonce: 'n0nce',
+    head: headTags({ title: 'Heat (1995) | MyMovie' }) + '\n  <script type="application/ld+json">{}</script>',
+    slots: renderFilmHeader(hostile),
+  });
+  assert.ok(out.includes('<title>Heat (1995) | MyMovie</title>'));
+  assert.ok(!out.includes('Film Details'));
+  assert.ok(out.includes('<script nonce="n0nce" type="application/ld+json">'));
+  assert.ok(!out.includes('skeleton'));
+  assert.ok(out.includes('<h1>&lt;img src=x onerror=alert(1)&gt;</h1>'));
+  assert.ok(out.includes('<img class="film-backdrop" src="/media/abc/640.webp" alt="">'));
+  assert.ok(out.includes(`<a href="/people/${actor._id}">Al Pacino</a> <span class="credit-role">Vincent Hanna</span>`));
+  assert.ok(out.includes('Community 8.5 / 10 (2 reviews)'));
+
+  const shell = renderHtml(html, {});
+  assert.ok(shell.includes('skeleton'), 'without slots the placeholders stay');
+});
+
+test('poster cards match the grid markup', () => {
+  const cards = renderPosterCards([
+    { ...HEAT, posterMedia: { id: 'abc', widths: [160, 320] } },
+    { _id: 'x', title: 'no poster here', genre: 'Drama' },
+  ]);
+  assert.ok(cards.includes(`<a href="/films/${HEAT._id}" class="poster-card"><img src="/media/abc/640.webp" srcset="/media/abc/160.webp 160w, /media/abc/320.webp 320w"`));
+  assert.ok(cards.includes('<span class="poster-year">1995 • Crime, Drama • 8/10</span>'));
+  assert.ok(cards.includes('<div class="placeholder">NP</div>'));
+  assert.ok(cards.includes('<span class="poster-year">N/A • Drama</span>'));
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { privacySettings, validatePrivacy, visibleTypes, decodeFeedCursor, afterCursor, mergeActivity } = require('../services/social');
+
+const id = (n) => new ObjectId(n.toString(16).padStart(24, '0'));
+const at = (minute) => new Date(Date.UTC(2026, 0, 1, 12, minute));
+
+test('privacySettings fills in the defaults and ignores unknown levels', () => {
+  assert.deepEqual(privacySettings({}), { likes: 'private', watchlist: 'private', reviews: 'public' });
+  assert.deepEqual(privacySettings({ privacy: { likes: 'followers', reviews: 'nobody' } }), {
+    likes: 'followers',
+    watchlist: 'private',
+    reviews: 'public',
+  });
+});
+
+test('validatePrivacy accepts partial updates and names bad settings', () => {
+  assert.deepEqual(validatePrivacy({ watchlist: 'public' }), { errors: [], privacy: { watchlist: 'public' } });
+  assert.deepEqual(validatePrivacy('public').errors, ['privacy must be an object']);
+  assert.deepEqual(validatePrivacy({ diary: 'public' }).errors, ['privacy may only contain likes, watchlist, reviews']);
+  assert.deepEqual(validatePrivacy({ likes: 'friends' }).errors, ['privacy.likes must be one of public, followers, private']);
+});
+
+test('visibleTypes depends on how the viewer relates to the user', () => {
+  const user = { privacy: { likes: 'followers', watchlist: 'private', reviews: 'public' } };
+  assert.deepEqual(visibleTypes(user, 'other'), ['review']);
+  assert.deepEqual(visibleTypes(user, 'follower'), ['review', 'like']);
+  assert.deepEqual(visibleTypes(user, 'self'), ['review', 'like', 'watchlist']);
+  assert.deepEqual(visibleTypes({}, 'follower'), ['review'], 'likes and watchlists are private by default');
+});
+
+test('mergeActivity orders by time, then source, and pages with a cursor', () => {
+  const reviews = [{ _id: id(1), createdAt: at(30), rank: 0 }];
+  const likes = [
+    { _id: id(3), createdAt: at(30), rank: 1 },
+    { _id: id(2), createdAt: at(10), rank: 1 },
+  ];
+  const watchlist = [{ _id: id(4), createdAt: at(20), rank: 2 }];
+
+  const first = mergeActivity([reviews, likes, watchlist], 2);
+  assert.deepEqual(first.entries.map((e) => e._id), [id(1), id(3)]);
+  const cursor = decodeFeedCursor(first.nextCursor);
+  assert.deepEqual(cursor, { createdAt: at(30), rank: 1, _id: id(3) });
+
+  const last = mergeActivity([[], [likes[1]], watchlist], 2);
+  assert.deepEqual(last.entries.map((e) => e._id), [id(4), id(2)]);
+  assert.equal(last.nextCursor, null);
+});
+
+test('afterCursor continues each source from where the page stopped', () => {
+  const cursor = { createdAt: at(30), rank: 1, _id: id(3) };
+  assert.deepEqual(afterCursor(0, null), { createdAt: { $type: 'date' } });
+  assert.deepEqual(afterCursor(0, cursor), { createdAt: { $lt: at(30) } });
+  assert.deepEqual(afterCursor(2, cursor), { createdAt: { $lte: at(30) } });
+  assert.deepEqual(afterCursor(1, cursor), { $or: [{ createdAt: { $lt: at(30) } }, { createdAt: at(30), _id: { $lt: id(3) } }] });
+  assert.equal(decodeFeedCursor('not-a-cursor'), null);
+});
@@ -0,0 +1,184 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+const { ObjectId } = require('mongodb');
+const { createSqliteDb } = require('../database/sqlite');
+const { storageBackend } = require('../database/storage');
+const { copyStorage } = require('../services/storageCopy');
+const { createSessionStore } = require('../services/sessions');
+
+const memoryDb = () => createSqliteDb(new Database(':memory:'));
+
+test('storageBackend reads STORAGE and defaults to mongo', () => {
+  assert.equal(storageBackend({}), 'mongo');
+  assert.equal(storageBackend({ STORAGE: ' SQLite ' }), 'sqlite');
+  assert.throws(() => storageBackend({ STORAGE: 'redis' }), /STORAGE must be one of mongo, sqlite/);
+});
+
+test('documents round-trip with their ObjectIds and dates', async () => {
+  const movies = memoryDb().collection('movies');
+  const createdAt = new Date('2026-01-01T00:00:00Z');
+  const doc = { title: 'Heat', year: 1995, createdAt };
+  const { insertedId } = await movies.insertOne(doc);
+  assert.ok(insertedId instanceof ObjectId);
+  assert.equal(doc._id, insertedId, 'like the driver, the _id is added to the inserted document');
+
+  const found = await movies.findOne({ _id: new ObjectId(insertedId.toHexString()) });
+  assert.deepEqual(found, { _id: insertedId, title: 'Heat', year: 1995, createdAt });
+  assert.deepEqual(Object.keys(found), ['_id', 'title', 'year', 'createdAt']);
+  assert.equal(await movies.findOne({ title: 'Ronin' }), null);
+});
+
+test('find chains sort, skip, limit and projection and iterates asynchronously', async () => {
+  const movies = memoryDb().collection('movies');
+  const { insertedIds } = await movies.insertMany([1, 2, 3, 4, 5].map((n) => ({ title: `Film ${n}`, year: 2000 + (n % 3) })));
+  assert.deepEqual(Object.keys(insertedIds), ['0', '1', '2', '3', '4']);
+
+  const page = await movies.find({ year: { $gte: 2001 } }, { projection: { title: 1, _id: 0 } }).sort({ year: -1, title: 1 }).skip(1).limit(2).toArray();
+  assert.deepEqual(page, [{ title: 'Film 5' }, { title: 'Film 1' }]);
+
+  const titles = [];
+  for await (const m of movies.find({ _id: { $in: [insertedIds[3], insertedIds[0]] } })) titles.push(m.title);
+  assert.deepEqual(titles, ['Film 1', 'Film 4'], 'natural order is insertion order');
+  assert.equal(await movies.countDocuments({ year: 2001 }), 2);
+  assert.deepEqual((await movies.distinct('year')).sort(), [2000, 2001, 2002]);
+});
+
+test('updates, upserts and deletes report what they did', async () => {
+  const follows = memoryDb().collection('follows');
+  const first = await follows.updateOne({ followerId: 'a', followeeId: 'b' }, { $setOnInsert: { createdAt: new Date() } }, { upsert: true });
+  assert.equal(first.upsertedCount, 1);
+  const again = await follows.updateOne({ followerId: 'a', followeeId: 'b' }, { $setOnInsert: { createdAt: new Date() } }, { upsert: true });
+  assert.deepEqual([again.matchedCount, again.modifiedCount, again.upsertedCount], [1, 0, 0]);
+
+  const counter = await follows.findOneAndUpdate({ _id: 'hits' }, { $inc: { count: 1 } }, { upsert: true, returnDocument: 'after' });
+  assert.deepEqual(counter, { _id: 'hits', count: 1 });
+  assert.deepEqual(await follows.findOneAndUpdate({ _id: 'hits' }, { $inc: { count: 1 } }), { _id: 'hits', count: 1 }, 'returns the document before by default');
+  assert.equal(await follows.findOneAndUpdate({ _id: 'none' }, { $inc: { count: 1 } }), null);
+
+  assert.equal((await follows.updateMany({}, { $set: { seen: true } })).modifiedCount, 2);
+  assert.equal((await follows.deleteMany({ seen: true })).deletedCount, 2);
+  assert.equal(await follows.countDocuments(), 0);
+});
+
+test('unique indexes reject duplicates with E11000 and honour partial filters', async () => {
+  const users = memoryDb().collection('users');
+  await users.createIndex({ email: 1 }, { unique: true, partialFilterExpression: { email: { $type: 'string' } } });
+  await users.insertOne({ username: 'ann', email: 'ann@example.com' });
+  await users.insertOne({ username: 'ben' });
+  await users.insertOne({ username: 'cy' });
+
+  await assert.rejects(users.insertOne({ username: 'dup', email: 'ann@example.com' }), (err) => err.code === 11000 && /email_1/.test(err.message));
+  await assert.rejects(users.updateOne({ username: 'ben' }, { $set: { email: 'ann@example.com' } }), { code: 11000 });
+  const [{ _id }] = await users.find({ username: 'ann' }).toArray();
+  await assert.rejects(users.insertOne({ _id, username: 'same id' }), { code: 11000 });
+
+  await users.insertOne({ username: 'ann' });
+  await assert.rejects(users.createIndex({ username: 1 }, { unique: true }), { code: 11000 }, 'existing duplicates block a unique index');
+  await users.createIndex({ username: 1 }, { name: 'by_username' });
+  assert.deepEqual((await users.indexes()).map((i) => i.name), ['_id_', 'email_1', 'by_username']);
+  await users.dropIndex('by_username');
+  await assert.rejects(users.dropIndex('by_username'), { code: 27 });
+});
+
+test('indexes are SQLite indexes that answer equality lookups until a field holds arrays', async () => {
+  const connection = new Database(':memory:');
+  const movies = createSqliteDb(connection).collection('movies');
+  await movies.createIndex({ genres: 1 });
+  await movies.createIndex({ userId: 1, year: 1 }, { unique: true });
+  const sqlIndexes = connection.prepare("SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = 'docs:movies' AND sql IS NOT NULL").pluck().all();
+  assert.deepEqual(sqlIndexes.sort(), ['docs:movies:genres_1', 'docs:movies:userId_1_year_1']);
+
+  await movies.insertMany([
+    { userId: 'u1', year: 1995, genres: 'Crime' },
+    { userId: 'u1', year: 1998, genres: 'Drama' },
+    { userId: 'u2', year: 1995, genres: 'Crime' },
+  ]);
+  const plan = connection.prepare(`EXPLAIN QUERY PLAN SELECT body FROM "docs:movies" WHERE coalesce(body -> '$."userId"', 'null') IN (json(?))`).all('"u1"');
+  assert.match(plan.map((row) => row.detail).join(), /USING INDEX docs:movies:userId_1_year_1/);
+  assert.deepEqual((await movies.find({ userId: 'u1', year: { $in: [1995, 2000] } }).toArray()).map((m) => m.year), [1995]);
+  assert.equal(await movies.countDocuments({ userId: { $in: ['u1', 'u2'] } }), 3);
+
+  await movies.insertOne({ userId: 'u3', year: 2001, genres: ['Crime', 'Comedy'] });
+  assert.equal(await movies.countDocuments({ genres: 'Crime' }), 3, 'an array field still matches by element');
+  assert.equal(connection.prepare("SELECT multikey FROM indexes WHERE name = 'genres_1'").pluck().get(), 1);
+});
+
+test('bulkWrite runs every operation or none', async () => {
+  const movies = memoryDb().collection('movies');
+  await movies.createIndex({ title: 1 }, { unique: true });
+  const result = await movies.bulkWrite([
+    { insertOne: { document: { title: 'Heat' } } },
+    { updateOne: { filter: { title: 'Ronin' }, update: { $set: { year: 1998 } }, upsert: true } },
+    { insertOne: { document: { title: 'Alien' } } },
+  ]);
+  assert.deepEqual([result.insertedCount, result.upsertedCount], [2, 1]);
+  assert.deepEqual(Object.keys(result.insertedIds), ['0', '2']);
+
+  await assert.rejects(movies.bulkWrite([{ deleteOne: { filter: { title: 'Heat' } } }, { insertOne: { document: { title: 'Alien' } } }]), { code: 11000 });
+  assert.equal(await movies.countDocuments({ title: 'Heat' }), 1, 'the delete before the failure was rolled back');
+});
+
+test('aggregate runs the group stages the reviews and catalog use', async () => {
+  const reviews = memoryDb().collection('reviews');
+  await reviews.insertMany([
+    { movieId: 'm1', rating: 8 },
+    { movieId: 'm1', rating: 6 },
+    { movieId: 'm2', rating: 9 },
+  ]);
+  const rows = await reviews
+    .aggregate([{ $match: { movieId: 'm1' } }, { $group: { _id: '$movieId', average: { $avg: '$rating' }, count: { $sum: 1 } } }])
+    .toArray();
+  assert.deepEqual(rows, [{ _id: 'm1', average: 7, count: 2 }]);
+});
+
+test('documents past a TTL index expiry are swept', async () => {
+  const connection = new Database(':memory:');
+  const limits = createSqliteDb(connection).collection('rate_limits');
+  await limits.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+  await limits.insertMany([
+    { _id: 'old', expiresAt: new Date(Date.now() - 1000) },
+    { _id: 'new', expiresAt: new Date(Date.now() + 60000) },
+  ]);
+  // sweeps run at most once a minute per collection, so look through a fresh handle
+  const reopened = createSqliteDb(connection).collection('rate_limits');
+  assert.deepEqual((await reopened.find().toArray()).map((d) => d._id), ['new']);
+});
+
+test('the session store keeps connect-mongo documents and drops expired sessions', async () => {
+  const sessions = memoryDb().collection('sessions');
+  const store = createSessionStore({ ttlSeconds: 60, collection: () => sessions });
+  const call = (method, ...args) => new Promise((resolve, reject) => store[method](...args, (err, value) => (err ? reject(err) : resolve(value))));
+  const expires = new Date(Date.now() + 60000);
+
+  await call('set', 'sid1', { cookie: { expires }, user: { id: 'u1' } });
+  const doc = await sessions.findOne({ _id: 'sid1' });
+  assert.equal(typeof doc.session, 'string');
+  assert.deepEqual(doc.expires, expires);
+  assert.deepEqual((await call('get', 'sid1')).user, { id: 'u1' });
+
+  await sessions.updateOne({ _id: 'sid1' }, { $set: { expires: new Date(Date.now() - 1000) } });
+  assert.equal(await call('get', 'sid1'), null);
+  await call('destroy', 'sid1');
+  assert.equal(await sessions.countDocuments(), 0);
+});
+
+test('copyStorage copies documents and indexes and refuses a non-empty target', async () => {
+  const source = memoryDb();
+  await source.collection('users').insertMany([{ username: 'ann' }, { username: 'ben' }]);
+  await source.collection('users').createIndex({ username: 1 }, { unique: true });
+  await source.collection('movies').insertOne({ title: 'Heat', createdAt: new Date('2026-01-01T00:00:00Z') });
+
+  const target = memoryDb();
+  const report = await copyStorage(source, target, { batchSize: 1 });
+  assert.deepEqual(report, [
+    { name: 'movies', documents: 1, indexes: 0 },
+    { name: 'users', documents: 2, indexes: 1 },
+  ]);
+  assert.deepEqual(await target.collection('movies').find().toArray(), await source.collection('movies').find().toArray());
+  await assert.rejects(target.collection('users').insertOne({ username: 'ann' }), { code: 11000 });
+
+  await assert.rejects(copyStorage(source, target), /already has data in movies, users/);
+  assert.equal((await copyStorage(source, target, { replace: true })).length, 2);
+  assert.equal(await target.collection('users').countDocuments(), 2);
+});
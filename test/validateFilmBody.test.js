@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { validateFilmBody, GENRES_MAX } = require('../controllers/moviesController');
+
+const nextYear = new Date().getFullYear() + 1;
+const valid = { title: 'Heat', year: 1995, genres: ['Crime'] };
+
+test('a full body needs title, year and genres', () => {
+  assert.deepEqual(validateFilmBody({}, true).errors, [
+    'title must be a non-empty string',
+    `year must be between 1888 and ${nextYear}`,
+    `genres must contain 1-${GENRES_MAX} items`,
+  ]);
+  assert.deepEqual(validateFilmBody(valid, true).errors, []);
+});
+
+test('a partial update only checks the fields it sends', () => {
+  assert.deepEqual(validateFilmBody({}, false), {
+    errors: [],
+    data: {
+      title: undefined,
+      year: undefined,
+      genres: undefined,
+      rating: undefined,
+      director: undefined,
+      credits: undefined,
+      poster: undefined,
+      posterUrl: undefined,
+      description: undefined,
+      trailerUrl: undefined,
+      watchUrl: undefined,
+      translations: undefined,
+    },
+  });
+  assert.deepEqual(validateFilmBody({ title: '  ' }, false).errors, ['title must be a non-empty string']);
+  assert.deepEqual(validateFilmBody({ title: ' Heat ' }, false).data.title, 'Heat');
+});
+
+test('translations are checked and empty ones dropped', () => {
+  const { errors, data } = validateFilmBody({ translations: { ru: { title: 'Схватка', description: '' }, kk: null } }, false);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(data.translations, { ru: { title: 'Схватка' } });
+  assert.deepEqual(validateFilmBody({ ...valid, translations: { de: { title: 'Heat' } } }, true).errors, [
+    'translations locale must be one of kk, ru',
+  ]);
+});
+
+test('year accepts numeric strings inside 1888 to next year', () => {
+  assert.equal(validateFilmBody({ ...valid, year: '1995' }, true).data.year, 1995);
+  assert.deepEqual(validateFilmBody({ ...valid, year: 1888 }, true).errors, []);
+  assert.deepEqual(validateFilmBody({ ...valid, year: nextYear }, true).errors, []);
+  for (const year of [1887, nextYear + 1, 1995.5, 'soon', null]) {
+    assert.deepEqual(validateFilmBody({ ...valid, year }, true).errors, [`year must be between 1888 and ${nextYear}`], String(year));
+  }
+});
+
+test('genres accept a single genre string, trim entries and keep at most GENRES_MAX', () => {
+  assert.deepEqual(validateFilmBody({ title: 'Heat', year: 1995, genre: ' Crime ' }, true).data.genres, ['Crime']);
+  const many = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'];
+  const { errors, data } = validateFilmBody({ ...valid, genres: many }, true);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(data.genres, many.slice(0, GENRES_MAX));
+  assert.deepEqual(validateFilmBody({ ...valid, genres: [' ', ''] }, true).errors, [`genres must contain 1-${GENRES_MAX} items`]);
+  assert.deepEqual(validateFilmBody({ genres: [] }, false).errors, [`genres must contain 1-${GENRES_MAX} items`]);
+});
+
+test('rating is optional, numeric and between 0 and 10', () => {
+  assert.equal(validateFilmBody({ ...valid, rating: '' }, true).data.rating, undefined);
+  assert.equal(validateFilmBody({ ...valid, rating: '7' }, true).data.rating, 7);
+  assert.equal(validateFilmBody({ ...valid, rating: 0 }, true).data.rating, 0);
+  for (const rating of [10.5, -1, 'great']) {
+    assert.deepEqual(validateFilmBody({ ...valid, rating }, true).errors, ['rating must be between 0 and 10']);
+  }
+});
+
+test('optional text fields trim and clear, and poster aliases posterUrl', () => {
+  const { data } = validateFilmBody({ ...valid, director: '', description: ' Cops and robbers ', posterUrl: '/p.jpg' }, true);
+  assert.equal(data.director, null);
+  assert.equal(data.description, 'Cops and robbers');
+  assert.equal(data.poster, '/p.jpg');
+  assert.equal(data.posterUrl, '/p.jpg');
+});
+
+test('credits are validated and converted', () => {
+  const personId = new ObjectId();
+  const ok = validateFilmBody({ ...valid, credits: [{ personId: personId.toString(), role: 'director' }] }, true);
+  assert.deepEqual(ok.errors, []);
+  assert.ok(ok.data.credits[0].personId.equals(personId));
+
+  assert.deepEqual(validateFilmBody({ ...valid, credits: 'Michael Mann' }, true).errors, ['credits must be an array']);
+  assert.deepEqual(validateFilmBody({ ...valid, credits: [{ personId: 'x', role: 'director' }] }, true).errors, [
+    'credits[0].personId must be a valid id',
+  ]);
+});